@@ -0,0 +1,46 @@
+import http from 'http'
+import { timingSafeEqual } from 'crypto'
+import { SIGNATURE_HEADER, TIMESTAMP_HEADER, signWebhookPayload } from '../src/report-webhooks.js'
+
+/**
+ * Local webhook receiver for testing deliveries. Logs each event and checks its signature.
+ *
+ * Usage: WEBHOOK_SECRET=<secret> node scripts/webhook-receiver.js [port]
+ * Set WEBHOOK_RECEIVER_STATUS to answer with another status code, e.g. 500 to exercise retries.
+ */
+
+const port = parseInt(process.argv[2]) || 4000
+const secret = process.env.WEBHOOK_SECRET
+const status = parseInt(process.env.WEBHOOK_RECEIVER_STATUS) || 200
+
+http.createServer((req, res) => {
+  let body = ''
+  req.on('data', chunk => { body += chunk })
+  req.on('end', () => {
+    const timestamp = req.headers[TIMESTAMP_HEADER.toLowerCase()] || ''
+    const signature = req.headers[SIGNATURE_HEADER.toLowerCase()] || ''
+
+    let verified = 'not checked (WEBHOOK_SECRET not set)'
+    if (secret) {
+      const expected = Buffer.from(signWebhookPayload(secret, timestamp, body))
+      const received = Buffer.from(signature)
+      verified = expected.length === received.length && timingSafeEqual(expected, received) ? 'valid' : 'INVALID'
+    }
+
+    let event
+    try {
+      event = JSON.parse(body || '{}')
+    } catch (error) {
+      console.log(`${new Date().toISOString()} ${req.method} ${req.url} body is not JSON (${error.message}), signature ${verified}`)
+      res.writeHead(400, { 'Content-Type': 'application/json' })
+      return res.end(JSON.stringify({ error: 'Body must be JSON' }))
+    }
+    console.log(`${new Date().toISOString()} ${req.method} ${req.url} ${event.event} (${event.id}) signature ${verified}`)
+    console.log(JSON.stringify(event.data, null, 2))
+
+    res.writeHead(status, { 'Content-Type': 'application/json' })
+    res.end(JSON.stringify({ received: true }))
+  })
+}).listen(port, () => {
+  console.log(`Webhook receiver listening on http://localhost:${port}`)
+})
@@ -0,0 +1,152 @@
+import { createHash, randomUUID } from 'crypto'
+import { normalizeApiKey, parseCredentials, verifyCredentials } from './dimo-credentials.js'
+import { parseDistanceUnit } from './distance-units.js'
+import { getPublicEmailSettings } from './report-mailer.js'
+import { getPublicWebhook } from './report-webhooks.js'
+import { parseTimeZone } from './time-zones.js'
+
+/**
+ * App configuration - validates configurations being saved; secrets in the configuration are write-only,
+ * so clients get a redacted copy
+ */
+
+const MAX_CONFIG_NAME_LENGTH = 60
+
+/**
+ * Validate the name of an app configuration; names tell the configurations apart, so they must be unique
+ * @param {string} input - Requested name
+ * @param {Array} configs - Stored configurations
+ * @param {string} currentId - ID of the configuration being renamed, if any
+ * @returns {{name: string|null, error: string|null}}
+ */
+export function parseConfigName(input, configs, currentId = null) {
+  const name = typeof input === 'string' ? input.trim() : ''
+  if (!name) {
+    return { name: null, error: 'Configuration name is required' }
+  }
+  if (name.length > MAX_CONFIG_NAME_LENGTH) {
+    return { name: null, error: `Configuration name must be at most ${MAX_CONFIG_NAME_LENGTH} characters` }
+  }
+  if (configs.some(config => config.id !== currentId && config.name.toLowerCase() === name.toLowerCase())) {
+    return { name: null, error: `A configuration named "${name}" already exists` }
+  }
+  return { name, error: null }
+}
+
+/**
+ * Validate a configuration being created or saved. New credentials are checked with DIMO before anything
+ * is saved, and problems are reported per field. The API key is only taken when the configuration is new.
+ * @param {Object} body - Request body: name, clientId, apiKey, redirectUri, timeZone and distanceUnit
+ * @param {Object} existingConfig - Configuration being saved, or null for a new one
+ * @param {Array} configs - Stored configurations, whose names the new name must differ from
+ * @param {Object} auth - DIMO SDK auth API client the new credentials are checked with
+ * @returns {Promise<{config: Object|null, status: number, error: Object|null}>} error is the response body to send with status
+ */
+export async function parseConfigInput(body, existingConfig, configs, auth) {
+  const invalid = (status, error) => ({ config: null, status, error })
+
+  // The first configuration is named for you; later ones need a name to tell them apart
+  const { name, error: nameError } = parseConfigName(
+    body.name !== undefined ? body.name : existingConfig?.name || (configs.length === 0 ? 'Default' : ''),
+    configs,
+    existingConfig?.id
+  )
+  if (nameError) {
+    return invalid(400, { error: nameError, fieldErrors: { name: nameError } })
+  }
+
+  const { timeZone, error: timeZoneError } = parseTimeZone(body.timeZone)
+  if (timeZoneError) {
+    return invalid(400, { error: timeZoneError })
+  }
+
+  const { distanceUnit, error: distanceUnitError } = parseDistanceUnit(body.distanceUnit)
+  if (distanceUnitError) {
+    return invalid(400, { error: distanceUnitError })
+  }
+
+  const { credentials, fieldErrors } = parseCredentials({
+    clientId: body.clientId,
+    apiKey: body.apiKey || existingConfig?.apiKey,
+    redirectUri: body.redirectUri || 'http://localhost:5173'
+  })
+  const { clientId, apiKey, redirectUri } = credentials
+  if (existingConfig && apiKey !== normalizeApiKey(existingConfig.apiKey)) {
+    return invalid(400, { error: 'Use POST /api/config/api-key to change the API key' })
+  }
+
+  // Saving other settings doesn't need DIMO to be reachable
+  const credentialsChanged = !existingConfig || clientId !== existingConfig.clientId || redirectUri !== existingConfig.redirectUri
+  if (credentialsChanged) {
+    if (fieldErrors) {
+      return invalid(400, { error: 'Please correct the highlighted fields', fieldErrors })
+    }
+
+    const verification = await verifyCredentials(auth, credentials)
+    if (verification.error) {
+      return invalid(502, { error: verification.error })
+    }
+    if (verification.fieldErrors) {
+      return invalid(400, { error: 'DIMO rejected the credentials', fieldErrors: verification.fieldErrors })
+    }
+  }
+
+  const now = new Date().toISOString()
+  return {
+    config: {
+      id: existingConfig?.id || randomUUID(),
+      name,
+      clientId,
+      apiKey,
+      apiKeyUpdatedAt: existingConfig ? existingConfig.apiKeyUpdatedAt || existingConfig.createdAt : now,
+      redirectUri,
+      timeZone,
+      distanceUnit,
+      // Webhooks and email settings are managed through their own endpoints and survive saving the configuration
+      webhooks: existingConfig?.webhooks || [],
+      email: existingConfig?.email || null,
+      createdAt: existingConfig?.createdAt || now
+    },
+    status: 200,
+    error: null
+  }
+}
+
+/**
+ * Short, stable identifier of an API key that reveals nothing about the key itself
+ * @param {string} apiKey - DIMO API key
+ * @returns {string|null} e.g. `sha256:3f2a9c0e51b7d864`
+ */
+export function getApiKeyFingerprint(apiKey) {
+  if (!apiKey) {
+    return null
+  }
+  return `sha256:${createHash('sha256').update(apiKey).digest('hex').slice(0, 16)}`
+}
+
+/**
+ * Configuration as returned to clients: the API key is replaced by its fingerprint and
+ * when it was last set, and the SMTP password and webhook secrets are left out
+ * @param {Object} config - Stored app configuration
+ * @returns {Object}
+ */
+export function getPublicConfig(config) {
+  return {
+    id: config.id,
+    name: config.name,
+    clientId: config.clientId,
+    redirectUri: config.redirectUri,
+    timeZone: config.timeZone,
+    distanceUnit: config.distanceUnit,
+    apiKey: {
+      configured: !!config.apiKey,
+      fingerprint: getApiKeyFingerprint(config.apiKey),
+      // Configurations saved before keys were rotated separately only have createdAt
+      updatedAt: config.apiKeyUpdatedAt || config.createdAt || null
+    },
+    email: getPublicEmailSettings(config.email),
+    webhooks: (config.webhooks || []).map(getPublicWebhook),
+    createdAt: config.createdAt || null,
+    updatedAt: config.updatedAt || config.createdAt || null
+  }
+}
@@ -0,0 +1,79 @@
+/**
+ * Audit log - who changed configurations, schedules, webhooks and reports, and when
+ */
+
+export const DEFAULT_AUDIT_PAGE_SIZE = 50
+export const MAX_AUDIT_PAGE_SIZE = 500
+
+export class AuditLog {
+  /**
+   * @param {Database} db - Database the entries are stored in (see openDatabase)
+   */
+  constructor(db) {
+    this.db = db
+  }
+
+  /**
+   * Record an action
+   * @param {Object} entry
+   * @param {string} entry.action - What was done, e.g. 'schedule.created'
+   * @param {string|null} entry.configId - App configuration the action was taken in
+   * @param {Object|null} entry.actor - User who took the action (see requireUser); null for the first setup
+   * @param {Object|null} entry.details - What the action applied to, e.g. the schedule's ID and name
+   */
+  record({ action, configId = null, actor = null, details = null }) {
+    try {
+      this.db.prepare(`
+        INSERT INTO audit_log (at, config_id, actor_address, actor_email, action, details)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `).run(new Date().toISOString(), configId, actor?.walletAddress || null, actor?.email || null, action,
+        details ? JSON.stringify(details) : null)
+    } catch (error) {
+      // A failed audit write shouldn't fail the action it records
+      console.error(`Failed to record audit entry ${action}:`, error)
+    }
+  }
+
+  /**
+   * List an app configuration's entries, newest first
+   * @param {string} configId - Configuration the entries were recorded in
+   * @param {Object} query - Filters (see parseAuditQuery)
+   * @returns {Array}
+   */
+  list(configId, query = {}) {
+    return this.db.prepare(`
+      SELECT * FROM audit_log
+      WHERE config_id = @configId AND (@action IS NULL OR action = @action)
+      ORDER BY id DESC LIMIT @limit
+    `).all({ configId, action: query.action || null, limit: query.limit || DEFAULT_AUDIT_PAGE_SIZE }).map(row => ({
+      id: row.id,
+      at: row.at,
+      action: row.action,
+      actor: { walletAddress: row.actor_address, email: row.actor_email },
+      details: row.details ? JSON.parse(row.details) : null
+    }))
+  }
+}
+
+/**
+ * Validate the filters of an audit log request
+ * @param {Object} input - Query string parameters: action, limit
+ * @returns {{query: Object|null, error: string|null}}
+ */
+export function parseAuditQuery(input) {
+  const query = {}
+
+  if (input.limit !== undefined) {
+    const limit = Number(input.limit)
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_AUDIT_PAGE_SIZE) {
+      return { query: null, error: `limit must be an integer between 1 and ${MAX_AUDIT_PAGE_SIZE}` }
+    }
+    query.limit = limit
+  }
+
+  if (input.action !== undefined) {
+    query.action = String(input.action)
+  }
+
+  return { query, error: null }
+}
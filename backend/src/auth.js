@@ -0,0 +1,133 @@
+import { createHmac, timingSafeEqual } from 'crypto'
+import fs from 'fs/promises'
+import { createLocalJWKSet, createRemoteJWKSet, importSPKI, jwtVerify } from 'jose'
+
+/**
+ * Authentication - verifies the DIMO user JWT sent with API requests
+ */
+
+const DEFAULT_JWKS_URL = 'https://auth.dimo.zone/keys'
+const DEFAULT_ISSUER = 'https://auth.dimo.zone'
+
+/**
+ * Read the authentication settings from environment variables
+ * @param {Object} env - Environment variables
+ * @returns {{jwksUrl: string, keyFile: string|null, keyAlgorithm: string, issuer: string|null, audience: string|null, configAudience: boolean}}
+ * configAudience is true when tokens must be issued for the client ID of the configuration a request selects
+ */
+export function getAuthOptions(env) {
+  return {
+    jwksUrl: env.AUTH_JWKS_URL || DEFAULT_JWKS_URL,
+    // A local public key (PEM) or JWKS file replaces the remote JWKS, e.g. for tests
+    keyFile: env.AUTH_PUBLIC_KEY_FILE || null,
+    keyAlgorithm: env.AUTH_KEY_ALGORITHM || 'RS256',
+    // An empty AUTH_ISSUER disables the issuer check
+    issuer: env.AUTH_ISSUER !== undefined ? env.AUTH_ISSUER || null : DEFAULT_ISSUER,
+    // Without AUTH_AUDIENCE the selected configuration's client ID is required; an empty AUTH_AUDIENCE disables the check
+    audience: env.AUTH_AUDIENCE || null,
+    configAudience: env.AUTH_AUDIENCE === undefined
+  }
+}
+
+/**
+ * Create a function that verifies a JWT's signature, expiry, issuer and audience
+ * @param {Object} options - Authentication settings (see getAuthOptions)
+ * @returns {Promise<Function>} Resolves a token and an optional required audience, replacing the configured one,
+ * to its claims, or rejects if it isn't valid
+ */
+export async function createTokenVerifier(options) {
+  let key
+  if (options.keyFile) {
+    const contents = await fs.readFile(options.keyFile, 'utf8')
+    key = contents.trim().startsWith('{')
+      ? createLocalJWKSet(JSON.parse(contents))
+      : await importSPKI(contents, options.keyAlgorithm)
+  } else {
+    // Keys are fetched on first use and cached, refetching when a token names an unknown key
+    key = createRemoteJWKSet(new URL(options.jwksUrl))
+  }
+
+  return async (token, audience = options.audience) => {
+    const { payload } = await jwtVerify(token, key, {
+      issuer: options.issuer || undefined,
+      audience: audience || undefined
+    })
+    return payload
+  }
+}
+
+/**
+ * Express middleware that requires a valid bearer token and sets `req.user`
+ * @param {Function} verifyToken - Token verifier (see createTokenVerifier)
+ * @param {Function} isPublic - Returns true for requests that don't need a token
+ * @param {Function} getAudience - Returns the audience a request's token must have, or undefined for the verifier's own
+ */
+export function requireUser(verifyToken, isPublic = () => false, getAudience = () => undefined) {
+  return async (req, res, next) => {
+    if (await isPublic(req)) {
+      return next()
+    }
+
+    const [scheme, token] = (req.get('authorization') || '').split(' ')
+    if (scheme !== 'Bearer' || !token) {
+      return res.status(401).json({ error: 'Authentication required' })
+    }
+
+    try {
+      const claims = await verifyToken(token, await getAudience(req))
+      req.user = {
+        subject: claims.sub || null,
+        walletAddress: claims.ethereum_address || null,
+        email: claims.email || null,
+        claims
+      }
+      next()
+    } catch (error) {
+      const message = error.code === 'ERR_JWT_EXPIRED' ? 'Session expired. Please log in again.' : 'Invalid authentication token'
+      res.status(401).json({ error: message })
+    }
+  }
+}
+
+/**
+ * Signs report download links so clients without a user token, such as webhook receivers, can download a report
+ */
+export class DownloadLinkSigner {
+  /**
+   * @param {string} secret - Signing secret; links stay valid across restarts as long as it doesn't change
+   * @param {number} ttlHours - How long a link stays valid
+   */
+  constructor(secret, ttlHours) {
+    if (!secret) {
+      throw new Error('A download link signing secret is required')
+    }
+    this.secret = secret
+    this.ttlHours = ttlHours
+  }
+
+  /**
+   * Query string (`expires` and `signature`) that authorizes downloading a report
+   */
+  sign(reportId, now = Date.now()) {
+    const expires = Math.floor(now / 1000) + Math.round(this.ttlHours * 3600)
+    return `expires=${expires}&signature=${this.signature(reportId, expires)}`
+  }
+
+  /**
+   * Check a download request's `expires` and `signature` query parameters
+   */
+  verify(reportId, query, now = Date.now()) {
+    const expires = Number(query.expires)
+    if (!Number.isInteger(expires) || expires < Math.floor(now / 1000) || typeof query.signature !== 'string') {
+      return false
+    }
+
+    const expected = Buffer.from(this.signature(reportId, expires))
+    const received = Buffer.from(query.signature)
+    return expected.length === received.length && timingSafeEqual(expected, received)
+  }
+
+  signature(reportId, expires) {
+    return createHmac('sha256', this.secret).update(`${reportId}:${expires}`).digest('hex')
+  }
+}
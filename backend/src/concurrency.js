@@ -0,0 +1,88 @@
+/**
+ * Concurrency utilities - bounded worker pool and retry with backoff for DIMO API calls
+ */
+
+const RETRYABLE_NETWORK_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'ECONNABORTED']
+
+/**
+ * Run a worker over every item with at most `limit` workers in flight
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of concurrent workers
+ * @param {Function} worker - Async function called with (item, index)
+ * @returns {Promise<Array>} Worker results in the same order as the items
+ */
+export async function runWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length)
+  let nextIndex = 0
+
+  const runWorker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++
+      results[index] = await worker(items[index], index)
+    }
+  }
+
+  const workerCount = Math.max(1, Math.min(limit, items.length))
+  await Promise.all(Array.from({ length: workerCount }, runWorker))
+
+  return results
+}
+
+/**
+ * Get the HTTP status code from an error thrown by the DIMO SDK or axios
+ */
+export function getErrorStatus(error) {
+  const status = error?.statusCode ?? error?.status ?? error?.response?.status
+  if (status) {
+    return Number(status)
+  }
+
+  // The SDK folds the status into its message as "Status code: 429"
+  const match = /Status code: (\d{3})/.exec(error?.message || '')
+  return match ? Number(match[1]) : null
+}
+
+/**
+ * Check whether an error is transient and worth retrying (rate limits, server errors, network failures)
+ */
+export function isRetryableError(error) {
+  const status = getErrorStatus(error)
+  if (status === 429 || (status >= 500 && status < 600)) {
+    return true
+  }
+
+  if (RETRYABLE_NETWORK_CODES.includes(error?.code)) {
+    return true
+  }
+
+  return /too many requests|rate limit/i.test(error?.message || '')
+}
+
+/**
+ * Call an async function, retrying transient failures with exponential backoff and jitter
+ * @param {Function} fn - Async function to call
+ * @param {Object} options - Retry options
+ * @param {number} options.maxRetries - Maximum number of retries after the first attempt
+ * @param {number} options.baseDelay - Delay before the first retry in milliseconds
+ * @param {number} options.maxDelay - Upper bound for a single delay in milliseconds
+ * @param {Function} options.onRetry - Called with (error, attempt, delay) before each retry
+ * @returns {Promise<*>} Result of the function
+ */
+export async function withRetry(fn, options = {}) {
+  const { maxRetries = 3, baseDelay = 1000, maxDelay = 30000, onRetry } = options
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn()
+    } catch (error) {
+      if (attempt >= maxRetries || !isRetryableError(error)) {
+        throw error
+      }
+
+      const backoff = Math.min(maxDelay, baseDelay * 2 ** attempt)
+      const delay = Math.round(backoff / 2 + Math.random() * backoff / 2)
+      onRetry?.(error, attempt + 1, delay)
+      await new Promise(resolve => setTimeout(resolve, delay))
+    }
+  }
+}
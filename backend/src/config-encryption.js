@@ -0,0 +1,164 @@
+import { createCipheriv, createDecipheriv, createHmac, randomBytes } from 'crypto'
+import fs from 'fs/promises'
+import path from 'path'
+
+/**
+ * Config encryption - encrypts the secrets in the app configuration at rest with AES-256-GCM
+ */
+
+const ALGORITHM = 'aes-256-gcm'
+const KEY_BYTES = 32
+const IV_BYTES = 12
+const TAG_BYTES = 16
+
+// Encrypted values are stored as strings with this prefix, so plaintext ones can be told apart and migrated
+const ENCRYPTED_PREFIX = 'enc:v1:'
+
+/**
+ * Read the encryption key settings from environment variables
+ * @param {Object} env - Environment variables
+ * @param {string} defaultKeyFile - Key file used when CONFIG_ENCRYPTION_KEY_FILE isn't set
+ * @returns {{key: string|null, keyFile: string}}
+ */
+export function getEncryptionKeyOptions(env, defaultKeyFile) {
+  return {
+    key: env.CONFIG_ENCRYPTION_KEY || null,
+    keyFile: env.CONFIG_ENCRYPTION_KEY_FILE || defaultKeyFile
+  }
+}
+
+/**
+ * Parse a 32-byte key given as 64 hex characters or base64
+ * @returns {Buffer}
+ */
+function parseEncryptionKey(text, source) {
+  const trimmed = text.trim()
+  const key = /^[0-9a-f]{64}$/i.test(trimmed) ? Buffer.from(trimmed, 'hex') : Buffer.from(trimmed, 'base64')
+  if (key.length !== KEY_BYTES) {
+    throw new Error(`${source} must be a ${KEY_BYTES}-byte key, given as 64 hex characters or base64`)
+  }
+  return key
+}
+
+export function isEncryptedValue(value) {
+  return typeof value === 'string' && value.startsWith(ENCRYPTED_PREFIX)
+}
+
+/**
+ * Apply a transform to every secret in a configuration: the API key, the SMTP password and the webhook secrets
+ */
+function mapSecrets(config, transform) {
+  return {
+    ...config,
+    apiKey: transform(config.apiKey),
+    email: config.email ? { ...config.email, password: transform(config.email.password) } : config.email,
+    webhooks: config.webhooks ? config.webhooks.map(webhook => ({ ...webhook, secret: transform(webhook.secret) })) : config.webhooks
+  }
+}
+
+/**
+ * The configuration's secrets that are set, encrypted or not
+ */
+function listSecrets(config) {
+  const secrets = []
+  mapSecrets(config, value => {
+    if (value) {
+      secrets.push(value)
+    }
+    return value
+  })
+  return secrets
+}
+
+export function hasEncryptedSecrets(config) {
+  return listSecrets(config).some(isEncryptedValue)
+}
+
+export function hasPlaintextSecrets(config) {
+  return listSecrets(config).some(value => !isEncryptedValue(value))
+}
+
+export class ConfigCipher {
+  /**
+   * @param {Buffer} key - 32-byte AES key
+   */
+  constructor(key) {
+    this.key = key
+  }
+
+  encrypt(text) {
+    const iv = randomBytes(IV_BYTES)
+    const cipher = createCipheriv(ALGORITHM, this.key, iv)
+    const encrypted = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()])
+    return ENCRYPTED_PREFIX + Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString('base64')
+  }
+
+  decrypt(value) {
+    const data = Buffer.from(value.slice(ENCRYPTED_PREFIX.length), 'base64')
+    const decipher = createDecipheriv(ALGORITHM, this.key, data.subarray(0, IV_BYTES))
+    decipher.setAuthTag(data.subarray(IV_BYTES, IV_BYTES + TAG_BYTES))
+    try {
+      return Buffer.concat([decipher.update(data.subarray(IV_BYTES + TAG_BYTES)), decipher.final()]).toString('utf8')
+    } catch (error) {
+      throw new Error('Failed to decrypt the configuration. The encryption key does not match the one it was encrypted with.')
+    }
+  }
+
+  /**
+   * A key for another purpose derived from the encryption key, so it stays the same across restarts
+   * without being stored. Different purposes get unrelated keys, and none reveals the encryption key.
+   * @param {string} purpose - What the key is for, e.g. 'download-links'
+   * @returns {string} 64 hex characters
+   */
+  deriveKey(purpose) {
+    return createHmac('sha256', this.key).update(`vehicle-reports:${purpose}`).digest('hex')
+  }
+
+  /**
+   * Copy of a configuration with its secrets encrypted; already encrypted ones are kept as they are
+   */
+  encryptSecrets(config) {
+    return mapSecrets(config, value => value && !isEncryptedValue(value) ? this.encrypt(value) : value)
+  }
+
+  /**
+   * Copy of a configuration with its secrets decrypted; plaintext ones (not migrated yet) are kept as they are
+   */
+  decryptSecrets(config) {
+    return mapSecrets(config, value => isEncryptedValue(value) ? this.decrypt(value) : value)
+  }
+}
+
+/**
+ * Load the encryption key from CONFIG_ENCRYPTION_KEY or the key file. Without either, a new key file is
+ * generated, unless there is already encrypted data it couldn't decrypt.
+ * @param {Object} options - Key settings (see getEncryptionKeyOptions)
+ * @param {boolean} hasEncryptedData - Whether stored data is already encrypted
+ * @returns {Promise<ConfigCipher>}
+ */
+export async function loadConfigCipher(options, hasEncryptedData) {
+  if (options.key) {
+    return new ConfigCipher(parseEncryptionKey(options.key, 'CONFIG_ENCRYPTION_KEY'))
+  }
+
+  try {
+    return new ConfigCipher(parseEncryptionKey(await fs.readFile(options.keyFile, 'utf8'), `Key file ${options.keyFile}`))
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error
+    }
+  }
+
+  if (hasEncryptedData) {
+    throw new Error(
+      `The configuration contains encrypted secrets, but no encryption key was found (CONFIG_ENCRYPTION_KEY is not set and ${options.keyFile} does not exist). ` +
+      'Provide the key it was encrypted with, or start with a new database (DATABASE_FILE) to configure the app again.'
+    )
+  }
+
+  const key = randomBytes(KEY_BYTES)
+  await fs.mkdir(path.dirname(options.keyFile), { recursive: true })
+  await fs.writeFile(options.keyFile, key.toString('hex') + '\n', { mode: 0o600, flag: 'wx' })
+  console.log(`🔑 Generated config encryption key at ${options.keyFile}. Keep it safe: encrypted secrets can't be read without it.`)
+  return new ConfigCipher(key)
+}
@@ -0,0 +1,115 @@
+import { hasEncryptedSecrets, hasPlaintextSecrets, loadConfigCipher } from './config-encryption.js'
+import { normalizeApiKey } from './dimo-credentials.js'
+
+/**
+ * Config store - the named app configurations, one per DIMO developer license, and which one is the default.
+ * Secrets are encrypted in the database and decrypted when a configuration is loaded.
+ */
+export class ConfigStore {
+  /**
+   * @param {Database} db - Database the configurations are stored in (see openDatabase)
+   */
+  constructor(db) {
+    this.db = db
+    this.cipher = null
+  }
+
+  /**
+   * Load the key the configurations' secrets are encrypted with and encrypt secrets still stored
+   * in plaintext, e.g. ones imported from an earlier version's files. API keys stored with a 0x
+   * prefix are saved without it, as they are compared after normalizeApiKey.
+   * Fails if a configuration is encrypted and the key is missing or doesn't match.
+   * @param {Object} keyOptions - Key settings (see getEncryptionKeyOptions)
+   */
+  async init(keyOptions) {
+    const configs = this.readConfigs()
+    this.cipher = await loadConfigCipher(keyOptions, configs.some(hasEncryptedSecrets))
+    // Decrypting up front catches a wrong key before any request sees the configurations
+    const decrypted = configs.map(config => this.cipher.decryptSecrets(config))
+    const update = this.db.prepare('UPDATE configs SET data = ? WHERE id = ?')
+
+    const plaintext = configs.filter(hasPlaintextSecrets)
+    if (plaintext.length > 0) {
+      this.db.transaction(() => {
+        plaintext.forEach(config => update.run(JSON.stringify(this.cipher.encryptSecrets(config)), config.id))
+      })()
+      console.log(`🔐 Encrypted the plaintext secrets of ${plaintext.length} configuration(s)`)
+    }
+
+    const prefixed = decrypted.filter(config => config.apiKey && config.apiKey !== normalizeApiKey(config.apiKey))
+    if (prefixed.length > 0) {
+      this.db.transaction(() => {
+        prefixed.forEach(config => update.run(JSON.stringify(this.cipher.encryptSecrets({ ...config, apiKey: normalizeApiKey(config.apiKey) })), config.id))
+      })()
+      console.log(`🔑 Normalized the API key of ${prefixed.length} configuration(s)`)
+    }
+  }
+
+  /**
+   * All configurations with their secrets decrypted, in the order they were created
+   * @returns {Promise<{defaultConfigId: string|null, configs: Array}>}
+   */
+  async loadConfigs() {
+    const defaultConfigId = this.db.prepare('SELECT id FROM configs WHERE is_default = 1').pluck().get() || null
+    return { defaultConfigId, configs: this.readConfigs().map(config => this.cipher.decryptSecrets(config)) }
+  }
+
+  /**
+   * Load a configuration
+   * @param {string|null} id - Configuration ID; the default configuration when not given
+   */
+  async loadConfig(id = null) {
+    const row = id
+      ? this.db.prepare('SELECT data FROM configs WHERE id = ?').get(id)
+      : this.db.prepare('SELECT data FROM configs WHERE is_default = 1').get()
+    return row ? this.cipher.decryptSecrets(JSON.parse(row.data)) : null
+  }
+
+  /**
+   * Create or replace a configuration by its ID. The first configuration becomes the default.
+   */
+  async saveConfig(config) {
+    const now = new Date().toISOString()
+    const saved = this.cipher.encryptSecrets({ ...config, updatedAt: now })
+    this.db.prepare(`
+      INSERT INTO configs (id, name, is_default, data, created_at, updated_at)
+      VALUES (@id, @name, NOT EXISTS (SELECT 1 FROM configs), @data, @now, @now)
+      ON CONFLICT (id) DO UPDATE SET name = excluded.name, data = excluded.data, updated_at = excluded.updated_at
+    `).run({ id: saved.id, name: saved.name, data: JSON.stringify(saved), now })
+  }
+
+  /**
+   * Delete a configuration. When it was the default, the oldest remaining one becomes the default.
+   * @returns {Promise<boolean>} False if the configuration doesn't exist
+   */
+  async deleteConfig(id) {
+    return this.db.transaction(() => {
+      const deleted = this.db.prepare('DELETE FROM configs WHERE id = ?').run(id).changes > 0
+      this.db.prepare(`
+        UPDATE configs SET is_default = 1
+        WHERE id = (SELECT id FROM configs ORDER BY created_at, rowid LIMIT 1)
+          AND NOT EXISTS (SELECT 1 FROM configs WHERE is_default = 1)
+      `).run()
+      return deleted
+    })()
+  }
+
+  /**
+   * Store a configuration exactly as given, e.g. one imported from an earlier version's files.
+   * Secrets still in plaintext are encrypted by init.
+   */
+  importConfig(config, isDefault) {
+    const now = new Date().toISOString()
+    this.db.prepare(`
+      INSERT INTO configs (id, name, is_default, data, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?)
+    `).run(config.id, config.name, isDefault ? 1 : 0, JSON.stringify(config), config.createdAt || now, config.updatedAt || now)
+  }
+
+  /**
+   * The stored configurations as they are, secrets still encrypted
+   */
+  readConfigs() {
+    return this.db.prepare('SELECT data FROM configs ORDER BY created_at, rowid').all()
+      .map(row => JSON.parse(row.data))
+  }
+}
@@ -0,0 +1,138 @@
+import Database from 'better-sqlite3'
+import fs from 'fs'
+import path from 'path'
+
+/**
+ * Database - the embedded SQLite store for configurations, report metadata, jobs, schedules,
+ * webhook deliveries and the audit log. Report files themselves stay on disk.
+ *
+ * Records are kept whole as JSON in a `data` column, with the fields that are filtered or sorted on
+ * copied into their own columns.
+ */
+
+// Applied in order on startup and recorded in schema_migrations. Never change a released migration;
+// add a new one instead.
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'initial schema',
+    sql: `
+      CREATE TABLE configs (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        is_default INTEGER NOT NULL DEFAULT 0,
+        data TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+
+      CREATE TABLE reports (
+        id TEXT PRIMARY KEY,
+        config_id TEXT,
+        filename TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        start_date TEXT,
+        end_date TEXT,
+        pinned INTEGER NOT NULL DEFAULT 0,
+        size INTEGER,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX reports_by_config ON reports (config_id, created_at);
+
+      CREATE TABLE jobs (
+        id TEXT PRIMARY KEY,
+        config_id TEXT,
+        status TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX jobs_by_status ON jobs (status);
+
+      CREATE TABLE schedules (
+        id TEXT PRIMARY KEY,
+        config_id TEXT,
+        data TEXT NOT NULL
+      );
+
+      CREATE TABLE webhook_deliveries (
+        id TEXT PRIMARY KEY,
+        config_id TEXT,
+        webhook_id TEXT,
+        created_at TEXT NOT NULL,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX webhook_deliveries_by_config ON webhook_deliveries (config_id, created_at);
+
+      CREATE TABLE audit_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        at TEXT NOT NULL,
+        config_id TEXT,
+        actor_address TEXT,
+        actor_email TEXT,
+        action TEXT NOT NULL,
+        details TEXT
+      );
+      CREATE INDEX audit_log_by_config ON audit_log (config_id, id);
+    `
+  },
+  {
+    version: 2,
+    name: 'report metadata kept in the report storage',
+    // The reports table becomes an index of the metadata files in the report storage.
+    // The version of a report's metadata file the index last read or wrote; NULL for reports
+    // recorded before the metadata was kept in the storage
+    sql: `
+      ALTER TABLE reports ADD COLUMN metadata_version TEXT;
+    `
+  }
+]
+
+/**
+ * Path of the database file
+ * @param {Object} env - Environment variables
+ * @param {string} defaultFile - Database file used when DATABASE_FILE isn't set
+ */
+export function getDatabaseFile(env, defaultFile) {
+  return env.DATABASE_FILE || defaultFile
+}
+
+/**
+ * Open the database, creating it if needed, and bring its schema up to date
+ * @param {string} filePath - Database file
+ * @returns {Database} better-sqlite3 connection
+ */
+export function openDatabase(filePath) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true })
+  // The default rollback journal is kept rather than WAL: WAL's shared memory file isn't reliable
+  // on the bind mounts Docker Desktop uses on Windows and macOS
+  const db = new Database(filePath)
+  db.pragma('busy_timeout = 5000')
+  migrate(db)
+  return db
+}
+
+function migrate(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT NOT NULL
+    )
+  `)
+
+  const applied = db.prepare('SELECT version FROM schema_migrations').pluck().all()
+  const latest = MIGRATIONS[MIGRATIONS.length - 1].version
+  const newest = Math.max(0, ...applied)
+  if (newest > latest) {
+    throw new Error(`The database schema (version ${newest}) is newer than this version of the app supports (version ${latest}). Upgrade the app or restore an older database.`)
+  }
+
+  const record = db.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)')
+  for (const migration of MIGRATIONS.filter(m => !applied.includes(m.version))) {
+    db.transaction(() => {
+      db.exec(migration.sql)
+      record.run(migration.version, migration.name, new Date().toISOString())
+    })()
+    console.log(`🗄️ Applied database migration ${migration.version}: ${migration.name}`)
+  }
+}
@@ -0,0 +1,108 @@
+/**
+ * DIMO credentials - validates a client ID, API key and redirect URI before they are saved,
+ * reporting problems per field
+ */
+
+const CLIENT_ID_PATTERN = /^0x[0-9a-fA-F]{40}$/
+const API_KEY_PATTERN = /^[0-9a-fA-F]{64}$/
+
+/**
+ * An API key as it is stored and compared: trimmed and without a 0x prefix, which the SDK adds itself
+ * @param {*} apiKey - The key as pasted or stored
+ * @returns {string} Empty when no key is given
+ */
+export function normalizeApiKey(apiKey) {
+  return typeof apiKey === 'string' ? apiKey.trim().replace(/^0x/i, '') : ''
+}
+
+/**
+ * Check the format of submitted credentials
+ * @param {Object} input - clientId, apiKey and redirectUri
+ * @returns {{credentials: Object, fieldErrors: Object|null}} fieldErrors maps field names to messages
+ */
+export function parseCredentials(input) {
+  const fieldErrors = {}
+
+  const clientId = typeof input.clientId === 'string' ? input.clientId.trim() : ''
+  if (!clientId) {
+    fieldErrors.clientId = 'Client ID is required'
+  } else if (!CLIENT_ID_PATTERN.test(clientId)) {
+    fieldErrors.clientId = 'Client ID must be an address: 0x followed by 40 hexadecimal characters'
+  }
+
+  const apiKey = normalizeApiKey(input.apiKey)
+  if (!apiKey) {
+    fieldErrors.apiKey = 'API Key is required'
+  } else if (!API_KEY_PATTERN.test(apiKey)) {
+    fieldErrors.apiKey = 'API Key must be 64 hexadecimal characters'
+  }
+
+  const redirectUri = typeof input.redirectUri === 'string' ? input.redirectUri.trim() : ''
+  try {
+    if (!['http:', 'https:'].includes(new URL(redirectUri).protocol)) {
+      throw new Error('Unsupported protocol')
+    }
+  } catch (error) {
+    fieldErrors.redirectUri = 'Redirect URI must be an http or https URL'
+  }
+
+  return {
+    credentials: { clientId, apiKey, redirectUri },
+    fieldErrors: Object.keys(fieldErrors).length > 0 ? fieldErrors : null
+  }
+}
+
+/**
+ * The message DIMO gave for a failed call, without the SDK's status code and body dump
+ */
+function describeDimoError(error) {
+  return error.body?.message || error.message.split('\n')[0].replace(/^API call error: /, '')
+}
+
+/**
+ * Fetch a developer token step by step, so a failure can be attributed to the client ID or the API key
+ * @param {Object} auth - DIMO SDK auth API client
+ * @param {Object} credentials - clientId, apiKey and redirectUri (see parseCredentials)
+ * @returns {Promise<{fieldErrors: Object|null, error: string|null}>} error is set when DIMO couldn't be reached
+ */
+export async function verifyCredentials(auth, { clientId, apiKey, redirectUri }) {
+  const unreachable = error => {
+    console.error('Failed to reach DIMO while checking credentials:', error)
+    return { fieldErrors: null, error: 'Could not reach DIMO to check the credentials. Please try again.' }
+  }
+
+  let challenge
+  try {
+    challenge = await auth.generateChallenge({ client_id: clientId, domain: redirectUri, address: clientId })
+  } catch (error) {
+    // The SDK only raises DimoError (with a status code) for responses; anything else is a network failure
+    if (error.statusCode === undefined) {
+      return unreachable(error)
+    }
+    return {
+      fieldErrors: { clientId: `DIMO did not accept this client ID with redirect URI ${redirectUri}: ${describeDimoError(error)}` },
+      error: null
+    }
+  }
+
+  let signature
+  try {
+    signature = await auth.signChallenge({ message: challenge.challenge, private_key: apiKey })
+  } catch (error) {
+    return { fieldErrors: { apiKey: 'API Key is not a valid private key' }, error: null }
+  }
+
+  try {
+    await auth.submitChallenge({ client_id: clientId, domain: redirectUri, state: challenge.state, signature })
+  } catch (error) {
+    if (error.statusCode === undefined) {
+      return unreachable(error)
+    }
+    return {
+      fieldErrors: { apiKey: `DIMO rejected this API key for the client ID: ${describeDimoError(error)}` },
+      error: null
+    }
+  }
+
+  return { fieldErrors: null, error: null }
+}
@@ -0,0 +1,55 @@
+/**
+ * Distance units - DIMO reports distances in kilometers; reports can be written in miles instead
+ */
+
+import { isSupportedOption } from './input-validation.js'
+
+const KM_PER_MILE = 1.609344
+
+// Supported units, with the labels used for distance and speed values
+export const DISTANCE_UNITS = {
+  km: { label: 'Kilometers', distanceLabel: 'km', speedLabel: 'km/h', perKilometer: 1 },
+  mi: { label: 'Miles', distanceLabel: 'mi', speedLabel: 'mph', perKilometer: 1 / KM_PER_MILE }
+}
+
+export const DEFAULT_DISTANCE_UNIT = 'km'
+
+/**
+ * Validate the distance unit requested for a report or configuration
+ * @param {string|undefined} input - Requested unit
+ * @param {string} fallback - Unit used when none is given
+ * @returns {{distanceUnit: string|null, error: string|null}}
+ */
+export function parseDistanceUnit(input, fallback = DEFAULT_DISTANCE_UNIT) {
+  if (input === undefined || input === null || input === '') {
+    return { distanceUnit: fallback, error: null }
+  }
+
+  if (!isSupportedOption(DISTANCE_UNITS, input)) {
+    return { distanceUnit: null, error: `Unsupported distance unit: ${input}` }
+  }
+
+  return { distanceUnit: input, error: null }
+}
+
+/**
+ * Label for a quantity in a unit, e.g. "mi" for distance or "mph" for speed
+ * @param {string} quantity - 'distance' or 'speed'
+ */
+export function unitLabel(quantity, distanceUnit) {
+  const unit = DISTANCE_UNITS[distanceUnit]
+  return quantity === 'speed' ? unit.speedLabel : unit.distanceLabel
+}
+
+/**
+ * Convert a kilometer-based distance or speed value into a unit.
+ * Non-numeric values (sentinels such as 'N/A') are returned unchanged.
+ */
+export function convertFromKilometers(value, distanceUnit) {
+  if (typeof value !== 'number' || distanceUnit === DEFAULT_DISTANCE_UNIT) {
+    return value
+  }
+
+  // Round away floating point noise introduced by the conversion
+  return Math.round(value * DISTANCE_UNITS[distanceUnit].perKilometer * 1000) / 1000
+}
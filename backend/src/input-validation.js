@@ -0,0 +1,15 @@
+/**
+ * Input validation - checks shared by the parsers of request parameters
+ */
+
+/**
+ * Check that a requested value is the name of one of the supported options. Only strings match,
+ * so arrays and objects from query strings or JSON bodies are rejected, and only the options'
+ * own keys, so inherited properties such as `constructor` or `__proto__` are never accepted.
+ * @param {Object} options - Supported options keyed by name
+ * @param {*} input - Requested value
+ * @returns {boolean}
+ */
+export function isSupportedOption(options, input) {
+  return typeof input === 'string' && Object.hasOwn(options, input)
+}
@@ -0,0 +1,74 @@
+import { randomUUID } from 'crypto'
+import fs from 'fs/promises'
+import path from 'path'
+
+/**
+ * Legacy import - moves the JSON files earlier versions kept in the tmp directory into the database.
+ * Each file is imported in one transaction and then renamed to `<file>.imported`, so it is imported
+ * once and kept as a backup. Report files themselves are picked up by ReportStore.reconcile.
+ */
+
+/**
+ * Import every legacy file found in the base directory
+ * @param {string} baseDir - Directory earlier versions stored their files in
+ * @param {Object} stores - Where the records go
+ * @param {Database} stores.db - Database the stores write to (see openDatabase)
+ * @param {ConfigStore} stores.configStore
+ * @param {ReportStore} stores.reportStore
+ * @param {ReportScheduler} stores.reportScheduler
+ * @param {WebhookDispatcher} stores.webhooks
+ */
+export async function importLegacyFiles(baseDir, { db, configStore, reportStore, reportScheduler, webhooks }) {
+  const importFile = async (filename, importData) => {
+    const filePath = path.join(baseDir, filename)
+    let data
+    try {
+      data = JSON.parse(await fs.readFile(filePath, 'utf8'))
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return
+      }
+      throw new Error(`Could not import ${filePath}: ${error.message}`)
+    }
+
+    const count = db.transaction(() => importData(data))()
+    await fs.rename(filePath, `${filePath}.imported`)
+    console.log(`📦 Imported ${count} record(s) from ${filename} into the database`)
+  }
+
+  await importFile('app-configs.json', ({ defaultConfigId, configs }) => {
+    configs.forEach(config => configStore.importConfig(config, config.id === defaultConfigId))
+    return configs.length
+  })
+  // Versions before named configurations stored a single one, which becomes the default unless there is one already.
+  // Configurations imported above may already use its name.
+  await importFile('app-config.json', config => {
+    const hasDefault = db.prepare('SELECT 1 FROM configs WHERE is_default = 1').get()
+    configStore.importConfig({ id: randomUUID(), ...config, name: getUnusedConfigName(db, hasDefault ? 'Imported' : 'Default') }, !hasDefault)
+    return 1
+  })
+  await importFile('reports.json', reports => {
+    reports.forEach(report => reportStore.saveRecord(report))
+    return reports.length
+  })
+  await importFile('schedules.json', schedules => {
+    schedules.forEach(schedule => reportScheduler.save(schedule))
+    return schedules.length
+  })
+  await importFile('webhook-deliveries.json', deliveries => {
+    deliveries.forEach(delivery => webhooks.save(delivery))
+    return deliveries.length
+  })
+}
+
+/**
+ * The name itself if no configuration uses it, otherwise the name with the lowest free number appended, e.g. `Imported 2`
+ */
+function getUnusedConfigName(db, name) {
+  const isUsed = db.prepare('SELECT 1 FROM configs WHERE name = ?')
+  let candidate = name
+  for (let number = 2; isUsed.get(candidate); number++) {
+    candidate = `${name} ${number}`
+  }
+  return candidate
+}
@@ -0,0 +1,197 @@
+import { createHash } from 'crypto'
+import PDFDocument from 'pdfkit'
+import { ODOMETER_SIGNAL, signalAlias } from './report-signals.js'
+
+/**
+ * Odometer statement - printable per-vehicle PDF for mileage reimbursement and lease audits
+ */
+
+const PAGE_MARGIN = 50
+const ROW_HEIGHT = 18
+const FOOTER_HEIGHT = 40
+
+/**
+ * Render the odometer statement for one vehicle
+ * @param {Object} vehicle - Vehicle result, { tokenId, vin, records }
+ * @param {Object} report - Report details
+ * @param {string} report.startDate - Period start (YYYY-MM-DD)
+ * @param {string} report.endDate - Period end (YYYY-MM-DD)
+ * @param {string} report.timeZone - Time zone of the period and timestamps
+ * @param {string} report.distanceLabel - Label of the report's distance unit
+ * @param {string} report.generatedAt - ISO timestamp the report was generated at
+ * @returns {Promise<Buffer>} PDF file contents
+ */
+export function renderOdometerStatement(vehicle, report) {
+  const odometerAlias = signalAlias({ name: ODOMETER_SIGNAL, agg: 'MAX' })
+  const days = vehicle.records
+    .filter(record => record.timestamp !== 'N/A')
+    .map(record => ({
+      date: record.timestamp.slice(0, 10),
+      odometer: record[odometerAlias],
+      distance: record.travelledDistance
+    }))
+  const totals = getStatementTotals(days)
+  const hash = hashStatement(vehicle, report)
+
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: PAGE_MARGIN,
+    bufferPages: true,
+    info: {
+      Title: `Odometer Statement - Vehicle ${vehicle.tokenId}`,
+      CreationDate: new Date(report.generatedAt)
+    }
+  })
+
+  const chunks = []
+  doc.on('data', chunk => chunks.push(chunk))
+  const finished = new Promise((resolve, reject) => {
+    doc.on('end', () => resolve(Buffer.concat(chunks)))
+    doc.on('error', reject)
+  })
+
+  const unit = report.distanceLabel
+
+  doc.font('Helvetica-Bold').fontSize(18).text('Odometer Statement')
+  doc.moveDown(0.5)
+  doc.font('Helvetica').fontSize(10)
+  writeField(doc, 'VIN', vehicle.vin)
+  writeField(doc, 'Token ID', String(vehicle.tokenId))
+  writeField(doc, 'Period', `${report.startDate} to ${report.endDate} (${report.timeZone})`)
+  writeField(doc, 'Start Odometer', formatDistance(totals.startOdometer, unit))
+  writeField(doc, 'End Odometer', formatDistance(totals.endOdometer, unit))
+  writeField(doc, 'Distance Travelled', formatDistance(totals.distance, unit))
+  doc.moveDown()
+
+  const columns = [
+    { title: 'Date', width: 165, value: day => day.date },
+    { title: `Odometer (${unit})`, width: 165, value: day => formatNumber(day.odometer) },
+    { title: `Distance (${unit})`, width: 165, value: day => formatNumber(day.distance) }
+  ]
+  writeTable(doc, columns, days)
+
+  writeSignatureBlock(doc)
+
+  // Footers are drawn last so every page shows the same hash
+  const range = doc.bufferedPageRange()
+  for (let page = range.start; page < range.start + range.count; page++) {
+    doc.switchToPage(page)
+    writeFooter(doc, report.generatedAt, hash, page - range.start + 1, range.count)
+  }
+
+  doc.end()
+  return finished
+}
+
+/**
+ * SHA-256 of the statement's data, printed in the footer so copies can be checked against the report
+ */
+export function hashStatement(vehicle, report) {
+  return createHash('sha256')
+    .update(JSON.stringify({
+      tokenId: vehicle.tokenId,
+      vin: vehicle.vin,
+      startDate: report.startDate,
+      endDate: report.endDate,
+      timeZone: report.timeZone,
+      generatedAt: report.generatedAt,
+      records: vehicle.records
+    }))
+    .digest('hex')
+}
+
+/**
+ * Start/end odometer and total distance from the daily rows.
+ * The first reading of the period is the first day's highest reading minus that day's distance.
+ */
+function getStatementTotals(days) {
+  const readings = days.filter(day => typeof day.odometer === 'number')
+  if (readings.length === 0) {
+    return { startOdometer: null, endOdometer: null, distance: null }
+  }
+
+  const first = readings[0]
+  const distance = days
+    .filter(day => typeof day.distance === 'number')
+    .reduce((sum, day) => sum + day.distance, 0)
+
+  return {
+    startOdometer: round(first.odometer - (typeof first.distance === 'number' ? first.distance : 0)),
+    endOdometer: readings[readings.length - 1].odometer,
+    distance: round(distance)
+  }
+}
+
+function writeField(doc, label, value) {
+  doc.font('Helvetica-Bold').text(`${label}: `, { continued: true })
+  doc.font('Helvetica').text(value)
+}
+
+function writeTable(doc, columns, rows) {
+  const left = doc.page.margins.left
+  const bottom = doc.page.height - doc.page.margins.bottom - FOOTER_HEIGHT
+
+  const writeRow = (values, bold) => {
+    if (doc.y + ROW_HEIGHT > bottom) {
+      doc.addPage()
+    }
+    const y = doc.y
+    let x = left
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9)
+    for (const [index, column] of columns.entries()) {
+      doc.text(values[index], x + 4, y + 4, { width: column.width - 8, lineBreak: false })
+      x += column.width
+    }
+    doc.moveTo(left, y + ROW_HEIGHT).lineTo(x, y + ROW_HEIGHT).lineWidth(0.5).strokeColor('#cccccc').stroke()
+    doc.x = left
+    doc.y = y + ROW_HEIGHT
+  }
+
+  writeRow(columns.map(column => column.title), true)
+  if (rows.length === 0) {
+    writeRow(['No readings in this period', '', ''], false)
+  }
+  for (const row of rows) {
+    writeRow(columns.map(column => column.value(row)), false)
+  }
+}
+
+function writeSignatureBlock(doc) {
+  const left = doc.page.margins.left
+  const bottom = doc.page.height - doc.page.margins.bottom - FOOTER_HEIGHT
+  if (doc.y + 80 > bottom) {
+    doc.addPage()
+  }
+
+  const y = doc.y + 40
+  doc.lineWidth(0.5).strokeColor('#000000')
+  doc.moveTo(left, y).lineTo(left + 220, y).stroke()
+  doc.moveTo(left + 275, y).lineTo(left + 495, y).stroke()
+  doc.font('Helvetica').fontSize(9)
+  doc.text('Authorized Signature', left, y + 4)
+  doc.text('Date', left + 275, y + 4)
+  doc.x = left
+}
+
+function writeFooter(doc, generatedAt, hash, pageNumber, pageCount) {
+  const left = doc.page.margins.left
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right
+  const y = doc.page.height - doc.page.margins.bottom - FOOTER_HEIGHT + 10
+
+  doc.font('Helvetica').fontSize(7).fillColor('#666666')
+  doc.text(`Generated ${generatedAt} - Page ${pageNumber} of ${pageCount}`, left, y, { width, lineBreak: false })
+  doc.text(`Report hash (SHA-256): ${hash}`, left, y + 10, { width, lineBreak: false })
+  doc.fillColor('#000000')
+}
+
+function formatDistance(value, unit) {
+  return typeof value === 'number' ? `${formatNumber(value)} ${unit}` : 'N/A'
+}
+
+function formatNumber(value) {
+  return typeof value === 'number' ? value.toLocaleString('en-US', { maximumFractionDigits: 3 }) : 'N/A'
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000
+}
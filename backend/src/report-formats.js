@@ -0,0 +1,372 @@
+import { createObjectCsvWriter } from 'csv-writer'
+import ExcelJS from 'exceljs'
+import { ZipArchive } from 'archiver'
+import { createWriteStream } from 'fs'
+import fs from 'fs/promises'
+import { DEFAULT_REPORT_SIGNALS, signalAlias, signalUnit } from './report-signals.js'
+import { unitLabel } from './distance-units.js'
+import { renderOdometerStatement } from './odometer-statement.js'
+import { isSupportedOption } from './input-validation.js'
+
+/**
+ * Report formats - writers that turn generated vehicle records into report files
+ */
+
+// Report output formats, keyed by the `format` request parameter.
+// `bundle` is the file type used when a per-vehicle format covers several vehicles;
+// `fixedOptions` override the report parameters the format can't represent.
+export const REPORT_FORMATS = {
+  csv: {
+    label: 'CSV',
+    extension: 'csv',
+    contentType: 'text/csv',
+    write: writeCsvReport
+  },
+  xlsx: {
+    label: 'Excel (XLSX)',
+    extension: 'xlsx',
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    write: writeXlsxReport
+  },
+  pdf: {
+    label: 'PDF odometer statement',
+    extension: 'pdf',
+    contentType: 'application/pdf',
+    bundle: { extension: 'zip', contentType: 'application/zip' },
+    fixedOptions: { interval: 'daily', signals: DEFAULT_REPORT_SIGNALS },
+    write: writePdfStatements
+  },
+  json: {
+    label: 'JSON',
+    extension: 'json',
+    contentType: 'application/json',
+    write: writeJsonReport
+  },
+  ndjson: {
+    label: 'NDJSON',
+    extension: 'ndjson',
+    contentType: 'application/x-ndjson',
+    write: writeNdjsonReport
+  }
+}
+
+export const DEFAULT_REPORT_FORMAT = 'csv'
+
+/**
+ * Validate the output format requested for a report
+ * @param {string|undefined} input - Requested format
+ * @returns {{format: string|null, error: string|null}}
+ */
+export function parseReportFormat(input) {
+  if (input === undefined || input === null || input === '') {
+    return { format: DEFAULT_REPORT_FORMAT, error: null }
+  }
+
+  if (!isSupportedOption(REPORT_FORMATS, input)) {
+    return { format: null, error: `Unsupported report format: ${input}` }
+  }
+
+  return { format: input, error: null }
+}
+
+/**
+ * File extension of a report, e.g. "zip" for PDF statements covering several vehicles
+ */
+export function getReportExtension(format, vehicleCount) {
+  const definition = REPORT_FORMATS[format]
+  return definition.bundle && vehicleCount > 1 ? definition.bundle.extension : definition.extension
+}
+
+/**
+ * Content type of a report file from its extension, or null if it isn't a report file
+ */
+export function getReportContentType(filename) {
+  const extension = filename.split('.').pop()
+  for (const format of Object.values(REPORT_FORMATS)) {
+    if (format.extension === extension) {
+      return format.contentType
+    }
+    if (format.bundle?.extension === extension) {
+      return format.bundle.contentType
+    }
+  }
+  return null
+}
+
+/**
+ * Write all vehicle records to a single CSV file
+ * @param {string} filePath - Output path
+ * @param {Object} report - Generated report
+ * @param {Array} report.columns - Report columns, each { id, title }
+ * @param {Array} report.vehicles - Per-vehicle results, each { tokenId, vin, records, error }
+ */
+async function writeCsvReport(filePath, report) {
+  const csvWriter = createObjectCsvWriter({
+    path: filePath,
+    header: report.columns
+  })
+
+  await csvWriter.writeRecords(report.vehicles.flatMap(vehicle => vehicle.records))
+}
+
+/**
+ * Write an Excel workbook with a summary sheet and one sheet of readings per vehicle
+ * @param {string} filePath - Output path
+ * @param {Object} report - Generated report (see writeCsvReport)
+ * @param {string} report.distanceLabel - Label of the report's distance unit
+ */
+async function writeXlsxReport(filePath, report) {
+  const workbook = new ExcelJS.Workbook()
+  workbook.created = new Date()
+
+  const summarySheet = workbook.addWorksheet('Summary', {
+    views: [{ state: 'frozen', ySplit: 1 }]
+  })
+  summarySheet.columns = [
+    { header: 'Token ID', key: 'tokenId', width: 14 },
+    { header: 'VIN', key: 'vin', width: 20 },
+    { header: 'Status', key: 'status', width: 10 },
+    { header: 'Rows', key: 'rows', width: 8 },
+    { header: `Total Distance (${report.distanceLabel})`, key: 'totalDistance', width: 22 },
+    { header: 'Error', key: 'error', width: 40 }
+  ]
+
+  const usedSheetNames = new Set(['summary'])
+
+  for (const vehicle of report.vehicles) {
+    summarySheet.addRow({
+      tokenId: toCellValue(vehicle.tokenId),
+      vin: toCellValue(vehicle.vin),
+      status: vehicle.error ? 'Error' : 'OK',
+      rows: vehicle.error ? 0 : vehicle.records.length,
+      totalDistance: getTotalDistance(vehicle.records),
+      error: vehicle.error
+    })
+
+    if (vehicle.error) {
+      continue
+    }
+
+    const sheet = workbook.addWorksheet(uniqueSheetName(`Vehicle ${vehicle.tokenId}`, usedSheetNames), {
+      views: [{ state: 'frozen', ySplit: 1 }]
+    })
+    sheet.columns = report.columns.map(column => ({
+      header: column.title,
+      key: column.id,
+      width: Math.max(12, column.title.length + 2),
+      style: isDateColumn(column) ? { numFmt: 'yyyy-mm-dd hh:mm:ss' } : {}
+    }))
+
+    for (const record of vehicle.records) {
+      const row = {}
+      for (const column of report.columns) {
+        row[column.id] = isDateColumn(column) ? toDateCell(record[column.id]) : toCellValue(record[column.id])
+      }
+      sheet.addRow(row)
+    }
+  }
+
+  for (const sheet of workbook.worksheets) {
+    sheet.getRow(1).font = { bold: true }
+  }
+
+  await workbook.xlsx.writeFile(filePath)
+}
+
+/**
+ * Write a PDF odometer statement, or a zip with one statement per vehicle when several were requested
+ * @param {string} filePath - Output path
+ * @param {Object} report - Generated report (see writeCsvReport)
+ * @param {string} report.startDate - Period start (YYYY-MM-DD)
+ * @param {string} report.endDate - Period end (YYYY-MM-DD)
+ * @param {string} report.timeZone - Time zone of the period
+ * @param {string} report.generatedAt - ISO timestamp the report was generated at
+ */
+async function writePdfStatements(filePath, report) {
+  const vehicles = report.vehicles.filter(vehicle => !vehicle.error)
+  if (vehicles.length === 0) {
+    throw new Error('No vehicle data could be fetched for the odometer statements')
+  }
+
+  if (report.vehicles.length === 1) {
+    await fs.writeFile(filePath, await renderOdometerStatement(vehicles[0], report))
+    return
+  }
+
+  const archive = new ZipArchive({ zlib: { level: 9 } })
+  const output = createWriteStream(filePath)
+  const written = new Promise((resolve, reject) => {
+    output.on('close', resolve)
+    output.on('error', reject)
+    archive.on('error', reject)
+  })
+  archive.pipe(output)
+
+  for (const vehicle of vehicles) {
+    const statement = await renderOdometerStatement(vehicle, report)
+    archive.append(statement, { name: `odometer-statement-${vehicle.tokenId}.pdf` })
+  }
+
+  // Vehicles without a statement are listed instead of silently missing from the zip
+  const failed = report.vehicles.filter(vehicle => vehicle.error)
+  if (failed.length > 0) {
+    const lines = failed.map(vehicle => `${vehicle.tokenId}: ${vehicle.error}`)
+    archive.append(`Statements could not be generated for:\n${lines.join('\n')}\n`, { name: 'errors.txt' })
+  }
+
+  await archive.finalize()
+  await written
+}
+
+/**
+ * Write the report as a single JSON document: { metadata, vehicles: [{ tokenId, vin, error, records }] }
+ * @param {string} filePath - Output path
+ * @param {Object} report - Generated report (see writeCsvReport and writePdfStatements)
+ * @param {Array} report.signals - Signals included in the report, each { name, agg }
+ * @param {string} report.interval - Row granularity
+ * @param {string} report.distanceUnit - Unit for distances and speeds
+ */
+async function writeJsonReport(filePath, report) {
+  const document = {
+    metadata: buildReportMetadata(report),
+    vehicles: report.vehicles.map(vehicle => ({
+      tokenId: vehicle.tokenId,
+      vin: toJsonValue(vehicle.vin),
+      error: buildVehicleError(vehicle),
+      records: vehicle.error ? [] : vehicle.records.map(record => toJsonRecord(record, report.columns))
+    }))
+  }
+
+  await fs.writeFile(filePath, JSON.stringify(document, null, 2))
+}
+
+/**
+ * Write the report as newline-delimited JSON: a metadata line, then one line per record
+ * or per failed vehicle, each tagged with its `type`
+ * @param {string} filePath - Output path
+ * @param {Object} report - Generated report (see writeJsonReport)
+ */
+async function writeNdjsonReport(filePath, report) {
+  const lines = [{ type: 'metadata', ...buildReportMetadata(report) }]
+
+  for (const vehicle of report.vehicles) {
+    if (vehicle.error) {
+      lines.push({ type: 'error', tokenId: vehicle.tokenId, error: buildVehicleError(vehicle) })
+      continue
+    }
+    for (const record of vehicle.records) {
+      lines.push({ type: 'record', ...toJsonRecord(record, report.columns) })
+    }
+  }
+
+  await fs.writeFile(filePath, lines.map(line => JSON.stringify(line)).join('\n') + '\n')
+}
+
+/**
+ * Metadata header for structured formats: period, signals, column units and generation time
+ */
+function buildReportMetadata(report) {
+  const units = { travelledDistance: unitLabel('distance', report.distanceUnit) }
+  for (const signal of report.signals) {
+    units[signalAlias(signal)] = signalUnit(signal, report.distanceUnit)
+  }
+  if (report.columns.some(column => column.id === 'startOdometer')) {
+    units.startOdometer = units.travelledDistance
+    units.endOdometer = units.travelledDistance
+  }
+
+  return {
+    generatedAt: report.generatedAt,
+    period: {
+      startDate: report.startDate,
+      endDate: report.endDate,
+      timeZone: report.timeZone
+    },
+    interval: report.interval,
+    distanceUnit: report.distanceUnit,
+    signals: report.signals.map(signal => ({
+      name: signal.name,
+      agg: signal.agg,
+      field: signalAlias(signal),
+      unit: signalUnit(signal, report.distanceUnit)
+    })),
+    columns: report.columns.map(column => ({
+      field: column.id,
+      title: column.title,
+      unit: units[column.id] ?? null
+    }))
+  }
+}
+
+function buildVehicleError(vehicle) {
+  if (!vehicle.error) {
+    return null
+  }
+  return { message: vehicle.error, status: vehicle.errorStatus ?? null }
+}
+
+function toJsonRecord(record, columns) {
+  const result = {}
+  for (const column of columns) {
+    result[column.id] = toJsonValue(record[column.id])
+  }
+  return result
+}
+
+// Sentinel strings become typed nulls
+function toJsonValue(value) {
+  if (value === 'N/A' || value === 'ERROR' || value === undefined) {
+    return null
+  }
+  return value
+}
+
+function isDateColumn(column) {
+  return ['timestamp', 'periodStart', 'periodEnd'].includes(column.id)
+}
+
+// Sentinel strings become empty cells so numeric columns stay numeric
+function toCellValue(value) {
+  if (value === 'N/A' || value === 'ERROR' || value === undefined) {
+    return null
+  }
+  if (typeof value === 'string' && value.trim() !== '' && !isNaN(value)) {
+    return Number(value)
+  }
+  return value
+}
+
+/**
+ * Convert a report timestamp to a date cell showing its wall-clock time.
+ * Excel dates have no time zone, so the local time is stored as if it were UTC.
+ */
+function toDateCell(value) {
+  if (typeof value !== 'string' || value === 'N/A' || value === 'ERROR') {
+    return null
+  }
+  const localTime = value.slice(0, 19)
+  const date = new Date(`${localTime}Z`)
+  return isNaN(date.getTime()) ? value : date
+}
+
+function getTotalDistance(records) {
+  const distances = records
+    .map(record => record.travelledDistance)
+    .filter(distance => typeof distance === 'number')
+
+  if (distances.length === 0) {
+    return null
+  }
+  return Math.round(distances.reduce((sum, distance) => sum + distance, 0) * 1000) / 1000
+}
+
+// Excel sheet names are limited to 31 characters, can't contain []:*?/\ and must be unique
+function uniqueSheetName(name, usedNames) {
+  const base = name.replace(/[[\]:*?/\\]/g, '-').slice(0, 31)
+  let candidate = base
+  for (let suffix = 2; usedNames.has(candidate.toLowerCase()); suffix++) {
+    candidate = `${base.slice(0, 31 - String(suffix).length - 1)} ${suffix}`
+  }
+  usedNames.add(candidate.toLowerCase())
+  return candidate
+}
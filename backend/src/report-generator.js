@@ -0,0 +1,357 @@
+import path from 'path'
+import { getErrorStatus, runWithConcurrency, withRetry } from './concurrency.js'
+import { DEFAULT_REPORT_SIGNALS, ODOMETER_SIGNAL, REPORT_SIGNALS, signalAlias, signalColumnTitle } from './report-signals.js'
+import { DEFAULT_REPORT_INTERVAL, buildQueryWindows } from './report-intervals.js'
+import { DEFAULT_TIME_ZONE, formatInTimeZone } from './time-zones.js'
+import { DEFAULT_DISTANCE_UNIT, convertFromKilometers, unitLabel } from './distance-units.js'
+import { DEFAULT_REPORT_FORMAT, REPORT_FORMATS, getReportExtension } from './report-formats.js'
+
+// Helper aliases used to compute travelled distance independently of the displayed odometer aggregation
+const ODOMETER_START_ALIAS = 'odometerStart'
+const ODOMETER_END_ALIAS = 'odometerEnd'
+
+/**
+ * Report generator - fetches the selected telemetry signals for each vehicle and writes the report file
+ */
+export class ReportGenerator {
+  /**
+   * @param {Object} dimo - DIMO SDK instance
+   * @param {string} outputDir - Directory reports are written to before they are moved into the report store
+   * @param {Object} options - Fetch options
+   * @param {number} options.concurrency - Number of vehicles fetched in parallel
+   * @param {number} options.maxRetries - Retries for rate-limited or failed DIMO calls
+   * @param {number} options.retryBaseDelay - Initial retry backoff in milliseconds
+   */
+  constructor(dimo, outputDir, options = {}) {
+    this.dimo = dimo
+    this.outputDir = outputDir
+    this.concurrency = options.concurrency || 5
+    this.maxRetries = options.maxRetries ?? 3
+    this.retryBaseDelay = options.retryBaseDelay || 1000
+  }
+
+  /**
+   * Generate a vehicle report
+   * @param {Object} params - Report parameters
+   * @param {Array} params.vehicleTokenIds - Array of vehicle token IDs
+   * @param {string} params.startDate - Start date (YYYY-MM-DD)
+   * @param {string} params.endDate - End date (YYYY-MM-DD)
+   * @param {Array} params.signals - Signals to include, each { name, agg }
+   * @param {string} params.interval - Row granularity (hourly, daily, weekly, monthly or summary)
+   * @param {string} params.timeZone - IANA time zone for period boundaries and report timestamps
+   * @param {string} params.distanceUnit - Unit for distances and speeds (km or mi)
+   * @param {string} params.format - Output format (see REPORT_FORMATS)
+   * @param {Object} config - App configuration with DIMO credentials
+   * @param {Object} hooks - Optional progress callbacks
+   * @param {Function} hooks.onVehicleStart - Called with the token ID and its index in vehicleTokenIds before a vehicle is fetched
+   * @param {Function} hooks.onVehicleComplete - Called with the token ID, record count and index on success
+   * @param {Function} hooks.onVehicleError - Called with the token ID, error and index on failure
+   * @returns {Promise<Object>} Generated report filename, path and record count
+   */
+  async generate(params, config, hooks = {}) {
+    const format = params.format || DEFAULT_REPORT_FORMAT
+    const reportFormat = REPORT_FORMATS[format]
+    const options = {
+      startDate: params.startDate,
+      endDate: params.endDate,
+      signals: params.signals || DEFAULT_REPORT_SIGNALS,
+      interval: params.interval || DEFAULT_REPORT_INTERVAL,
+      timeZone: params.timeZone || DEFAULT_TIME_ZONE,
+      distanceUnit: params.distanceUnit || DEFAULT_DISTANCE_UNIT,
+      ...reportFormat.fixedOptions
+    }
+    const columns = this.buildColumns(options.signals, options.interval, options.distanceUnit)
+
+    // Get developer JWT
+    const developerJwt = await this.dimo.auth.getDeveloperJwt({
+      client_id: config.clientId,
+      domain: config.redirectUri,
+      private_key: config.apiKey,
+    })
+
+    const generatedAt = new Date().toISOString()
+    const timestamp = generatedAt.replace(/[:.]/g, '-')
+    const filename = `vehicle-report-${timestamp}.${getReportExtension(format, params.vehicleTokenIds.length)}`
+
+    // Fetch vehicles in parallel, keeping report rows in the requested vehicle order
+    const vehicles = await runWithConcurrency(params.vehicleTokenIds, this.concurrency, async (tokenId, index) => {
+      hooks.onVehicleStart?.(tokenId, index)
+
+      try {
+        const records = await this.fetchVehicleRecords(developerJwt, tokenId, options, columns)
+        hooks.onVehicleComplete?.(tokenId, records.length, index)
+        return { tokenId, vin: records[0].vin, records, error: null }
+      } catch (error) {
+        console.error(`Failed to get data for vehicle ${tokenId}:`, error)
+        hooks.onVehicleError?.(tokenId, error, index)
+        // Add error entry to report
+        return {
+          tokenId,
+          vin: 'ERROR',
+          records: [this.buildPlaceholderRecord(tokenId, 'ERROR', columns, 'ERROR')],
+          error: error.message || 'Unknown error',
+          errorStatus: getErrorStatus(error)
+        }
+      }
+    })
+
+    await reportFormat.write(path.join(this.outputDir, filename), {
+      columns,
+      vehicles,
+      startDate: options.startDate,
+      endDate: options.endDate,
+      timeZone: options.timeZone,
+      signals: options.signals,
+      interval: options.interval,
+      distanceUnit: options.distanceUnit,
+      distanceLabel: unitLabel('distance', options.distanceUnit),
+      generatedAt
+    })
+
+    return {
+      filename: filename,
+      filePath: path.join(this.outputDir, filename),
+      format: format,
+      recordCount: vehicles.reduce((count, vehicle) => count + vehicle.records.length, 0)
+    }
+  }
+
+  /**
+   * Build the report columns for the selected signals, interval and distance unit
+   */
+  buildColumns(signals, interval, distanceUnit) {
+    const distanceLabel = unitLabel('distance', distanceUnit)
+
+    if (interval === 'summary') {
+      return [
+        { id: 'tokenId', title: 'Token ID' },
+        { id: 'vin', title: 'VIN' },
+        { id: 'periodStart', title: 'Period Start' },
+        { id: 'periodEnd', title: 'Period End' },
+        { id: 'startOdometer', title: `Start Odometer (${distanceLabel})` },
+        { id: 'endOdometer', title: `End Odometer (${distanceLabel})` },
+        { id: 'travelledDistance', title: `Total Distance (${distanceLabel})` },
+        // Odometer readings are already covered by the start/end columns
+        ...signals
+          .filter(signal => signal.name !== ODOMETER_SIGNAL)
+          .map(signal => ({ id: signalAlias(signal), title: signalColumnTitle(signal, distanceUnit) }))
+      ]
+    }
+
+    const columns = [
+      { id: 'tokenId', title: 'Token ID' },
+      { id: 'vin', title: 'VIN' },
+      { id: 'timestamp', title: 'Timestamp' }
+    ]
+
+    for (const signal of signals) {
+      columns.push({ id: signalAlias(signal), title: signalColumnTitle(signal, distanceUnit) })
+
+      // Travelled distance follows the first odometer column
+      if (signal === this.getOdometerSignal(signals)) {
+        columns.push({ id: 'travelledDistance', title: `Travelled Distance (${distanceLabel})` })
+      }
+    }
+
+    return columns
+  }
+
+  getOdometerSignal(signals) {
+    return signals.find(signal => signal.name === ODOMETER_SIGNAL) || null
+  }
+
+  /**
+   * Build a record for a vehicle that has no signal rows, filling every data column with a sentinel
+   */
+  buildPlaceholderRecord(tokenId, vin, columns, sentinel) {
+    const record = {}
+    for (const column of columns) {
+      record[column.id] = sentinel
+    }
+
+    record.tokenId = tokenId
+    record.vin = vin
+    return record
+  }
+
+  /**
+   * Fetch the signal records for a single vehicle at the requested interval
+   */
+  async fetchVehicleRecords(developerJwt, tokenId, options, columns) {
+    const { startDate, endDate, signals, interval, timeZone, distanceUnit } = options
+
+    // Get vehicle JWT
+    const vehicleJwt = await this.callDimo(`token exchange for vehicle ${tokenId}`, () =>
+      this.dimo.tokenexchange.exchange({
+        ...developerJwt,
+        privileges: [1],
+        tokenId: parseInt(tokenId)
+      })
+    )
+
+    const fields = this.buildSignalFields(signals, interval)
+    const windows = buildQueryWindows(startDate, endDate, interval, timeZone)
+
+    let vin = 'N/A'
+    const rows = []
+
+    // Months and days around daylight saving changes need their own query windows
+    for (const [index, window] of windows.entries()) {
+      const telemetryQuery = this.buildTelemetryQuery(tokenId, window, fields, index === 0)
+
+      const telemetryResult = await this.callDimo(`telemetry query for vehicle ${tokenId}`, () =>
+        this.dimo.telemetry.query({
+          ...vehicleJwt,
+          query: telemetryQuery
+        })
+      )
+
+      // Extract VIN from the response
+      if (index === 0) {
+        vin = telemetryResult.data.vinVCLatest?.vin || 'N/A'
+      }
+
+      if (Array.isArray(telemetryResult.data.signals)) {
+        rows.push(...telemetryResult.data.signals)
+      }
+    }
+
+    if (interval === 'summary') {
+      return [this.buildSummaryRecord(tokenId, vin, rows[0], signals, windows[0], timeZone, distanceUnit)]
+    }
+
+    // Fallback if no signals data
+    if (rows.length === 0) {
+      return [this.buildPlaceholderRecord(tokenId, vin, columns, 'N/A')]
+    }
+
+    return this.buildIntervalRecords(tokenId, vin, rows, signals, timeZone, distanceUnit)
+  }
+
+  /**
+   * Build the aliased GraphQL signal fields for a query
+   */
+  buildSignalFields(signals, interval) {
+    const fields = []
+    const includeOdometer = interval === 'summary' || this.getOdometerSignal(signals)
+
+    for (const signal of signals) {
+      // Summary reports show the odometer through the start/end helper fields only
+      if (interval === 'summary' && signal.name === ODOMETER_SIGNAL) {
+        continue
+      }
+      fields.push(`${signalAlias(signal)}: ${signal.name}(agg: ${signal.agg})`)
+    }
+
+    if (includeOdometer) {
+      fields.push(`${ODOMETER_START_ALIAS}: ${ODOMETER_SIGNAL}(agg: MIN)`)
+      fields.push(`${ODOMETER_END_ALIAS}: ${ODOMETER_SIGNAL}(agg: MAX)`)
+    }
+
+    return fields
+  }
+
+  buildTelemetryQuery(tokenId, window, fields, includeVin) {
+    const vinQuery = includeVin ? `
+        vinVCLatest(tokenId: ${tokenId}) {
+          vin
+        }` : ''
+
+    return `
+      {${vinQuery}
+        signals(tokenId: ${tokenId}, interval: "${window.duration}", from: "${window.from}", to: "${window.to}") {
+          ${fields.join('\n          ')}
+          timestamp
+        }
+      }
+    `
+  }
+
+  /**
+   * Build one record per interval bucket.
+   * Travelled distance is the bucket's highest odometer reading minus the last known reading
+   * before it, so gaps without readings don't produce negative or inflated distances.
+   */
+  buildIntervalRecords(tokenId, vin, rows, signals, timeZone, distanceUnit) {
+    const hasOdometer = !!this.getOdometerSignal(signals)
+    let lastKnownReading = null
+
+    return rows.map(row => {
+      const record = {
+        tokenId: tokenId,
+        vin: vin,
+        timestamp: row.timestamp ? formatInTimeZone(row.timestamp, timeZone) : 'N/A'
+      }
+
+      for (const signal of signals) {
+        record[signalAlias(signal)] = this.formatSignalValue(signal, row, distanceUnit)
+      }
+
+      if (hasOdometer) {
+        const bucketStart = row[ODOMETER_START_ALIAS]
+        const bucketEnd = row[ODOMETER_END_ALIAS]
+        let travelledDistance = 0
+
+        if (bucketEnd !== null && bucketEnd !== undefined) {
+          // The first bucket with readings starts from its own lowest reading
+          const previousReading = lastKnownReading ?? bucketStart ?? bucketEnd
+          travelledDistance = Math.max(0, bucketEnd - previousReading)
+          lastKnownReading = Math.max(lastKnownReading ?? bucketEnd, bucketEnd)
+        }
+
+        record.travelledDistance = convertFromKilometers(travelledDistance, distanceUnit)
+      }
+
+      return record
+    })
+  }
+
+  /**
+   * Build the single summary record for a vehicle from the whole-period bucket
+   */
+  buildSummaryRecord(tokenId, vin, row, signals, window, timeZone, distanceUnit) {
+    const startOdometer = row?.[ODOMETER_START_ALIAS] ?? null
+    const endOdometer = row?.[ODOMETER_END_ALIAS] ?? null
+
+    const record = {
+      tokenId: tokenId,
+      vin: vin,
+      periodStart: formatInTimeZone(window.from, timeZone),
+      periodEnd: formatInTimeZone(window.to, timeZone),
+      startOdometer: convertFromKilometers(startOdometer ?? 'N/A', distanceUnit),
+      endOdometer: convertFromKilometers(endOdometer ?? 'N/A', distanceUnit),
+      travelledDistance: startOdometer !== null && endOdometer !== null
+        ? convertFromKilometers(endOdometer - startOdometer, distanceUnit)
+        : 'N/A'
+    }
+
+    for (const signal of signals) {
+      if (signal.name !== ODOMETER_SIGNAL) {
+        record[signalAlias(signal)] = this.formatSignalValue(signal, row, distanceUnit)
+      }
+    }
+
+    return record
+  }
+
+  /**
+   * Read a signal value from a telemetry row, converting distances and speeds to the report unit
+   */
+  formatSignalValue(signal, row, distanceUnit) {
+    const value = row?.[signalAlias(signal)] ?? 'N/A'
+    return REPORT_SIGNALS[signal.name].quantity ? convertFromKilometers(value, distanceUnit) : value
+  }
+
+  /**
+   * Call the DIMO SDK, retrying rate limits and transient server errors with backoff
+   */
+  callDimo(description, fn) {
+    return withRetry(fn, {
+      maxRetries: this.maxRetries,
+      baseDelay: this.retryBaseDelay,
+      onRetry: (error, attempt, delay) => {
+        console.warn(`Retrying ${description} (attempt ${attempt}/${this.maxRetries}) in ${delay}ms: ${error.message}`)
+      }
+    })
+  }
+}
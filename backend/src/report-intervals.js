@@ -0,0 +1,151 @@
+/**
+ * Report intervals - granularity of report rows and the telemetry query windows that produce them
+ */
+
+import { isSupportedOption } from './input-validation.js'
+import { DEFAULT_TIME_ZONE, isValidDate, parseDateParts, zonedMidnight } from './time-zones.js'
+
+const MINUTE = 60 * 1000
+
+// Supported report intervals; calendar intervals get their bucket length from the time zone
+export const REPORT_INTERVALS = {
+  hourly: { label: 'Hourly' },
+  daily: { label: 'Daily' },
+  weekly: { label: 'Weekly' },
+  monthly: { label: 'Monthly' },
+  summary: { label: 'Summary (one row per vehicle)' }
+}
+
+export const DEFAULT_REPORT_INTERVAL = 'daily'
+
+/**
+ * Validate the interval requested for a report
+ * @param {string|undefined} input - Requested interval
+ * @returns {{interval: string|null, error: string|null}}
+ */
+export function parseReportInterval(input) {
+  if (input === undefined || input === null || input === '') {
+    return { interval: DEFAULT_REPORT_INTERVAL, error: null }
+  }
+
+  if (!isSupportedOption(REPORT_INTERVALS, input)) {
+    return { interval: null, error: `Unsupported interval: ${input}` }
+  }
+
+  return { interval: input, error: null }
+}
+
+/**
+ * Validate the period requested for a report
+ * @param {*} startDate - Requested start date (YYYY-MM-DD)
+ * @param {*} endDate - Requested end date (YYYY-MM-DD), inclusive
+ * @returns {{period: {startDate: string, endDate: string}|null, error: string|null}}
+ */
+export function parseReportPeriod(startDate, endDate) {
+  if (!startDate || !endDate) {
+    return { period: null, error: 'Start date and end date are required' }
+  }
+
+  for (const [name, value] of [['startDate', startDate], ['endDate', endDate]]) {
+    if (!isValidDate(value)) {
+      return { period: null, error: `${name} must be a calendar date (YYYY-MM-DD)` }
+    }
+  }
+
+  // Dates in this format compare in calendar order
+  if (startDate > endDate) {
+    return { period: null, error: 'startDate must be on or before endDate' }
+  }
+
+  return { period: { startDate, endDate }, error: null }
+}
+
+/**
+ * Split a report period into telemetry query windows.
+ * DIMO buckets have a fixed length and start at the window's `from`, so calendar buckets
+ * (local days, weeks from the start date, months) are computed in the report's time zone and
+ * consecutive buckets of equal length are grouped into one window. Days and weeks that cross
+ * a daylight saving change get a window of their own with the matching bucket length.
+ * @param {string} startDate - Start date (YYYY-MM-DD)
+ * @param {string} endDate - End date (YYYY-MM-DD), inclusive
+ * @param {string} interval - Report interval
+ * @param {string} timeZone - IANA time zone the period's dates are in
+ * @returns {Array<{from: string, to: string, duration: string}>}
+ */
+export function buildQueryWindows(startDate, endDate, interval, timeZone = DEFAULT_TIME_ZONE) {
+  const start = parseDateParts(startDate)
+  const end = parseDateParts(endDate)
+  const periodStart = zonedMidnight(start.year, start.monthIndex, start.day, timeZone)
+  const periodEnd = zonedMidnight(end.year, end.monthIndex, end.day + 1, timeZone)
+
+  if (interval === 'hourly') {
+    return [createWindow(periodStart, periodEnd, '1h')]
+  }
+
+  if (interval === 'summary') {
+    return [createWindow(periodStart, periodEnd, formatDuration(periodEnd - periodStart))]
+  }
+
+  const boundaries = buildBucketBoundaries(start, periodEnd, interval, timeZone)
+
+  // Group consecutive buckets with the same length into one window
+  const windows = []
+  let windowStart = boundaries[0]
+  for (let i = 1; i < boundaries.length; i++) {
+    const length = boundaries[i] - boundaries[i - 1]
+    const nextLength = i + 1 < boundaries.length ? boundaries[i + 1] - boundaries[i] : null
+    if (length !== nextLength) {
+      windows.push(createWindow(windowStart, boundaries[i], formatDuration(length)))
+      windowStart = boundaries[i]
+    }
+  }
+  return windows
+}
+
+/**
+ * Local calendar bucket boundaries from the period start up to the period end
+ */
+function buildBucketBoundaries(start, periodEnd, interval, timeZone) {
+  const boundaries = []
+
+  for (let step = 0; ; step++) {
+    let boundary
+    if (interval === 'daily') {
+      boundary = zonedMidnight(start.year, start.monthIndex, start.day + step, timeZone)
+    } else if (interval === 'weekly') {
+      boundary = zonedMidnight(start.year, start.monthIndex, start.day + step * 7, timeZone)
+    } else {
+      // Monthly buckets start on the first of each month after the period start
+      boundary = step === 0
+        ? zonedMidnight(start.year, start.monthIndex, start.day, timeZone)
+        : zonedMidnight(start.year, start.monthIndex + step, 1, timeZone)
+    }
+
+    if (boundary >= periodEnd) {
+      break
+    }
+    boundaries.push(boundary)
+  }
+
+  boundaries.push(periodEnd)
+  return boundaries
+}
+
+// Windows end one second before the next boundary, matching the inclusive `to` used by the API
+function createWindow(from, to, duration) {
+  return {
+    from: toApiTimestamp(from),
+    to: toApiTimestamp(new Date(to.getTime() - 1000)),
+    duration
+  }
+}
+
+function toApiTimestamp(date) {
+  return date.toISOString().replace('.000Z', 'Z')
+}
+
+// Go-style duration string for a bucket length, in hours where possible
+function formatDuration(milliseconds) {
+  const minutes = Math.ceil(milliseconds / MINUTE)
+  return minutes % 60 === 0 ? `${minutes / 60}h` : `${minutes}m`
+}
@@ -0,0 +1,241 @@
+import { randomUUID } from 'crypto'
+
+// Finished jobs are kept in memory for an hour; after that their status is read from the database
+const FINISHED_JOB_TTL = 60 * 60 * 1000
+
+/**
+ * Report job manager - runs report generation in the background and tracks progress.
+ * Each job's state is saved to the database as it changes, so it outlives the process.
+ */
+export class ReportJobManager {
+  /**
+   * @param {ReportGenerator} generator - Generator that writes the report files
+   * @param {ReportStore} reportStore - Store that completed reports are moved into and recorded in
+   * @param {Database} db - Database the job state is saved in (see openDatabase)
+   * @param {Object} hooks - Optional callbacks
+   * @param {Function} hooks.onReportCompleted - Called with the report metadata and the job's config once a report is stored
+   */
+  constructor(generator, reportStore, db, hooks = {}) {
+    this.generator = generator
+    this.reportStore = reportStore
+    this.db = db
+    this.hooks = hooks
+    this.jobs = new Map()
+  }
+
+  /**
+   * Create a report job and start it in the background
+   * @param {Object} params - Report parameters passed to the generator
+   * @param {Object} config - App configuration with DIMO credentials
+   * @param {Object} requester - Who requested the report, stored with its metadata
+   * @returns {Object} The new job
+   */
+  createJob(params, config, requester = null) {
+    this.pruneFinishedJobs()
+
+    const job = {
+      id: randomUUID(),
+      // Jobs and their reports belong to the configuration whose credentials generate them
+      configId: config.id,
+      status: 'queued',
+      params: params,
+      requester: requester,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      completedAt: null,
+      vehicles: params.vehicleTokenIds.map(tokenId => ({
+        tokenId: tokenId,
+        status: 'pending',
+        recordCount: 0,
+        error: null
+      })),
+      result: null,
+      error: null
+    }
+
+    this.jobs.set(job.id, job)
+    this.saveJob(job)
+
+    // Run without awaiting so the caller can respond immediately; `finished` settles when the job does
+    job.finished = this.runJob(job, config)
+
+    return job
+  }
+
+  /**
+   * Get a job by ID
+   */
+  getJob(jobId) {
+    if (this.jobs.has(jobId)) {
+      return this.jobs.get(jobId)
+    }
+    const row = this.db.prepare('SELECT data FROM jobs WHERE id = ?').get(jobId)
+    return row ? JSON.parse(row.data) : null
+  }
+
+  /**
+   * Save a job's current state
+   */
+  saveJob(job) {
+    // `finished` is the in-process promise, not state
+    const { finished, ...state } = job
+    this.db.prepare(`
+      INSERT INTO jobs (id, config_id, status, created_at, data) VALUES (@id, @configId, @status, @createdAt, @data)
+      ON CONFLICT (id) DO UPDATE SET status = excluded.status, data = excluded.data
+    `).run({ id: job.id, configId: job.configId || null, status: job.status, createdAt: job.createdAt, data: JSON.stringify(state) })
+  }
+
+  /**
+   * Mark jobs that were queued or running when the server stopped as failed; they are not resumed
+   * @returns {number} How many jobs were interrupted
+   */
+  failInterruptedJobs() {
+    const rows = this.db.prepare("SELECT data FROM jobs WHERE status IN ('queued', 'running')").all()
+    this.db.transaction(() => {
+      for (const row of rows) {
+        const job = JSON.parse(row.data)
+        job.status = 'failed'
+        job.error = 'Interrupted by a server restart'
+        job.completedAt = new Date().toISOString()
+        this.saveJob(job)
+      }
+    })()
+    return rows.length
+  }
+
+  async runJob(job, config) {
+    job.status = 'running'
+    job.startedAt = new Date().toISOString()
+    this.saveJob(job)
+
+    // Vehicles are tracked by their position in the request, so a token ID listed twice can't mix up their states
+    try {
+      const { filePath, ...result } = await this.generator.generate(job.params, config, {
+        onVehicleStart: (tokenId, index) => {
+          job.vehicles[index].status = 'running'
+        },
+        onVehicleComplete: (tokenId, recordCount, index) => {
+          const vehicle = job.vehicles[index]
+          vehicle.status = 'completed'
+          vehicle.recordCount = recordCount
+          this.saveJob(job)
+        },
+        onVehicleError: (tokenId, error, index) => {
+          const vehicle = job.vehicles[index]
+          vehicle.status = 'failed'
+          vehicle.error = error.message || 'Unknown error'
+          this.saveJob(job)
+        }
+      })
+
+      job.result = result
+      job.completedAt = new Date().toISOString()
+      // Clients see the job as completed only once the report is stored and can be downloaded by its ID
+      const report = await this.recordReport(job, filePath)
+      job.result.reportId = report.id
+      job.result.downloadUrl = `/api/reports/${report.id}/download`
+      job.status = 'completed'
+      this.saveJob(job)
+
+      if (this.hooks.onReportCompleted) {
+        this.hooks.onReportCompleted(report, config)
+      }
+    } catch (error) {
+      console.error(`Report job ${job.id} failed:`, error)
+      job.error = error.message || 'Failed to generate report'
+      job.status = 'failed'
+      job.completedAt = new Date().toISOString()
+      this.saveJob(job)
+    }
+  }
+
+  /**
+   * Move a completed report into the store with its metadata so it can be found again after the job expires.
+   * The report ID is the ID of the job that generated it.
+   * @param {Object} job - The completed job
+   * @param {string} filePath - The generated report file
+   * @returns {Promise<Object>} The stored metadata
+   */
+  async recordReport(job, filePath) {
+    const errorCount = job.vehicles.filter(v => v.status === 'failed').length
+
+    try {
+      return await this.reportStore.addReport({
+        id: job.id,
+        configId: job.configId,
+        filename: job.result.filename,
+        format: job.result.format,
+        status: errorCount > 0 ? 'partial' : 'completed',
+        createdAt: job.createdAt,
+        completedAt: job.completedAt,
+        requester: job.requester,
+        params: job.params,
+        vehicles: job.vehicles.map(v => ({ ...v })),
+        vehicleCount: job.vehicles.length,
+        errorCount: errorCount,
+        recordCount: job.result.recordCount,
+        pinned: false
+      }, filePath)
+    } catch (error) {
+      // The file stays in the incoming directory until the next start clears it
+      throw new Error(`Report was generated but could not be stored: ${error.message}`)
+    }
+  }
+
+  /**
+   * Build the status view returned to clients
+   */
+  getJobStatus(job) {
+    const total = job.vehicles.length
+    const completed = job.vehicles.filter(v => v.status === 'completed').length
+    const failed = job.vehicles.filter(v => v.status === 'failed').length
+    const processed = completed + failed
+
+    return {
+      jobId: job.id,
+      status: job.status,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      completedAt: job.completedAt,
+      progress: {
+        total: total,
+        processed: processed,
+        completed: completed,
+        failed: failed,
+        percent: total > 0 ? Math.round((processed / total) * 100) : 100
+      },
+      etaSeconds: this.estimateRemainingSeconds(job, processed, total),
+      vehicles: job.vehicles,
+      failures: job.vehicles
+        .filter(v => v.status === 'failed')
+        .map(v => ({ tokenId: v.tokenId, error: v.error })),
+      result: job.result,
+      error: job.error
+    }
+  }
+
+  /**
+   * Estimate remaining time from the average time spent per processed vehicle
+   */
+  estimateRemainingSeconds(job, processed, total) {
+    if (job.status !== 'running') {
+      return job.status === 'queued' ? null : 0
+    }
+    if (processed === 0) {
+      return null
+    }
+
+    const elapsed = Date.now() - new Date(job.startedAt).getTime()
+    const perVehicle = elapsed / processed
+    return Math.ceil((perVehicle * (total - processed)) / 1000)
+  }
+
+  pruneFinishedJobs() {
+    const now = Date.now()
+    for (const [jobId, job] of this.jobs) {
+      if (job.completedAt && now - new Date(job.completedAt).getTime() > FINISHED_JOB_TTL) {
+        this.jobs.delete(jobId)
+      }
+    }
+  }
+}
@@ -0,0 +1,176 @@
+import { randomUUID } from 'crypto'
+import nodemailer from 'nodemailer'
+
+/**
+ * Report mailer - emails generated reports as attachments over SMTP
+ */
+
+// Email deliveries kept per report, newest first
+const MAX_EMAIL_DELIVERIES = 20
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+
+/**
+ * Validate a recipient list given as an array or a comma/semicolon separated string
+ * @returns {{recipients: Array|null, error: string|null}}
+ */
+export function parseRecipients(input) {
+  const list = Array.isArray(input) ? input : String(input || '').split(/[,;]/)
+  const recipients = [...new Set(list.map(address => String(address).trim()).filter(Boolean))]
+
+  const invalid = recipients.find(address => !EMAIL_PATTERN.test(address))
+  if (invalid) {
+    return { recipients: null, error: `Invalid email address: ${invalid}` }
+  }
+
+  return { recipients, error: null }
+}
+
+/**
+ * Validate the email settings stored in the app configuration.
+ * An omitted password keeps the current one so clients don't have to send it back.
+ * @param {Object} input - host, port, secure, user, password, from, recipients, sendAfterGeneration
+ * @param {Object} current - Current email settings, if any
+ * @returns {{email: Object|null, error: string|null}}
+ */
+export function parseEmailSettings(input, current = null) {
+  const host = typeof input.host === 'string' ? input.host.trim() : ''
+  if (!host) {
+    return { email: null, error: 'SMTP host is required' }
+  }
+
+  const secure = input.secure === undefined ? false : input.secure
+  if (typeof secure !== 'boolean') {
+    return { email: null, error: 'secure must be a boolean' }
+  }
+
+  const port = input.port === undefined || input.port === '' ? (secure ? 465 : 587) : Number(input.port)
+  if (!Number.isInteger(port) || port < 1 || port > 65535) {
+    return { email: null, error: 'SMTP port must be between 1 and 65535' }
+  }
+
+  const from = typeof input.from === 'string' ? input.from.trim() : ''
+  if (!EMAIL_PATTERN.test(from.replace(/^.*<([^>]+)>$/, '$1'))) {
+    return { email: null, error: 'A valid sender (from) address is required' }
+  }
+
+  const { recipients, error: recipientsError } = parseRecipients(input.recipients)
+  if (recipientsError) {
+    return { email: null, error: recipientsError }
+  }
+
+  const sendAfterGeneration = input.sendAfterGeneration === undefined ? false : input.sendAfterGeneration
+  if (typeof sendAfterGeneration !== 'boolean') {
+    return { email: null, error: 'sendAfterGeneration must be a boolean' }
+  }
+  if (sendAfterGeneration && recipients.length === 0) {
+    return { email: null, error: 'Recipients are required to send reports after generation' }
+  }
+
+  const user = typeof input.user === 'string' ? input.user.trim() : ''
+  const password = input.password !== undefined ? String(input.password) : (current?.password || '')
+
+  return {
+    email: { host, port, secure, user, password, from, recipients, sendAfterGeneration },
+    error: null
+  }
+}
+
+/**
+ * Email settings as returned to clients, without the SMTP password
+ */
+export function getPublicEmailSettings(email) {
+  if (!email) {
+    return null
+  }
+  const { password, ...settings } = email
+  return { ...settings, hasPassword: !!password }
+}
+
+/**
+ * Report mailer - sends report files and records each delivery with the report's metadata
+ */
+export class ReportMailer {
+  /**
+   * @param {ReportStore} reportStore - Store the report files are read from and deliveries recorded in
+   */
+  constructor(reportStore) {
+    this.reportStore = reportStore
+  }
+
+  createTransport(email) {
+    return nodemailer.createTransport({
+      host: email.host,
+      port: email.port,
+      secure: email.secure,
+      // Local SMTP stand-ins usually accept mail without authentication
+      auth: email.user ? { user: email.user, pass: email.password } : undefined
+    })
+  }
+
+  /**
+   * Email a report as an attachment and record the delivery
+   * @param {Object} report - Report metadata
+   * @param {Object} email - Email settings from the app configuration
+   * @param {Array} recipients - Recipient addresses
+   * @param {string} trigger - 'manual' or 'automatic'
+   * @returns {Promise<Object>} The recorded delivery; its status is 'sent' or 'failed'
+   */
+  async sendReport(report, email, recipients, trigger) {
+    const delivery = {
+      id: randomUUID(),
+      trigger,
+      recipients,
+      status: 'sent',
+      sentAt: new Date().toISOString(),
+      messageId: null,
+      error: null
+    }
+
+    try {
+      const period = report.params ? `${report.params.startDate} to ${report.params.endDate}` : null
+      const info = await this.createTransport(email).sendMail({
+        from: email.from,
+        to: recipients,
+        subject: period ? `Vehicle report ${period}` : `Vehicle report ${report.filename}`,
+        text: [
+          'The attached vehicle report was generated by Vehicle Reports.',
+          '',
+          period ? `Period: ${period} (${report.params.timeZone})` : null,
+          report.vehicleCount !== null ? `Vehicles: ${report.vehicleCount}${report.errorCount ? ` (${report.errorCount} failed)` : ''}` : null,
+          report.recordCount !== null ? `Records: ${report.recordCount}` : null,
+          `Checksum: ${report.checksum}`
+        ].filter(line => line !== null).join('\n'),
+        attachments: [{
+          filename: report.filename,
+          content: await this.reportStore.openReport(report)
+        }]
+      })
+      delivery.messageId = info.messageId
+      console.log(`📧 Emailed report ${report.filename} to ${recipients.join(', ')}`)
+    } catch (error) {
+      console.error(`Failed to email report ${report.filename}:`, error)
+      delivery.status = 'failed'
+      delivery.error = error.message || 'Failed to send email'
+    }
+
+    await this.reportStore.updateReport(report.id, current => ({
+      emailDeliveries: [delivery, ...(current.emailDeliveries || [])].slice(0, MAX_EMAIL_DELIVERIES)
+    }))
+    return delivery
+  }
+
+  /**
+   * Send a test message to check the SMTP settings
+   * @returns {Promise<string>} The message ID
+   */
+  async sendTestEmail(email, recipients) {
+    const info = await this.createTransport(email).sendMail({
+      from: email.from,
+      to: recipients,
+      subject: 'Vehicle Reports test email',
+      text: 'Your SMTP settings work. Generated reports can now be emailed from Vehicle Reports.'
+    })
+    return info.messageId
+  }
+}
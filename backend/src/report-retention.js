@@ -0,0 +1,148 @@
+/**
+ * Report retention - periodically deletes old reports so the report directory doesn't grow without bound
+ */
+
+const DAY = 24 * 60 * 60 * 1000
+const MEGABYTE = 1024 * 1024
+
+/**
+ * Read the retention policy from environment variables. A limit of 0 disables it.
+ * @param {Object} env - Environment variables
+ * @returns {{maxAgeDays: number, maxCount: number, maxTotalSizeMb: number, sweepIntervalMinutes: number}}
+ */
+export function getRetentionPolicy(env) {
+  const readLimit = (name, fallback) => {
+    const value = parseFloat(env[name])
+    return value >= 0 ? value : fallback
+  }
+
+  return {
+    maxAgeDays: readLimit('REPORT_RETENTION_MAX_AGE_DAYS', 0),
+    maxCount: readLimit('REPORT_RETENTION_MAX_COUNT', 0),
+    maxTotalSizeMb: readLimit('REPORT_RETENTION_MAX_TOTAL_MB', 0),
+    sweepIntervalMinutes: readLimit('REPORT_RETENTION_SWEEP_INTERVAL_MINUTES', 60) || 60
+  }
+}
+
+/**
+ * Pick the reports a retention policy removes, oldest first. Pinned reports are never picked,
+ * but still count towards the count and size limits.
+ * @param {Array} reports - Report metadata records
+ * @param {Object} policy - Retention policy (see getRetentionPolicy)
+ * @param {number} now - Current time in milliseconds
+ * @returns {Array<{report: Object, reason: string}>}
+ */
+export function selectExpiredReports(reports, policy, now = Date.now()) {
+  const expired = []
+  const kept = [...reports].sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+
+  const remove = (report, reason) => {
+    kept.splice(kept.indexOf(report), 1)
+    expired.push({ report, reason })
+  }
+  const oldestUnpinned = () => kept.find(report => !report.pinned)
+
+  if (policy.maxAgeDays > 0) {
+    const cutoff = now - policy.maxAgeDays * DAY
+    for (const report of kept.filter(r => !r.pinned && new Date(r.createdAt).getTime() < cutoff)) {
+      remove(report, `older than ${policy.maxAgeDays} days`)
+    }
+  }
+
+  if (policy.maxCount > 0) {
+    while (kept.length > policy.maxCount && oldestUnpinned()) {
+      remove(oldestUnpinned(), `more than ${policy.maxCount} reports`)
+    }
+  }
+
+  if (policy.maxTotalSizeMb > 0) {
+    const maxBytes = policy.maxTotalSizeMb * MEGABYTE
+    const totalSize = () => kept.reduce((sum, report) => sum + (report.size || 0), 0)
+    while (totalSize() > maxBytes && oldestUnpinned()) {
+      remove(oldestUnpinned(), `reports exceed ${policy.maxTotalSizeMb} MB`)
+    }
+  }
+
+  return expired
+}
+
+/**
+ * Background sweeper that applies the retention policy to the report store
+ */
+export class ReportRetentionSweeper {
+  /**
+   * @param {ReportStore} reportStore - Store the reports are deleted from
+   * @param {Object} policy - Retention policy (see getRetentionPolicy)
+   */
+  constructor(reportStore, policy) {
+    this.reportStore = reportStore
+    this.policy = policy
+    this.timer = null
+    this.isSweeping = false
+  }
+
+  isEnabled() {
+    return this.policy.maxAgeDays > 0 || this.policy.maxCount > 0 || this.policy.maxTotalSizeMb > 0
+  }
+
+  /**
+   * Sweep now and then on every interval
+   */
+  start() {
+    if (!this.isEnabled() || this.timer) {
+      return
+    }
+
+    const { maxAgeDays, maxCount, maxTotalSizeMb, sweepIntervalMinutes } = this.policy
+    console.log(`🧹 Report retention: max age ${maxAgeDays || '∞'} days, max count ${maxCount || '∞'}, max size ${maxTotalSizeMb || '∞'} MB, sweeping every ${sweepIntervalMinutes} min`)
+
+    this.sweep()
+    this.timer = setInterval(() => this.sweep(), this.policy.sweepIntervalMinutes * 60 * 1000)
+    // The sweeper alone shouldn't keep the process running
+    this.timer.unref()
+  }
+
+  stop() {
+    clearInterval(this.timer)
+    this.timer = null
+  }
+
+  /**
+   * Delete the reports the policy no longer keeps
+   * @returns {Promise<Array>} The removed reports
+   */
+  async sweep() {
+    if (this.isSweeping) {
+      return []
+    }
+    this.isSweeping = true
+
+    const removed = []
+    try {
+      // Synced first so reports other instances pinned or deleted are seen as they are
+      await this.reportStore.sync()
+      const reports = await this.reportStore.loadAllReports()
+
+      for (const { report, reason } of selectExpiredReports(reports, this.policy)) {
+        try {
+          await this.reportStore.deleteReport(report.id)
+          removed.push(report)
+          console.log(`🧹 Retention removed report ${report.filename} (${reason})`)
+        } catch (error) {
+          console.error(`Retention failed to remove report ${report.filename}:`, error)
+        }
+      }
+
+      if (removed.length > 0) {
+        const freed = removed.reduce((sum, report) => sum + (report.size || 0), 0)
+        console.log(`🧹 Retention sweep removed ${removed.length} report(s), freeing ${(freed / MEGABYTE).toFixed(1)} MB`)
+      }
+    } catch (error) {
+      console.error('Report retention sweep failed:', error)
+    } finally {
+      this.isSweeping = false
+    }
+
+    return removed
+  }
+}
@@ -0,0 +1,468 @@
+import { randomUUID } from 'crypto'
+import { isSupportedOption } from './input-validation.js'
+import { getZonedParts, zonedTime } from './time-zones.js'
+
+/**
+ * Report schedules - recurring reports generated automatically by an in-process scheduler
+ */
+
+// How often the scheduler checks for due schedules
+const SCHEDULER_TICK_MS = 30 * 1000
+
+// Past runs kept per schedule
+const MAX_SCHEDULE_RUNS = 20
+
+// How far ahead a cron expression is searched for its next run (covers Feb 29 rules)
+const MAX_CRON_SEARCH_DAYS = 5 * 366
+
+// Report periods a schedule can cover, relative to the time it runs
+export const SCHEDULE_PERIODS = {
+  previousDay: { label: 'Previous day' },
+  previousWeek: { label: 'Previous week (Monday to Sunday)' },
+  previousMonth: { label: 'Previous month' }
+}
+
+export const DEFAULT_SCHEDULE_PERIOD = 'previousMonth'
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 }
+]
+
+/**
+ * Validate a schedule rule: { type: 'monthly', day: 1, time: '06:00' } or { type: 'cron', expression: '0 6 1 * *' }
+ * @returns {{rule: Object|null, error: string|null}}
+ */
+export function parseScheduleRule(input) {
+  if (!input || typeof input !== 'object') {
+    return { rule: null, error: 'Schedule rule is required' }
+  }
+
+  if (input.type === 'monthly') {
+    const day = Number(input.day)
+    if (!Number.isInteger(day) || day < 1 || day > 31) {
+      return { rule: null, error: 'Monthly rule day must be between 1 and 31' }
+    }
+    const time = input.time || '00:00'
+    if (!parseTime(time)) {
+      return { rule: null, error: 'Monthly rule time must be HH:MM' }
+    }
+    return { rule: { type: 'monthly', day, time }, error: null }
+  }
+
+  if (input.type === 'cron') {
+    const expression = typeof input.expression === 'string' ? input.expression.trim().replace(/\s+/g, ' ') : ''
+    const { error } = parseCronExpression(expression)
+    if (error) {
+      return { rule: null, error }
+    }
+    return { rule: { type: 'cron', expression }, error: null }
+  }
+
+  return { rule: null, error: 'Schedule rule type must be "monthly" or "cron"' }
+}
+
+/**
+ * Validate the report period a schedule covers
+ * @returns {{period: string|null, error: string|null}}
+ */
+export function parseSchedulePeriod(input) {
+  if (input === undefined || input === null || input === '') {
+    return { period: DEFAULT_SCHEDULE_PERIOD, error: null }
+  }
+
+  if (!isSupportedOption(SCHEDULE_PERIODS, input)) {
+    return { period: null, error: `Unsupported schedule period: ${input}` }
+  }
+
+  return { period: input, error: null }
+}
+
+/**
+ * Get the next run of a rule strictly after an instant
+ * @param {Object} rule - Validated schedule rule
+ * @param {Date} after - Instant to search from
+ * @param {string} timeZone - Time zone the rule's wall-clock times are in
+ * @returns {Date|null} Next run, or null if the rule never matches
+ */
+export function getNextRunTime(rule, after, timeZone) {
+  return rule.type === 'monthly'
+    ? getNextMonthlyRun(rule, after, timeZone)
+    : getNextCronRun(parseCronExpression(rule.expression).fields, after, timeZone)
+}
+
+/**
+ * Report start and end dates (YYYY-MM-DD) covered by a run, in the schedule's time zone
+ */
+export function getSchedulePeriodDates(period, runAt, timeZone) {
+  const { year, month, day } = getZonedParts(runAt, timeZone)
+  const monthIndex = month - 1
+
+  if (period === 'previousDay') {
+    return { startDate: formatDate(year, monthIndex, day - 1), endDate: formatDate(year, monthIndex, day - 1) }
+  }
+
+  if (period === 'previousWeek') {
+    // Days since this week's Monday
+    const sinceMonday = (new Date(Date.UTC(year, monthIndex, day)).getUTCDay() + 6) % 7
+    return {
+      startDate: formatDate(year, monthIndex, day - sinceMonday - 7),
+      endDate: formatDate(year, monthIndex, day - sinceMonday - 1)
+    }
+  }
+
+  return { startDate: formatDate(year, monthIndex - 1, 1), endDate: formatDate(year, monthIndex, 0) }
+}
+
+/**
+ * Report scheduler - stores schedules and starts report jobs when they are due
+ */
+export class ReportScheduler {
+  /**
+   * @param {ReportJobManager} reportJobs - Job manager the scheduled reports run in
+   * @param {Function} loadConfig - Returns the app configuration with the given ID, with its DIMO credentials
+   * @param {Database} db - Database the schedules are stored in (see openDatabase)
+   * @param {VehicleAccessChecker} vehicleAccess - Checks the schedule owner still has access to its vehicles before each run
+   */
+  constructor(reportJobs, loadConfig, db, vehicleAccess) {
+    this.reportJobs = reportJobs
+    this.loadConfig = loadConfig
+    this.vehicleAccess = vehicleAccess
+    this.db = db
+    this.schedules = []
+    this.timer = null
+  }
+
+  /**
+   * Load the stored schedules and start checking for due runs
+   */
+  async start() {
+    this.schedules = this.db.prepare('SELECT data FROM schedules ORDER BY rowid').all()
+      .map(row => JSON.parse(row.data))
+
+    // Runs that were in progress when the server stopped will never finish
+    for (const schedule of this.schedules) {
+      const interrupted = schedule.runs.filter(run => run.status === 'running')
+      for (const run of interrupted) {
+        run.status = 'failed'
+        run.error = 'Interrupted by a server restart'
+      }
+      if (interrupted.length > 0) {
+        this.save(schedule)
+      }
+    }
+
+    // Schedules missed while the server was down run once on the first tick. A failed tick is logged
+    // and the next one tries again.
+    const tick = () => this.tick().catch(error => console.error('Report schedule tick failed:', error))
+    tick()
+    this.timer = setInterval(tick, SCHEDULER_TICK_MS)
+    this.timer.unref()
+  }
+
+  stop() {
+    clearInterval(this.timer)
+    this.timer = null
+  }
+
+  /**
+   * Insert or replace a schedule in the database
+   */
+  save(schedule) {
+    this.db.prepare(`
+      INSERT INTO schedules (id, config_id, data) VALUES (@id, @configId, @data)
+      ON CONFLICT (id) DO UPDATE SET config_id = excluded.config_id, data = excluded.data
+    `).run({ id: schedule.id, configId: schedule.configId || null, data: JSON.stringify(schedule) })
+  }
+
+  /**
+   * List an app configuration's schedules, next due first
+   * @param {string} configId - Configuration the schedules belong to
+   */
+  listSchedules(configId) {
+    return this.schedules
+      .filter(schedule => schedule.configId === configId)
+      .sort((a, b) => (a.nextRunAt || '').localeCompare(b.nextRunAt || ''))
+  }
+
+  getSchedule(id) {
+    return this.schedules.find(schedule => schedule.id === id) || null
+  }
+
+  /**
+   * Create a schedule
+   * @param {Object} input - Validated schedule fields: name, rule, period, enabled and report params
+   */
+  async createSchedule(input) {
+    const schedule = {
+      id: randomUUID(),
+      ...input,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+      nextRunAt: null,
+      runs: []
+    }
+    schedule.nextRunAt = this.computeNextRunAt(schedule, new Date())
+
+    this.schedules.push(schedule)
+    this.save(schedule)
+    return schedule
+  }
+
+  /**
+   * Update a schedule's fields, recomputing its next run
+   * @returns {Promise<Object|null>} The updated schedule, or null if it doesn't exist
+   */
+  async updateSchedule(id, changes) {
+    const schedule = this.getSchedule(id)
+    if (!schedule) {
+      return null
+    }
+
+    Object.assign(schedule, changes, { updatedAt: new Date().toISOString() })
+    schedule.nextRunAt = this.computeNextRunAt(schedule, new Date())
+    this.save(schedule)
+    return schedule
+  }
+
+  async deleteSchedule(id) {
+    const schedule = this.getSchedule(id)
+    if (!schedule) {
+      return false
+    }
+
+    this.schedules = this.schedules.filter(s => s.id !== id)
+    this.db.prepare('DELETE FROM schedules WHERE id = ?').run(id)
+    return true
+  }
+
+  /**
+   * Delete every schedule of an app configuration, e.g. when the configuration is deleted
+   * @returns {Promise<number>} How many schedules were deleted
+   */
+  async deleteConfigSchedules(configId) {
+    const count = this.schedules.filter(s => s.configId === configId).length
+    this.schedules = this.schedules.filter(s => s.configId !== configId)
+    this.db.prepare('DELETE FROM schedules WHERE config_id = ?').run(configId)
+    return count
+  }
+
+  /**
+   * Assign schedules created before there were several app configurations to a configuration
+   * @param {string} configId - Configuration the schedules are assigned to
+   */
+  async claimUnscopedSchedules(configId) {
+    for (const schedule of this.schedules.filter(s => !s.configId)) {
+      schedule.configId = configId
+      this.save(schedule)
+    }
+  }
+
+  computeNextRunAt(schedule, after) {
+    if (!schedule.enabled) {
+      return null
+    }
+    return getNextRunTime(schedule.rule, after, schedule.params.timeZone)?.toISOString() || null
+  }
+
+  async tick() {
+    const now = new Date()
+    for (const schedule of this.schedules) {
+      if (schedule.enabled && schedule.nextRunAt && new Date(schedule.nextRunAt) <= now) {
+        await this.runSchedule(schedule, 'scheduled')
+      }
+    }
+  }
+
+  /**
+   * Start a report job for a schedule and record the run
+   * @param {Object} schedule - Schedule to run
+   * @param {string} trigger - 'scheduled' or 'manual'
+   * @returns {Promise<Object>} The recorded run
+   */
+  async runSchedule(schedule, trigger) {
+    const now = new Date()
+    const { startDate, endDate } = getSchedulePeriodDates(schedule.period, now, schedule.params.timeZone)
+    const run = {
+      id: null,
+      trigger,
+      startedAt: now.toISOString(),
+      completedAt: null,
+      startDate,
+      endDate,
+      status: 'running',
+      reportId: null,
+      error: null
+    }
+
+    if (trigger === 'scheduled') {
+      schedule.nextRunAt = this.computeNextRunAt(schedule, now)
+    }
+    schedule.runs = [run, ...schedule.runs].slice(0, MAX_SCHEDULE_RUNS)
+
+    try {
+      const config = await this.loadConfig(schedule.configId)
+      if (!config) {
+        throw new Error('The app configuration this schedule belongs to no longer exists.')
+      }
+
+      // Privileges can be revoked after a schedule is created
+      if (!schedule.ownerAddress) {
+        throw new Error('Schedule has no owner whose vehicle access can be checked. Save its vehicles again to run it.')
+      }
+      const unauthorized = await this.vehicleAccess.findUnauthorizedVehicles(schedule.ownerAddress, schedule.params.vehicleTokenIds)
+      if (unauthorized.length > 0) {
+        throw new Error(unauthorized.map(vehicle => vehicle.error).join('; '))
+      }
+
+      const job = this.reportJobs.createJob({ ...schedule.params, startDate, endDate }, config, {
+        scheduleId: schedule.id,
+        scheduleName: schedule.name
+      })
+      run.id = job.id
+      console.log(`⏰ Schedule "${schedule.name}" started report job ${job.id} for ${startDate} to ${endDate}`)
+
+      job.finished.then(() => {
+        run.status = job.status
+        run.reportId = job.result?.reportId || null
+        run.error = job.error
+        run.completedAt = job.completedAt
+        // The schedule may have been deleted while the job ran
+        if (this.getSchedule(schedule.id)) {
+          this.save(schedule)
+        }
+      })
+    } catch (error) {
+      console.error(`Schedule "${schedule.name}" failed to start:`, error)
+      run.status = 'failed'
+      run.error = error.message
+      run.completedAt = new Date().toISOString()
+    }
+
+    this.save(schedule)
+    return run
+  }
+}
+
+function getNextMonthlyRun(rule, after, timeZone) {
+  const { hour, minute } = parseTime(rule.time)
+  const { year, month } = getZonedParts(after, timeZone)
+
+  // This month's run may still be ahead; otherwise next month's
+  for (let offset = 0; offset <= 1; offset++) {
+    const monthIndex = month - 1 + offset
+    // Rules for day 29-31 run on the last day of shorter months
+    const daysInMonth = new Date(Date.UTC(year, monthIndex + 1, 0)).getUTCDate()
+    const runAt = zonedTime(year, monthIndex, Math.min(rule.day, daysInMonth), hour, minute, timeZone)
+    if (runAt > after) {
+      return runAt
+    }
+  }
+  return null
+}
+
+function getNextCronRun(fields, after, timeZone) {
+  const start = getZonedParts(after, timeZone)
+  // Standard cron: when both day fields are restricted, either may match
+  const dayOfMonthRestricted = fields.dayOfMonth.size < 31
+  const dayOfWeekRestricted = fields.dayOfWeek.size < 7
+
+  for (let offset = 0; offset < MAX_CRON_SEARCH_DAYS; offset++) {
+    const date = new Date(Date.UTC(start.year, start.month - 1, start.day + offset))
+    const year = date.getUTCFullYear()
+    const monthIndex = date.getUTCMonth()
+    const day = date.getUTCDate()
+
+    if (!fields.month.has(monthIndex + 1)) {
+      continue
+    }
+
+    const dayOfMonthMatches = fields.dayOfMonth.has(day)
+    const dayOfWeekMatches = fields.dayOfWeek.has(date.getUTCDay())
+    const dayMatches = dayOfMonthRestricted && dayOfWeekRestricted
+      ? dayOfMonthMatches || dayOfWeekMatches
+      : dayOfMonthMatches && dayOfWeekMatches
+    if (!dayMatches) {
+      continue
+    }
+
+    for (const hour of fields.hour) {
+      for (const minute of fields.minute) {
+        const runAt = zonedTime(year, monthIndex, day, hour, minute, timeZone)
+        if (runAt > after) {
+          return runAt
+        }
+      }
+    }
+  }
+
+  return null
+}
+
+/**
+ * Parse a five-field cron expression (minute hour day-of-month month day-of-week)
+ * supporting *, lists, ranges and steps
+ * @returns {{fields: Object|null, error: string|null}}
+ */
+function parseCronExpression(expression) {
+  const parts = expression.split(' ')
+  if (parts.length !== CRON_FIELDS.length) {
+    return { fields: null, error: 'Cron expression must have 5 fields: minute hour day-of-month month day-of-week' }
+  }
+
+  const fields = {}
+  for (const [index, field] of CRON_FIELDS.entries()) {
+    const values = parseCronField(parts[index], field)
+    if (!values) {
+      return { fields: null, error: `Invalid cron ${field.name} field: ${parts[index]}` }
+    }
+    fields[field.name] = values
+  }
+
+  // Both 0 and 7 mean Sunday
+  if (fields.dayOfWeek.delete(7)) {
+    fields.dayOfWeek.add(0)
+  }
+
+  return { fields, error: null }
+}
+
+function parseCronField(text, { min, max }) {
+  const values = new Set()
+
+  for (const item of text.split(',')) {
+    const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(item)
+    if (!match) {
+      return null
+    }
+
+    const from = match[1] === '*' ? min : Number(match[2])
+    const to = match[1] === '*' ? max : match[3] !== undefined ? Number(match[3]) : match[4] ? max : from
+    const step = match[4] ? Number(match[4]) : 1
+    if (from < min || to > max || from > to || step < 1) {
+      return null
+    }
+
+    for (let value = from; value <= to; value += step) {
+      values.add(value)
+    }
+  }
+
+  // Sets iterate in insertion order; the next-run search needs ascending hours and minutes
+  return new Set([...values].sort((a, b) => a - b))
+}
+
+function parseTime(time) {
+  const match = /^(\d{2}):(\d{2})$/.exec(time || '')
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+    return null
+  }
+  return { hour: Number(match[1]), minute: Number(match[2]) }
+}
+
+function formatDate(year, monthIndex, day) {
+  return new Date(Date.UTC(year, monthIndex, day)).toISOString().slice(0, 10)
+}
@@ -0,0 +1,101 @@
+/**
+ * Report signals - telemetry signals that can be included in vehicle reports
+ */
+
+import { DEFAULT_DISTANCE_UNIT, unitLabel } from './distance-units.js'
+import { isSupportedOption } from './input-validation.js'
+
+// Aggregations supported by the DIMO telemetry API for float signals
+export const SIGNAL_AGGREGATIONS = ['AVG', 'MED', 'MAX', 'MIN', 'RAND', 'FIRST', 'LAST']
+
+export const ODOMETER_SIGNAL = 'powertrainTransmissionTravelledDistance'
+
+// Signals offered in reports, keyed by their DIMO telemetry field name.
+// `unit` is the unit DIMO reports; signals with a `quantity` are converted to the report's distance unit.
+export const REPORT_SIGNALS = {
+  [ODOMETER_SIGNAL]: { label: 'Odometer Reading', unit: 'km', quantity: 'distance', defaultAgg: 'MAX' },
+  powertrainFuelSystemRelativeLevel: { label: 'Fuel Level', unit: '%', defaultAgg: 'AVG' },
+  powertrainFuelSystemAbsoluteLevel: { label: 'Fuel Amount', unit: 'L', defaultAgg: 'AVG' },
+  powertrainTractionBatteryStateOfChargeCurrent: { label: 'Battery State of Charge', unit: '%', defaultAgg: 'AVG' },
+  powertrainTractionBatteryChargingIsCharging: { label: 'Charging State', unit: null, defaultAgg: 'MAX' },
+  speed: { label: 'Speed', unit: 'km/h', quantity: 'speed', defaultAgg: 'MAX' },
+  obdRunTime: { label: 'Engine Run Time', unit: 's', defaultAgg: 'MAX' },
+  currentLocationLatitude: { label: 'Latitude', unit: '°', defaultAgg: 'LAST' },
+  currentLocationLongitude: { label: 'Longitude', unit: '°', defaultAgg: 'LAST' },
+  currentLocationAltitude: { label: 'Altitude', unit: 'm', defaultAgg: 'AVG' }
+}
+
+// Used when a report request doesn't specify signals
+export const DEFAULT_REPORT_SIGNALS = [{ name: ODOMETER_SIGNAL, agg: 'MAX' }]
+
+/**
+ * Validate and normalize the signals requested for a report
+ * @param {Array|undefined} input - Requested signals, e.g. [{ name: 'speed', agg: 'MAX' }]
+ * @returns {{signals: Array|null, error: string|null}}
+ */
+export function parseReportSignals(input) {
+  if (input === undefined || input === null) {
+    return { signals: DEFAULT_REPORT_SIGNALS, error: null }
+  }
+
+  if (!Array.isArray(input) || input.length === 0) {
+    return { signals: null, error: 'Signals must be a non-empty array' }
+  }
+
+  const signals = []
+  for (const entry of input) {
+    const name = typeof entry === 'string' ? entry : entry?.name
+    if (!isSupportedOption(REPORT_SIGNALS, name)) {
+      return { signals: null, error: `Unsupported signal: ${name}` }
+    }
+    const definition = REPORT_SIGNALS[name]
+
+    const requestedAgg = typeof entry === 'string' ? undefined : entry.agg
+    if (requestedAgg !== undefined && requestedAgg !== null && typeof requestedAgg !== 'string') {
+      return { signals: null, error: `Aggregation for signal ${name} must be a string` }
+    }
+    const agg = (requestedAgg || definition.defaultAgg).toUpperCase()
+    if (!SIGNAL_AGGREGATIONS.includes(agg)) {
+      return { signals: null, error: `Unsupported aggregation ${agg} for signal ${name}` }
+    }
+
+    if (signals.some(s => s.name === name && s.agg === agg)) {
+      return { signals: null, error: `Signal ${name} with aggregation ${agg} was requested twice` }
+    }
+
+    signals.push({ name, agg })
+  }
+
+  return { signals, error: null }
+}
+
+/**
+ * GraphQL alias and report column ID for a signal
+ */
+export function signalAlias(signal) {
+  return `${signal.name}_${signal.agg}`
+}
+
+/**
+ * Unit a signal is reported in for a distance unit, e.g. "mph" for speed in miles
+ */
+export function signalUnit(signal, distanceUnit = DEFAULT_DISTANCE_UNIT) {
+  const { unit, quantity } = REPORT_SIGNALS[signal.name]
+  return quantity ? unitLabel(quantity, distanceUnit) : unit
+}
+
+/**
+ * Report column title for a signal, e.g. "Speed (AVG, mph)"
+ */
+export function signalColumnTitle(signal, distanceUnit = DEFAULT_DISTANCE_UNIT) {
+  const { label, defaultAgg } = REPORT_SIGNALS[signal.name]
+  const unit = signalUnit(signal, distanceUnit)
+  const details = []
+  if (signal.agg !== defaultAgg) {
+    details.push(signal.agg)
+  }
+  if (unit) {
+    details.push(unit)
+  }
+  return details.length > 0 ? `${label} (${details.join(', ')})` : label
+}
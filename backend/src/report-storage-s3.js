@@ -0,0 +1,122 @@
+import { createReadStream } from 'fs'
+import fs from 'fs/promises'
+import {
+  DeleteObjectCommand,
+  GetObjectCommand,
+  HeadBucketCommand,
+  ListObjectsV2Command,
+  PutObjectCommand,
+  S3Client
+} from '@aws-sdk/client-s3'
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner'
+
+/**
+ * S3 storage - report files in an S3 bucket or an S3-compatible object store such as MinIO,
+ * so every instance of the backend sees the same reports (see report-storage.js for the interface)
+ */
+export class S3ReportStorage {
+  /**
+   * @param {Object} options - bucket, prefix, region, endpoint, forcePathStyle, accessKeyId and secretAccessKey
+   */
+  constructor(options) {
+    this.bucket = options.bucket
+    this.prefix = options.prefix
+    this.client = new S3Client({
+      region: options.region,
+      endpoint: options.endpoint || undefined,
+      forcePathStyle: options.forcePathStyle,
+      // Only send checksums where S3 requires them: many S3-compatible stores don't understand the
+      // streaming checksums the SDK adds to uploads by default and store the framing with the object
+      requestChecksumCalculation: 'WHEN_REQUIRED',
+      responseChecksumValidation: 'WHEN_REQUIRED',
+      credentials: options.accessKeyId
+        ? { accessKeyId: options.accessKeyId, secretAccessKey: options.secretAccessKey }
+        : undefined
+    })
+  }
+
+  describe() {
+    return `S3 bucket ${this.bucket}${this.prefix ? ` under ${this.prefix}` : ''}`
+  }
+
+  async init() {
+    try {
+      await this.client.send(new HeadBucketCommand({ Bucket: this.bucket }))
+    } catch (error) {
+      throw new Error(`Report storage bucket ${this.bucket} can't be reached: ${error.name === 'NotFound' ? 'it does not exist' : error.message}`)
+    }
+  }
+
+  getObjectKey(key) {
+    return `${this.prefix}${key}`
+  }
+
+  async putFile(key, filePath, contentType) {
+    const { size } = await fs.stat(filePath)
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: this.getObjectKey(key),
+      Body: createReadStream(filePath),
+      ContentLength: size,
+      ContentType: contentType || undefined
+    }))
+    await fs.unlink(filePath)
+  }
+
+  async openFile(key) {
+    try {
+      const { Body } = await this.client.send(new GetObjectCommand({ Bucket: this.bucket, Key: this.getObjectKey(key) }))
+      return Body
+    } catch (error) {
+      if (error.name === 'NoSuchKey' || error.name === 'NotFound') {
+        throw Object.assign(new Error(`Report file ${key} not found in bucket ${this.bucket}`), { code: 'ENOENT' })
+      }
+      throw error
+    }
+  }
+
+  async writeFile(key, data, contentType) {
+    const { ETag } = await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: this.getObjectKey(key),
+      Body: data,
+      ContentType: contentType || undefined
+    }))
+    return ETag
+  }
+
+  async readFile(key) {
+    const body = await this.openFile(key)
+    return Buffer.from(await body.transformToByteArray())
+  }
+
+  async deleteFile(key) {
+    // S3 answers deletes of missing objects with success
+    await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: this.getObjectKey(key) }))
+  }
+
+  async listFiles() {
+    const files = []
+    let ContinuationToken
+    do {
+      const page = await this.client.send(new ListObjectsV2Command({ Bucket: this.bucket, Prefix: this.prefix, ContinuationToken }))
+      for (const object of page.Contents || []) {
+        const key = object.Key.slice(this.prefix.length)
+        // Objects in "subdirectories" of the prefix aren't reports
+        if (key && !key.includes('/')) {
+          files.push({ key, size: object.Size, lastModified: object.LastModified, version: object.ETag })
+        }
+      }
+      ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined
+    } while (ContinuationToken)
+    return files
+  }
+
+  getDownloadUrl(key, filename, expiresInSeconds) {
+    return getSignedUrl(this.client, new GetObjectCommand({
+      Bucket: this.bucket,
+      Key: this.getObjectKey(key),
+      ResponseContentDisposition: `attachment; filename="${filename.replace(/["\\]/g, '')}"`
+    }), { expiresIn: expiresInSeconds })
+  }
+}
@@ -0,0 +1,178 @@
+import { createReadStream } from 'fs'
+import fs from 'fs/promises'
+import path from 'path'
+
+/**
+ * Report storage - where report files are kept once generated, selected with REPORT_STORAGE.
+ *
+ * Every backend stores files by key (`<report ID><extension>`) and implements:
+ * - `describe()` - Where the files are, for the startup log
+ * - `init()` - Prepare the storage and check it can be reached
+ * - `putFile(key, filePath, contentType)` - Move a local file into the storage; the local file is removed
+ * - `openFile(key)` - Readable stream of a file; fails with `error.code === 'ENOENT'` when it doesn't exist
+ * - `writeFile(key, data, contentType)` - Store a small file, such as a report's metadata, from a string or Buffer;
+ *   resolves to its `version`
+ * - `readFile(key)` - Contents of a small file as a Buffer; fails like `openFile` when it doesn't exist
+ * - `deleteFile(key)` - Delete a file; missing files are ignored
+ * - `listFiles()` - Every stored file: `{ key, size, lastModified, version }`; the version changes whenever the file does
+ * - `getDownloadUrl(key, filename, expiresInSeconds)` - Pre-signed URL that downloads a file as `filename`
+ *   without going through the backend, or null when the backend doesn't support them
+ */
+
+export const REPORT_STORAGE_TYPES = ['local', 's3']
+export const REPORT_DOWNLOAD_MODES = ['proxy', 'presigned']
+
+/**
+ * Read the report storage settings from environment variables
+ * @param {Object} env - Environment variables
+ * @param {string} defaultDir - Directory local storage uses when REPORT_STORAGE_DIR isn't set
+ * @returns {Object} type, downloadMode, downloadUrlTtlSeconds, syncIntervalSeconds and the settings of the selected backend
+ */
+export function getReportStorageOptions(env, defaultDir) {
+  const type = env.REPORT_STORAGE || 'local'
+  if (!REPORT_STORAGE_TYPES.includes(type)) {
+    throw new Error(`REPORT_STORAGE must be one of ${REPORT_STORAGE_TYPES.join(', ')}`)
+  }
+
+  const downloadMode = env.REPORT_DOWNLOAD_MODE || 'proxy'
+  if (!REPORT_DOWNLOAD_MODES.includes(downloadMode)) {
+    throw new Error(`REPORT_DOWNLOAD_MODE must be one of ${REPORT_DOWNLOAD_MODES.join(', ')}`)
+  }
+  if (downloadMode === 'presigned' && type !== 's3') {
+    throw new Error('REPORT_DOWNLOAD_MODE=presigned needs REPORT_STORAGE=s3')
+  }
+
+  const ttl = parseInt(env.REPORT_DOWNLOAD_URL_TTL_SECONDS)
+  const options = {
+    type,
+    downloadMode,
+    // S3 rejects pre-signed URLs valid for longer than 7 days
+    downloadUrlTtlSeconds: ttl > 0 ? Math.min(ttl, 7 * 24 * 3600) : 300,
+    // How often the report index picks up reports other instances added, changed or deleted
+    syncIntervalSeconds: parseInt(env.REPORT_METADATA_SYNC_INTERVAL_SECONDS) > 0 ? parseInt(env.REPORT_METADATA_SYNC_INTERVAL_SECONDS) : 60,
+    dir: env.REPORT_STORAGE_DIR || defaultDir
+  }
+
+  if (type === 's3') {
+    if (!env.REPORT_STORAGE_S3_BUCKET) {
+      throw new Error('REPORT_STORAGE_S3_BUCKET is required with REPORT_STORAGE=s3')
+    }
+    options.s3 = {
+      bucket: env.REPORT_STORAGE_S3_BUCKET,
+      prefix: (env.REPORT_STORAGE_S3_PREFIX || '').replace(/^\/+/, ''),
+      region: env.REPORT_STORAGE_S3_REGION || 'us-east-1',
+      // Set for S3-compatible services such as MinIO; AWS S3 is used otherwise
+      endpoint: env.REPORT_STORAGE_S3_ENDPOINT || null,
+      forcePathStyle: env.REPORT_STORAGE_S3_FORCE_PATH_STYLE === 'true',
+      // Without explicit keys the SDK's default chain is used (environment, shared config, instance role)
+      accessKeyId: env.REPORT_STORAGE_S3_ACCESS_KEY_ID || null,
+      secretAccessKey: env.REPORT_STORAGE_S3_SECRET_ACCESS_KEY || null
+    }
+  }
+
+  return options
+}
+
+/**
+ * Create the report storage selected by the options
+ * @param {Object} options - Storage settings (see getReportStorageOptions)
+ */
+export async function createReportStorage(options) {
+  if (options.type === 's3') {
+    // Loaded on demand so local installations don't load the AWS SDK
+    const { S3ReportStorage } = await import('./report-storage-s3.js')
+    return new S3ReportStorage(options.s3)
+  }
+  return new LocalReportStorage(options.dir)
+}
+
+/**
+ * Local storage - report files in a directory on this server
+ */
+export class LocalReportStorage {
+  /**
+   * @param {string} dir - Directory the files are stored in
+   */
+  constructor(dir) {
+    this.dir = dir
+  }
+
+  describe() {
+    return `local directory ${this.dir}`
+  }
+
+  async init() {
+    await fs.mkdir(this.dir, { recursive: true })
+  }
+
+  getFilePath(key) {
+    // Keys are generated by the report store, but a path must never leave the directory
+    if (path.basename(key) !== key) {
+      throw new Error(`Invalid report storage key: ${key}`)
+    }
+    return path.join(this.dir, key)
+  }
+
+  async putFile(key, filePath) {
+    const target = this.getFilePath(key)
+    try {
+      await fs.rename(filePath, target)
+    } catch (error) {
+      // Files can't be renamed across file systems, e.g. when REPORT_STORAGE_DIR is a separate volume
+      if (error.code !== 'EXDEV') {
+        throw error
+      }
+      await fs.copyFile(filePath, `${target}.tmp`)
+      await fs.rename(`${target}.tmp`, target)
+      await fs.unlink(filePath)
+    }
+  }
+
+  async openFile(key) {
+    const filePath = this.getFilePath(key)
+    // Checked up front so a missing file fails here rather than on the stream
+    await fs.access(filePath)
+    return createReadStream(filePath)
+  }
+
+  async writeFile(key, data) {
+    // Written next to the file and renamed so readers never see a partly written file
+    const filePath = this.getFilePath(key)
+    await fs.writeFile(`${filePath}.tmp`, data)
+    await fs.rename(`${filePath}.tmp`, filePath)
+    return getFileVersion(await fs.stat(filePath))
+  }
+
+  async readFile(key) {
+    return fs.readFile(this.getFilePath(key))
+  }
+
+  async deleteFile(key) {
+    try {
+      await fs.unlink(this.getFilePath(key))
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error
+      }
+    }
+  }
+
+  async listFiles() {
+    const files = []
+    for (const entry of await fs.readdir(this.dir, { withFileTypes: true })) {
+      if (entry.isFile()) {
+        const stats = await fs.stat(path.join(this.dir, entry.name))
+        files.push({ key: entry.name, size: stats.size, lastModified: stats.mtime, version: getFileVersion(stats) })
+      }
+    }
+    return files
+  }
+
+  async getDownloadUrl() {
+    return null
+  }
+}
+
+function getFileVersion(stats) {
+  return `${stats.mtimeMs}:${stats.size}`
+}
@@ -0,0 +1,544 @@
+import { createHash, randomUUID } from 'crypto'
+import { createReadStream } from 'fs'
+import fs from 'fs/promises'
+import path from 'path'
+import { getReportContentType } from './report-formats.js'
+import { isValidDate } from './time-zones.js'
+
+const REPORT_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/
+// Report files are stored as `<report ID><extension>`, e.g. `3b241101-e2bb-4255-8caf-4136c566a962.csv`
+const STORED_FILE_PATTERN = /^([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})(\.[a-z]+)$/
+// and their metadata next to them as `<report ID>.meta.json` (`.json` alone is a report format)
+const METADATA_FILE_PATTERN = /^([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})\.meta\.json$/
+
+// Index version of metadata read outside a sync, so the next sync reads it again
+const UNKNOWN_VERSION = ''
+
+export const DEFAULT_REPORT_PAGE_SIZE = 20
+export const MAX_REPORT_PAGE_SIZE = 100
+
+/**
+ * Report store - generated report files and their metadata.
+ * Files are kept in a report storage backend (see report-storage.js) and addressed by report ID only;
+ * the readable filename is metadata used when the report is downloaded or attached.
+ * Each report's metadata is kept in the storage next to its file, so every instance of the backend
+ * sharing the storage sees the same reports. The database holds an index of it for listing and
+ * filtering, kept up to date by sync.
+ */
+export class ReportStore {
+  /**
+   * @param {Database} db - Database the metadata is stored in (see openDatabase)
+   * @param {string} baseDir - Directory older versions stored reports in, and the `reports/incoming` directory is in
+   * @param {Object} fileStorage - Storage backend the report files are kept in (see createReportStorage)
+   */
+  constructor(db, baseDir, fileStorage) {
+    this.db = db
+    this.baseDir = baseDir
+    this.fileStorage = fileStorage
+    // Reports being generated are written here, on this server, and moved into the storage once recorded
+    this.incomingDir = path.join(baseDir, 'reports', 'incoming')
+    this.syncTimer = null
+    // Changes to the metadata files run one at a time so the index never records an older version
+    this.pending = Promise.resolve()
+  }
+
+  /**
+   * Run a change to the metadata files after the ones already started
+   * @param {Function} change - Async function making the change
+   */
+  exclusive(change) {
+    const result = this.pending.then(change)
+    this.pending = result.catch(() => {})
+    return result
+  }
+
+  /**
+   * Key of a report's metadata file in the storage
+   * @param {string} id - Report ID
+   */
+  getMetadataKey(id) {
+    if (!REPORT_ID_PATTERN.test(id)) {
+      throw new Error(`Invalid report ID: ${id}`)
+    }
+    return `${id}.meta.json`
+  }
+
+  /**
+   * Read a report's metadata file
+   * @param {string} id - Report ID
+   * @returns {Promise<Object|null>} null when the report has no metadata file
+   */
+  async readMetadata(id) {
+    try {
+      return JSON.parse(await this.fileStorage.readFile(this.getMetadataKey(id)))
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null
+      }
+      throw new Error(`Could not read the metadata of report ${id}: ${error.message}`)
+    }
+  }
+
+  /**
+   * Write a report's metadata file and index it
+   * @param {Object} record - Report metadata
+   */
+  async writeMetadata(record) {
+    const version = await this.fileStorage.writeFile(this.getMetadataKey(record.id), JSON.stringify(record), 'application/json')
+    this.saveRecord(record, version)
+  }
+
+  /**
+   * Key of a report's file in the storage
+   * @param {Object} report - Report metadata
+   */
+  getReportKey(report) {
+    const key = `${report.id}${path.extname(report.filename)}`
+    if (!STORED_FILE_PATTERN.test(key) || !getReportContentType(report.filename)) {
+      throw new Error(`Report ${report.id} has no valid file name`)
+    }
+    return key
+  }
+
+  /**
+   * Readable stream of a report's file; fails with `error.code === 'ENOENT'` when the file is gone
+   * @param {Object} report - Report metadata
+   */
+  openReport(report) {
+    return this.fileStorage.openFile(this.getReportKey(report))
+  }
+
+  /**
+   * Pre-signed URL that downloads a report straight from the storage
+   * @param {Object} report - Report metadata
+   * @param {number} expiresInSeconds - How long the URL stays valid
+   * @returns {Promise<string|null>} null when the storage doesn't support pre-signed URLs
+   */
+  getDownloadUrl(report, expiresInSeconds) {
+    return this.fileStorage.getDownloadUrl(this.getReportKey(report), report.filename, expiresInSeconds)
+  }
+
+  /**
+   * Every report's metadata, oldest first
+   * @returns {Promise<Array>}
+   */
+  async loadAllReports() {
+    return this.db.prepare('SELECT data FROM reports ORDER BY created_at').all()
+      .map(row => JSON.parse(row.data))
+  }
+
+  /**
+   * Insert or replace a report's metadata record in the index
+   * @param {Object} record - Report metadata
+   * @param {string|null} metadataVersion - Version of its metadata file (see listFiles); null for records
+   *   not yet written to the storage, such as ones imported from an earlier version's files
+   */
+  saveRecord(record, metadataVersion = null) {
+    this.db.prepare(`
+      INSERT INTO reports (id, config_id, filename, created_at, start_date, end_date, pinned, size, data, metadata_version)
+      VALUES (@id, @configId, @filename, @createdAt, @startDate, @endDate, @pinned, @size, @data, @metadataVersion)
+      ON CONFLICT (id) DO UPDATE SET
+        config_id = excluded.config_id, filename = excluded.filename, created_at = excluded.created_at,
+        start_date = excluded.start_date, end_date = excluded.end_date, pinned = excluded.pinned,
+        size = excluded.size, data = excluded.data, metadata_version = excluded.metadata_version
+    `).run({
+      id: record.id,
+      configId: record.configId || null,
+      filename: record.filename,
+      createdAt: record.createdAt,
+      startDate: record.params?.startDate || null,
+      endDate: record.params?.endDate || null,
+      pinned: record.pinned ? 1 : 0,
+      size: record.size ?? null,
+      data: JSON.stringify(record),
+      metadataVersion
+    })
+  }
+
+  /**
+   * Move a generated report into the store and record it, adding its size and checksum
+   * @param {Object} metadata - Report metadata; `filename` is the name the report is downloaded as
+   * @param {string} sourcePath - The generated file, usually in `incomingDir`
+   * @returns {Promise<Object>} The stored metadata record
+   */
+  async addReport(metadata, sourcePath) {
+    const record = { id: metadata.id || randomUUID(), ...metadata }
+    const key = this.getReportKey(record)
+
+    const stats = await fs.stat(sourcePath)
+    record.size = stats.size
+    record.checksum = `sha256:${await hashStream(createReadStream(sourcePath))}`
+
+    await this.exclusive(async () => {
+      await this.fileStorage.putFile(key, sourcePath, getReportContentType(record.filename))
+      await this.writeMetadata(record)
+    })
+    return record
+  }
+
+  /**
+   * Get a report's metadata by ID. Reports another instance recorded since the last sync are read
+   * from the storage, so links to them work on every instance.
+   */
+  async getReport(id) {
+    const row = this.db.prepare('SELECT data FROM reports WHERE id = ?').get(id)
+    if (row) {
+      return JSON.parse(row.data)
+    }
+    if (!REPORT_ID_PATTERN.test(id)) {
+      return null
+    }
+
+    const record = await this.readMetadata(id)
+    if (record) {
+      this.saveRecord(record, UNKNOWN_VERSION)
+    }
+    return record
+  }
+
+  /**
+   * List reports, newest first
+   * @param {Object} query - Filters and paging
+   * @param {string} query.configId - Only reports generated with this app configuration
+   * @param {string} query.from - Only reports whose period ends on or after this date (YYYY-MM-DD)
+   * @param {string} query.to - Only reports whose period starts on or before this date (YYYY-MM-DD)
+   * @param {string} query.vehicle - Only reports that include this vehicle token ID
+   * @param {Object} query.access - Only reports the user may see (see VehicleAccessChecker.getReportAccess)
+   * @param {number} query.page - 1-based page number
+   * @param {number} query.pageSize - Reports per page
+   * @returns {Promise<{reports: Array, total: number, page: number, pageSize: number}>}
+   */
+  async listReports(query = {}) {
+    const page = query.page || 1
+    const pageSize = query.pageSize || DEFAULT_REPORT_PAGE_SIZE
+    const { where, params } = getReportQueryFilter(query)
+
+    const total = this.db.prepare(`SELECT COUNT(*) FROM reports ${where}`).pluck().get(params)
+    const reports = this.db.prepare(`SELECT data FROM reports ${where} ORDER BY created_at DESC LIMIT @limit OFFSET @offset`)
+      .all({ ...params, limit: pageSize, offset: (page - 1) * pageSize })
+      .map(row => JSON.parse(row.data))
+
+    return { reports, total, page, pageSize }
+  }
+
+  /**
+   * Change a report's metadata
+   * @param {string} id - Report ID
+   * @param {Function} update - Receives the current metadata and returns the fields to change
+   * @returns {Promise<Object|null>} The updated metadata, or null if the report doesn't exist
+   */
+  updateReport(id, update) {
+    return this.exclusive(async () => {
+      if (!this.db.prepare('SELECT 1 FROM reports WHERE id = ?').get(id)) {
+        return null
+      }
+      // The metadata file is the current version, which another instance may have changed
+      const current = await this.readMetadata(id)
+      if (!current) {
+        // Deleted by another instance
+        this.db.prepare('DELETE FROM reports WHERE id = ?').run(id)
+        return null
+      }
+      const updated = { ...current, ...update(current) }
+      await this.writeMetadata(updated)
+      return updated
+    })
+  }
+
+  /**
+   * Assign reports recorded before there were several app configurations to a configuration
+   * @param {string} configId - Configuration the reports are assigned to
+   */
+  async claimUnscopedReports(configId) {
+    const ids = this.db.prepare('SELECT id FROM reports WHERE config_id IS NULL').pluck().all()
+    for (const id of ids) {
+      await this.updateReport(id, () => ({ configId }))
+    }
+  }
+
+  /**
+   * Pin or unpin a report. Pinned reports are never removed by the retention sweeper.
+   * @returns {Promise<Object|null>} The updated metadata, or null if the report doesn't exist
+   */
+  setPinned(id, pinned) {
+    return this.updateReport(id, () => ({ pinned }))
+  }
+
+  /**
+   * Delete a report's file and metadata
+   * @returns {Promise<boolean>} False if the report doesn't exist
+   */
+  async deleteReport(id) {
+    const report = await this.getReport(id)
+    if (!report) {
+      return false
+    }
+
+    await this.exclusive(async () => {
+      // The metadata is still removed when the file is already gone. It goes last, so a failed
+      // deletion leaves the report listed and it can be deleted again.
+      await this.fileStorage.deleteFile(this.getReportKey(report))
+      await this.fileStorage.deleteFile(this.getMetadataKey(id))
+      this.db.prepare('DELETE FROM reports WHERE id = ?').run(id)
+    })
+    return true
+  }
+
+  /**
+   * Delete every report of an app configuration, e.g. when the configuration is deleted
+   * @returns {Promise<number>} How many reports were deleted
+   */
+  async deleteConfigReports(configId) {
+    const ids = this.db.prepare('SELECT id FROM reports WHERE config_id = ?').pluck().all(configId)
+    for (const id of ids) {
+      await this.deleteReport(id)
+    }
+    return ids.length
+  }
+
+  /**
+   * Prepare the store at startup: files left in `incomingDir` by jobs interrupted by a restart are removed,
+   * reports still stored in the base directory by name are moved into the storage, metadata recorded
+   * before it was kept in the storage is written there, and the index is synced.
+   * Report files without metadata are left alone and not listed.
+   */
+  async reconcile() {
+    await fs.rm(this.incomingDir, { recursive: true, force: true })
+    await fs.mkdir(this.incomingDir, { recursive: true })
+
+    await this.migrateLegacyFiles(await this.loadAllReports())
+
+    const unwritten = this.db.prepare('SELECT data FROM reports WHERE metadata_version IS NULL').all()
+      .map(row => JSON.parse(row.data))
+    let written = 0
+    for (const record of unwritten) {
+      await this.exclusive(async () => {
+        // Another instance may have written it already, and its version is kept
+        const stored = await this.readMetadata(record.id)
+        if (stored) {
+          this.saveRecord(stored, UNKNOWN_VERSION)
+        } else {
+          await this.writeMetadata(record)
+          written++
+        }
+      })
+    }
+    if (written > 0) {
+      console.log(`📦 Moved the metadata of ${written} report(s) into the ${this.fileStorage.describe()}`)
+    }
+
+    const { untracked } = await this.sync()
+    if (untracked > 0) {
+      console.warn(`⚠️ ${untracked} report file(s) in the ${this.fileStorage.describe()} have no metadata and are not listed`)
+    }
+  }
+
+  /**
+   * Bring the index in line with the metadata files in the storage, which other instances sharing
+   * the storage write too: new and changed metadata is read, and reports whose metadata file was
+   * deleted are dropped from the index. Report files are never changed.
+   * @returns {Promise<{updated: number, removed: number, untracked: number}>} Reports read and dropped,
+   *   and report files found without metadata
+   */
+  sync() {
+    return this.exclusive(async () => {
+      const indexed = new Map(this.db.prepare('SELECT id, metadata_version FROM reports').all()
+        .map(row => [row.id, row.metadata_version]))
+      const files = await this.fileStorage.listFiles()
+
+      const described = new Set()
+      let updated = 0
+      for (const file of files) {
+        const match = METADATA_FILE_PATTERN.exec(file.key)
+        if (!match) {
+          continue
+        }
+        const id = match[1]
+        described.add(id)
+
+        if (indexed.get(id) === file.version) {
+          continue
+        }
+        try {
+          const record = await this.readMetadata(id)
+          if (record) {
+            this.saveRecord(record, file.version)
+            updated++
+          }
+        } catch (error) {
+          console.error(`Report metadata sync skipped report ${id}:`, error.message)
+        }
+      }
+
+      // Reports whose metadata hasn't been written to the storage yet are kept
+      const removed = [...indexed].filter(([id, version]) => version !== null && !described.has(id)).map(([id]) => id)
+      const remove = this.db.prepare('DELETE FROM reports WHERE id = ?')
+      this.db.transaction(() => removed.forEach(id => remove.run(id)))()
+
+      const untracked = files.filter(file => {
+        const match = STORED_FILE_PATTERN.exec(file.key)
+        return match && !described.has(match[1]) && !indexed.has(match[1])
+      }).length
+
+      return { updated, removed: removed.length, untracked }
+    })
+  }
+
+  /**
+   * Sync the index on an interval (see sync)
+   * @param {number} intervalSeconds - Seconds between syncs
+   */
+  startSync(intervalSeconds) {
+    if (this.syncTimer) {
+      return
+    }
+    this.syncTimer = setInterval(() => {
+      this.sync().catch(error => console.error('Report metadata sync failed:', error))
+    }, intervalSeconds * 1000)
+    // The sync alone shouldn't keep the process running
+    this.syncTimer.unref()
+  }
+
+  stopSync() {
+    clearInterval(this.syncTimer)
+    this.syncTimer = null
+  }
+
+  /**
+   * Move reports stored by name in the base directory, as older versions did, into the storage.
+   * Files without a metadata record are recorded with what the file tells.
+   * @param {Array} entries - Current metadata records, matched by filename
+   */
+  async migrateLegacyFiles(entries) {
+    const files = (await fs.readdir(this.baseDir))
+      .filter(file => file.startsWith('vehicle-report-') && !!getReportContentType(file))
+
+    for (const filename of files) {
+      const filePath = path.join(this.baseDir, filename)
+      const entry = entries.find(e => e.filename === filename)
+      if (entry) {
+        await this.fileStorage.putFile(this.getReportKey(entry), filePath, getReportContentType(filename))
+        continue
+      }
+
+      const modifiedAt = (await fs.stat(filePath)).mtime.toISOString()
+      await this.addReport({
+        filename,
+        format: path.extname(filename).slice(1),
+        status: 'unknown',
+        createdAt: modifiedAt,
+        completedAt: modifiedAt,
+        requester: null,
+        params: null,
+        vehicles: [],
+        vehicleCount: null,
+        errorCount: null,
+        recordCount: null,
+        pinned: false
+      }, filePath)
+    }
+
+    if (files.length > 0) {
+      console.log(`📦 Moved ${files.length} report file(s) into the ${this.fileStorage.describe()}`)
+    }
+  }
+}
+
+/**
+ * Validate the filters and paging of a report list request
+ * @param {Object} input - Query string parameters: page, pageSize, from, to, vehicle
+ * @returns {{query: Object|null, error: string|null}}
+ */
+export function parseReportQuery(input) {
+  const query = {}
+
+  for (const name of ['page', 'pageSize']) {
+    if (input[name] === undefined) {
+      continue
+    }
+    const value = Number(input[name])
+    if (!Number.isInteger(value) || value < 1) {
+      return { query: null, error: `${name} must be a positive integer` }
+    }
+    query[name] = value
+  }
+
+  if (query.pageSize > MAX_REPORT_PAGE_SIZE) {
+    return { query: null, error: `pageSize must be at most ${MAX_REPORT_PAGE_SIZE}` }
+  }
+
+  for (const name of ['from', 'to']) {
+    if (input[name] === undefined) {
+      continue
+    }
+    // Only plain strings: repeated or bracketed query parameters arrive as arrays and objects
+    if (!isValidDate(input[name])) {
+      return { query: null, error: `${name} must be a date (YYYY-MM-DD)` }
+    }
+    query[name] = input[name]
+  }
+
+  if (input.vehicle !== undefined) {
+    if (typeof input.vehicle !== 'string') {
+      return { query: null, error: 'vehicle must be a single token ID' }
+    }
+    query.vehicle = input.vehicle
+  }
+
+  return { query, error: null }
+}
+
+/**
+ * SQL WHERE clause and parameters for the filters of a report list request
+ */
+function getReportQueryFilter(query) {
+  const conditions = []
+  const params = {}
+
+  if (query.configId) {
+    conditions.push('config_id = @configId')
+    params.configId = query.configId
+  }
+
+  if (query.vehicle) {
+    conditions.push("EXISTS (SELECT 1 FROM json_each(data, '$.vehicles') WHERE CAST(json_extract(value, '$.tokenId') AS TEXT) = @vehicle)")
+    params.vehicle = String(query.vehicle)
+  }
+
+  // Only the reports the user requested or holds privileges on every vehicle of (see canAccessReport)
+  if (query.access) {
+    conditions.push(`(
+      lower(json_extract(data, '$.requester.walletAddress')) = @accessAddress
+      OR (json_array_length(data, '$.vehicles') > 0 AND NOT EXISTS (
+        SELECT 1 FROM json_each(data, '$.vehicles')
+        WHERE CAST(json_extract(value, '$.tokenId') AS TEXT) NOT IN (SELECT value FROM json_each(@accessTokenIds))
+      ))
+      OR (@accessUnrecorded AND coalesce(json_array_length(data, '$.vehicles'), 0) = 0)
+    )`)
+    params.accessAddress = query.access.walletAddress
+    params.accessTokenIds = JSON.stringify(query.access.tokenIds)
+    params.accessUnrecorded = query.access.includeUnrecorded ? 1 : 0
+  }
+
+  // Reports without parameters have no known period, so date filters exclude them
+  if (query.from) {
+    conditions.push('end_date >= @from')
+    params.from = query.from
+  }
+  if (query.to) {
+    conditions.push('start_date <= @to')
+    params.to = query.to
+  }
+
+  return { where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '', params }
+}
+
+function hashStream(stream) {
+  return new Promise((resolve, reject) => {
+    const hash = createHash('sha256')
+    stream
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject)
+  })
+}
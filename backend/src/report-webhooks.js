@@ -0,0 +1,279 @@
+import { createHmac, randomBytes, randomUUID } from 'crypto'
+
+/**
+ * Report webhooks - signed notifications sent to configured endpoints when a report completes
+ */
+
+// Deliveries kept in the log for each webhook, newest first, so a busy webhook can't push out the others' entries
+const MAX_LOGGED_DELIVERIES = 200
+
+const DELIVERY_TIMEOUT_MS = 10 * 1000
+
+export const SIGNATURE_HEADER = 'X-Webhook-Signature'
+export const TIMESTAMP_HEADER = 'X-Webhook-Timestamp'
+
+/**
+ * Read the delivery retry settings from environment variables
+ * @param {Object} env - Environment variables
+ * @returns {{maxAttempts: number, retryBaseDelayMs: number}}
+ */
+export function getWebhookRetryPolicy(env) {
+  const maxAttempts = parseInt(env.WEBHOOK_MAX_ATTEMPTS)
+  const retryBaseDelayMs = parseInt(env.WEBHOOK_RETRY_BASE_DELAY_MS)
+
+  return {
+    maxAttempts: maxAttempts >= 1 ? maxAttempts : 5,
+    retryBaseDelayMs: retryBaseDelayMs >= 0 ? retryBaseDelayMs : 5000
+  }
+}
+
+/**
+ * Validate a webhook create or update request. Fields missing from an update keep their current values.
+ * @param {Object} input - Request body: url, secret, enabled
+ * @param {Object} current - Webhook being updated, if any
+ * @returns {{webhook: Object|null, error: string|null}}
+ */
+export function parseWebhookInput(input, current = null) {
+  const url = input.url !== undefined ? input.url : current?.url
+  let parsedUrl
+  try {
+    parsedUrl = new URL(url)
+  } catch (error) {
+    return { webhook: null, error: 'Webhook url must be an absolute URL' }
+  }
+  if (parsedUrl.protocol !== 'http:' && parsedUrl.protocol !== 'https:') {
+    return { webhook: null, error: 'Webhook url must use http or https' }
+  }
+
+  // A new secret is generated unless one is given
+  const secret = input.secret !== undefined ? input.secret : (current?.secret || generateWebhookSecret())
+  if (typeof secret !== 'string' || secret.length < 16) {
+    return { webhook: null, error: 'Webhook secret must be at least 16 characters' }
+  }
+
+  const enabled = input.enabled !== undefined ? input.enabled : (current ? current.enabled : true)
+  if (typeof enabled !== 'boolean') {
+    return { webhook: null, error: 'enabled must be a boolean' }
+  }
+
+  return { webhook: { url: parsedUrl.toString(), secret, enabled }, error: null }
+}
+
+/**
+ * A new random webhook signing secret
+ */
+export function generateWebhookSecret() {
+  return randomBytes(32).toString('hex')
+}
+
+/**
+ * Webhook as returned to clients: the secret is write-only and only shown when it is created or rotated
+ * @param {Object} webhook - Stored webhook
+ * @returns {Object}
+ */
+export function getPublicWebhook({ secret, ...webhook }) {
+  return { ...webhook, hasSecret: !!secret }
+}
+
+/**
+ * Report metadata as sent to webhooks: the requester is named by wallet address only, without the IP address
+ * and user agent the report was requested from
+ * @param {Object} report - Stored report metadata
+ * @returns {Object}
+ */
+export function getWebhookReport(report) {
+  if (!report.requester) {
+    return report
+  }
+  const { ip, userAgent, ...requester } = report.requester
+  return { ...report, requester }
+}
+
+/**
+ * HMAC-SHA256 signature of a payload, sent as `sha256=<hex>`. The timestamp is signed with the body
+ * so receivers can reject replayed deliveries.
+ * @param {string} secret - Webhook secret
+ * @param {string} timestamp - Unix time in seconds, as sent in the timestamp header
+ * @param {string} body - Raw JSON request body
+ */
+export function signWebhookPayload(secret, timestamp, body) {
+  return `sha256=${createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`
+}
+
+/**
+ * Webhook dispatcher - delivers events to a configuration's webhooks, retrying failures with backoff
+ */
+export class WebhookDispatcher {
+  /**
+   * @param {Database} db - Database the delivery log is stored in (see openDatabase)
+   * @param {Object} retryPolicy - Retry settings (see getWebhookRetryPolicy)
+   */
+  constructor(db, retryPolicy) {
+    this.db = db
+    this.retryPolicy = retryPolicy
+  }
+
+  /**
+   * Mark deliveries whose retries were waiting when the server stopped as failed; they are not resumed
+   */
+  async load() {
+    const rows = this.db.prepare('SELECT data FROM webhook_deliveries').all()
+    for (const delivery of rows.map(row => JSON.parse(row.data))) {
+      if (delivery.status === 'pending') {
+        delivery.status = 'failed'
+        delivery.nextAttemptAt = null
+        delivery.error = 'Interrupted by a server restart'
+        this.save(delivery)
+      }
+    }
+  }
+
+  /**
+   * Insert or replace a delivery in the log
+   */
+  save(delivery) {
+    this.db.prepare(`
+      INSERT INTO webhook_deliveries (id, config_id, webhook_id, created_at, data)
+      VALUES (@id, @configId, @webhookId, @createdAt, @data)
+      ON CONFLICT (id) DO UPDATE SET config_id = excluded.config_id, data = excluded.data
+    `).run({
+      id: delivery.id,
+      configId: delivery.configId || null,
+      webhookId: delivery.webhookId,
+      createdAt: delivery.createdAt,
+      data: JSON.stringify(delivery)
+    })
+  }
+
+  /**
+   * List logged deliveries, newest first
+   * @param {string} configId - Only deliveries to this app configuration's webhooks
+   * @param {string} webhookId - Only deliveries to this webhook
+   */
+  listDeliveries(configId, webhookId = null) {
+    return this.db.prepare(`
+      SELECT data FROM webhook_deliveries
+      WHERE config_id = @configId AND (@webhookId IS NULL OR webhook_id = @webhookId)
+      ORDER BY created_at DESC
+    `).all({ configId, webhookId }).map(row => JSON.parse(row.data))
+  }
+
+  /**
+   * Assign deliveries logged before there were several app configurations to a configuration
+   * @param {string} configId - Configuration the deliveries are assigned to
+   */
+  async claimUnscopedDeliveries(configId) {
+    this.db.prepare(`
+      UPDATE webhook_deliveries SET config_id = @configId, data = json_set(data, '$.configId', @configId)
+      WHERE config_id IS NULL
+    `).run({ configId })
+  }
+
+  /**
+   * Send an event to every enabled webhook of a configuration
+   * @param {Object} config - App configuration holding the webhooks
+   * @param {string} event - Event name, e.g. 'report.completed'
+   * @param {Object} data - Event data
+   * @returns {Array} The created deliveries
+   */
+  dispatch(config, event, data) {
+    return (config.webhooks || [])
+      .filter(webhook => webhook.enabled)
+      .map(webhook => this.deliver(config.id, webhook, event, data))
+  }
+
+  /**
+   * Create a delivery to one webhook and make the first attempt in the background
+   * @param {string} configId - App configuration the webhook belongs to
+   * @returns {Object} The delivery log entry
+   */
+  deliver(configId, webhook, event, data) {
+    const delivery = {
+      id: randomUUID(),
+      configId,
+      webhookId: webhook.id,
+      url: webhook.url,
+      event,
+      reportId: data.report?.id || null,
+      status: 'pending',
+      createdAt: new Date().toISOString(),
+      deliveredAt: null,
+      nextAttemptAt: null,
+      error: null,
+      attempts: []
+    }
+    // The body is fixed at creation so every retry carries the same payload
+    const body = JSON.stringify({ id: delivery.id, event, createdAt: delivery.createdAt, data })
+
+    this.save(delivery)
+    this.db.prepare(`
+      DELETE FROM webhook_deliveries
+      WHERE webhook_id = @webhookId AND id NOT IN (
+        SELECT id FROM webhook_deliveries WHERE webhook_id = @webhookId ORDER BY created_at DESC LIMIT @limit
+      )
+    `).run({ webhookId: webhook.id, limit: MAX_LOGGED_DELIVERIES })
+
+    this.attemptInBackground(delivery, webhook.secret, body)
+    return delivery
+  }
+
+  /**
+   * Make a delivery attempt without waiting for it. Attempts record their own failures; anything else,
+   * such as the log entry failing to save, is logged.
+   */
+  attemptInBackground(delivery, secret, body) {
+    this.attempt(delivery, secret, body)
+      .catch(error => console.error(`Webhook delivery ${delivery.id} to ${delivery.url} could not be attempted:`, error))
+  }
+
+  async attempt(delivery, secret, body) {
+    const startedAt = Date.now()
+    const timestamp = String(Math.floor(startedAt / 1000))
+    const attempt = { at: new Date(startedAt).toISOString(), statusCode: null, durationMs: null, error: null }
+
+    try {
+      const response = await fetch(delivery.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'vehicle-reports-webhooks',
+          'X-Webhook-Id': delivery.id,
+          'X-Webhook-Event': delivery.event,
+          [TIMESTAMP_HEADER]: timestamp,
+          [SIGNATURE_HEADER]: signWebhookPayload(secret, timestamp, body)
+        },
+        body,
+        signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS)
+      })
+      attempt.statusCode = response.status
+      if (!response.ok) {
+        attempt.error = `HTTP ${response.status}`
+      }
+    } catch (error) {
+      attempt.error = error.name === 'TimeoutError' ? `Timed out after ${DELIVERY_TIMEOUT_MS / 1000}s` : error.message
+    }
+
+    attempt.durationMs = Date.now() - startedAt
+    delivery.attempts.push(attempt)
+    delivery.error = attempt.error
+
+    if (!attempt.error) {
+      delivery.status = 'delivered'
+      delivery.deliveredAt = new Date().toISOString()
+      delivery.nextAttemptAt = null
+    } else if (delivery.attempts.length >= this.retryPolicy.maxAttempts) {
+      delivery.status = 'failed'
+      delivery.nextAttemptAt = null
+      console.error(`Webhook delivery ${delivery.id} to ${delivery.url} failed after ${delivery.attempts.length} attempt(s): ${attempt.error}`)
+    } else {
+      const delay = this.retryPolicy.retryBaseDelayMs * 2 ** (delivery.attempts.length - 1)
+      delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString()
+      console.warn(`Webhook delivery ${delivery.id} to ${delivery.url} failed (${attempt.error}), retrying in ${delay}ms`)
+      // Pending retries alone shouldn't keep the process running
+      setTimeout(() => this.attemptInBackground(delivery, secret, body), delay).unref()
+    }
+
+    // Updated rather than saved again: the delivery may have been trimmed from the log while this attempt ran
+    this.db.prepare('UPDATE webhook_deliveries SET data = ? WHERE id = ?').run(JSON.stringify(delivery), delivery.id)
+  }
+}
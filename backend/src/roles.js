@@ -0,0 +1,61 @@
+/**
+ * Roles - admins manage credentials, schedules, email, webhooks and retention; viewers can only
+ * list vehicles and generate and download reports
+ */
+
+export const ROLES = {
+  admin: { label: 'Admin' },
+  viewer: { label: 'Report viewer' }
+}
+
+/**
+ * Read who is an admin from environment variables; every other logged-in user is a viewer
+ * @param {Object} env - Environment variables
+ * @returns {{adminAddresses: Array<string>, adminEmails: Array<string>}} Lowercased, for case-insensitive matching
+ */
+export function getRolePolicy(env) {
+  const readList = name => (env[name] || '')
+    .split(',')
+    .map(value => value.trim().toLowerCase())
+    .filter(Boolean)
+
+  return {
+    adminAddresses: readList('ADMIN_WALLET_ADDRESSES'),
+    adminEmails: readList('ADMIN_EMAILS')
+  }
+}
+
+/**
+ * Role of a logged-in user, by the wallet address or email in their DIMO token
+ * @param {Object} user - Authenticated user (see requireUser)
+ * @param {Object} policy - Role policy (see getRolePolicy)
+ * @returns {string} 'admin' or 'viewer'
+ */
+export function getUserRole(user, policy) {
+  const isAdmin = (!!user.walletAddress && policy.adminAddresses.includes(user.walletAddress.toLowerCase())) ||
+    (!!user.email && policy.adminEmails.includes(user.email.toLowerCase()))
+  return isAdmin ? 'admin' : 'viewer'
+}
+
+/**
+ * Express middleware that sets `req.user.role`; runs after requireUser
+ * @param {Object} policy - Role policy (see getRolePolicy)
+ */
+export function assignRole(policy) {
+  return (req, res, next) => {
+    if (req.user) {
+      req.user.role = getUserRole(req.user, policy)
+    }
+    next()
+  }
+}
+
+/**
+ * Express middleware that only lets admins through
+ */
+export function requireAdmin(req, res, next) {
+  if (req.user?.role !== 'admin') {
+    return res.status(403).json({ error: 'Only admins can do this' })
+  }
+  next()
+}
@@ -5,8 +5,32 @@ import { fileURLToPath } from 'url'
 import dotenv from 'dotenv'
 import { DIMO } from '@dimo-network/data-sdk'
 import fs from 'fs/promises'
-import { createObjectCsvWriter } from 'csv-writer'
 import https from 'https'
+import { pipeline } from 'stream/promises'
+import { randomUUID } from 'crypto'
+import { ReportGenerator } from './report-generator.js'
+import { ReportJobManager } from './report-jobs.js'
+import { REPORT_SIGNALS, SIGNAL_AGGREGATIONS, parseReportSignals } from './report-signals.js'
+import { REPORT_INTERVALS, DEFAULT_REPORT_INTERVAL, parseReportInterval, parseReportPeriod } from './report-intervals.js'
+import { DEFAULT_TIME_ZONE, parseTimeZone } from './time-zones.js'
+import { DISTANCE_UNITS, DEFAULT_DISTANCE_UNIT, parseDistanceUnit } from './distance-units.js'
+import { REPORT_FORMATS, DEFAULT_REPORT_FORMAT, parseReportFormat, getReportContentType } from './report-formats.js'
+import { ReportStore, parseReportQuery } from './report-store.js'
+import { createReportStorage, getReportStorageOptions } from './report-storage.js'
+import { ReportRetentionSweeper, getRetentionPolicy } from './report-retention.js'
+import { DownloadLinkSigner, createTokenVerifier, getAuthOptions, requireUser } from './auth.js'
+import { VehicleAccessChecker, canAccessReport, getPrivilegedVehiclesArguments, isWalletAddress, parseVehicleTokenIds } from './vehicle-access.js'
+import { assignRole, getRolePolicy, requireAdmin } from './roles.js'
+import { getApiKeyFingerprint, getPublicConfig, parseConfigInput } from './app-config.js'
+import { normalizeApiKey, parseCredentials, verifyCredentials } from './dimo-credentials.js'
+import { getEncryptionKeyOptions } from './config-encryption.js'
+import { openDatabase, getDatabaseFile } from './database.js'
+import { ConfigStore } from './config-store.js'
+import { importLegacyFiles } from './legacy-import.js'
+import { AuditLog, parseAuditQuery } from './audit-log.js'
+import { ReportMailer, getPublicEmailSettings, parseEmailSettings, parseRecipients } from './report-mailer.js'
+import { WebhookDispatcher, generateWebhookSecret, getPublicWebhook, getWebhookReport, getWebhookRetryPolicy, parseWebhookInput } from './report-webhooks.js'
+import { ReportScheduler, SCHEDULE_PERIODS, parseScheduleRule, parseSchedulePeriod } from './report-schedules.js'
 
 // Load environment variables
 dotenv.config()
@@ -18,6 +42,20 @@ const app = express()
 const PORT = process.env.PORT || 3001
 const HTTPS_PORT = process.env.HTTPS_PORT || 3443
 const USE_HTTPS = process.env.USE_HTTPS !== 'false' // Default to true for development
+const REPORT_CONCURRENCY = parseInt(process.env.REPORT_CONCURRENCY) || 5
+const REPORT_MAX_RETRIES = parseInt(process.env.REPORT_MAX_RETRIES) >= 0 ? parseInt(process.env.REPORT_MAX_RETRIES) : 3
+const REPORT_RETRY_BASE_DELAY_MS = parseInt(process.env.REPORT_RETRY_BASE_DELAY_MS) || 1000
+// Base URL of this server as reachable by webhook receivers, used for download links. Without PUBLIC_URL,
+// the local address of the protocol and port the server ends up listening on (see startServer)
+let publicUrl = (process.env.PUBLIC_URL || '').replace(/\/$/, '')
+const DOWNLOAD_LINK_TTL_HOURS = parseFloat(process.env.DOWNLOAD_LINK_TTL_HOURS) > 0 ? parseFloat(process.env.DOWNLOAD_LINK_TTL_HOURS) : 24
+
+const authOptions = getAuthOptions(process.env)
+// Fails at startup if a configured key file can't be read
+const verifyToken = await createTokenVerifier(authOptions)
+// Created once the config encryption key is loaded, which signs the links unless DOWNLOAD_LINK_SECRET is set
+let downloadLinks = null
+const rolePolicy = getRolePolicy(process.env)
 
 // Middleware
 app.use(cors({
@@ -27,6 +65,60 @@ app.use(cors({
 app.use(express.json())
 app.use(express.static(path.join(__dirname, '../../dist')))
 
+// Requests act on the app configuration selected with this header, or on the default configuration without it
+const CONFIG_ID_HEADER = 'X-Config-Id'
+
+/**
+ * Client ID of the configuration a request selects, or of the default one when the selection doesn't exist.
+ * Users log in through a configuration's client, so their tokens are issued for it.
+ * @returns {Promise<string|undefined>} undefined before the first configuration is saved
+ */
+async function getSelectedClientId(req) {
+  const selectedId = req.get(CONFIG_ID_HEADER)
+  const config = (selectedId && await storage.loadConfig(selectedId)) || await storage.loadConfig()
+  return config?.clientId
+}
+
+// API routes require the DIMO user JWT, except what the app needs before anyone can log in
+app.use('/api', requireUser(verifyToken, async req => {
+  if (req.method === 'GET' && req.path === '/config/status') {
+    return true
+  }
+  // The first configuration is saved before any user can log in
+  if (req.method === 'POST' && req.path === '/config') {
+    return (await storage.loadConfigs()).configs.length === 0
+  }
+  // Signed download links are handed to webhook receivers
+  const download = /^\/reports\/([^/]+)\/download$/.exec(req.path)
+  if (req.method === 'GET' && download && req.query.signature) {
+    return downloadLinks.verify(decodeURIComponent(download[1]), req.query)
+  }
+  return false
+}, authOptions.configAudience ? getSelectedClientId : undefined))
+app.use('/api', assignRole(rolePolicy))
+
+app.use('/api', async (req, res, next) => {
+  try {
+    const selectedId = req.get(CONFIG_ID_HEADER) || null
+    const { defaultConfigId, configs } = await storage.loadConfigs()
+    if (!selectedId || configs.some(config => config.id === selectedId)) {
+      req.configId = selectedId || defaultConfigId
+      return next()
+    }
+
+    // A selection stored in the browser can outlive its configuration. The status and list endpoints
+    // fall back to the default so the app can pick another one; everything else refuses.
+    if (req.method === 'GET' && ['/config/status', '/configs'].includes(req.path)) {
+      req.configId = defaultConfigId
+      return next()
+    }
+    res.status(404).json({ error: 'The selected configuration no longer exists. Please select another one.' })
+  } catch (error) {
+    console.error('Failed to load configurations:', error)
+    res.status(500).json({ error: 'Failed to load configuration' })
+  }
+})
+
 // Ensure tmp directory exists
 const tmpDir = path.join(__dirname, '../tmp')
 
@@ -36,101 +128,299 @@ const dimo = new DIMO('Production')
 // Initialize server
 async function initializeServer() {
   await fs.mkdir(tmpDir, { recursive: true })
-}
-
-// File storage utilities
-class FileStorage {
-  constructor(baseDir) {
-    this.baseDir = baseDir
+  if (rolePolicy.adminAddresses.length === 0 && rolePolicy.adminEmails.length === 0) {
+    console.warn('⚠️ No admins configured (ADMIN_WALLET_ADDRESSES, ADMIN_EMAILS): every user is a report viewer and settings can\'t be changed')
+  } else {
+    console.log(`👥 Admins: ${rolePolicy.adminAddresses.length} wallet address(es), ${rolePolicy.adminEmails.length} email(s)`)
   }
+  console.log(`🗄️ Database: ${db.name}`)
+  await importLegacyFiles(tmpDir, { db, configStore: storage, reportStore, reportScheduler, webhooks })
+  await storage.init(getEncryptionKeyOptions(process.env, path.join(__dirname, '../config.key')))
+  downloadLinks = new DownloadLinkSigner(process.env.DOWNLOAD_LINK_SECRET || storage.cipher.deriveKey('download-links'), DOWNLOAD_LINK_TTL_HOURS)
+  await reportStorage.init()
+  console.log(`📦 Report storage: ${reportStorage.describe()}, downloads ${reportStorageOptions.downloadMode === 'presigned' ? 'through pre-signed URLs' : 'through the backend'}`)
+  await reportStore.reconcile()
+  reportStore.startSync(reportStorageOptions.syncIntervalSeconds)
+  await webhooks.load()
+  const interruptedJobs = reportJobs.failInterruptedJobs()
+  if (interruptedJobs > 0) {
+    console.warn(`⚠️ ${interruptedJobs} report job(s) were interrupted by the last shutdown and marked as failed`)
+  }
+  retentionSweeper.start()
+  await reportScheduler.start()
 
-  async saveConfig(config) {
-    const configPath = path.join(this.baseDir, 'app-config.json')
-    await fs.writeFile(configPath, JSON.stringify(config, null, 2))
-    return configPath
+  // Reports, schedules and deliveries from before there were several configurations belong to the default one
+  const { defaultConfigId } = await storage.loadConfigs()
+  if (defaultConfigId) {
+    await reportStore.claimUnscopedReports(defaultConfigId)
+    await reportScheduler.claimUnscopedSchedules(defaultConfigId)
+    await webhooks.claimUnscopedDeliveries(defaultConfigId)
   }
+}
 
-  async loadConfig() {
+const db = openDatabase(getDatabaseFile(process.env, path.join(tmpDir, 'vehicle-reports.db')))
+const storage = new ConfigStore(db)
+const auditLog = new AuditLog(db)
+const webhooks = new WebhookDispatcher(db, getWebhookRetryPolicy(process.env))
+const reportStorageOptions = getReportStorageOptions(process.env, path.join(tmpDir, 'reports'))
+const reportStorage = await createReportStorage(reportStorageOptions)
+const reportStore = new ReportStore(db, tmpDir, reportStorage)
+const mailer = new ReportMailer(reportStore)
+const reportJobs = new ReportJobManager(new ReportGenerator(dimo, reportStore.incomingDir, {
+  concurrency: REPORT_CONCURRENCY,
+  maxRetries: REPORT_MAX_RETRIES,
+  retryBaseDelay: REPORT_RETRY_BASE_DELAY_MS
+}), reportStore, db, {
+  onReportCompleted: (report, config) => {
+    // Notifications don't fail the job: the report is already stored
     try {
-      const configPath = path.join(this.baseDir, 'app-config.json')
-      const data = await fs.readFile(configPath, 'utf8')
-      return JSON.parse(data)
+      webhooks.dispatch(config, 'report.completed', {
+        report: getWebhookReport(report),
+        downloadUrl: `${publicUrl}/api/reports/${report.id}/download?${downloadLinks.sign(report.id)}`
+      })
     } catch (error) {
-      return null
+      console.error(`Failed to dispatch webhooks for report ${report.id}:`, error)
     }
-  }
-
-  async saveReport(reportData, filename) {
-    const reportPath = path.join(this.baseDir, filename)
-    await fs.writeFile(reportPath, reportData)
-    return reportPath
-  }
 
-  async listReports() {
-    try {
-      const files = await fs.readdir(this.baseDir)
-      return files.filter(file => file.endsWith('.csv'))
-    } catch (error) {
-      return []
+    if (config.email?.sendAfterGeneration && config.email.recipients.length > 0) {
+      const { recipients } = config.email
+      // The mailer records failed sends with the report; this records the ones where that failed too
+      mailer.sendReport(report, config.email, recipients, 'automatic').catch(error => {
+        console.error(`Failed to email report ${report.filename} after generation:`, error)
+        auditLog.record({
+          action: 'report.emailed',
+          configId: config.id,
+          details: { reportId: report.id, filename: report.filename, recipients, trigger: 'automatic', status: 'failed', error: error.message }
+        })
+      })
     }
   }
-}
+})
+const vehicleAccess = new VehicleAccessChecker(dimo.identity)
+const retentionSweeper = new ReportRetentionSweeper(reportStore, getRetentionPolicy(process.env))
+const reportScheduler = new ReportScheduler(reportJobs, configId => storage.loadConfig(configId), db, vehicleAccess)
 
-const storage = new FileStorage(tmpDir)
+/**
+ * Record an action taken by the logged-in user in the audit log
+ * @param {Object} req - The request the action was taken in
+ * @param {string} action - What was done, e.g. 'schedule.created'
+ * @param {Object} details - What the action applied to
+ * @param {string} configId - Configuration the action was taken in; the selected one by default
+ */
+function audit(req, action, details = null, configId = req.configId) {
+  auditLog.record({ action, configId, actor: req.user, details })
+}
 
 // API Routes
 
-// Get app configuration
-app.get('/api/config', async (req, res) => {
+// The logged-in user and their role, so the app can hide what they aren't allowed to do
+app.get('/api/user', (req, res) => {
+  res.json({ walletAddress: req.user.walletAddress, email: req.user.email, role: req.user.role })
+})
+
+// List the app configurations to choose from (no secrets)
+app.get('/api/configs', async (req, res) => {
+  try {
+    const { defaultConfigId, configs } = await storage.loadConfigs()
+    res.json({
+      configs: configs.map(config => ({
+        id: config.id,
+        name: config.name,
+        clientId: config.clientId,
+        isDefault: config.id === defaultConfigId
+      }))
+    })
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to list configurations' })
+  }
+})
+
+// Add a named configuration for another DIMO developer license
+app.post('/api/configs', requireAdmin, async (req, res) => {
+  try {
+    const { configs } = await storage.loadConfigs()
+    const { config, status, error } = await parseConfigInput(req.body, null, configs, dimo.auth)
+    if (error) {
+      return res.status(status).json(error)
+    }
+
+    await storage.saveConfig(config)
+    audit(req, 'config.created', { name: config.name, clientId: config.clientId }, config.id)
+    console.log(`🗂️ Added configuration "${config.name}"`)
+    res.status(201).json({ message: 'Configuration added successfully', config: getPublicConfig(await storage.loadConfig(config.id)) })
+  } catch (error) {
+    console.error('Failed to add configuration:', error)
+    res.status(500).json({ error: 'Failed to add configuration' })
+  }
+})
+
+// Get the selected app configuration, with secrets redacted
+app.get('/api/config', requireAdmin, async (req, res) => {
   try {
-    const config = await storage.loadConfig()
+    const config = await storage.loadConfig(req.configId)
     if (!config) {
       return res.status(404).json({ error: 'No configuration found' })
     }
-    res.json(config)
+    res.json(getPublicConfig(config))
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to load configuration' })
+  }
+})
+
+// Whether the app is configured, with the selected configuration's settings needed before login (no secrets)
+app.get('/api/config/status', async (req, res) => {
+  try {
+    const config = await storage.loadConfig(req.configId)
+    res.json({
+      configured: !!(config?.clientId && config?.apiKey),
+      // Differs from the requested configuration when that one no longer exists
+      configId: config?.id || null,
+      name: config?.name || null,
+      clientId: config?.clientId || null,
+      redirectUri: config?.redirectUri || null,
+      timeZone: config?.timeZone || null,
+      distanceUnit: config?.distanceUnit || null
+    })
   } catch (error) {
     res.status(500).json({ error: 'Failed to load configuration' })
   }
 })
 
-// Save app configuration
+// Save the selected configuration, or the first one. The API key is only required the first time;
+// omitting it keeps the saved one.
 app.post('/api/config', async (req, res) => {
   try {
-    const { clientId, apiKey, redirectUri } = req.body
-    
-    if (!clientId || !apiKey) {
-      return res.status(400).json({ error: 'Client ID and API Key are required' })
+    const { configs } = await storage.loadConfigs()
+    const existingConfig = configs.find(config => config.id === req.configId) || null
+    // Anyone can save the first configuration; changing one takes an admin
+    if (existingConfig && req.user?.role !== 'admin') {
+      return res.status(403).json({ error: 'Only admins can do this' })
     }
 
-    const config = {
-      clientId,
-      apiKey,
-      redirectUri: redirectUri || 'http://localhost:5173',
-      createdAt: new Date().toISOString()
+    const { config, status, error } = await parseConfigInput(req.body, existingConfig, configs, dimo.auth)
+    if (error) {
+      return res.status(status).json(error)
     }
 
     await storage.saveConfig(config)
-    res.json({ message: 'Configuration saved successfully', config })
+    audit(req, existingConfig ? 'config.updated' : 'config.created', { name: config.name, clientId: config.clientId }, config.id)
+    res.json({ message: 'Configuration saved successfully', config: getPublicConfig(await storage.loadConfig(config.id)) })
   } catch (error) {
     res.status(500).json({ error: 'Failed to save configuration' })
   }
 })
 
-// Delete app configuration
-app.delete('/api/config', async (req, res) => {
+// Rotate the API key; the new key is only saved once DIMO accepts it
+app.post('/api/config/api-key', requireAdmin, async (req, res) => {
   try {
-    const configPath = path.join(tmpDir, 'app-config.json')
-    
-    // Check if config file exists
+    const config = await storage.loadConfig(req.configId)
+    if (!config) {
+      return res.status(400).json({ error: 'No configuration found. Please configure the app first.' })
+    }
+
+    const { credentials, fieldErrors } = parseCredentials({ ...config, apiKey: req.body.apiKey })
+    const { apiKey } = credentials
+    if (fieldErrors?.apiKey) {
+      return res.status(400).json({ error: fieldErrors.apiKey, fieldErrors: { apiKey: fieldErrors.apiKey } })
+    }
+    if (apiKey === normalizeApiKey(config.apiKey)) {
+      return res.status(400).json({ error: 'The new API key is the same as the current one' })
+    }
+
+    const verification = await verifyCredentials(dimo.auth, credentials)
+    if (verification.error) {
+      return res.status(502).json({ error: `${verification.error} The current key was kept.` })
+    }
+    if (verification.fieldErrors) {
+      const reason = verification.fieldErrors.apiKey || verification.fieldErrors.clientId
+      return res.status(400).json({ error: `${reason}. The current key was kept.`, fieldErrors: verification.fieldErrors })
+    }
+
+    await storage.saveConfig({ ...config, apiKey, apiKeyUpdatedAt: new Date().toISOString() })
+    audit(req, 'config.apiKeyRotated', { fingerprint: getApiKeyFingerprint(apiKey) })
+    console.log('🔑 API key rotated')
+    res.json({ message: 'API key rotated successfully', config: getPublicConfig(await storage.loadConfig(req.configId)) })
+  } catch (error) {
+    console.error('Failed to rotate API key:', error)
+    res.status(500).json({ error: 'Failed to rotate API key' })
+  }
+})
+
+// Get the SMTP settings used to email reports (without the password)
+app.get('/api/config/email', requireAdmin, async (req, res) => {
+  try {
+    const config = await storage.loadConfig(req.configId)
+    if (!config) {
+      return res.status(404).json({ error: 'No configuration found' })
+    }
+    res.json({ email: getPublicEmailSettings(config.email) })
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to load email settings' })
+  }
+})
+
+// Save the SMTP settings, default recipients and whether reports are emailed after generation
+app.put('/api/config/email', requireAdmin, async (req, res) => {
+  try {
+    const config = await storage.loadConfig(req.configId)
+    if (!config) {
+      return res.status(400).json({ error: 'No configuration found. Please configure the app first.' })
+    }
+
+    const { email, error } = parseEmailSettings(req.body, config.email)
+    if (error) {
+      return res.status(400).json({ error })
+    }
+
+    await storage.saveConfig({ ...config, email })
+    audit(req, 'config.emailUpdated', { host: email.host, recipients: email.recipients, sendAfterGeneration: email.sendAfterGeneration })
+    res.json({ message: 'Email settings saved successfully', email: getPublicEmailSettings(email) })
+  } catch (error) {
+    console.error('Failed to save email settings:', error)
+    res.status(500).json({ error: 'Failed to save email settings' })
+  }
+})
+
+// Send a test email with the saved SMTP settings
+app.post('/api/config/email/test', requireAdmin, async (req, res) => {
+  try {
+    const config = await storage.loadConfig(req.configId)
+    if (!config?.email) {
+      return res.status(400).json({ error: 'Email settings are not configured' })
+    }
+
+    const { recipients, error } = parseRecipients(req.body.recipients || config.email.recipients)
+    if (error) {
+      return res.status(400).json({ error })
+    }
+    if (recipients.length === 0) {
+      return res.status(400).json({ error: 'Recipients are required' })
+    }
+
     try {
-      await fs.access(configPath)
-    } catch (error) {
+      const messageId = await mailer.sendTestEmail(config.email, recipients)
+      res.json({ message: 'Test email sent', messageId })
+    } catch (sendError) {
+      res.status(502).json({ error: `SMTP server rejected the test email: ${sendError.message}` })
+    }
+  } catch (error) {
+    console.error('Failed to send test email:', error)
+    res.status(500).json({ error: 'Failed to send test email' })
+  }
+})
+
+// Delete the selected configuration with the schedules and reports that belong to it
+app.delete('/api/config', requireAdmin, async (req, res) => {
+  try {
+    if (!req.configId || !(await storage.deleteConfig(req.configId))) {
       return res.status(404).json({ error: 'No configuration found' })
     }
 
-    // Delete the config file
-    await fs.unlink(configPath)
-    res.json({ message: 'Configuration deleted successfully' })
+    const scheduleCount = await reportScheduler.deleteConfigSchedules(req.configId)
+    const reportCount = await reportStore.deleteConfigReports(req.configId)
+    audit(req, 'config.deleted', { deletedSchedules: scheduleCount, deletedReports: reportCount })
+    console.log(`🗑️ Deleted configuration ${req.configId} with ${scheduleCount} schedule(s) and ${reportCount} report(s)`)
+    res.json({ message: 'Configuration deleted successfully', deletedSchedules: scheduleCount, deletedReports: reportCount })
   } catch (error) {
     console.error('Failed to delete configuration:', error)
     res.status(500).json({ error: 'Failed to delete configuration' })
@@ -138,14 +428,14 @@ app.delete('/api/config', async (req, res) => {
 })
 
 // Get developer JWT
-app.post('/api/auth/developer', async (req, res) => {
+app.post('/api/auth/developer', requireAdmin, async (req, res) => {
   try {
-    const config = await storage.loadConfig()
+    const config = await storage.loadConfig(req.configId)
     if (!config) {
       return res.status(400).json({ error: 'No configuration found. Please configure the app first.' })
     }
 
-    const developerJwt = await dimo.auth.getToken({
+    const developerJwt = await dimo.auth.getDeveloperJwt({
       client_id: config.clientId,
       domain: config.redirectUri,
       private_key: config.apiKey,
@@ -159,7 +449,7 @@ app.post('/api/auth/developer', async (req, res) => {
 })
 
 // Get vehicle JWT
-app.post('/api/auth/vehicle', async (req, res) => {
+app.post('/api/auth/vehicle', requireAdmin, async (req, res) => {
   try {
     const { tokenId, developerJwt } = req.body
     
@@ -182,13 +472,17 @@ app.post('/api/auth/vehicle', async (req, res) => {
 // Get vehicles (using existing GraphQL service logic)
 app.get('/api/vehicles', async (req, res) => {
   try {
-    const config = await storage.loadConfig()
+    const config = await storage.loadConfig(req.configId)
     if (!config) {
       return res.status(400).json({ error: 'No configuration found. Please configure the app first.' })
     }
 
+    if (!isWalletAddress(req.user.walletAddress)) {
+      return res.status(400).json({ error: 'Your session has no wallet address, so vehicles cannot be listed' })
+    }
+
     // Get developer JWT
-    const developerJwt = await dimo.auth.getToken({
+    const developerJwt = await dimo.auth.getDeveloperJwt({
       client_id: config.clientId,
       domain: config.redirectUri,
       private_key: config.apiKey,
@@ -196,8 +490,8 @@ app.get('/api/vehicles', async (req, res) => {
 
     // Query vehicles using DIMO SDK
     const vehiclesQuery = `
-      query GetVehicles($after: String) {
-        vehicles(first: 50, after: $after) {
+      query GetVehicles {
+        vehicles(${getPrivilegedVehiclesArguments(req.user.walletAddress, req.query.after || null, 50)}) {
           totalCount
           pageInfo {
             hasNextPage
@@ -223,9 +517,11 @@ app.get('/api/vehicles', async (req, res) => {
 
     const result = await dimo.identity.query({
       ...developerJwt,
-      query: vehiclesQuery,
-      variables: { after: req.query.after || null }
+      query: vehiclesQuery
     })
+    if (!result.data?.vehicles) {
+      throw new Error(result.errors?.[0]?.message || 'No vehicles returned')
+    }
 
     // Map the data to match frontend expectations
     const mappedVehicles = result.data.vehicles.nodes.map(vehicle => ({
@@ -246,161 +542,629 @@ app.get('/api/vehicles', async (req, res) => {
   }
 })
 
-// Generate vehicle report
+/**
+ * Validate the vehicles and options of a report request, shared by one-off and scheduled reports
+ * @param {Object} body - Request body
+ * @param {Object} config - App configuration supplying the default time zone and distance unit
+ * @returns {{params: Object|null, error: string|null}}
+ */
+function parseReportParams(body, config) {
+  const { vehicleTokenIds, error: vehicleError } = parseVehicleTokenIds(body.vehicleTokenIds)
+  if (vehicleError) {
+    return { params: null, error: vehicleError }
+  }
+
+  const { signals, error: signalsError } = parseReportSignals(body.signals)
+  if (signalsError) {
+    return { params: null, error: signalsError }
+  }
+
+  const { interval, error: intervalError } = parseReportInterval(body.interval)
+  if (intervalError) {
+    return { params: null, error: intervalError }
+  }
+
+  // Reports use the fleet's configured time zone and unit unless the request overrides them
+  const { timeZone, error: timeZoneError } = parseTimeZone(body.timeZone, config.timeZone || DEFAULT_TIME_ZONE)
+  if (timeZoneError) {
+    return { params: null, error: timeZoneError }
+  }
+
+  const { distanceUnit, error: distanceUnitError } = parseDistanceUnit(body.distanceUnit, config.distanceUnit || DEFAULT_DISTANCE_UNIT)
+  if (distanceUnitError) {
+    return { params: null, error: distanceUnitError }
+  }
+
+  const { format, error: formatError } = parseReportFormat(body.format)
+  if (formatError) {
+    return { params: null, error: formatError }
+  }
+
+  return { params: { vehicleTokenIds, signals, interval, timeZone, distanceUnit, format }, error: null }
+}
+
+/**
+ * Check that the logged-in user is privileged on every requested vehicle
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {Array} tokenIds - Requested vehicle token IDs
+ * @returns {Promise<{error: string, vehicles: Array}|null>} Response body for a 403, or null if access is allowed
+ */
+async function checkVehicleAccess(user, tokenIds) {
+  if (!isWalletAddress(user.walletAddress)) {
+    return { error: 'Your session has no wallet address, so vehicle access cannot be checked', vehicles: [] }
+  }
+
+  const unauthorized = await vehicleAccess.findUnauthorizedVehicles(user.walletAddress, tokenIds)
+  if (unauthorized.length === 0) {
+    return null
+  }
+
+  return {
+    error: `You don't have access to ${unauthorized.length === 1 ? 'vehicle' : 'vehicles'} ${unauthorized.map(v => v.tokenId).join(', ')}`,
+    vehicles: unauthorized
+  }
+}
+
+// Generate vehicle report (runs as a background job)
 app.post('/api/reports/generate', async (req, res) => {
   try {
-    const { vehicleTokenIds, startDate, endDate } = req.body
-    
-    if (!vehicleTokenIds || !Array.isArray(vehicleTokenIds) || vehicleTokenIds.length === 0) {
-      return res.status(400).json({ error: 'Vehicle token IDs are required' })
+    const { period, error: periodError } = parseReportPeriod(req.body.startDate, req.body.endDate)
+    if (periodError) {
+      return res.status(400).json({ error: periodError })
+    }
+
+    const config = await storage.loadConfig(req.configId)
+    if (!config) {
+      return res.status(400).json({ error: 'No configuration found. Please configure the app first.' })
+    }
+
+    const { params, error } = parseReportParams(req.body, config)
+    if (error) {
+      return res.status(400).json({ error })
+    }
+
+    const accessError = await checkVehicleAccess(req.user, params.vehicleTokenIds)
+    if (accessError) {
+      return res.status(403).json(accessError)
+    }
+
+    const job = reportJobs.createJob({
+      ...params,
+      ...period
+    }, config, {
+      walletAddress: req.user.walletAddress,
+      ip: req.ip,
+      userAgent: req.get('user-agent') || null
+    })
+    audit(req, 'report.requested', { jobId: job.id, ...period, vehicleTokenIds: params.vehicleTokenIds, format: params.format })
+
+    res.status(202).json({
+      message: 'Report generation started',
+      jobId: job.id,
+      statusUrl: `/api/reports/jobs/${job.id}`
+    })
+
+  } catch (error) {
+    console.error('Failed to start report generation:', error)
+    res.status(500).json({ error: 'Failed to generate report' })
+  }
+})
+
+// List the signals, aggregations and intervals that reports can be built from
+app.get('/api/reports/options', (req, res) => {
+  const signals = Object.entries(REPORT_SIGNALS).map(([name, definition]) => ({
+    name,
+    ...definition
+  }))
+  const intervals = Object.entries(REPORT_INTERVALS).map(([name, definition]) => ({
+    name,
+    label: definition.label
+  }))
+
+  const distanceUnits = Object.entries(DISTANCE_UNITS).map(([name, definition]) => ({
+    name,
+    ...definition
+  }))
+
+  const formats = Object.entries(REPORT_FORMATS).map(([name, definition]) => ({
+    name,
+    label: definition.label,
+    // Formats with a fixed interval ignore the requested one
+    interval: definition.fixedOptions?.interval || null
+  }))
+
+  res.json({
+    signals,
+    aggregations: SIGNAL_AGGREGATIONS,
+    intervals,
+    defaultInterval: DEFAULT_REPORT_INTERVAL,
+    distanceUnits,
+    formats,
+    defaultFormat: DEFAULT_REPORT_FORMAT,
+    schedulePeriods: Object.entries(SCHEDULE_PERIODS).map(([name, definition]) => ({
+      name,
+      label: definition.label
+    }))
+  })
+})
+
+// Get report job status
+app.get('/api/reports/jobs/:jobId', async (req, res) => {
+  try {
+    const job = reportJobs.getJob(req.params.jobId)
+    if (!job || job.configId !== req.configId || !canAccessReport(job, await vehicleAccess.getReportAccess(req.user))) {
+      return res.status(404).json({ error: 'Report job not found' })
     }
 
-    if (!startDate || !endDate) {
-      return res.status(400).json({ error: 'Start date and end date are required' })
+    res.json(reportJobs.getJobStatus(job))
+  } catch (error) {
+    console.error('Failed to get report job:', error)
+    res.status(500).json({ error: 'Failed to get report job' })
+  }
+})
+
+/**
+ * The report named in the request path, if it belongs to the selected configuration and the user may see it
+ * @returns {Promise<Object|null>}
+ */
+async function getSelectedReport(req) {
+  const report = await reportStore.getReport(req.params.id)
+  if (!report || report.configId !== req.configId) {
+    return null
+  }
+  return canAccessReport(report, await vehicleAccess.getReportAccess(req.user)) ? report : null
+}
+
+// Download a report by ID; only reports recorded in the store resolve to a file.
+// With pre-signed downloads, this redirects to the file in the storage.
+app.get('/api/reports/:id/download', async (req, res) => {
+  try {
+    // Signed links are handed out for one report and work without selecting its configuration
+    const signed = !!req.query.signature && downloadLinks.verify(req.params.id, req.query)
+    const report = signed ? await reportStore.getReport(req.params.id) : await getSelectedReport(req)
+    if (!report) {
+      return res.status(404).json({ error: 'Report not found' })
+    }
+
+    if (reportStorageOptions.downloadMode === 'presigned') {
+      return res.redirect(await reportStore.getDownloadUrl(report, reportStorageOptions.downloadUrlTtlSeconds))
     }
 
-    const config = await storage.loadConfig()
+    const file = await reportStore.openReport(report)
+    res.attachment(report.filename)
+    const contentType = getReportContentType(report.filename)
+    if (contentType) {
+      res.type(contentType)
+    }
+    await pipeline(file, res)
+  } catch (error) {
+    if (res.headersSent) {
+      // The download was cut off; there is no way to report it but closing the connection
+      console.error(`Report download ${req.params.id} failed:`, error)
+      return res.destroy()
+    }
+    if (error.code === 'ENOENT') {
+      return res.status(404).json({ error: 'Report file not found' })
+    }
+    console.error(`Report download ${req.params.id} failed:`, error)
+    res.status(500).json({ error: 'Failed to download report' })
+  }
+})
+
+// A short-lived URL the browser can download a report from without sending the user's token:
+// a pre-signed storage URL, or a signed link to the download route
+app.get('/api/reports/:id/download-url', async (req, res) => {
+  try {
+    const report = await getSelectedReport(req)
+    if (!report) {
+      return res.status(404).json({ error: 'Report not found' })
+    }
+
+    if (reportStorageOptions.downloadMode === 'presigned') {
+      const ttlSeconds = reportStorageOptions.downloadUrlTtlSeconds
+      return res.json({
+        url: await reportStore.getDownloadUrl(report, ttlSeconds),
+        expiresAt: new Date(Date.now() + ttlSeconds * 1000).toISOString()
+      })
+    }
+
+    res.json({
+      url: `/api/reports/${report.id}/download?${downloadLinks.sign(report.id)}`,
+      expiresAt: new Date(Date.now() + DOWNLOAD_LINK_TTL_HOURS * 3600 * 1000).toISOString()
+    })
+  } catch (error) {
+    console.error('Failed to create download URL:', error)
+    res.status(500).json({ error: 'Failed to create download URL' })
+  }
+})
+
+// List the selected configuration's reports the user may see, filtered by period or vehicle
+app.get('/api/reports', async (req, res) => {
+  const { query, error } = parseReportQuery(req.query)
+  if (error) {
+    return res.status(400).json({ error })
+  }
+
+  try {
+    const access = await vehicleAccess.getReportAccess(req.user)
+    res.json(await reportStore.listReports({ ...query, configId: req.configId, access }))
+  } catch (error) {
+    console.error('Failed to list reports:', error)
+    res.status(500).json({ error: 'Failed to list reports' })
+  }
+})
+
+// Get a report's metadata
+app.get('/api/reports/:id', async (req, res) => {
+  try {
+    const report = await getSelectedReport(req)
+    if (!report) {
+      return res.status(404).json({ error: 'Report not found' })
+    }
+    res.json(report)
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to get report' })
+  }
+})
+
+// Email a report as an attachment, to the given recipients or the configured ones
+app.post('/api/reports/:id/email', requireAdmin, async (req, res) => {
+  try {
+    const report = await getSelectedReport(req)
+    if (!report) {
+      return res.status(404).json({ error: 'Report not found' })
+    }
+
+    const config = await storage.loadConfig(req.configId)
+    if (!config?.email) {
+      return res.status(400).json({ error: 'Email settings are not configured' })
+    }
+
+    const { recipients, error } = parseRecipients(req.body.recipients || config.email.recipients)
+    if (error) {
+      return res.status(400).json({ error })
+    }
+    if (recipients.length === 0) {
+      return res.status(400).json({ error: 'Recipients are required' })
+    }
+
+    // The delivery is recorded with the report whether or not it succeeds
+    const delivery = await mailer.sendReport(report, config.email, recipients, 'manual')
+    audit(req, 'report.emailed', { reportId: report.id, filename: report.filename, recipients, status: delivery.status })
+    if (delivery.status === 'failed') {
+      return res.status(502).json({ error: `Failed to email report: ${delivery.error}`, delivery })
+    }
+    res.json(delivery)
+  } catch (error) {
+    console.error('Failed to email report:', error)
+    res.status(500).json({ error: 'Failed to email report' })
+  }
+})
+
+// Pin or unpin a report so retention never deletes it
+app.patch('/api/reports/:id', requireAdmin, async (req, res) => {
+  if (typeof req.body.pinned !== 'boolean') {
+    return res.status(400).json({ error: 'pinned must be true or false' })
+  }
+
+  try {
+    const report = await getSelectedReport(req)
+    if (!report) {
+      return res.status(404).json({ error: 'Report not found' })
+    }
+    const updated = await reportStore.setPinned(req.params.id, req.body.pinned)
+    audit(req, req.body.pinned ? 'report.pinned' : 'report.unpinned', { reportId: report.id, filename: report.filename })
+    res.json(updated)
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to update report' })
+  }
+})
+
+// Delete a report file and its metadata
+app.delete('/api/reports/:id', requireAdmin, async (req, res) => {
+  try {
+    const report = await getSelectedReport(req)
+    if (!report) {
+      return res.status(404).json({ error: 'Report not found' })
+    }
+    await reportStore.deleteReport(req.params.id)
+    audit(req, 'report.deleted', { reportId: report.id, filename: report.filename })
+    res.json({ message: 'Report deleted successfully' })
+  } catch (error) {
+    console.error('Failed to delete report:', error)
+    res.status(500).json({ error: 'Failed to delete report' })
+  }
+})
+
+/**
+ * Validate a schedule create or update request. Fields missing from an update keep their current values.
+ * @param {Object} body - Request body: name, rule, period, enabled and the report's vehicles and options
+ * @param {Object} config - App configuration
+ * @param {Object} current - Schedule being updated, if any
+ * @returns {{schedule: Object|null, error: string|null}}
+ */
+function parseScheduleInput(body, config, current = null) {
+  const name = body.name !== undefined ? body.name : current?.name
+  if (typeof name !== 'string' || !name.trim()) {
+    return { schedule: null, error: 'Schedule name is required' }
+  }
+
+  const { rule, error: ruleError } = parseScheduleRule(body.rule !== undefined ? body.rule : current?.rule)
+  if (ruleError) {
+    return { schedule: null, error: ruleError }
+  }
+
+  const { period, error: periodError } = parseSchedulePeriod(body.period !== undefined ? body.period : current?.period)
+  if (periodError) {
+    return { schedule: null, error: periodError }
+  }
+
+  const enabled = body.enabled !== undefined ? body.enabled : (current ? current.enabled : true)
+  if (typeof enabled !== 'boolean') {
+    return { schedule: null, error: 'enabled must be a boolean' }
+  }
+
+  const { params, error } = parseReportParams({ ...current?.params, ...body }, config)
+  if (error) {
+    return { schedule: null, error }
+  }
+
+  return { schedule: { name: name.trim(), rule, period, enabled, params }, error: null }
+}
+
+/**
+ * The schedule named in the request path, if it belongs to the selected configuration
+ * @returns {Object|null}
+ */
+function getSelectedSchedule(req) {
+  const schedule = reportScheduler.getSchedule(req.params.id)
+  return schedule && schedule.configId === req.configId ? schedule : null
+}
+
+// List the selected configuration's report schedules with their next and recent runs
+app.get('/api/schedules', requireAdmin, (req, res) => {
+  res.json({ schedules: reportScheduler.listSchedules(req.configId) })
+})
+
+// Create a report schedule
+app.post('/api/schedules', requireAdmin, async (req, res) => {
+  try {
+    const config = await storage.loadConfig(req.configId)
     if (!config) {
       return res.status(400).json({ error: 'No configuration found. Please configure the app first.' })
     }
 
-    // Get developer JWT
-    const developerJwt = await dimo.auth.getDeveloperJwt({
-      client_id: config.clientId,
-      domain: config.redirectUri,
-      private_key: config.apiKey,
-    })
+    const { schedule, error } = parseScheduleInput(req.body, config)
+    if (error) {
+      return res.status(400).json({ error })
+    }
 
-    // Generate report data
-    const reportData = []
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-')
-    const filename = `vehicle-report-${timestamp}.csv`
-
-    for (const tokenId of vehicleTokenIds) {
-      try {
-        // Get vehicle JWT
-        const vehicleJwt = await dimo.tokenexchange.exchange({
-          ...developerJwt,
-          privileges: [1],
-          tokenId: parseInt(tokenId)
-        })
+    const accessError = await checkVehicleAccess(req.user, schedule.params.vehicleTokenIds)
+    if (accessError) {
+      return res.status(403).json(accessError)
+    }
 
-        // Query vehicle telemetry data
-        const telemetryQuery = `
-          {
-            vinVCLatest(tokenId: ${tokenId}) {
-              vin
-            }
-            signals(tokenId: ${tokenId}, interval: "24h", from: "${startDate}T00:00:00Z", to: "${endDate}T23:59:59Z") {
-              powertrainTransmissionTravelledDistance (agg: MAX)
-              timestamp
-            }
-          }
-        `
+    // Runs are checked against the owner's vehicle access
+    const created = await reportScheduler.createSchedule({ ...schedule, configId: config.id, ownerAddress: req.user.walletAddress })
+    audit(req, 'schedule.created', { scheduleId: created.id, name: created.name })
+    res.status(201).json(created)
+  } catch (error) {
+    console.error('Failed to create schedule:', error)
+    res.status(500).json({ error: 'Failed to create schedule' })
+  }
+})
 
-        const telemetryResult = await dimo.telemetry.query({
-          ...vehicleJwt,
-          query: telemetryQuery
-        })
+// Update a report schedule, e.g. to change its rule or enable/disable it
+app.patch('/api/schedules/:id', requireAdmin, async (req, res) => {
+  try {
+    const current = getSelectedSchedule(req)
+    if (!current) {
+      return res.status(404).json({ error: 'Schedule not found' })
+    }
 
-        console.log(telemetryResult.data.signals)
-
-        // Extract VIN from the response
-        const vin = telemetryResult.data.vinVCLatest?.vin || 'N/A'
-
-        // Add to report data - create a record for each signal
-        if (telemetryResult.data.signals && Array.isArray(telemetryResult.data.signals)) {
-          telemetryResult.data.signals.forEach((signal, index) => {
-            const odometerReading = signal.powertrainTransmissionTravelledDistance || 0
-            let travelledDistance = 0
-            
-            // Calculate travelled distance as difference from previous reading
-            if (index > 0) {
-              const previousReading = telemetryResult.data.signals[index - 1].powertrainTransmissionTravelledDistance || 0
-              travelledDistance = odometerReading - previousReading
-            }
-            
-            reportData.push({
-              tokenId: tokenId,
-              vin: vin,
-              timestamp: signal.timestamp || 'N/A',
-              odometerReading: odometerReading,
-              travelledDistance: travelledDistance
-            })
-          })
-        } else {
-          // Fallback if no signals data
-          reportData.push({
-            tokenId: tokenId,
-            vin: vin,
-            timestamp: 'N/A',
-            odometerReading: 'N/A',
-            travelledDistance: 0
-          })
-        }
+    const config = await storage.loadConfig(req.configId)
+    if (!config) {
+      return res.status(400).json({ error: 'No configuration found. Please configure the app first.' })
+    }
 
-      } catch (error) {
-        console.error(`Failed to get data for vehicle ${tokenId}:`, error)
-        // Add error entry to report
-        reportData.push({
-          tokenId: tokenId,
-          vin: 'ERROR',
-          timestamp: 'ERROR',
-          odometerReading: 'ERROR',
-          travelledDistance: 0
-        })
+    const { schedule, error } = parseScheduleInput(req.body, config, current)
+    if (error) {
+      return res.status(400).json({ error })
+    }
+
+    // Changing the vehicles makes the editor the owner whose access runs are checked against
+    if (req.body.vehicleTokenIds !== undefined) {
+      const accessError = await checkVehicleAccess(req.user, schedule.params.vehicleTokenIds)
+      if (accessError) {
+        return res.status(403).json(accessError)
       }
+      schedule.ownerAddress = req.user.walletAddress
     }
 
-    // Generate CSV
-    const csvWriter = createObjectCsvWriter({
-      path: path.join(tmpDir, filename),
-      header: [
-        { id: 'tokenId', title: 'Token ID' },
-        { id: 'vin', title: 'VIN' },
-        { id: 'timestamp', title: 'Timestamp' },
-        { id: 'odometerReading', title: 'Odometer Reading' },
-        { id: 'travelledDistance', title: 'Travelled Distance' }
-      ]
-    })
+    const updated = await reportScheduler.updateSchedule(req.params.id, schedule)
+    audit(req, 'schedule.updated', { scheduleId: updated.id, name: updated.name, changes: Object.keys(req.body) })
+    res.json(updated)
+  } catch (error) {
+    console.error('Failed to update schedule:', error)
+    res.status(500).json({ error: 'Failed to update schedule' })
+  }
+})
 
-    await csvWriter.writeRecords(reportData)
+// Delete a report schedule; reports it already generated are kept
+app.delete('/api/schedules/:id', requireAdmin, async (req, res) => {
+  try {
+    const schedule = getSelectedSchedule(req)
+    if (!schedule) {
+      return res.status(404).json({ error: 'Schedule not found' })
+    }
+    await reportScheduler.deleteSchedule(req.params.id)
+    audit(req, 'schedule.deleted', { scheduleId: schedule.id, name: schedule.name })
+    res.json({ message: 'Schedule deleted successfully' })
+  } catch (error) {
+    console.error('Failed to delete schedule:', error)
+    res.status(500).json({ error: 'Failed to delete schedule' })
+  }
+})
 
-    res.json({
-      message: 'Report generated successfully',
-      filename: filename,
-      recordCount: reportData.length,
-      downloadUrl: `/api/reports/download/${filename}`
+// Run a schedule now, outside its rule
+app.post('/api/schedules/:id/run', requireAdmin, async (req, res) => {
+  try {
+    const schedule = getSelectedSchedule(req)
+    if (!schedule) {
+      return res.status(404).json({ error: 'Schedule not found' })
+    }
+
+    const run = await reportScheduler.runSchedule(schedule, 'manual')
+    audit(req, 'schedule.run', { scheduleId: schedule.id, name: schedule.name, jobId: run.id, error: run.error })
+    // Runs without a job ID failed before the report job could start
+    if (!run.id) {
+      return res.status(400).json({ error: run.error })
+    }
+
+    res.status(202).json({
+      message: 'Scheduled report started',
+      jobId: run.id,
+      statusUrl: `/api/reports/jobs/${run.id}`
     })
+  } catch (error) {
+    console.error('Failed to run schedule:', error)
+    res.status(500).json({ error: 'Failed to run schedule' })
+  }
+})
 
+// List the configuration's webhooks, without their secrets
+app.get('/api/webhooks', requireAdmin, async (req, res) => {
+  try {
+    const config = await storage.loadConfig(req.configId)
+    if (!config) {
+      return res.status(400).json({ error: 'No configuration found. Please configure the app first.' })
+    }
+    res.json({ webhooks: (config.webhooks || []).map(getPublicWebhook) })
   } catch (error) {
-    console.error('Failed to generate report:', error)
-    res.status(500).json({ error: 'Failed to generate report' })
+    console.error('Failed to list webhooks:', error)
+    res.status(500).json({ error: 'Failed to list webhooks' })
   }
 })
 
-// Download report
-app.get('/api/reports/download/:filename', async (req, res) => {
+// Add a webhook notified when reports complete; a signing secret is generated unless one is given.
+// The response is the only one that includes the secret, along with the rotation endpoint's.
+app.post('/api/webhooks', requireAdmin, async (req, res) => {
   try {
-    const filename = req.params.filename
-    const filePath = path.join(tmpDir, filename)
-    
-    // Check if file exists
-    await fs.access(filePath)
-    
-    res.download(filePath, filename)
+    const config = await storage.loadConfig(req.configId)
+    if (!config) {
+      return res.status(400).json({ error: 'No configuration found. Please configure the app first.' })
+    }
+
+    const { webhook, error } = parseWebhookInput(req.body)
+    if (error) {
+      return res.status(400).json({ error })
+    }
+
+    const created = { id: randomUUID(), ...webhook, createdAt: new Date().toISOString() }
+    await storage.saveConfig({ ...config, webhooks: [...(config.webhooks || []), created] })
+    audit(req, 'webhook.created', { webhookId: created.id, url: created.url })
+    res.status(201).json(created)
   } catch (error) {
-    res.status(404).json({ error: 'Report file not found' })
+    console.error('Failed to create webhook:', error)
+    res.status(500).json({ error: 'Failed to create webhook' })
   }
 })
 
-// List available reports
-app.get('/api/reports', async (req, res) => {
+// Update a webhook's url, secret or enabled flag
+app.patch('/api/webhooks/:id', requireAdmin, async (req, res) => {
   try {
-    const reports = await storage.listReports()
-    res.json({ reports })
+    const config = await storage.loadConfig(req.configId)
+    const current = config?.webhooks?.find(w => w.id === req.params.id)
+    if (!current) {
+      return res.status(404).json({ error: 'Webhook not found' })
+    }
+
+    const { webhook, error } = parseWebhookInput(req.body, current)
+    if (error) {
+      return res.status(400).json({ error })
+    }
+
+    const updated = { ...current, ...webhook }
+    await storage.saveConfig({ ...config, webhooks: config.webhooks.map(w => w.id === updated.id ? updated : w) })
+    audit(req, 'webhook.updated', { webhookId: updated.id, url: updated.url, enabled: updated.enabled, secretChanged: updated.secret !== current.secret })
+    res.json(getPublicWebhook(updated))
   } catch (error) {
-    res.status(500).json({ error: 'Failed to list reports' })
+    console.error('Failed to update webhook:', error)
+    res.status(500).json({ error: 'Failed to update webhook' })
+  }
+})
+
+// Replace a webhook's signing secret with a new random one, returned in the response
+app.post('/api/webhooks/:id/secret', requireAdmin, async (req, res) => {
+  try {
+    const config = await storage.loadConfig(req.configId)
+    const current = config?.webhooks?.find(w => w.id === req.params.id)
+    if (!current) {
+      return res.status(404).json({ error: 'Webhook not found' })
+    }
+
+    const updated = { ...current, secret: generateWebhookSecret() }
+    await storage.saveConfig({ ...config, webhooks: config.webhooks.map(w => w.id === updated.id ? updated : w) })
+    audit(req, 'webhook.secretRotated', { webhookId: updated.id, url: updated.url })
+    res.json({ ...getPublicWebhook(updated), secret: updated.secret })
+  } catch (error) {
+    console.error('Failed to rotate webhook secret:', error)
+    res.status(500).json({ error: 'Failed to rotate webhook secret' })
+  }
+})
+
+// Remove a webhook
+app.delete('/api/webhooks/:id', requireAdmin, async (req, res) => {
+  try {
+    const config = await storage.loadConfig(req.configId)
+    const webhook = config?.webhooks?.find(w => w.id === req.params.id)
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' })
+    }
+
+    await storage.saveConfig({ ...config, webhooks: config.webhooks.filter(w => w.id !== req.params.id) })
+    audit(req, 'webhook.deleted', { webhookId: webhook.id, url: webhook.url })
+    res.json({ message: 'Webhook deleted successfully' })
+  } catch (error) {
+    console.error('Failed to delete webhook:', error)
+    res.status(500).json({ error: 'Failed to delete webhook' })
+  }
+})
+
+// Send a test event to a webhook, e.g. to check a receiver's signature verification
+app.post('/api/webhooks/:id/test', requireAdmin, async (req, res) => {
+  try {
+    const config = await storage.loadConfig(req.configId)
+    const webhook = config?.webhooks?.find(w => w.id === req.params.id)
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' })
+    }
+
+    const delivery = webhooks.deliver(config.id, webhook, 'webhook.test', { message: 'Test delivery from Vehicle Reports' })
+    res.status(202).json(delivery)
+  } catch (error) {
+    console.error('Failed to send test webhook:', error)
+    res.status(500).json({ error: 'Failed to send test webhook' })
+  }
+})
+
+// The selected configuration's webhook delivery log, newest first; accepts `webhookId` to show one webhook's deliveries
+app.get('/api/webhook-deliveries', requireAdmin, (req, res) => {
+  res.json({ deliveries: webhooks.listDeliveries(req.configId, req.query.webhookId || null) })
+})
+
+// The selected configuration's audit log, newest first; accepts `action` and `limit`
+app.get('/api/audit', requireAdmin, (req, res) => {
+  const { query, error } = parseAuditQuery(req.query)
+  if (error) {
+    return res.status(400).json({ error })
+  }
+
+  try {
+    res.json({ entries: auditLog.list(req.configId, query) })
+  } catch (error) {
+    console.error('Failed to read the audit log:', error)
+    res.status(500).json({ error: 'Failed to read the audit log' })
   }
 })
 
@@ -424,6 +1188,7 @@ async function startServer() {
         cert: await fs.readFile(certPath)
       }
       
+      publicUrl ||= `https://localhost:${HTTPS_PORT}`
       https.createServer(options, app).listen(HTTPS_PORT, () => {
         console.log(`🔒 Vehicle Reports Backend (HTTPS) running on port ${HTTPS_PORT}`)
         console.log(`📁 Serving frontend from: ${path.join(__dirname, '../../dist')}`)
@@ -434,6 +1199,7 @@ async function startServer() {
       console.error('Failed to start HTTPS server:', error.message)
       console.log('Falling back to HTTP server...')
       
+      publicUrl ||= `http://localhost:${PORT}`
       app.listen(PORT, () => {
         console.log(`🚀 Vehicle Reports Backend (HTTP) running on port ${PORT}`)
         console.log(`📁 Serving frontend from: ${path.join(__dirname, '../../dist')}`)
@@ -441,6 +1207,7 @@ async function startServer() {
       })
     }
   } else {
+    publicUrl ||= `http://localhost:${PORT}`
     app.listen(PORT, () => {
       console.log(`🚀 Vehicle Reports Backend (HTTP) running on port ${PORT}`)
       console.log(`📁 Serving frontend from: ${path.join(__dirname, '../../dist')}`)
@@ -449,6 +1216,9 @@ async function startServer() {
   }
 }
 
-startServer().catch(console.error)
+startServer().catch(error => {
+  console.error('Failed to start server:', error.message)
+  process.exit(1)
+})
 
 export default app
@@ -0,0 +1,156 @@
+/**
+ * Time zone utilities - convert between UTC instants and wall-clock dates in an IANA time zone
+ * using only the built-in Intl API
+ */
+
+export const DEFAULT_TIME_ZONE = 'UTC'
+
+const formatterCache = new Map()
+
+function getFormatter(timeZone) {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }))
+  }
+  return formatterCache.get(timeZone)
+}
+
+/**
+ * Check whether a string is a time zone supported by the runtime
+ */
+export function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || timeZone.trim() === '') {
+    return false
+  }
+  try {
+    getFormatter(timeZone)
+    return true
+  } catch (error) {
+    return false
+  }
+}
+
+/**
+ * Validate the time zone requested for a report or configuration
+ * @param {string|undefined} input - Requested IANA time zone
+ * @param {string} fallback - Time zone used when none is given
+ * @returns {{timeZone: string|null, error: string|null}}
+ */
+export function parseTimeZone(input, fallback = DEFAULT_TIME_ZONE) {
+  if (input === undefined || input === null || input === '') {
+    return { timeZone: fallback, error: null }
+  }
+
+  if (!isValidTimeZone(input)) {
+    return { timeZone: null, error: `Unsupported time zone: ${input}` }
+  }
+
+  return { timeZone: input, error: null }
+}
+
+/**
+ * Get the wall-clock date and time parts of an instant in a time zone
+ */
+export function getZonedParts(date, timeZone) {
+  const parts = {}
+  for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+    if (type !== 'literal') {
+      parts[type] = parseInt(value)
+    }
+  }
+  return parts
+}
+
+/**
+ * Offset of a time zone from UTC at an instant, in minutes (e.g. -300 for New York in winter)
+ */
+export function getOffsetMinutes(date, timeZone) {
+  const parts = getZonedParts(date, timeZone)
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second)
+  const wholeSeconds = Math.floor(date.getTime() / 1000) * 1000
+  return Math.round((asUtc - wholeSeconds) / 60000)
+}
+
+/**
+ * Get the instant of local midnight on a calendar date in a time zone.
+ * Day and month overflow roll over like Date.UTC (e.g. day 32 of January is February 1).
+ * @param {number} year - Full year
+ * @param {number} monthIndex - Zero-based month
+ * @param {number} day - Day of month
+ */
+export function zonedMidnight(year, monthIndex, day, timeZone) {
+  return zonedTime(year, monthIndex, day, 0, 0, timeZone)
+}
+
+/**
+ * Get the instant of a wall-clock time on a calendar date in a time zone.
+ * Times skipped by a daylight saving change resolve to the instant just after the change.
+ */
+export function zonedTime(year, monthIndex, day, hour, minute, timeZone) {
+  const wallClock = Date.UTC(year, monthIndex, day, hour, minute)
+
+  // Correct the guess once more in case the offset differs on either side of a DST change
+  const firstOffset = getOffsetMinutes(new Date(wallClock), timeZone)
+  let instant = wallClock - firstOffset * 60000
+  const secondOffset = getOffsetMinutes(new Date(instant), timeZone)
+  if (secondOffset !== firstOffset) {
+    const corrected = wallClock - secondOffset * 60000
+    const correctedOffset = getOffsetMinutes(new Date(corrected), timeZone)
+    // A skipped wall-clock time matches neither offset; keep the later of the two instants
+    instant = corrected + correctedOffset * 60000 === wallClock ? corrected : Math.max(instant, corrected)
+  }
+
+  return new Date(instant)
+}
+
+/**
+ * Whether a value is a YYYY-MM-DD string naming a real calendar date (e.g. not 2025-02-30)
+ */
+export function isValidDate(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return false
+  }
+  const { year, monthIndex, day } = parseDateParts(value)
+  const date = new Date(Date.UTC(year, monthIndex, day))
+  return date.getUTCFullYear() === year && date.getUTCMonth() === monthIndex && date.getUTCDate() === day
+}
+
+/**
+ * Parse a YYYY-MM-DD date into its numeric parts
+ */
+export function parseDateParts(dateString) {
+  const [year, month, day] = dateString.split('-').map(Number)
+  return { year, monthIndex: month - 1, day }
+}
+
+/**
+ * Format an instant as an ISO 8601 string in a time zone, e.g. "2025-03-01T00:00:00-05:00".
+ * UTC keeps the "Z" suffix used by the DIMO API.
+ */
+export function formatInTimeZone(date, timeZone) {
+  const instant = date instanceof Date ? date : new Date(date)
+  if (isNaN(instant.getTime())) {
+    return null
+  }
+
+  const parts = getZonedParts(instant, timeZone)
+  const pad = value => String(value).padStart(2, '0')
+  const local = `${parts.year}-${pad(parts.month)}-${pad(parts.day)}T${pad(parts.hour)}:${pad(parts.minute)}:${pad(parts.second)}`
+
+  const offset = getOffsetMinutes(instant, timeZone)
+  if (offset === 0 && timeZone === DEFAULT_TIME_ZONE) {
+    return `${local}Z`
+  }
+
+  const sign = offset < 0 ? '-' : '+'
+  const absolute = Math.abs(offset)
+  return `${local}${sign}${pad(Math.floor(absolute / 60))}:${pad(absolute % 60)}`
+}
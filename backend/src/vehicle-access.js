@@ -0,0 +1,182 @@
+/**
+ * Vehicle access - checks which vehicles a wallet address holds privileges on, using the
+ * identity API's `privileged` filter (the same filter the vehicle list uses)
+ */
+
+const PAGE_SIZE = 100
+
+// Privileges are cached briefly so polling and repeated reports don't page through the identity API each time
+const CACHE_TTL_MS = 60 * 1000
+const MAX_CACHED_ADDRESSES = 1000
+
+const WALLET_ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/
+
+/**
+ * Whether a value is an Ethereum wallet address
+ * @param {*} address
+ * @returns {boolean}
+ */
+export function isWalletAddress(address) {
+  return typeof address === 'string' && WALLET_ADDRESS_PATTERN.test(address)
+}
+
+/**
+ * Validate the vehicles of a report request. Token IDs are positive integers, sent as numbers or as
+ * digit strings (checkbox values); each vehicle is kept once, in the order it was first requested.
+ * @param {*} input - Requested token IDs
+ * @returns {{vehicleTokenIds: Array<number>|null, error: string|null}}
+ */
+export function parseVehicleTokenIds(input) {
+  if (!Array.isArray(input) || input.length === 0) {
+    return { vehicleTokenIds: null, error: 'Vehicle token IDs are required' }
+  }
+
+  const tokenIds = new Set()
+  for (const value of input) {
+    const tokenId = typeof value === 'string' && /^\d+$/.test(value) ? Number(value) : value
+    if (!Number.isSafeInteger(tokenId) || tokenId < 1) {
+      return { vehicleTokenIds: null, error: `Invalid vehicle token ID: ${JSON.stringify(value)}` }
+    }
+    tokenIds.add(tokenId)
+  }
+  return { vehicleTokenIds: [...tokenIds], error: null }
+}
+
+/**
+ * Arguments of a `vehicles` query listing the vehicles an address is privileged on.
+ * The SDK's custom queries send the query text only, without variables, so the values are
+ * written into the text: the address once it is validated, the cursor as an escaped string.
+ * @param {string} address - Ethereum address
+ * @param {string|null} after - Cursor of the page to start after
+ * @param {number} pageSize - Vehicles per page
+ * @returns {string}
+ */
+export function getPrivilegedVehiclesArguments(address, after, pageSize) {
+  if (!isWalletAddress(address)) {
+    throw new Error(`Invalid wallet address: ${address}`)
+  }
+  return `first: ${pageSize}, after: ${after ? JSON.stringify(String(after)) : 'null'}, filterBy: { privileged: "${address}" }`
+}
+
+/**
+ * Whether a user may see a report or report job: they requested it, or they are privileged on
+ * every vehicle in it. Reports with no recorded vehicles, e.g. files found in the storage, are
+ * only shown to admins.
+ * @param {Object} report - Report metadata or report job, with its requester and vehicles
+ * @param {Object} access - The user's access (see VehicleAccessChecker.getReportAccess)
+ * @returns {boolean}
+ */
+export function canAccessReport(report, access) {
+  const requester = report.requester?.walletAddress
+  if (requester && access.walletAddress && requester.toLowerCase() === access.walletAddress) {
+    return true
+  }
+
+  const vehicles = report.vehicles || []
+  if (vehicles.length === 0) {
+    return access.includeUnrecorded
+  }
+  return vehicles.every(vehicle => access.tokenIds.includes(String(vehicle.tokenId)))
+}
+
+export class VehicleAccessChecker {
+  /**
+   * @param {Object} identity - DIMO SDK identity API client
+   */
+  constructor(identity) {
+    this.identity = identity
+    this.cache = new Map() // lowercase address -> { tokenIds, expiresAt }
+  }
+
+  /**
+   * Token IDs of every vehicle the address is privileged on
+   * @param {string} address - Ethereum address
+   * @returns {Promise<Set<string>>}
+   */
+  async getPrivilegedTokenIds(address) {
+    const key = address.toLowerCase()
+    const cached = this.cache.get(key)
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.tokenIds
+    }
+
+    const tokenIds = new Set()
+    let after = null
+    do {
+      const result = await this.identity.query({
+        query: `
+          query PrivilegedVehicles {
+            vehicles(${getPrivilegedVehiclesArguments(address, after, PAGE_SIZE)}) {
+              pageInfo {
+                hasNextPage
+                endCursor
+              }
+              nodes {
+                tokenId
+              }
+            }
+          }
+        `
+      })
+      if (!result.data?.vehicles) {
+        throw new Error(`Identity API query failed: ${result.errors?.[0]?.message || 'no vehicles returned'}`)
+      }
+      const { nodes, pageInfo } = result.data.vehicles
+      for (const node of nodes) {
+        tokenIds.add(String(node.tokenId))
+      }
+      after = pageInfo.hasNextPage ? pageInfo.endCursor : null
+    } while (after)
+
+    this.cacheTokenIds(key, tokenIds)
+    return tokenIds
+  }
+
+  /**
+   * Cache an address's token IDs, dropping expired entries and, past the size limit, the oldest ones
+   */
+  cacheTokenIds(key, tokenIds) {
+    const now = Date.now()
+    for (const [cachedKey, cached] of this.cache) {
+      if (cached.expiresAt <= now) {
+        this.cache.delete(cachedKey)
+      }
+    }
+    this.cache.delete(key)
+    // Maps iterate in insertion order, so the first keys are the oldest entries
+    for (const oldestKey of this.cache.keys()) {
+      if (this.cache.size < MAX_CACHED_ADDRESSES) {
+        break
+      }
+      this.cache.delete(oldestKey)
+    }
+    this.cache.set(key, { tokenIds, expiresAt: now + CACHE_TTL_MS })
+  }
+
+  /**
+   * Which reports a user may see (see canAccessReport)
+   * @param {Object} user - Authenticated user (see requireUser)
+   * @returns {Promise<{walletAddress: string|null, tokenIds: Array<string>, includeUnrecorded: boolean}>}
+   */
+  async getReportAccess(user) {
+    const hasAddress = isWalletAddress(user.walletAddress)
+    return {
+      walletAddress: hasAddress ? user.walletAddress.toLowerCase() : null,
+      tokenIds: hasAddress ? [...await this.getPrivilegedTokenIds(user.walletAddress)] : [],
+      includeUnrecorded: user.role === 'admin'
+    }
+  }
+
+  /**
+   * Check requested vehicles against an address's privileges
+   * @param {string} address - Ethereum address of the user
+   * @param {Array} tokenIds - Requested vehicle token IDs
+   * @returns {Promise<Array<{tokenId: *, error: string}>>} The vehicles the address may not access
+   */
+  async findUnauthorizedVehicles(address, tokenIds) {
+    const privileged = await this.getPrivilegedTokenIds(address)
+    return tokenIds
+      .filter(tokenId => !privileged.has(String(tokenId)))
+      .map(tokenId => ({ tokenId, error: `Vehicle ${tokenId} is not shared with ${address}` }))
+  }
+}
@@ -0,0 +1,102 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import { getApiKeyFingerprint, getPublicConfig, parseConfigInput, parseConfigName } from '../src/app-config.js'
+
+const CONFIG = {
+  id: 'config-1',
+  name: 'Fleet',
+  clientId: '0xclient',
+  apiKey: 'dimo-api-key',
+  apiKeyUpdatedAt: '2025-02-01T00:00:00.000Z',
+  redirectUri: 'https://example.com',
+  timeZone: 'UTC',
+  distanceUnit: 'km',
+  email: { host: 'smtp.example.com', password: 'smtp-password' },
+  webhooks: [{ id: 'hook-1', url: 'https://example.com/hooks', secret: 'webhook-secret-0123456789', enabled: true }],
+  createdAt: '2025-01-01T00:00:00.000Z',
+  updatedAt: '2025-02-01T00:00:00.000Z'
+}
+
+describe('getApiKeyFingerprint', () => {
+  it('identifies a key without revealing it', () => {
+    const fingerprint = getApiKeyFingerprint('dimo-api-key')
+    assert.match(fingerprint, /^sha256:[0-9a-f]{16}$/)
+    assert.equal(getApiKeyFingerprint('dimo-api-key'), fingerprint)
+    assert.notEqual(getApiKeyFingerprint('other-api-key'), fingerprint)
+    assert.equal(getApiKeyFingerprint(''), null)
+  })
+})
+
+describe('getPublicConfig', () => {
+  it('leaves out the API key, SMTP password and webhook secrets', () => {
+    const config = getPublicConfig(CONFIG)
+
+    assert.deepEqual(config.apiKey, { configured: true, fingerprint: getApiKeyFingerprint('dimo-api-key'), updatedAt: '2025-02-01T00:00:00.000Z' })
+    assert.deepEqual(config.email, { host: 'smtp.example.com', hasPassword: true })
+    assert.deepEqual(config.webhooks, [{ id: 'hook-1', url: 'https://example.com/hooks', enabled: true, hasSecret: true }])
+    assert.doesNotMatch(JSON.stringify(config), /dimo-api-key|smtp-password|webhook-secret/)
+  })
+
+  it('falls back to the creation time for configurations saved before keys were rotated', () => {
+    const { apiKeyUpdatedAt, updatedAt, ...legacy } = CONFIG
+    const config = getPublicConfig(legacy)
+    assert.equal(config.apiKey.updatedAt, '2025-01-01T00:00:00.000Z')
+    assert.equal(config.updatedAt, '2025-01-01T00:00:00.000Z')
+  })
+})
+
+describe('parseConfigName', () => {
+  const configs = [{ id: 'config-1', name: 'Fleet' }, { id: 'config-2', name: 'Rentals' }]
+
+  it('accepts unique names, trimmed', () => {
+    assert.deepEqual(parseConfigName('  Leases ', configs), { name: 'Leases', error: null })
+    // Renaming a configuration may keep its own name
+    assert.deepEqual(parseConfigName('fleet', configs, 'config-1'), { name: 'fleet', error: null })
+  })
+
+  it('rejects missing, long and duplicate names', () => {
+    assert.equal(parseConfigName('  ', configs).error, 'Configuration name is required')
+    assert.equal(parseConfigName(['Fleet'], configs).error, 'Configuration name is required')
+    assert.equal(parseConfigName('x'.repeat(61), configs).error, 'Configuration name must be at most 60 characters')
+    assert.equal(parseConfigName('RENTALS', configs, 'config-1').error, 'A configuration named "RENTALS" already exists')
+  })
+})
+
+describe('parseConfigInput', () => {
+  const API_KEY = 'a'.repeat(64)
+  const STORED = {
+    id: 'config-1',
+    name: 'Fleet',
+    clientId: '0x1111111111111111111111111111111111111111',
+    // Saved by an earlier version with the key as pasted
+    apiKey: `0x${API_KEY}`,
+    redirectUri: 'https://example.com',
+    timeZone: 'UTC',
+    distanceUnit: 'km',
+    createdAt: '2025-01-01T00:00:00.000Z'
+  }
+  const SETTINGS = { clientId: STORED.clientId, redirectUri: STORED.redirectUri, timeZone: 'Europe/Berlin', distanceUnit: 'mi' }
+
+  // Auth API that must not be reached when the credentials stay the same
+  const unreachableAuth = new Proxy({}, { get: () => () => { throw new Error('DIMO should not be called') } })
+
+  it('saves other settings of an existing configuration without a new API key', async () => {
+    const { config, error } = await parseConfigInput(SETTINGS, STORED, [STORED], unreachableAuth)
+
+    assert.equal(error, null)
+    assert.deepEqual([config.id, config.name, config.timeZone, config.distanceUnit], ['config-1', 'Fleet', 'Europe/Berlin', 'mi'])
+    assert.equal(config.apiKey, API_KEY)
+    assert.equal(config.apiKeyUpdatedAt, STORED.createdAt)
+  })
+
+  it('only changes the API key through rotation', async () => {
+    const { status, error } = await parseConfigInput({ ...SETTINGS, apiKey: 'b'.repeat(64) }, STORED, [STORED], unreachableAuth)
+    assert.equal(status, 400)
+    assert.equal(error.error, 'Use POST /api/config/api-key to change the API key')
+
+    // Sending the current key, with or without its prefix, is no change
+    for (const apiKey of [API_KEY, `0x${API_KEY}`]) {
+      assert.equal((await parseConfigInput({ ...SETTINGS, apiKey }, STORED, [STORED], unreachableAuth)).error, null)
+    }
+  })
+})
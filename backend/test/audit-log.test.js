@@ -0,0 +1,64 @@
+import assert from 'node:assert/strict'
+import { beforeEach, describe, it, mock } from 'node:test'
+import { AuditLog, MAX_AUDIT_PAGE_SIZE, parseAuditQuery } from '../src/audit-log.js'
+import { openDatabase } from '../src/database.js'
+
+// Node 20's test runner can misread the stores' emoji log lines as its own messages
+mock.method(console, 'log', () => {})
+
+const ADMIN = { walletAddress: '0x1111111111111111111111111111111111111111', email: 'admin@example.com' }
+
+describe('AuditLog', () => {
+  let auditLog
+
+  beforeEach(() => {
+    auditLog = new AuditLog(openDatabase(':memory:'))
+  })
+
+  it('lists a configuration\'s entries newest first', () => {
+    auditLog.record({ action: 'schedule.created', configId: 'config-1', actor: ADMIN, details: { id: 'schedule-1', name: 'Monthly' } })
+    auditLog.record({ action: 'schedule.deleted', configId: 'config-1', actor: ADMIN, details: { id: 'schedule-1' } })
+    auditLog.record({ action: 'config.created', configId: 'config-2' })
+
+    const entries = auditLog.list('config-1')
+    assert.deepEqual(entries.map(entry => entry.action), ['schedule.deleted', 'schedule.created'])
+    assert.deepEqual(entries[1].actor, ADMIN)
+    assert.deepEqual(entries[1].details, { id: 'schedule-1', name: 'Monthly' })
+    assert.ok(entries[1].at)
+
+    const [setup] = auditLog.list('config-2')
+    assert.deepEqual(setup.actor, { walletAddress: null, email: null })
+    assert.equal(setup.details, null)
+  })
+
+  it('filters by action and limits the number of entries', () => {
+    for (const action of ['report.deleted', 'report.pinned', 'report.deleted']) {
+      auditLog.record({ action, configId: 'config-1', actor: ADMIN })
+    }
+
+    assert.equal(auditLog.list('config-1', { action: 'report.deleted' }).length, 2)
+    assert.equal(auditLog.list('config-1', { limit: 1 })[0].action, 'report.deleted')
+  })
+
+  it('doesn\'t fail the action when the entry can\'t be written', () => {
+    const failing = new AuditLog({ prepare: () => { throw new Error('database is locked') } })
+    const errors = mock.method(console, 'error', () => {})
+
+    assert.doesNotThrow(() => failing.record({ action: 'config.updated', configId: 'config-1' }))
+    assert.equal(errors.mock.callCount(), 1)
+    errors.mock.restore()
+  })
+})
+
+describe('parseAuditQuery', () => {
+  it('accepts an action and a limit', () => {
+    assert.deepEqual(parseAuditQuery({}), { query: {}, error: null })
+    assert.deepEqual(parseAuditQuery({ action: 'schedule.created', limit: '10' }), { query: { action: 'schedule.created', limit: 10 }, error: null })
+  })
+
+  it('rejects limits out of range', () => {
+    for (const limit of ['0', '1.5', String(MAX_AUDIT_PAGE_SIZE + 1), 'all']) {
+      assert.equal(parseAuditQuery({ limit }).error, `limit must be an integer between 1 and ${MAX_AUDIT_PAGE_SIZE}`)
+    }
+  })
+})
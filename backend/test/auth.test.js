@@ -0,0 +1,190 @@
+import assert from 'node:assert/strict'
+import fs from 'node:fs/promises'
+import os from 'node:os'
+import path from 'node:path'
+import { after, before, describe, it } from 'node:test'
+import express from 'express'
+import { SignJWT, exportJWK, exportSPKI, generateKeyPair } from 'jose'
+import { DownloadLinkSigner, createTokenVerifier, getAuthOptions, requireUser } from '../src/auth.js'
+
+const ISSUER = 'https://auth.dimo.zone'
+const WALLET_ADDRESS = '0x2222222222222222222222222222222222222222'
+const CLIENT_ID = '0x3333333333333333333333333333333333333333'
+const OTHER_CLIENT_ID = '0x4444444444444444444444444444444444444444'
+
+const pick = ({ audience, configAudience }) => ({ audience, configAudience })
+
+let dir
+let keys
+let otherKeys
+
+function signToken(claims, { privateKey = keys.privateKey, issuer = ISSUER, expiresIn = '1h' } = {}) {
+  return new SignJWT(claims)
+    .setProtectedHeader({ alg: 'RS256', kid: 'test-key' })
+    .setSubject('user-1')
+    .setIssuer(issuer)
+    .setIssuedAt()
+    .setExpirationTime(expiresIn)
+    .sign(privateKey)
+}
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'auth-'))
+  keys = await generateKeyPair('RS256', { extractable: true })
+  otherKeys = await generateKeyPair('RS256')
+  await fs.writeFile(path.join(dir, 'public.pem'), await exportSPKI(keys.publicKey))
+  await fs.writeFile(path.join(dir, 'jwks.json'), JSON.stringify({
+    keys: [{ ...(await exportJWK(keys.publicKey)), alg: 'RS256', kid: 'test-key' }]
+  }))
+})
+
+after(() => fs.rm(dir, { recursive: true, force: true }))
+
+describe('createTokenVerifier', () => {
+  for (const keyFile of ['public.pem', 'jwks.json']) {
+    describe(`with a ${keyFile} key file`, () => {
+      let verifyToken
+
+      before(async () => {
+        verifyToken = await createTokenVerifier(getAuthOptions({ AUTH_PUBLIC_KEY_FILE: path.join(dir, keyFile) }))
+      })
+
+      it('returns the claims of a valid token', async () => {
+        const claims = await verifyToken(await signToken({ ethereum_address: WALLET_ADDRESS }))
+        assert.equal(claims.ethereum_address, WALLET_ADDRESS)
+        assert.equal(claims.sub, 'user-1')
+      })
+
+      it('rejects expired tokens', async () => {
+        const token = await signToken({}, { expiresIn: Math.floor(Date.now() / 1000) - 60 })
+        await assert.rejects(verifyToken(token), { code: 'ERR_JWT_EXPIRED' })
+      })
+
+      it('rejects tokens from another issuer', async () => {
+        await assert.rejects(verifyToken(await signToken({}, { issuer: 'https://example.com' })), { code: 'ERR_JWT_CLAIM_VALIDATION_FAILED' })
+      })
+
+      it('rejects tokens signed with another key', async () => {
+        await assert.rejects(verifyToken(await signToken({}, { privateKey: otherKeys.privateKey })))
+      })
+    })
+  }
+
+  it('checks the audience when one is configured', async () => {
+    const verifyToken = await createTokenVerifier(getAuthOptions({
+      AUTH_PUBLIC_KEY_FILE: path.join(dir, 'public.pem'),
+      AUTH_AUDIENCE: 'vehicle-reports'
+    }))
+    await assert.rejects(verifyToken(await signToken({})), { code: 'ERR_JWT_CLAIM_VALIDATION_FAILED' })
+    assert.ok(await verifyToken(await signToken({ aud: 'vehicle-reports' })))
+  })
+
+  it('checks the audience given with the token instead of the configured one', async () => {
+    const verifyToken = await createTokenVerifier(getAuthOptions({ AUTH_PUBLIC_KEY_FILE: path.join(dir, 'public.pem') }))
+    const token = await signToken({ aud: CLIENT_ID })
+    assert.ok(await verifyToken(token, CLIENT_ID))
+    await assert.rejects(verifyToken(token, OTHER_CLIENT_ID), { code: 'ERR_JWT_CLAIM_VALIDATION_FAILED', claim: 'aud' })
+    assert.ok(await verifyToken(await signToken({})))
+  })
+
+  it('fails when the key file can\'t be read', async () => {
+    await assert.rejects(createTokenVerifier(getAuthOptions({ AUTH_PUBLIC_KEY_FILE: path.join(dir, 'missing.pem') })), { code: 'ENOENT' })
+  })
+})
+
+describe('getAuthOptions', () => {
+  it('defaults to DIMO\'s keys and issuer, and lets an empty issuer disable the check', () => {
+    assert.deepEqual(getAuthOptions({}), {
+      jwksUrl: 'https://auth.dimo.zone/keys',
+      keyFile: null,
+      keyAlgorithm: 'RS256',
+      issuer: ISSUER,
+      audience: null,
+      configAudience: true
+    })
+    assert.equal(getAuthOptions({ AUTH_ISSUER: '' }).issuer, null)
+  })
+
+  it('requires the selected configuration\'s client ID as the audience unless AUTH_AUDIENCE is set', () => {
+    assert.deepEqual(pick(getAuthOptions({ AUTH_AUDIENCE: 'vehicle-reports' })), { audience: 'vehicle-reports', configAudience: false })
+    assert.deepEqual(pick(getAuthOptions({ AUTH_AUDIENCE: '' })), { audience: null, configAudience: false })
+  })
+})
+
+describe('requireUser', () => {
+  let server
+  let baseUrl
+
+  before(async () => {
+    const verifyToken = await createTokenVerifier(getAuthOptions({ AUTH_PUBLIC_KEY_FILE: path.join(dir, 'public.pem') }))
+    const app = express()
+    // Tokens must be issued for the client selected with the header, when there is one
+    app.use('/api', requireUser(verifyToken, req => req.path === '/public', req => req.get('X-Client-Id') || undefined))
+    app.get('/api/public', (req, res) => res.json({ user: req.user || null }))
+    app.get('/api/me', (req, res) => res.json({ user: req.user }))
+    await new Promise(resolve => { server = app.listen(0, '127.0.0.1', resolve) })
+    baseUrl = `http://127.0.0.1:${server.address().port}`
+  })
+
+  after(() => new Promise(resolve => server.close(resolve)))
+
+  const request = async (route, token, headers = {}) => {
+    const response = await fetch(`${baseUrl}${route}`, {
+      headers: { ...headers, ...(token ? { Authorization: `Bearer ${token}` } : {}) }
+    })
+    return { status: response.status, body: await response.json() }
+  }
+
+  it('answers 401 without a token or with an invalid one', async () => {
+    assert.deepEqual(await request('/api/me'), { status: 401, body: { error: 'Authentication required' } })
+    assert.deepEqual(await request('/api/me', 'not-a-jwt'), { status: 401, body: { error: 'Invalid authentication token' } })
+  })
+
+  it('tells expired sessions apart', async () => {
+    const token = await signToken({}, { expiresIn: Math.floor(Date.now() / 1000) - 60 })
+    assert.deepEqual(await request('/api/me', token), { status: 401, body: { error: 'Session expired. Please log in again.' } })
+  })
+
+  it('rejects tokens issued for another client than the request\'s', async () => {
+    const token = await signToken({ aud: CLIENT_ID })
+    assert.equal((await request('/api/me', token, { 'X-Client-Id': CLIENT_ID })).status, 200)
+    assert.deepEqual(await request('/api/me', token, { 'X-Client-Id': OTHER_CLIENT_ID }), { status: 401, body: { error: 'Invalid authentication token' } })
+  })
+
+  it('lets public requests through without a token', async () => {
+    assert.deepEqual(await request('/api/public'), { status: 200, body: { user: null } })
+  })
+
+  it('sets the user from the token', async () => {
+    const { status, body } = await request('/api/me', await signToken({ ethereum_address: WALLET_ADDRESS, email: 'viewer@example.com' }))
+    assert.equal(status, 200)
+    assert.equal(body.user.subject, 'user-1')
+    assert.equal(body.user.walletAddress, WALLET_ADDRESS)
+    assert.equal(body.user.email, 'viewer@example.com')
+  })
+})
+
+describe('DownloadLinkSigner', () => {
+  const signer = new DownloadLinkSigner('download-secret', 1)
+  const now = Date.UTC(2025, 0, 1)
+  const query = link => Object.fromEntries(new URLSearchParams(link))
+
+  it('accepts links it signed until they expire', () => {
+    const link = query(signer.sign('report-1', now))
+    assert.equal(signer.verify('report-1', link, now + 59 * 60 * 1000), true)
+    assert.equal(signer.verify('report-1', link, now + 61 * 60 * 1000), false)
+  })
+
+  it('rejects links for another report, with another secret or a changed expiry', () => {
+    const link = query(signer.sign('report-1', now))
+    assert.equal(signer.verify('report-2', link, now), false)
+    assert.equal(new DownloadLinkSigner('other-secret', 1).verify('report-1', link, now), false)
+    assert.equal(signer.verify('report-1', { ...link, expires: String(Number(link.expires) + 3600) }, now), false)
+    assert.equal(signer.verify('report-1', { expires: link.expires }, now), false)
+  })
+
+  it('requires a signing secret', () => {
+    assert.throws(() => new DownloadLinkSigner('', 1), /signing secret is required/)
+    assert.throws(() => new DownloadLinkSigner(undefined, 1), /signing secret is required/)
+  })
+})
@@ -0,0 +1,82 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import { getErrorStatus, isRetryableError, runWithConcurrency, withRetry } from '../src/concurrency.js'
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+describe('runWithConcurrency', () => {
+  it('never runs more workers than the limit and keeps results in item order', async () => {
+    let running = 0
+    let maxRunning = 0
+    const results = await runWithConcurrency([30, 10, 20, 5, 15], 2, async (delay, index) => {
+      running++
+      maxRunning = Math.max(maxRunning, running)
+      await sleep(delay)
+      running--
+      return index
+    })
+
+    assert.equal(maxRunning, 2)
+    assert.deepEqual(results, [0, 1, 2, 3, 4])
+  })
+
+  it('handles no items', async () => {
+    assert.deepEqual(await runWithConcurrency([], 5, async () => 1), [])
+  })
+})
+
+describe('getErrorStatus', () => {
+  it('reads the status from the error, its response or the SDK message', () => {
+    assert.equal(getErrorStatus({ statusCode: 429 }), 429)
+    assert.equal(getErrorStatus({ response: { status: 503 } }), 503)
+    assert.equal(getErrorStatus(new Error('Request failed. Status code: 502')), 502)
+    assert.equal(getErrorStatus(new Error('boom')), null)
+  })
+})
+
+describe('isRetryableError', () => {
+  it('retries rate limits, server errors and network failures only', () => {
+    assert.equal(isRetryableError({ status: 429 }), true)
+    assert.equal(isRetryableError({ status: 500 }), true)
+    assert.equal(isRetryableError(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' })), true)
+    assert.equal(isRetryableError(new Error('Too Many Requests')), true)
+    assert.equal(isRetryableError({ status: 401 }), false)
+    assert.equal(isRetryableError(new Error('Invalid token ID')), false)
+  })
+})
+
+describe('withRetry', () => {
+  it('retries transient failures until the call succeeds', async () => {
+    const retries = []
+    let calls = 0
+    const result = await withRetry(async () => {
+      if (++calls < 3) {
+        throw Object.assign(new Error('rate limited'), { status: 429 })
+      }
+      return 'ok'
+    }, { baseDelay: 1, onRetry: (error, attempt, delay) => retries.push({ attempt, delay }) })
+
+    assert.equal(result, 'ok')
+    assert.deepEqual(retries.map(retry => retry.attempt), [1, 2])
+    // Backoff doubles, with jitter in the upper half of each delay
+    assert.ok(retries[1].delay >= 1 && retries[1].delay <= 2)
+  })
+
+  it('gives up after the last retry', async () => {
+    let calls = 0
+    await assert.rejects(withRetry(async () => {
+      calls++
+      throw Object.assign(new Error('unavailable'), { status: 503 })
+    }, { maxRetries: 2, baseDelay: 1 }), /unavailable/)
+    assert.equal(calls, 3)
+  })
+
+  it('doesn\'t retry errors that won\'t go away', async () => {
+    let calls = 0
+    await assert.rejects(withRetry(async () => {
+      calls++
+      throw Object.assign(new Error('forbidden'), { status: 403 })
+    }, { baseDelay: 1 }), /forbidden/)
+    assert.equal(calls, 1)
+  })
+})
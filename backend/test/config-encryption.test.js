@@ -0,0 +1,125 @@
+import assert from 'node:assert/strict'
+import { randomBytes } from 'node:crypto'
+import fs from 'node:fs/promises'
+import os from 'node:os'
+import path from 'node:path'
+import { after, before, describe, it, mock } from 'node:test'
+import {
+  ConfigCipher,
+  getEncryptionKeyOptions,
+  hasEncryptedSecrets,
+  hasPlaintextSecrets,
+  isEncryptedValue,
+  loadConfigCipher
+} from '../src/config-encryption.js'
+
+// Node 20's test runner can misread the emoji log line of a generated key as its own message
+mock.method(console, 'log', () => {})
+
+const CONFIG = {
+  clientId: '0xclient',
+  apiKey: 'dimo-api-key',
+  redirectUri: 'https://example.com',
+  email: { host: 'smtp.example.com', password: 'smtp-password' },
+  webhooks: [{ id: 'hook-1', url: 'https://example.com/hooks', secret: 'webhook-secret-0123456789' }]
+}
+
+describe('ConfigCipher', () => {
+  const cipher = new ConfigCipher(randomBytes(32))
+
+  it('decrypts what it encrypted, with a fresh IV each time', () => {
+    const encrypted = cipher.encrypt('dimo-api-key')
+    assert.ok(isEncryptedValue(encrypted))
+    assert.notEqual(cipher.encrypt('dimo-api-key'), encrypted)
+    assert.equal(cipher.decrypt(encrypted), 'dimo-api-key')
+  })
+
+  it('rejects tampered values', () => {
+    const data = Buffer.from(cipher.encrypt('dimo-api-key').slice('enc:v1:'.length), 'base64')
+    data[data.length - 1] ^= 1
+    assert.throws(() => cipher.decrypt(`enc:v1:${data.toString('base64')}`), /Failed to decrypt the configuration/)
+  })
+
+  it('rejects values encrypted with another key', () => {
+    const other = new ConfigCipher(randomBytes(32))
+    assert.throws(() => cipher.decrypt(other.encrypt('dimo-api-key')), /encryption key does not match/)
+  })
+
+  it('encrypts and decrypts every secret in a configuration, leaving the rest as it is', () => {
+    const encrypted = cipher.encryptSecrets(CONFIG)
+
+    assert.ok(isEncryptedValue(encrypted.apiKey))
+    assert.ok(isEncryptedValue(encrypted.email.password))
+    assert.ok(isEncryptedValue(encrypted.webhooks[0].secret))
+    assert.equal(encrypted.clientId, CONFIG.clientId)
+    assert.equal(encrypted.email.host, CONFIG.email.host)
+    assert.doesNotMatch(JSON.stringify(encrypted), /dimo-api-key|smtp-password|webhook-secret/)
+    assert.deepEqual(cipher.decryptSecrets(encrypted), CONFIG)
+  })
+
+  it('migrates plaintext secrets without encrypting encrypted ones twice', () => {
+    const partial = { ...CONFIG, apiKey: cipher.encrypt('dimo-api-key') }
+    assert.ok(hasEncryptedSecrets(partial))
+    assert.ok(hasPlaintextSecrets(partial))
+
+    const migrated = cipher.encryptSecrets(partial)
+    assert.equal(migrated.apiKey, partial.apiKey)
+    assert.equal(hasPlaintextSecrets(migrated), false)
+    assert.deepEqual(cipher.decryptSecrets(migrated), CONFIG)
+    // Plaintext secrets not migrated yet are read as they are
+    assert.deepEqual(cipher.decryptSecrets(partial), CONFIG)
+  })
+
+  it('ignores secrets that aren\'t set', () => {
+    const config = { clientId: '0xclient', apiKey: 'dimo-api-key', email: null }
+    assert.equal(cipher.encryptSecrets(config).email, null)
+    assert.equal(hasPlaintextSecrets({ ...config, apiKey: '' }), false)
+  })
+
+  it('derives a stable key per purpose that reveals nothing about the encryption key', () => {
+    const key = randomBytes(32)
+    const derived = new ConfigCipher(key).deriveKey('download-links')
+
+    assert.match(derived, /^[0-9a-f]{64}$/)
+    assert.equal(new ConfigCipher(key).deriveKey('download-links'), derived)
+    assert.notEqual(new ConfigCipher(key).deriveKey('other'), derived)
+    assert.notEqual(new ConfigCipher(randomBytes(32)).deriveKey('download-links'), derived)
+    assert.notEqual(derived, key.toString('hex'))
+  })
+})
+
+describe('loadConfigCipher', () => {
+  let dir
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'config-encryption-'))
+  })
+
+  after(() => fs.rm(dir, { recursive: true, force: true }))
+
+  it('uses the key from the environment, given as hex or base64', async () => {
+    const key = randomBytes(32)
+    const fromHex = await loadConfigCipher(getEncryptionKeyOptions({ CONFIG_ENCRYPTION_KEY: key.toString('hex') }, path.join(dir, 'unused.key')), false)
+    const fromBase64 = await loadConfigCipher({ key: key.toString('base64'), keyFile: path.join(dir, 'unused.key') }, false)
+
+    assert.equal(fromBase64.decrypt(fromHex.encrypt('secret')), 'secret')
+    await assert.rejects(fs.access(path.join(dir, 'unused.key')), { code: 'ENOENT' })
+  })
+
+  it('rejects keys that aren\'t 32 bytes', async () => {
+    await assert.rejects(loadConfigCipher({ key: 'too-short', keyFile: null }, false), /CONFIG_ENCRYPTION_KEY must be a 32-byte key/)
+  })
+
+  it('generates a key file readable only by the owner and reuses it', async () => {
+    const keyFile = path.join(dir, 'keys', 'config.key')
+    const generated = await loadConfigCipher({ key: null, keyFile }, false)
+
+    assert.equal((await fs.stat(keyFile)).mode & 0o777, 0o600)
+    const reloaded = await loadConfigCipher({ key: null, keyFile }, true)
+    assert.equal(reloaded.decrypt(generated.encrypt('secret')), 'secret')
+  })
+
+  it('refuses to generate a key when encrypted data exists', async () => {
+    await assert.rejects(loadConfigCipher({ key: null, keyFile: path.join(dir, 'missing.key') }, true), /no encryption key was found/)
+  })
+})
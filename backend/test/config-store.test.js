@@ -0,0 +1,102 @@
+import assert from 'node:assert/strict'
+import { randomBytes } from 'node:crypto'
+import { beforeEach, describe, it, mock } from 'node:test'
+import { ConfigStore } from '../src/config-store.js'
+import { openDatabase } from '../src/database.js'
+
+// Node 20's test runner can misread the stores' emoji log lines as its own messages
+mock.method(console, 'log', () => {})
+
+const KEY_OPTIONS = { key: randomBytes(32).toString('hex'), keyFile: null }
+
+const config = (id, name) => ({
+  id,
+  name,
+  clientId: `client-${id}`,
+  redirectUri: 'https://example.com',
+  apiKey: `api-key-${id}`,
+  webhooks: [{ id: 'hook-1', url: 'https://example.com/hooks', secret: 'webhook-secret-0123456789' }]
+})
+
+describe('ConfigStore', () => {
+  let db
+  let store
+
+  beforeEach(async () => {
+    db = openDatabase(':memory:')
+    store = new ConfigStore(db)
+    await store.init(KEY_OPTIONS)
+  })
+
+  it('saves configurations with their secrets encrypted and loads them decrypted', async () => {
+    await store.saveConfig(config('config-1', 'Fleet'))
+
+    const [stored] = store.readConfigs()
+    assert.match(stored.apiKey, /^enc:v1:/)
+    assert.match(stored.webhooks[0].secret, /^enc:v1:/)
+    assert.equal(stored.clientId, 'client-config-1')
+
+    const loaded = await store.loadConfig('config-1')
+    assert.equal(loaded.apiKey, 'api-key-config-1')
+    assert.equal(loaded.webhooks[0].secret, 'webhook-secret-0123456789')
+    assert.ok(loaded.updatedAt)
+    assert.equal(await store.loadConfig('missing'), null)
+  })
+
+  it('makes the first configuration the default and replaces configurations by ID', async () => {
+    await store.saveConfig(config('config-1', 'Fleet'))
+    await store.saveConfig(config('config-2', 'Rentals'))
+    await store.saveConfig({ ...config('config-2', 'Rentals'), name: 'Rental fleet' })
+
+    const { defaultConfigId, configs } = await store.loadConfigs()
+    assert.equal(defaultConfigId, 'config-1')
+    assert.deepEqual(configs.map(c => c.name), ['Fleet', 'Rental fleet'])
+    assert.equal((await store.loadConfig()).id, 'config-1')
+  })
+
+  it('rejects a second configuration with the same name', async () => {
+    await store.saveConfig(config('config-1', 'Fleet'))
+    await assert.rejects(store.saveConfig(config('config-2', 'fleet')), /UNIQUE constraint failed/)
+  })
+
+  it('moves the default to the oldest remaining configuration when the default is deleted', async () => {
+    await store.saveConfig(config('config-1', 'Fleet'))
+    await store.saveConfig(config('config-2', 'Rentals'))
+
+    assert.equal(await store.deleteConfig('config-1'), true)
+    assert.equal((await store.loadConfigs()).defaultConfigId, 'config-2')
+    assert.equal(await store.deleteConfig('config-1'), false)
+  })
+
+  it('encrypts the plaintext secrets of imported configurations on init', async () => {
+    store.importConfig({ ...config('config-1', 'Imported'), email: { host: 'smtp.example.com', password: 'smtp-password' } }, true)
+
+    const restarted = new ConfigStore(db)
+    await restarted.init(KEY_OPTIONS)
+
+    const [stored] = restarted.readConfigs()
+    assert.match(stored.apiKey, /^enc:v1:/)
+    assert.match(stored.email.password, /^enc:v1:/)
+    const loaded = await restarted.loadConfig()
+    assert.deepEqual([loaded.apiKey, loaded.email.password], ['api-key-config-1', 'smtp-password'])
+  })
+
+  it('drops the 0x prefix from stored API keys on init', async () => {
+    store.importConfig({ ...config('config-1', 'Imported'), apiKey: '0xapi-key-config-1' }, true)
+    await store.saveConfig({ ...config('config-2', 'Fleet'), apiKey: '0Xapi-key-config-2' })
+
+    const restarted = new ConfigStore(db)
+    await restarted.init(KEY_OPTIONS)
+
+    const { configs } = await restarted.loadConfigs()
+    assert.deepEqual(configs.map(c => c.apiKey), ['api-key-config-1', 'api-key-config-2'])
+    assert.ok(restarted.readConfigs().every(stored => stored.apiKey.startsWith('enc:v1:')))
+  })
+
+  it('fails to start with a key that doesn\'t match the encrypted secrets', async () => {
+    await store.saveConfig(config('config-1', 'Fleet'))
+
+    const restarted = new ConfigStore(db)
+    await assert.rejects(restarted.init({ key: randomBytes(32).toString('hex'), keyFile: null }), /encryption key does not match/)
+  })
+})
@@ -0,0 +1,49 @@
+import assert from 'node:assert/strict'
+import fs from 'node:fs/promises'
+import os from 'node:os'
+import path from 'node:path'
+import { after, before, describe, it, mock } from 'node:test'
+import { getDatabaseFile, openDatabase } from '../src/database.js'
+
+// Node 20's test runner can misread the stores' emoji log lines as its own messages
+mock.method(console, 'log', () => {})
+
+describe('getDatabaseFile', () => {
+  it('uses DATABASE_FILE, falling back to the default', () => {
+    assert.equal(getDatabaseFile({ DATABASE_FILE: '/data/reports.db' }, '/tmp/app.db'), '/data/reports.db')
+    assert.equal(getDatabaseFile({}, '/tmp/app.db'), '/tmp/app.db')
+  })
+})
+
+describe('openDatabase', () => {
+  let dir
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'database-'))
+  })
+
+  after(() => fs.rm(dir, { recursive: true, force: true }))
+
+  it('creates the file and its directory and applies the migrations once', () => {
+    const filePath = path.join(dir, 'data', 'app.db')
+    const db = openDatabase(filePath)
+    const versions = db.prepare('SELECT version FROM schema_migrations').pluck().all()
+    assert.deepEqual(versions, [1, 2])
+    db.prepare("INSERT INTO audit_log (at, action) VALUES ('2025-01-01T00:00:00Z', 'config.created')").run()
+    db.close()
+
+    const reopened = openDatabase(filePath)
+    assert.deepEqual(reopened.prepare('SELECT version FROM schema_migrations').pluck().all(), versions)
+    assert.equal(reopened.prepare('SELECT COUNT(*) FROM audit_log').pluck().get(), 1)
+    reopened.close()
+  })
+
+  it('refuses a database from a newer version of the app', () => {
+    const filePath = path.join(dir, 'newer.db')
+    const db = openDatabase(filePath)
+    db.prepare("INSERT INTO schema_migrations (version, name, applied_at) VALUES (99, 'future', '2030-01-01T00:00:00Z')").run()
+    db.close()
+
+    assert.throws(() => openDatabase(filePath), /database schema \(version 99\) is newer than this version of the app supports/)
+  })
+})
@@ -0,0 +1,95 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import { normalizeApiKey, parseCredentials, verifyCredentials } from '../src/dimo-credentials.js'
+
+const CLIENT_ID = '0x1111111111111111111111111111111111111111'
+const API_KEY = 'a'.repeat(64)
+const CREDENTIALS = { clientId: CLIENT_ID, apiKey: API_KEY, redirectUri: 'https://example.com' }
+
+// DIMO error as the SDK raises it for an error response
+const dimoError = (statusCode, message) => Object.assign(new Error(`API call error: ${message}\nStatus code: ${statusCode}`), { statusCode })
+
+// Auth API whose steps succeed unless given an error to throw
+function createAuth({ generateError, signError, submitError } = {}) {
+  const auth = { calls: [] }
+  auth.generateChallenge = async options => {
+    auth.calls.push(['generateChallenge', options])
+    if (generateError) {
+      throw generateError
+    }
+    return { challenge: 'challenge', state: 'state' }
+  }
+  auth.signChallenge = async options => {
+    auth.calls.push(['signChallenge', options])
+    if (signError) {
+      throw signError
+    }
+    return '0xsignature'
+  }
+  auth.submitChallenge = async options => {
+    auth.calls.push(['submitChallenge', options])
+    if (submitError) {
+      throw submitError
+    }
+    return { access_token: 'token' }
+  }
+  return auth
+}
+
+describe('normalizeApiKey', () => {
+  it('trims the key and drops a 0x prefix', () => {
+    assert.equal(normalizeApiKey(` 0X${API_KEY} `), API_KEY)
+    assert.equal(normalizeApiKey(API_KEY), API_KEY)
+    assert.equal(normalizeApiKey(undefined), '')
+  })
+})
+
+describe('parseCredentials', () => {
+  it('accepts valid credentials, trimming them and dropping a pasted 0x from the key', () => {
+    assert.deepEqual(parseCredentials({ clientId: ` ${CLIENT_ID} `, apiKey: `0x${API_KEY}`, redirectUri: 'https://example.com ' }), {
+      credentials: CREDENTIALS,
+      fieldErrors: null
+    })
+  })
+
+  it('reports every invalid field', () => {
+    assert.deepEqual(parseCredentials({ clientId: '0x123', apiKey: 'not-hex', redirectUri: 'ftp://example.com' }).fieldErrors, {
+      clientId: 'Client ID must be an address: 0x followed by 40 hexadecimal characters',
+      apiKey: 'API Key must be 64 hexadecimal characters',
+      redirectUri: 'Redirect URI must be an http or https URL'
+    })
+    assert.deepEqual(parseCredentials({}).fieldErrors, {
+      clientId: 'Client ID is required',
+      apiKey: 'API Key is required',
+      redirectUri: 'Redirect URI must be an http or https URL'
+    })
+  })
+})
+
+describe('verifyCredentials', () => {
+  it('completes the challenge with the credentials', async () => {
+    const auth = createAuth()
+    assert.deepEqual(await verifyCredentials(auth, CREDENTIALS), { fieldErrors: null, error: null })
+    assert.deepEqual(auth.calls.map(([step]) => step), ['generateChallenge', 'signChallenge', 'submitChallenge'])
+    assert.deepEqual(auth.calls[1][1], { message: 'challenge', private_key: API_KEY })
+  })
+
+  it('blames the client ID when DIMO won\'t issue a challenge', async () => {
+    const { fieldErrors } = await verifyCredentials(createAuth({ generateError: dimoError(400, 'invalid client_id') }), CREDENTIALS)
+    assert.deepEqual(fieldErrors, { clientId: 'DIMO did not accept this client ID with redirect URI https://example.com: invalid client_id' })
+  })
+
+  it('blames the API key when it can\'t sign or DIMO rejects the signature', async () => {
+    assert.deepEqual((await verifyCredentials(createAuth({ signError: new Error('invalid private key') }), CREDENTIALS)).fieldErrors, {
+      apiKey: 'API Key is not a valid private key'
+    })
+    assert.deepEqual((await verifyCredentials(createAuth({ submitError: dimoError(401, 'signature mismatch') }), CREDENTIALS)).fieldErrors, {
+      apiKey: 'DIMO rejected this API key for the client ID: signature mismatch'
+    })
+  })
+
+  it('tells network failures apart from rejected credentials', async () => {
+    const result = await verifyCredentials(createAuth({ generateError: new Error('getaddrinfo ENOTFOUND') }), CREDENTIALS)
+    assert.deepEqual(result, { fieldErrors: null, error: 'Could not reach DIMO to check the credentials. Please try again.' })
+  })
+})
@@ -0,0 +1,33 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import { convertFromKilometers, parseDistanceUnit, unitLabel } from '../src/distance-units.js'
+
+describe('parseDistanceUnit', () => {
+  it('falls back when no unit is given', () => {
+    assert.deepEqual(parseDistanceUnit(undefined), { distanceUnit: 'km', error: null })
+    assert.deepEqual(parseDistanceUnit('', 'mi'), { distanceUnit: 'mi', error: null })
+  })
+
+  it('accepts supported units only', () => {
+    assert.deepEqual(parseDistanceUnit('mi'), { distanceUnit: 'mi', error: null })
+    for (const input of ['miles', 'constructor', 'toString', ['km']]) {
+      assert.equal(parseDistanceUnit(input).error, `Unsupported distance unit: ${input}`)
+    }
+  })
+})
+
+describe('unitLabel', () => {
+  it('labels distances and speeds', () => {
+    assert.equal(unitLabel('distance', 'km'), 'km')
+    assert.equal(unitLabel('speed', 'mi'), 'mph')
+  })
+})
+
+describe('convertFromKilometers', () => {
+  it('converts numbers to miles and leaves everything else alone', () => {
+    assert.equal(convertFromKilometers(1.609344, 'mi'), 1)
+    assert.equal(convertFromKilometers(10, 'mi'), 6.214)
+    assert.equal(convertFromKilometers(10, 'km'), 10)
+    assert.equal(convertFromKilometers('N/A', 'mi'), 'N/A')
+  })
+})
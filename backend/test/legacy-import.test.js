@@ -0,0 +1,112 @@
+import assert from 'node:assert/strict'
+import fs from 'node:fs/promises'
+import os from 'node:os'
+import path from 'node:path'
+import { afterEach, beforeEach, describe, it, mock } from 'node:test'
+import { ConfigStore } from '../src/config-store.js'
+import { openDatabase } from '../src/database.js'
+import { importLegacyFiles } from '../src/legacy-import.js'
+import { ReportScheduler } from '../src/report-schedules.js'
+import { LocalReportStorage } from '../src/report-storage.js'
+import { ReportStore } from '../src/report-store.js'
+import { WebhookDispatcher } from '../src/report-webhooks.js'
+
+// Node 20's test runner can misread the stores' emoji log lines as its own messages
+mock.method(console, 'log', () => {})
+
+const CONFIG = { clientId: 'client', redirectUri: 'https://example.com', apiKey: 'key' }
+
+describe('importLegacyFiles', () => {
+  let dir
+  let stores
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'legacy-import-'))
+    const db = openDatabase(':memory:')
+    stores = {
+      db,
+      configStore: new ConfigStore(db),
+      reportStore: new ReportStore(db, dir, new LocalReportStorage(path.join(dir, 'reports'))),
+      reportScheduler: new ReportScheduler(null, null, db, null),
+      webhooks: new WebhookDispatcher(db, { maxAttempts: 1, retryBaseDelayMs: 0 })
+    }
+  })
+
+  afterEach(() => fs.rm(dir, { recursive: true, force: true }))
+
+  const writeLegacyFile = (filename, data) => fs.writeFile(path.join(dir, filename), JSON.stringify(data))
+
+  it('imports every file into the database and keeps it as a backup', async () => {
+    await writeLegacyFile('app-configs.json', {
+      defaultConfigId: 'config-2',
+      configs: [{ id: 'config-1', name: 'Fleet', ...CONFIG }, { id: 'config-2', name: 'Rentals', ...CONFIG }]
+    })
+    await writeLegacyFile('reports.json', [{ id: 'report-1', configId: 'config-1', filename: 'vehicle-report-1.csv', createdAt: '2025-02-01T00:00:00Z', params: { startDate: '2025-01-01', endDate: '2025-01-31' } }])
+    await writeLegacyFile('schedules.json', [{ id: 'schedule-1', configId: 'config-1', name: 'Monthly', runs: [] }])
+    await writeLegacyFile('webhook-deliveries.json', [{ id: 'delivery-1', configId: 'config-1', webhookId: 'hook-1', createdAt: '2025-02-01T00:00:00Z', status: 'delivered' }])
+
+    await importLegacyFiles(dir, stores)
+
+    const { db } = stores
+    assert.deepEqual(db.prepare('SELECT id FROM configs WHERE is_default = 1').pluck().all(), ['config-2'])
+    assert.deepEqual(stores.configStore.readConfigs().map(config => config.name), ['Fleet', 'Rentals'])
+    assert.equal((await stores.reportStore.getReport('report-1')).filename, 'vehicle-report-1.csv')
+    assert.deepEqual(db.prepare('SELECT id FROM schedules').pluck().all(), ['schedule-1'])
+    assert.deepEqual(stores.webhooks.listDeliveries('config-1').map(delivery => delivery.id), ['delivery-1'])
+    assert.deepEqual((await fs.readdir(dir)).sort(), [
+      'app-configs.json.imported',
+      'reports.json.imported',
+      'schedules.json.imported',
+      'webhook-deliveries.json.imported'
+    ])
+  })
+
+  it('imports a single configuration as the default', async () => {
+    await writeLegacyFile('app-config.json', CONFIG)
+
+    await importLegacyFiles(dir, stores)
+
+    const [config] = stores.configStore.readConfigs()
+    assert.equal(config.name, 'Default')
+    assert.equal(config.clientId, 'client')
+    assert.equal(stores.db.prepare('SELECT id FROM configs WHERE is_default = 1').pluck().get(), config.id)
+  })
+
+  it('gives the single configuration a name no imported configuration uses', async () => {
+    await writeLegacyFile('app-configs.json', {
+      defaultConfigId: 'config-1',
+      configs: [{ id: 'config-1', name: 'Fleet', ...CONFIG }, { id: 'config-2', name: 'imported', ...CONFIG }, { id: 'config-3', name: 'Imported 2', ...CONFIG }]
+    })
+    await writeLegacyFile('app-config.json', CONFIG)
+
+    await importLegacyFiles(dir, stores)
+
+    assert.deepEqual(stores.configStore.readConfigs().map(config => config.name), ['Fleet', 'imported', 'Imported 2', 'Imported 3'])
+    assert.deepEqual(stores.db.prepare('SELECT id FROM configs WHERE is_default = 1').pluck().all(), ['config-1'])
+    assert.ok((await fs.readdir(dir)).includes('app-config.json.imported'))
+  })
+
+  it('names the single configuration Default only when that name is free', async () => {
+    await writeLegacyFile('app-configs.json', { defaultConfigId: null, configs: [{ id: 'config-1', name: 'Default', ...CONFIG }] })
+    await writeLegacyFile('app-config.json', CONFIG)
+
+    await importLegacyFiles(dir, stores)
+
+    const configs = stores.configStore.readConfigs()
+    assert.deepEqual(configs.map(config => config.name), ['Default', 'Default 2'])
+    assert.equal(stores.db.prepare('SELECT id FROM configs WHERE is_default = 1').pluck().get(), configs[1].id)
+  })
+
+  it('does nothing when there are no legacy files', async () => {
+    await importLegacyFiles(dir, stores)
+    assert.deepEqual(stores.configStore.readConfigs(), [])
+  })
+
+  it('leaves a file that can\'t be read in place and imports none of it', async () => {
+    await fs.writeFile(path.join(dir, 'reports.json'), '[{"id": "report-1"')
+
+    await assert.rejects(importLegacyFiles(dir, stores), /Could not import .*reports\.json/)
+    assert.deepEqual(await fs.readdir(dir), ['reports.json'])
+    assert.deepEqual(await stores.reportStore.loadAllReports(), [])
+  })
+})
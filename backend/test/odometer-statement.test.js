@@ -0,0 +1,46 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import { hashStatement, renderOdometerStatement } from '../src/odometer-statement.js'
+
+const VEHICLE = {
+  tokenId: 1,
+  vin: 'VIN1',
+  records: [
+    { tokenId: 1, vin: 'VIN1', timestamp: '2025-01-01T00:00:00Z', powertrainTransmissionTravelledDistance_MAX: 1000, travelledDistance: 20 },
+    { tokenId: 1, vin: 'VIN1', timestamp: '2025-01-02T00:00:00Z', powertrainTransmissionTravelledDistance_MAX: 1042, travelledDistance: 42 }
+  ]
+}
+
+const REPORT = {
+  startDate: '2025-01-01',
+  endDate: '2025-01-02',
+  timeZone: 'UTC',
+  distanceLabel: 'km',
+  generatedAt: '2025-01-03T12:00:00.000Z'
+}
+
+describe('hashStatement', () => {
+  it('is stable for the same data and changes with any reading', () => {
+    const hash = hashStatement(VEHICLE, REPORT)
+    assert.match(hash, /^[0-9a-f]{64}$/)
+    assert.equal(hashStatement(structuredClone(VEHICLE), { ...REPORT }), hash)
+
+    const changed = structuredClone(VEHICLE)
+    changed.records[1].powertrainTransmissionTravelledDistance_MAX = 1043
+    assert.notEqual(hashStatement(changed, REPORT), hash)
+    assert.notEqual(hashStatement(VEHICLE, { ...REPORT, timeZone: 'Europe/Berlin' }), hash)
+  })
+})
+
+describe('renderOdometerStatement', () => {
+  it('renders a PDF', async () => {
+    const pdf = await renderOdometerStatement(VEHICLE, REPORT)
+    assert.ok(Buffer.isBuffer(pdf))
+    assert.equal(pdf.subarray(0, 5).toString(), '%PDF-')
+  })
+
+  it('renders vehicles without readings', async () => {
+    const vehicle = { ...VEHICLE, records: [{ tokenId: 1, vin: 'VIN1', timestamp: 'N/A', travelledDistance: 'N/A' }] }
+    assert.equal((await renderOdometerStatement(vehicle, REPORT)).subarray(0, 5).toString(), '%PDF-')
+  })
+})
@@ -0,0 +1,175 @@
+import assert from 'node:assert/strict'
+import fs from 'node:fs/promises'
+import os from 'node:os'
+import path from 'node:path'
+import { after, before, describe, it } from 'node:test'
+import ExcelJS from 'exceljs'
+import { REPORT_FORMATS, getReportContentType, getReportExtension, parseReportFormat } from '../src/report-formats.js'
+
+const COLUMNS = [
+  { id: 'tokenId', title: 'Token ID' },
+  { id: 'vin', title: 'VIN' },
+  { id: 'timestamp', title: 'Timestamp' },
+  { id: 'powertrainTransmissionTravelledDistance_MAX', title: 'Odometer Reading (km)' },
+  { id: 'travelledDistance', title: 'Travelled Distance (km)' }
+]
+
+const REPORT = {
+  columns: COLUMNS,
+  startDate: '2025-01-01',
+  endDate: '2025-01-02',
+  timeZone: 'America/New_York',
+  signals: [{ name: 'powertrainTransmissionTravelledDistance', agg: 'MAX' }],
+  interval: 'daily',
+  distanceUnit: 'km',
+  distanceLabel: 'km',
+  generatedAt: '2025-01-03T12:00:00.000Z',
+  vehicles: [
+    {
+      tokenId: 1,
+      vin: 'VIN1',
+      error: null,
+      records: [
+        { tokenId: 1, vin: 'VIN1', timestamp: '2025-01-01T00:00:00-05:00', powertrainTransmissionTravelledDistance_MAX: 1000, travelledDistance: 20 },
+        { tokenId: 1, vin: 'VIN1', timestamp: '2025-01-02T00:00:00-05:00', powertrainTransmissionTravelledDistance_MAX: 'N/A', travelledDistance: 12.5 }
+      ]
+    },
+    {
+      tokenId: 2,
+      vin: 'ERROR',
+      error: 'Token exchange failed',
+      errorStatus: 401,
+      records: [{ tokenId: 2, vin: 'ERROR', timestamp: 'ERROR', powertrainTransmissionTravelledDistance_MAX: 'ERROR', travelledDistance: 'ERROR' }]
+    }
+  ]
+}
+
+describe('parseReportFormat', () => {
+  it('defaults to CSV', () => {
+    assert.deepEqual(parseReportFormat(undefined), { format: 'csv', error: null })
+  })
+
+  it('accepts supported formats only', () => {
+    assert.deepEqual(parseReportFormat('xlsx'), { format: 'xlsx', error: null })
+    for (const input of ['xls', 'constructor', 'hasOwnProperty', ['csv']]) {
+      assert.equal(parseReportFormat(input).error, `Unsupported report format: ${input}`)
+    }
+  })
+})
+
+describe('getReportContentType', () => {
+  it('finds the content type from the extension, including bundles', () => {
+    assert.equal(getReportContentType('vehicle-report-1.xlsx'), REPORT_FORMATS.xlsx.contentType)
+    assert.equal(getReportContentType('vehicle-report-1.zip'), 'application/zip')
+    assert.equal(getReportContentType('vehicle-report-1.txt'), null)
+  })
+})
+
+describe('getReportExtension', () => {
+  it('bundles PDF statements for more than one vehicle into a zip', () => {
+    assert.equal(getReportExtension('csv', 3), 'csv')
+    assert.equal(getReportExtension('pdf', 1), 'pdf')
+    assert.equal(getReportExtension('pdf', 2), 'zip')
+  })
+})
+
+describe('report writers', () => {
+  let dir
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'report-formats-'))
+  })
+
+  after(() => fs.rm(dir, { recursive: true, force: true }))
+
+  it('writes every vehicle\'s records to one CSV file', async () => {
+    const filePath = path.join(dir, 'report.csv')
+    await REPORT_FORMATS.csv.write(filePath, REPORT)
+
+    assert.deepEqual((await fs.readFile(filePath, 'utf8')).trim().split('\n'), [
+      'Token ID,VIN,Timestamp,Odometer Reading (km),Travelled Distance (km)',
+      '1,VIN1,2025-01-01T00:00:00-05:00,1000,20',
+      '1,VIN1,2025-01-02T00:00:00-05:00,N/A,12.5',
+      '2,ERROR,ERROR,ERROR,ERROR'
+    ])
+  })
+
+  it('writes a summary sheet and a sheet per vehicle to Excel workbooks', async () => {
+    const filePath = path.join(dir, 'report.xlsx')
+    await REPORT_FORMATS.xlsx.write(filePath, REPORT)
+
+    const workbook = new ExcelJS.Workbook()
+    await workbook.xlsx.readFile(filePath)
+    // Vehicles that failed are only listed in the summary
+    assert.deepEqual(workbook.worksheets.map(sheet => sheet.name), ['Summary', 'Vehicle 1'])
+
+    const summary = workbook.getWorksheet('Summary')
+    assert.deepEqual(summary.getRow(1).values.slice(1), ['Token ID', 'VIN', 'Status', 'Rows', 'Total Distance (km)', 'Error'])
+    const cells = row => [1, 2, 3, 4, 5, 6].map(column => summary.getRow(row).getCell(column).value)
+    assert.deepEqual(cells(2), [1, 'VIN1', 'OK', 2, 32.5, null])
+    assert.deepEqual(cells(3), [2, null, 'Error', 0, null, 'Token exchange failed'])
+
+    const vehicle = workbook.getWorksheet('Vehicle 1')
+    const [, tokenId, vin, timestamp, odometer, distance] = vehicle.getRow(2).values
+    assert.deepEqual([tokenId, vin, odometer, distance], [1, 'VIN1', 1000, 20])
+    // The wall-clock time is kept, as Excel dates have no time zone
+    assert.equal(timestamp.toISOString(), '2025-01-01T00:00:00.000Z')
+    // Sentinels become empty cells so the column stays numeric
+    assert.equal(vehicle.getRow(3).getCell(4).value, null)
+  })
+
+  it('writes a single vehicle\'s odometer statement as a PDF', async () => {
+    const filePath = path.join(dir, 'report.pdf')
+    await REPORT_FORMATS.pdf.write(filePath, { ...REPORT, vehicles: REPORT.vehicles.slice(0, 1) })
+
+    assert.equal((await fs.readFile(filePath)).subarray(0, 5).toString(), '%PDF-')
+  })
+
+  it('zips a statement per vehicle and lists the vehicles that failed', async () => {
+    const filePath = path.join(dir, 'report.zip')
+    await REPORT_FORMATS.pdf.write(filePath, REPORT)
+
+    const zip = await fs.readFile(filePath)
+    assert.equal(zip.subarray(0, 2).toString(), 'PK')
+    // Entry names are stored uncompressed in the zip's directory
+    assert.ok(zip.includes('odometer-statement-1.pdf'))
+    assert.ok(!zip.includes('odometer-statement-2.pdf'))
+    assert.ok(zip.includes('errors.txt'))
+  })
+
+  it('fails when no vehicle has a statement', async () => {
+    await assert.rejects(
+      REPORT_FORMATS.pdf.write(path.join(dir, 'failed.pdf'), { ...REPORT, vehicles: REPORT.vehicles.slice(1) }),
+      /No vehicle data could be fetched/
+    )
+  })
+
+  it('writes JSON with the report\'s metadata and nulls for missing values', async () => {
+    const filePath = path.join(dir, 'report.json')
+    await REPORT_FORMATS.json.write(filePath, REPORT)
+    const { metadata, vehicles } = JSON.parse(await fs.readFile(filePath, 'utf8'))
+
+    assert.deepEqual(metadata.period, { startDate: '2025-01-01', endDate: '2025-01-02', timeZone: 'America/New_York' })
+    assert.deepEqual(metadata.signals, [{ name: 'powertrainTransmissionTravelledDistance', agg: 'MAX', field: 'powertrainTransmissionTravelledDistance_MAX', unit: 'km' }])
+    assert.deepEqual(metadata.columns.map(column => column.unit), [null, null, null, 'km', 'km'])
+    assert.deepEqual(vehicles[0].records[1], {
+      tokenId: 1,
+      vin: 'VIN1',
+      timestamp: '2025-01-02T00:00:00-05:00',
+      powertrainTransmissionTravelledDistance_MAX: null,
+      travelledDistance: 12.5
+    })
+    assert.deepEqual(vehicles[1], { tokenId: 2, vin: null, error: { message: 'Token exchange failed', status: 401 }, records: [] })
+  })
+
+  it('writes NDJSON with a metadata line, a line per record and a line per failed vehicle', async () => {
+    const filePath = path.join(dir, 'report.ndjson')
+    await REPORT_FORMATS.ndjson.write(filePath, REPORT)
+    const lines = (await fs.readFile(filePath, 'utf8')).trim().split('\n').map(line => JSON.parse(line))
+
+    assert.deepEqual(lines.map(line => line.type), ['metadata', 'record', 'record', 'error'])
+    assert.equal(lines[0].generatedAt, '2025-01-03T12:00:00.000Z')
+    assert.equal(lines[1].powertrainTransmissionTravelledDistance_MAX, 1000)
+    assert.deepEqual(lines[3], { type: 'error', tokenId: 2, error: { message: 'Token exchange failed', status: 401 } })
+  })
+})
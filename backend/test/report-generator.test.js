@@ -0,0 +1,221 @@
+import assert from 'node:assert/strict'
+import fs from 'node:fs/promises'
+import os from 'node:os'
+import path from 'node:path'
+import { after, before, describe, it } from 'node:test'
+import { ReportGenerator } from '../src/report-generator.js'
+
+const CONFIG = { clientId: 'client', redirectUri: 'https://example.com', apiKey: 'key' }
+
+/**
+ * Stand-in for the DIMO SDK. `vehicles` maps token IDs to their VIN and signals;
+ * `exchangeErrors` maps token IDs to errors the token exchange throws, one per call.
+ */
+function createDimo({ vehicles = {}, exchangeErrors = {}, delay = 0 } = {}) {
+  const dimo = { inFlight: 0, maxInFlight: 0, exchanges: [] }
+  dimo.auth = {
+    getDeveloperJwt: async options => ({ headers: { Authorization: `Bearer developer-${options.client_id}` } })
+  }
+  dimo.tokenexchange = {
+    exchange: async ({ tokenId }) => {
+      dimo.exchanges.push(tokenId)
+      const error = exchangeErrors[tokenId]?.shift()
+      if (error) {
+        throw error
+      }
+      return { headers: { Authorization: `Bearer vehicle-${tokenId}` }, vehicleTokenId: tokenId }
+    }
+  }
+  dimo.telemetry = {
+    query: async ({ vehicleTokenId, query }) => {
+      dimo.inFlight++
+      dimo.maxInFlight = Math.max(dimo.maxInFlight, dimo.inFlight)
+      await new Promise(resolve => setTimeout(resolve, delay))
+      dimo.inFlight--
+      dimo.lastQuery = query
+      const vehicle = vehicles[vehicleTokenId] || {}
+      return { data: { vinVCLatest: vehicle.vin ? { vin: vehicle.vin } : null, signals: vehicle.signals ?? null } }
+    }
+  }
+  return dimo
+}
+
+const readRows = async (dir, filename) => (await fs.readFile(path.join(dir, filename), 'utf8')).trim().split('\n')
+
+describe('ReportGenerator', () => {
+  let dir
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'report-generator-'))
+  })
+
+  after(() => fs.rm(dir, { recursive: true, force: true }))
+
+  const params = vehicleTokenIds => ({ vehicleTokenIds, startDate: '2025-01-01', endDate: '2025-01-02' })
+
+  it('writes a row per bucket with the distance travelled since the last reading', async () => {
+    const dimo = createDimo({
+      vehicles: {
+        1: {
+          vin: 'VIN1',
+          signals: [
+            { timestamp: '2025-01-01T00:00:00Z', powertrainTransmissionTravelledDistance_MAX: 1000, odometerStart: 980, odometerEnd: 1000 },
+            { timestamp: '2025-01-02T00:00:00Z', powertrainTransmissionTravelledDistance_MAX: 1042, odometerStart: 1000, odometerEnd: 1042 }
+          ]
+        }
+      }
+    })
+    const { filename, recordCount } = await new ReportGenerator(dimo, dir).generate(params([1]), CONFIG)
+
+    assert.equal(recordCount, 2)
+    assert.deepEqual(await readRows(dir, filename), [
+      'Token ID,VIN,Timestamp,Odometer Reading (km),Travelled Distance (km)',
+      '1,VIN1,2025-01-01T00:00:00Z,1000,20',
+      '1,VIN1,2025-01-02T00:00:00Z,1042,42'
+    ])
+    assert.match(dimo.lastQuery, /interval: "24h", from: "2025-01-01T00:00:00Z", to: "2025-01-02T23:59:59Z"/)
+  })
+
+  it('doesn\'t count gaps without readings as travelled or negative distance', async () => {
+    const dimo = createDimo({
+      vehicles: {
+        1: {
+          vin: 'VIN1',
+          signals: [
+            { timestamp: '2025-01-01T00:00:00Z', odometerStart: 100, odometerEnd: 150 },
+            { timestamp: '2025-01-02T00:00:00Z', odometerStart: null, odometerEnd: null },
+            { timestamp: '2025-01-03T00:00:00Z', odometerStart: 140, odometerEnd: 170 }
+          ]
+        }
+      }
+    })
+    const { filename } = await new ReportGenerator(dimo, dir).generate(params([1]), CONFIG)
+    assert.deepEqual((await readRows(dir, filename)).slice(1).map(row => row.split(',').at(-1)), ['50', '0', '20'])
+  })
+
+  it('uses the report\'s time zone for the period and the timestamps', async () => {
+    const dimo = createDimo({
+      vehicles: { 1: { vin: 'VIN1', signals: [{ timestamp: '2025-01-01T05:00:00Z', powertrainTransmissionTravelledDistance_MAX: 130, odometerStart: 100, odometerEnd: 130 }] } }
+    })
+    const { filename } = await new ReportGenerator(dimo, dir).generate({ ...params([1]), timeZone: 'America/New_York' }, CONFIG)
+
+    assert.match(dimo.lastQuery, /interval: "24h", from: "2025-01-01T05:00:00Z", to: "2025-01-03T04:59:59Z"/)
+    assert.deepEqual((await readRows(dir, filename)).slice(1), ['1,VIN1,2025-01-01T00:00:00-05:00,130,30'])
+  })
+
+  it('converts distances and speeds to miles', async () => {
+    const dimo = createDimo({
+      vehicles: { 1: { vin: 'VIN1', signals: [{ timestamp: '2025-01-01T00:00:00Z', powertrainTransmissionTravelledDistance_MAX: 160.9344, speed_MAX: 100, odometerStart: 0, odometerEnd: 160.9344 }] } }
+    })
+    const signals = [{ name: 'powertrainTransmissionTravelledDistance', agg: 'MAX' }, { name: 'speed', agg: 'MAX' }]
+    const { filename } = await new ReportGenerator(dimo, dir).generate({ ...params([1]), signals, distanceUnit: 'mi' }, CONFIG)
+
+    assert.deepEqual(await readRows(dir, filename), [
+      'Token ID,VIN,Timestamp,Odometer Reading (mi),Travelled Distance (mi),Speed (mph)',
+      '1,VIN1,2025-01-01T00:00:00Z,100,100,62.137'
+    ])
+  })
+
+  it('writes the requested format', async () => {
+    const dimo = createDimo({ vehicles: { 1: { vin: 'VIN1' } } })
+    const result = await new ReportGenerator(dimo, dir).generate({ ...params([1]), format: 'xlsx' }, CONFIG)
+
+    assert.equal(result.format, 'xlsx')
+    assert.match(result.filename, /^vehicle-report-.*\.xlsx$/)
+    assert.equal(result.filePath, path.join(dir, result.filename))
+    await fs.access(result.filePath)
+  })
+
+  it('writes daily odometer statements, bundling several vehicles into a zip', async () => {
+    const dimo = createDimo({ vehicles: { 1: { vin: 'VIN1', signals: [{ timestamp: '2025-01-01T00:00:00Z', powertrainTransmissionTravelledDistance_MAX: 1000, odometerStart: 980, odometerEnd: 1000 }] }, 2: { vin: 'VIN2' } } })
+    const signals = [{ name: 'speed', agg: 'MAX' }]
+    const result = await new ReportGenerator(dimo, dir).generate({ ...params([1, 2]), signals, interval: 'monthly', format: 'pdf' }, CONFIG)
+
+    assert.equal(result.format, 'pdf')
+    assert.match(result.filename, /\.zip$/)
+    // Statements always use daily odometer readings
+    assert.match(dimo.lastQuery, /interval: "24h"/)
+    assert.doesNotMatch(dimo.lastQuery, /speed_MAX/)
+  })
+
+  it('queries monthly reports one calendar month at a time', async () => {
+    const dimo = createDimo({ vehicles: { 1: { vin: 'VIN1', signals: [{ timestamp: '2025-01-15T00:00:00Z', odometerStart: 100, odometerEnd: 160 }] } } })
+    const queries = []
+    const query = dimo.telemetry.query
+    dimo.telemetry.query = options => {
+      queries.push(options.query)
+      return query(options)
+    }
+    const { recordCount } = await new ReportGenerator(dimo, dir).generate({ ...params([1]), startDate: '2025-01-15', endDate: '2025-02-10', interval: 'monthly' }, CONFIG)
+
+    assert.equal(recordCount, 2)
+    assert.match(queries[0], /interval: "408h", from: "2025-01-15T00:00:00Z", to: "2025-01-31T23:59:59Z"/)
+    assert.match(queries[1], /interval: "240h", from: "2025-02-01T00:00:00Z", to: "2025-02-10T23:59:59Z"/)
+    // Only the first query asks for the VIN
+    assert.doesNotMatch(queries[1], /vinVCLatest/)
+  })
+
+  it('writes one summary row per vehicle', async () => {
+    const dimo = createDimo({
+      vehicles: { 1: { vin: 'VIN1', signals: [{ timestamp: '2025-01-01T00:00:00Z', odometerStart: 1000, odometerEnd: 1250, speed_MAX: 120 }] } }
+    })
+    const signals = [{ name: 'powertrainTransmissionTravelledDistance', agg: 'MAX' }, { name: 'speed', agg: 'MAX' }]
+    const { filename } = await new ReportGenerator(dimo, dir).generate({ ...params([1, 2]), signals, interval: 'summary' }, CONFIG)
+
+    assert.match(dimo.lastQuery, /interval: "48h"/)
+    assert.deepEqual(await readRows(dir, filename), [
+      'Token ID,VIN,Period Start,Period End,Start Odometer (km),End Odometer (km),Total Distance (km),Speed (km/h)',
+      '1,VIN1,2025-01-01T00:00:00Z,2025-01-02T23:59:59Z,1000,1250,250,120',
+      '2,N/A,2025-01-01T00:00:00Z,2025-01-02T23:59:59Z,N/A,N/A,N/A,N/A'
+    ])
+  })
+
+  it('queries the selected signals with their aggregations', async () => {
+    const dimo = createDimo({
+      vehicles: {
+        1: { vin: 'VIN1', signals: [{ timestamp: '2025-01-01T00:00:00Z', speed_MAX: 88, speed_AVG: 31.5 }] }
+      }
+    })
+    const signals = [{ name: 'speed', agg: 'MAX' }, { name: 'speed', agg: 'AVG' }, { name: 'powertrainFuelSystemRelativeLevel', agg: 'AVG' }]
+    const { filename } = await new ReportGenerator(dimo, dir).generate({ ...params([1]), signals }, CONFIG)
+
+    assert.match(dimo.lastQuery, /speed_MAX: speed\(agg: MAX\)/)
+    assert.match(dimo.lastQuery, /speed_AVG: speed\(agg: AVG\)/)
+    assert.deepEqual(await readRows(dir, filename), [
+      'Token ID,VIN,Timestamp,Speed (km/h),"Speed (AVG, km/h)",Fuel Level (%)',
+      '1,VIN1,2025-01-01T00:00:00Z,88,31.5,N/A'
+    ])
+  })
+
+  it('fetches vehicles in parallel up to the limit and keeps them in the requested order', async () => {
+    const vehicles = Object.fromEntries([1, 2, 3, 4, 5].map(tokenId => [tokenId, { vin: `VIN${tokenId}` }]))
+    const dimo = createDimo({ vehicles, delay: 10 })
+    const started = []
+    const { filename } = await new ReportGenerator(dimo, dir, { concurrency: 2 }).generate(params([5, 4, 3, 2, 1]), CONFIG, {
+      onVehicleStart: (tokenId, index) => started.push([tokenId, index])
+    })
+
+    assert.equal(dimo.maxInFlight, 2)
+    assert.deepEqual(started, [[5, 0], [4, 1], [3, 2], [2, 3], [1, 4]])
+    assert.deepEqual((await readRows(dir, filename)).slice(1).map(row => row.split(',')[1]), ['VIN5', 'VIN4', 'VIN3', 'VIN2', 'VIN1'])
+  })
+
+  it('retries rate-limited calls and reports vehicles that still fail', async () => {
+    const rateLimited = () => Object.assign(new Error('Too Many Requests'), { status: 429 })
+    const dimo = createDimo({
+      vehicles: { 1: { vin: 'VIN1' } },
+      exchangeErrors: { 1: [rateLimited()], 2: [rateLimited(), rateLimited(), rateLimited()] }
+    })
+    const completed = []
+    const failed = []
+    const { filename } = await new ReportGenerator(dimo, dir, { maxRetries: 2, retryBaseDelay: 1 }).generate(params([1, 2]), CONFIG, {
+      onVehicleComplete: (tokenId, recordCount, index) => completed.push([tokenId, index]),
+      onVehicleError: (tokenId, error, index) => failed.push([tokenId, error.message, index])
+    })
+
+    assert.deepEqual(dimo.exchanges.toSorted(), [1, 1, 2, 2, 2])
+    assert.deepEqual(completed, [[1, 0]])
+    assert.deepEqual(failed, [[2, 'Too Many Requests', 1]])
+    assert.deepEqual((await readRows(dir, filename)).slice(1), ['1,VIN1,N/A,N/A,N/A', '2,ERROR,ERROR,ERROR,ERROR'])
+  })
+})
@@ -0,0 +1,85 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import { DEFAULT_REPORT_INTERVAL, buildQueryWindows, parseReportInterval, parseReportPeriod } from '../src/report-intervals.js'
+
+describe('buildQueryWindows', () => {
+  it('queries a whole period of equal days in one window', () => {
+    assert.deepEqual(buildQueryWindows('2025-01-01', '2025-01-03', 'daily', 'UTC'), [
+      { from: '2025-01-01T00:00:00Z', to: '2025-01-03T23:59:59Z', duration: '24h' }
+    ])
+  })
+
+  it('splits days around a daylight saving change into their own windows', () => {
+    assert.deepEqual(buildQueryWindows('2025-03-08', '2025-03-10', 'daily', 'America/New_York'), [
+      { from: '2025-03-08T05:00:00Z', to: '2025-03-09T04:59:59Z', duration: '24h' },
+      { from: '2025-03-09T05:00:00Z', to: '2025-03-10T03:59:59Z', duration: '23h' },
+      { from: '2025-03-10T04:00:00Z', to: '2025-03-11T03:59:59Z', duration: '24h' }
+    ])
+  })
+
+  it('ends the last week at the end of the period', () => {
+    assert.deepEqual(buildQueryWindows('2025-01-01', '2025-01-20', 'weekly', 'UTC'), [
+      { from: '2025-01-01T00:00:00Z', to: '2025-01-14T23:59:59Z', duration: '168h' },
+      { from: '2025-01-15T00:00:00Z', to: '2025-01-20T23:59:59Z', duration: '144h' }
+    ])
+  })
+
+  it('gives each month its own length', () => {
+    assert.deepEqual(buildQueryWindows('2025-01-15', '2025-03-31', 'monthly', 'UTC'), [
+      { from: '2025-01-15T00:00:00Z', to: '2025-01-31T23:59:59Z', duration: '408h' },
+      { from: '2025-02-01T00:00:00Z', to: '2025-02-28T23:59:59Z', duration: '672h' },
+      { from: '2025-03-01T00:00:00Z', to: '2025-03-31T23:59:59Z', duration: '744h' }
+    ])
+  })
+
+  it('uses hourly buckets and one bucket for summaries over the whole local period', () => {
+    assert.deepEqual(buildQueryWindows('2025-01-01', '2025-01-02', 'hourly', 'Europe/Berlin'), [
+      { from: '2024-12-31T23:00:00Z', to: '2025-01-02T22:59:59Z', duration: '1h' }
+    ])
+    assert.deepEqual(buildQueryWindows('2025-01-01', '2025-01-31', 'summary', 'UTC'), [
+      { from: '2025-01-01T00:00:00Z', to: '2025-01-31T23:59:59Z', duration: '744h' }
+    ])
+  })
+
+  it('uses minutes for buckets that aren\'t whole hours', () => {
+    // Lord Howe Island moves its clocks by half an hour
+    const [, changed] = buildQueryWindows('2025-04-05', '2025-04-07', 'daily', 'Australia/Lord_Howe')
+    assert.equal(changed.duration, '1470m')
+  })
+})
+
+describe('parseReportInterval', () => {
+  it('defaults a missing interval', () => {
+    assert.deepEqual(parseReportInterval(undefined), { interval: DEFAULT_REPORT_INTERVAL, error: null })
+    assert.deepEqual(parseReportInterval(''), { interval: DEFAULT_REPORT_INTERVAL, error: null })
+  })
+
+  it('accepts supported intervals only', () => {
+    assert.deepEqual(parseReportInterval('monthly'), { interval: 'monthly', error: null })
+    for (const input of ['yearly', 'constructor', '__proto__', ['daily'], 1]) {
+      assert.equal(parseReportInterval(input).interval, null)
+      assert.match(parseReportInterval(input).error, /^Unsupported interval/)
+    }
+  })
+})
+
+describe('parseReportPeriod', () => {
+  it('accepts a period of calendar dates', () => {
+    assert.deepEqual(parseReportPeriod('2025-01-01', '2025-01-01'), { period: { startDate: '2025-01-01', endDate: '2025-01-01' }, error: null })
+  })
+
+  it('requires both dates', () => {
+    assert.equal(parseReportPeriod('2025-01-01', '').error, 'Start date and end date are required')
+  })
+
+  it('rejects dates that aren\'t calendar dates', () => {
+    for (const input of ['2025-02-30', '2025-1-1', '2025-01-01T00:00:00Z', ['2025-01-01'], 20250101]) {
+      assert.equal(parseReportPeriod(input, '2025-12-31').error, 'startDate must be a calendar date (YYYY-MM-DD)')
+    }
+    assert.equal(parseReportPeriod('2025-01-01', '2025-13-01').error, 'endDate must be a calendar date (YYYY-MM-DD)')
+  })
+
+  it('rejects periods that end before they start', () => {
+    assert.equal(parseReportPeriod('2025-02-01', '2025-01-31').error, 'startDate must be on or before endDate')
+  })
+})
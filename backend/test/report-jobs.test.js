@@ -0,0 +1,188 @@
+import assert from 'node:assert/strict'
+import { describe, it, mock } from 'node:test'
+import { openDatabase } from '../src/database.js'
+import { ReportJobManager } from '../src/report-jobs.js'
+
+// Node 20's test runner can misread the stores' emoji log lines as its own messages
+mock.method(console, 'log', () => {})
+
+const CONFIG = { id: 'config-1', clientId: 'client', redirectUri: 'https://example.com', apiKey: 'key' }
+
+// Generator whose vehicles finish when the test says so
+function createGenerator() {
+  const generator = { calls: [] }
+  generator.generate = (params, config, hooks) => new Promise((resolve, reject) => {
+    generator.calls.push({ params, config, hooks, resolve, reject })
+  })
+  return generator
+}
+
+// Report store that records what it is given
+function createStore() {
+  const store = { added: [] }
+  store.addReport = async (metadata, sourcePath) => {
+    store.added.push({ metadata, sourcePath })
+    return metadata
+  }
+  return store
+}
+
+async function waitForJob(manager, jobId) {
+  for (let i = 0; i < 100; i++) {
+    const job = manager.getJob(jobId)
+    if (job.status === 'completed' || job.status === 'failed') {
+      return job
+    }
+    await new Promise(resolve => setTimeout(resolve, 5))
+  }
+  throw new Error(`Job ${jobId} is still running`)
+}
+
+describe('ReportJobManager', () => {
+  it('tracks the progress of each vehicle while the report is generated', async () => {
+    const generator = createGenerator()
+    const manager = new ReportJobManager(generator, createStore(), openDatabase(':memory:'))
+    const job = manager.createJob({ vehicleTokenIds: [1, 2, 3], startDate: '2025-01-01', endDate: '2025-01-31' }, CONFIG)
+
+    const [{ params, config, hooks, resolve }] = generator.calls
+    assert.deepEqual(params.vehicleTokenIds, [1, 2, 3])
+    assert.equal(config, CONFIG)
+    assert.equal(manager.getJobStatus(job).status, 'running')
+
+    hooks.onVehicleStart(1, 0)
+    hooks.onVehicleComplete(1, 31, 0)
+    hooks.onVehicleStart(2, 1)
+    hooks.onVehicleError(2, new Error('Token exchange failed'), 1)
+    hooks.onVehicleStart(3, 2)
+
+    const status = manager.getJobStatus(job)
+    assert.deepEqual(status.progress, { total: 3, processed: 2, completed: 1, failed: 1, percent: 67 })
+    assert.deepEqual(status.vehicles.map(v => v.status), ['completed', 'failed', 'running'])
+    assert.equal(status.vehicles[0].recordCount, 31)
+    assert.deepEqual(status.failures, [{ tokenId: 2, error: 'Token exchange failed' }])
+    assert.equal(typeof status.etaSeconds, 'number')
+
+    hooks.onVehicleComplete(3, 31, 2)
+    resolve({ filename: 'vehicle-report-1.csv', filePath: '/tmp/incoming/vehicle-report-1.csv', recordCount: 63 })
+    const finished = manager.getJobStatus(await waitForJob(manager, job.id))
+    assert.equal(finished.status, 'completed')
+    assert.equal(finished.etaSeconds, 0)
+    assert.deepEqual(finished.result, { filename: 'vehicle-report-1.csv', recordCount: 63, reportId: job.id, downloadUrl: `/api/reports/${job.id}/download` })
+    assert.ok(finished.completedAt)
+  })
+
+  it('tracks each requested vehicle by its position, even when a token ID is listed twice', () => {
+    const generator = createGenerator()
+    const manager = new ReportJobManager(generator, createStore(), openDatabase(':memory:'))
+    // Schedules saved before duplicates were dropped may still list a vehicle twice
+    const job = manager.createJob({ vehicleTokenIds: [7, 7], startDate: '2025-01-01', endDate: '2025-01-31' }, CONFIG)
+
+    const [{ hooks }] = generator.calls
+    hooks.onVehicleStart(7, 0)
+    hooks.onVehicleStart(7, 1)
+    hooks.onVehicleComplete(7, 31, 1)
+    hooks.onVehicleError(7, new Error('Token exchange failed'), 0)
+
+    const status = manager.getJobStatus(job)
+    assert.deepEqual(status.vehicles.map(v => v.status), ['failed', 'completed'])
+    assert.deepEqual(status.progress, { total: 2, processed: 2, completed: 1, failed: 1, percent: 100 })
+  })
+
+  it('fails the job when the report can\'t be generated', async () => {
+    const generator = createGenerator()
+    const manager = new ReportJobManager(generator, createStore(), openDatabase(':memory:'))
+    const job = manager.createJob({ vehicleTokenIds: [1], startDate: '2025-01-01', endDate: '2025-01-31' }, CONFIG)
+
+    generator.calls[0].reject(new Error('Developer JWT request failed'))
+    const status = manager.getJobStatus(await waitForJob(manager, job.id))
+    assert.equal(status.status, 'failed')
+    assert.equal(status.error, 'Developer JWT request failed')
+    assert.equal(status.result, null)
+  })
+
+  it('stores the metadata of completed reports under the job ID', async () => {
+    const generator = createGenerator()
+    const store = createStore()
+    const manager = new ReportJobManager(generator, store, openDatabase(':memory:'))
+    const params = { vehicleTokenIds: [1, 2], startDate: '2025-01-01', endDate: '2025-01-31', format: 'csv' }
+    const job = manager.createJob(params, CONFIG, { sub: 'user-1' })
+
+    const [{ hooks, resolve }] = generator.calls
+    hooks.onVehicleComplete(1, 31, 0)
+    hooks.onVehicleError(2, new Error('Token exchange failed'), 1)
+    resolve({ filename: 'vehicle-report-1.csv', filePath: '/tmp/incoming/vehicle-report-1.csv', format: 'csv', recordCount: 31 })
+    const finished = await waitForJob(manager, job.id)
+
+    assert.equal(store.added.length, 1)
+    const [{ metadata: report, sourcePath }] = store.added
+    assert.equal(sourcePath, '/tmp/incoming/vehicle-report-1.csv')
+    assert.equal(report.id, job.id)
+    assert.equal(report.configId, 'config-1')
+    assert.equal(report.status, 'partial')
+    assert.deepEqual(report.requester, { sub: 'user-1' })
+    assert.deepEqual(report.params, params)
+    assert.deepEqual(report.vehicles.map(v => v.status), ['completed', 'failed'])
+    assert.deepEqual([report.vehicleCount, report.errorCount, report.recordCount], [2, 1, 31])
+    assert.equal(report.completedAt, finished.completedAt)
+    assert.equal(finished.result.reportId, job.id)
+  })
+
+  it('fails the job when the report can\'t be stored', async () => {
+    const generator = createGenerator()
+    const manager = new ReportJobManager(generator, { addReport: async () => { throw new Error('disk full') } }, openDatabase(':memory:'))
+    const job = manager.createJob({ vehicleTokenIds: [1], startDate: '2025-01-01', endDate: '2025-01-31' }, CONFIG)
+
+    generator.calls[0].resolve({ filename: 'vehicle-report-1.csv', recordCount: 0 })
+    const finished = await waitForJob(manager, job.id)
+    assert.equal(finished.status, 'failed')
+    assert.equal(finished.error, 'Report was generated but could not be stored: disk full')
+  })
+
+  it('notifies the completed-report hook with the stored report and the job\'s config', async () => {
+    const generator = createGenerator()
+    const completed = []
+    const manager = new ReportJobManager(generator, createStore(), openDatabase(':memory:'), {
+      onReportCompleted: (report, config) => completed.push({ report, config })
+    })
+    const job = manager.createJob({ vehicleTokenIds: [1], startDate: '2025-01-01', endDate: '2025-01-31' }, CONFIG)
+
+    generator.calls[0].resolve({ filename: 'vehicle-report-1.csv', recordCount: 0 })
+    await waitForJob(manager, job.id)
+    assert.equal(completed.length, 1)
+    assert.equal(completed[0].report.id, job.id)
+    assert.equal(completed[0].config, CONFIG)
+  })
+
+  it('reads a job\'s status from the database once it is no longer in memory', async () => {
+    const db = openDatabase(':memory:')
+    const generator = createGenerator()
+    const job = new ReportJobManager(generator, createStore(), db).createJob({ vehicleTokenIds: [1], startDate: '2025-01-01', endDate: '2025-01-31' }, CONFIG)
+
+    generator.calls[0].hooks.onVehicleComplete(1, 31, 0)
+    generator.calls[0].resolve({ filename: 'vehicle-report-1.csv', recordCount: 31 })
+    await job.finished
+
+    const stored = new ReportJobManager(createGenerator(), createStore(), db).getJob(job.id)
+    assert.equal(stored.status, 'completed')
+    assert.equal(stored.configId, 'config-1')
+    assert.deepEqual(stored.vehicles.map(v => v.recordCount), [31])
+    assert.equal(stored.result.reportId, job.id)
+    assert.equal(stored.finished, undefined)
+  })
+
+  it('fails jobs that were interrupted by a restart', () => {
+    const db = openDatabase(':memory:')
+    const job = new ReportJobManager(createGenerator(), createStore(), db).createJob({ vehicleTokenIds: [1], startDate: '2025-01-01', endDate: '2025-01-31' }, CONFIG)
+
+    const restarted = new ReportJobManager(createGenerator(), createStore(), db)
+    assert.equal(restarted.failInterruptedJobs(), 1)
+    const status = restarted.getJobStatus(restarted.getJob(job.id))
+    assert.equal(status.status, 'failed')
+    assert.equal(status.error, 'Interrupted by a server restart')
+    assert.equal(restarted.failInterruptedJobs(), 0)
+  })
+
+  it('returns null for unknown jobs', () => {
+    assert.equal(new ReportJobManager(createGenerator(), createStore(), openDatabase(':memory:')).getJob('missing'), null)
+  })
+})
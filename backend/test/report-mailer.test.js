@@ -0,0 +1,129 @@
+import assert from 'node:assert/strict'
+import fs from 'node:fs/promises'
+import os from 'node:os'
+import path from 'node:path'
+import { after, before, describe, it, mock } from 'node:test'
+import { SMTPServer } from 'smtp-server'
+import { openDatabase } from '../src/database.js'
+import { ReportMailer, getPublicEmailSettings, parseEmailSettings, parseRecipients } from '../src/report-mailer.js'
+import { LocalReportStorage } from '../src/report-storage.js'
+import { ReportStore } from '../src/report-store.js'
+
+// Node 20's test runner can misread the stores' emoji log lines as its own messages
+mock.method(console, 'log', () => {})
+
+const REPORT_CSV = 'tokenId,date,odometer\n1,2025-01-01,1200\n'
+
+// SMTP server that keeps every message it receives
+function startSmtpServer() {
+  const messages = []
+  const server = new SMTPServer({
+    authOptional: true,
+    disabledCommands: ['STARTTLS'],
+    onData(stream, session, callback) {
+      let raw = ''
+      stream.on('data', chunk => { raw += chunk })
+      stream.on('end', () => {
+        messages.push({ from: session.envelope.mailFrom.address, to: session.envelope.rcptTo.map(r => r.address), raw })
+        callback()
+      })
+    }
+  })
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({ server, messages, port: server.server.address().port })))
+}
+
+describe('ReportMailer', () => {
+  let smtp
+  let dir
+  let reportStore
+  let report
+
+  before(async () => {
+    smtp = await startSmtpServer()
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'report-mailer-'))
+    const storage = new LocalReportStorage(path.join(dir, 'reports'))
+    await storage.init()
+    reportStore = new ReportStore(openDatabase(':memory:'), dir, storage)
+    await reportStore.reconcile()
+
+    const generated = path.join(reportStore.incomingDir, 'report.csv')
+    await fs.writeFile(generated, REPORT_CSV)
+    report = await reportStore.addReport({
+      filename: 'vehicle-report-2025-01.csv',
+      createdAt: new Date().toISOString(),
+      params: { startDate: '2025-01-01', endDate: '2025-01-31', timeZone: 'UTC' },
+      vehicles: [{ tokenId: 1 }],
+      vehicleCount: 1,
+      errorCount: 0,
+      recordCount: 1
+    }, generated)
+  })
+
+  after(async () => {
+    await new Promise(resolve => smtp.server.close(resolve))
+    await fs.rm(dir, { recursive: true, force: true })
+  })
+
+  const settings = () => ({ host: '127.0.0.1', port: smtp.port, secure: false, user: '', password: '', from: 'Reports <reports@example.com>' })
+
+  it('emails a report as an attachment and records the delivery', async () => {
+    const delivery = await new ReportMailer(reportStore).sendReport(report, settings(), ['fleet@example.com'], 'manual')
+
+    assert.equal(delivery.status, 'sent')
+    const [message] = smtp.messages
+    assert.equal(message.from, 'reports@example.com')
+    assert.deepEqual(message.to, ['fleet@example.com'])
+    assert.match(message.raw, /Subject: Vehicle report 2025-01-01 to 2025-01-31/)
+    assert.match(message.raw, /filename=vehicle-report-2025-01\.csv/)
+    assert.ok(message.raw.includes(Buffer.from(REPORT_CSV).toString('base64')))
+
+    const recorded = await reportStore.getReport(report.id)
+    assert.deepEqual(recorded.emailDeliveries.map(d => [d.id, d.status, d.trigger]), [[delivery.id, 'sent', 'manual']])
+  })
+
+  it('records a failed delivery when the SMTP server can\'t be reached', async () => {
+    const closed = await startSmtpServer()
+    await new Promise(resolve => closed.server.close(resolve))
+
+    const delivery = await new ReportMailer(reportStore).sendReport(report, { ...settings(), port: closed.port }, ['fleet@example.com'], 'automatic')
+
+    assert.equal(delivery.status, 'failed')
+    assert.ok(delivery.error)
+    const recorded = await reportStore.getReport(report.id)
+    assert.deepEqual(recorded.emailDeliveries.map(d => d.status), ['failed', 'sent'])
+  })
+
+  it('sends a test email', async () => {
+    const messageId = await new ReportMailer(reportStore).sendTestEmail(settings(), ['admin@example.com'])
+    assert.ok(messageId)
+    assert.match(smtp.messages.at(-1).raw, /Subject: Vehicle Reports test email/)
+  })
+})
+
+describe('parseRecipients', () => {
+  it('accepts lists and separated strings, dropping duplicates', () => {
+    assert.deepEqual(parseRecipients('a@example.com; b@example.com, a@example.com').recipients, ['a@example.com', 'b@example.com'])
+    assert.deepEqual(parseRecipients(['a@example.com']).recipients, ['a@example.com'])
+  })
+
+  it('rejects invalid addresses', () => {
+    assert.equal(parseRecipients('not-an-address').error, 'Invalid email address: not-an-address')
+  })
+})
+
+describe('parseEmailSettings', () => {
+  it('defaults the port from the TLS setting and keeps the current password', () => {
+    const { email } = parseEmailSettings({ host: 'smtp.example.com', from: 'reports@example.com' }, { password: 'kept' })
+    assert.equal(email.port, 587)
+    assert.equal(email.password, 'kept')
+    assert.equal(parseEmailSettings({ host: 'smtp.example.com', secure: true, from: 'reports@example.com' }).email.port, 465)
+  })
+
+  it('requires recipients to send reports after generation', () => {
+    assert.ok(parseEmailSettings({ host: 'smtp.example.com', from: 'reports@example.com', sendAfterGeneration: true }).error)
+  })
+
+  it('leaves the password out of the public settings', () => {
+    assert.deepEqual(getPublicEmailSettings({ host: 'smtp.example.com', password: 'secret' }), { host: 'smtp.example.com', hasPassword: true })
+  })
+})
@@ -0,0 +1,107 @@
+import assert from 'node:assert/strict'
+import fs from 'node:fs/promises'
+import os from 'node:os'
+import path from 'node:path'
+import { after, before, describe, it, mock } from 'node:test'
+import { openDatabase } from '../src/database.js'
+import { ReportRetentionSweeper, getRetentionPolicy, selectExpiredReports } from '../src/report-retention.js'
+import { LocalReportStorage } from '../src/report-storage.js'
+import { ReportStore } from '../src/report-store.js'
+
+// Node 20's test runner can misread the stores' emoji log lines as its own messages
+mock.method(console, 'log', () => {})
+
+const DAY = 24 * 60 * 60 * 1000
+const NOW = Date.parse('2025-03-01T00:00:00Z')
+const NO_LIMITS = { maxAgeDays: 0, maxCount: 0, maxTotalSizeMb: 0 }
+
+const report = (id, daysOld, extra = {}) => ({
+  id,
+  filename: `vehicle-report-${id}.csv`,
+  createdAt: new Date(NOW - daysOld * DAY).toISOString(),
+  size: 1024,
+  pinned: false,
+  ...extra
+})
+
+const expiredIds = (reports, policy) => selectExpiredReports(reports, { ...NO_LIMITS, ...policy }, NOW).map(({ report }) => report.id)
+
+describe('getRetentionPolicy', () => {
+  it('reads the limits from the environment', () => {
+    assert.deepEqual(getRetentionPolicy({
+      REPORT_RETENTION_MAX_AGE_DAYS: '7',
+      REPORT_RETENTION_MAX_COUNT: '100',
+      REPORT_RETENTION_MAX_TOTAL_MB: '512',
+      REPORT_RETENTION_SWEEP_INTERVAL_MINUTES: '15'
+    }), { maxAgeDays: 7, maxCount: 100, maxTotalSizeMb: 512, sweepIntervalMinutes: 15 })
+  })
+
+  it('keeps every report unless a limit is set', () => {
+    assert.deepEqual(getRetentionPolicy({ REPORT_RETENTION_MAX_COUNT: '-1', REPORT_RETENTION_SWEEP_INTERVAL_MINUTES: '0' }), {
+      maxAgeDays: 0, maxCount: 0, maxTotalSizeMb: 0, sweepIntervalMinutes: 60
+    })
+    assert.equal(new ReportRetentionSweeper(null, getRetentionPolicy({})).isEnabled(), false)
+  })
+})
+
+describe('selectExpiredReports', () => {
+  it('removes reports older than the age limit', () => {
+    const reports = [report('new', 1), report('old', 10), report('older', 40)]
+    assert.deepEqual(expiredIds(reports, { maxAgeDays: 7 }), ['older', 'old'])
+    assert.equal(selectExpiredReports(reports, { ...NO_LIMITS, maxAgeDays: 7 }, NOW)[0].reason, 'older than 7 days')
+  })
+
+  it('removes the oldest reports beyond the count limit', () => {
+    const reports = [report('a', 1), report('b', 3), report('c', 2), report('d', 4)]
+    assert.deepEqual(expiredIds(reports, { maxCount: 2 }), ['d', 'b'])
+  })
+
+  it('removes the oldest reports until they fit the size limit', () => {
+    const reports = [report('a', 1, { size: 600 * 1024 }), report('b', 2, { size: 600 * 1024 }), report('c', 3, { size: 600 * 1024 })]
+    assert.deepEqual(expiredIds(reports, { maxTotalSizeMb: 1 }), ['c', 'b'])
+  })
+
+  it('never removes pinned reports, though they count towards the limits', () => {
+    const reports = [report('pinned', 50, { pinned: true }), report('a', 1), report('b', 2), report('c', 40)]
+    assert.deepEqual(expiredIds(reports, { maxAgeDays: 30 }), ['c'])
+    assert.deepEqual(expiredIds(reports, { maxCount: 2 }), ['c', 'b'])
+    assert.deepEqual(expiredIds([report('pinned', 50, { pinned: true })], { maxAgeDays: 1, maxCount: 0 }), [])
+  })
+
+  it('removes nothing without limits', () => {
+    assert.deepEqual(expiredIds([report('a', 1000)], {}), [])
+  })
+})
+
+describe('ReportRetentionSweeper', () => {
+  let dir
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'report-retention-'))
+  })
+
+  after(() => fs.rm(dir, { recursive: true, force: true }))
+
+  it('deletes the expired reports from the store', async () => {
+    const storage = new LocalReportStorage(path.join(dir, 'reports'))
+    await storage.init()
+    const store = new ReportStore(openDatabase(':memory:'), dir, storage)
+    await store.reconcile()
+    const now = Date.now()
+    const reports = {}
+    for (const [filename, daysOld, pinned] of [['vehicle-report-new.csv', 1, false], ['vehicle-report-old.csv', 60, false], ['vehicle-report-pinned.csv', 60, true]]) {
+      const generated = path.join(store.incomingDir, filename)
+      await fs.writeFile(generated, filename)
+      reports[filename] = await store.addReport({ filename, createdAt: new Date(now - daysOld * DAY).toISOString(), pinned }, generated)
+    }
+
+    const sweeper = new ReportRetentionSweeper(store, { ...NO_LIMITS, maxAgeDays: 30 })
+    assert.deepEqual((await sweeper.sweep()).map(report => report.filename), ['vehicle-report-old.csv'])
+    assert.deepEqual((await store.loadAllReports()).map(report => report.filename), ['vehicle-report-pinned.csv', 'vehicle-report-new.csv'])
+    await assert.rejects(fs.access(path.join(dir, 'reports', store.getReportKey(reports['vehicle-report-old.csv']))), { code: 'ENOENT' })
+  })
+
+  it('is disabled without limits', () => {
+    assert.equal(new ReportRetentionSweeper(null, NO_LIMITS).isEnabled(), false)
+  })
+})
@@ -0,0 +1,276 @@
+import assert from 'node:assert/strict'
+import { beforeEach, describe, it, mock } from 'node:test'
+import { openDatabase } from '../src/database.js'
+import { ReportScheduler, getNextRunTime, getSchedulePeriodDates, parseScheduleRule, parseSchedulePeriod } from '../src/report-schedules.js'
+
+// Node 20's test runner can misread the stores' emoji log lines as its own messages
+mock.method(console, 'log', () => {})
+
+const CONFIG = { clientId: 'client', redirectUri: 'https://example.com', apiKey: 'key' }
+
+const nextRun = (rule, after, timeZone = 'UTC') => getNextRunTime(rule, new Date(after), timeZone)?.toISOString()
+const cron = expression => ({ type: 'cron', expression })
+
+describe('parseScheduleRule', () => {
+  it('accepts monthly rules, defaulting to midnight', () => {
+    assert.deepEqual(parseScheduleRule({ type: 'monthly', day: '31', time: '06:30' }), { rule: { type: 'monthly', day: 31, time: '06:30' }, error: null })
+    assert.deepEqual(parseScheduleRule({ type: 'monthly', day: 1 }).rule, { type: 'monthly', day: 1, time: '00:00' })
+  })
+
+  it('rejects monthly rules with an invalid day or time', () => {
+    assert.equal(parseScheduleRule({ type: 'monthly', day: 32 }).error, 'Monthly rule day must be between 1 and 31')
+    assert.equal(parseScheduleRule({ type: 'monthly', day: 1.5 }).error, 'Monthly rule day must be between 1 and 31')
+    assert.equal(parseScheduleRule({ type: 'monthly', day: 1, time: '24:00' }).error, 'Monthly rule time must be HH:MM')
+    assert.equal(parseScheduleRule({ type: 'monthly', day: 1, time: '6:00' }).error, 'Monthly rule time must be HH:MM')
+  })
+
+  it('accepts cron expressions, normalizing their whitespace', () => {
+    assert.deepEqual(parseScheduleRule(cron('  0  6 1-7/2,15 * 1-5 ')), { rule: cron('0 6 1-7/2,15 * 1-5'), error: null })
+  })
+
+  it('rejects invalid cron expressions', () => {
+    assert.match(parseScheduleRule(cron('0 6 * *')).error, /must have 5 fields/)
+    assert.equal(parseScheduleRule(cron('60 6 * * *')).error, 'Invalid cron minute field: 60')
+    assert.equal(parseScheduleRule(cron('0 5-1 * * *')).error, 'Invalid cron hour field: 5-1')
+    assert.equal(parseScheduleRule(cron('0 6 * JAN *')).error, 'Invalid cron month field: JAN')
+    assert.equal(parseScheduleRule(cron('*/0 6 * * *')).error, 'Invalid cron minute field: */0')
+  })
+
+  it('requires a known rule type', () => {
+    assert.equal(parseScheduleRule(undefined).error, 'Schedule rule is required')
+    assert.equal(parseScheduleRule({ type: 'weekly' }).error, 'Schedule rule type must be "monthly" or "cron"')
+  })
+})
+
+describe('parseSchedulePeriod', () => {
+  it('defaults to the previous month', () => {
+    assert.deepEqual(parseSchedulePeriod(undefined), { period: 'previousMonth', error: null })
+  })
+
+  it('accepts supported periods only', () => {
+    assert.deepEqual(parseSchedulePeriod('previousWeek'), { period: 'previousWeek', error: null })
+    for (const input of ['nextMonth', 'constructor', '__proto__', ['previousDay']]) {
+      assert.equal(parseSchedulePeriod(input).error, `Unsupported schedule period: ${input}`)
+    }
+  })
+})
+
+describe('getNextRunTime', () => {
+  it('runs monthly rules later this month or next month', () => {
+    const rule = { type: 'monthly', day: 15, time: '06:00' }
+    assert.equal(nextRun(rule, '2025-01-10T00:00:00Z'), '2025-01-15T06:00:00.000Z')
+    assert.equal(nextRun(rule, '2025-01-15T06:00:00Z'), '2025-02-15T06:00:00.000Z')
+  })
+
+  it('runs monthly rules for days a month doesn\'t have on its last day', () => {
+    assert.equal(nextRun({ type: 'monthly', day: 31, time: '06:00' }, '2025-02-10T00:00:00Z'), '2025-02-28T06:00:00.000Z')
+  })
+
+  it('reads monthly rule times in the schedule\'s time zone', () => {
+    assert.equal(nextRun({ type: 'monthly', day: 1, time: '06:00' }, '2025-01-15T00:00:00Z', 'America/New_York'), '2025-02-01T11:00:00.000Z')
+  })
+
+  it('finds the next matching minute of a cron expression', () => {
+    assert.equal(nextRun(cron('30 */6 * * *'), '2025-01-01T07:00:00Z'), '2025-01-01T12:30:00.000Z')
+    // 2025-01-01 is a Wednesday
+    assert.equal(nextRun(cron('0 6 * * 1'), '2025-01-01T00:00:00Z'), '2025-01-06T06:00:00.000Z')
+    assert.equal(nextRun(cron('0 0 * * 7'), '2025-01-01T00:00:00Z'), '2025-01-05T00:00:00.000Z')
+  })
+
+  it('matches either day field when both are restricted', () => {
+    assert.equal(nextRun(cron('0 0 13 * 5'), '2025-01-01T00:00:00Z'), '2025-01-03T00:00:00.000Z')
+    assert.equal(nextRun(cron('0 0 13 * 5'), '2025-01-11T00:00:00Z'), '2025-01-13T00:00:00.000Z')
+  })
+
+  it('searches years ahead for leap days', () => {
+    assert.equal(nextRun(cron('0 0 29 2 *'), '2025-01-01T00:00:00Z'), '2028-02-29T00:00:00.000Z')
+  })
+
+  it('handles daylight saving changes in the schedule\'s time zone', () => {
+    // 02:30 doesn't exist on the spring-forward day, so the run moves past the change
+    assert.equal(nextRun(cron('30 2 * * *'), '2025-03-09T00:00:00Z', 'America/New_York'), '2025-03-09T07:30:00.000Z')
+    // 01:30 happens twice on the fall-back day; the first one runs
+    assert.equal(nextRun(cron('30 1 * * *'), '2025-11-02T00:00:00Z', 'America/New_York'), '2025-11-02T05:30:00.000Z')
+  })
+})
+
+describe('getSchedulePeriodDates', () => {
+  const period = (name, runAt, timeZone = 'UTC') => getSchedulePeriodDates(name, new Date(runAt), timeZone)
+
+  it('covers the day before the run', () => {
+    assert.deepEqual(period('previousDay', '2025-03-01T06:00:00Z'), { startDate: '2025-02-28', endDate: '2025-02-28' })
+  })
+
+  it('covers Monday to Sunday of the week before the run', () => {
+    // Wednesday and Monday runs cover the same week
+    assert.deepEqual(period('previousWeek', '2025-01-08T06:00:00Z'), { startDate: '2024-12-30', endDate: '2025-01-05' })
+    assert.deepEqual(period('previousWeek', '2025-01-06T00:00:00Z'), { startDate: '2024-12-30', endDate: '2025-01-05' })
+  })
+
+  it('covers the month before the run, across years', () => {
+    assert.deepEqual(period('previousMonth', '2025-01-01T06:00:00Z'), { startDate: '2024-12-01', endDate: '2024-12-31' })
+    assert.deepEqual(period('previousMonth', '2024-03-15T06:00:00Z'), { startDate: '2024-02-01', endDate: '2024-02-29' })
+  })
+
+  it('uses the date of the run in the schedule\'s time zone', () => {
+    // Still February 28 in New York
+    assert.deepEqual(period('previousMonth', '2025-03-01T03:00:00Z', 'America/New_York'), { startDate: '2025-01-01', endDate: '2025-01-31' })
+    assert.deepEqual(period('previousDay', '2025-03-01T03:00:00Z', 'America/New_York'), { startDate: '2025-02-27', endDate: '2025-02-27' })
+  })
+})
+
+describe('ReportScheduler', () => {
+  let db
+  let jobs
+  let reportJobs
+  let vehicleAccess
+
+  // Job manager whose jobs finish when the test resolves them
+  beforeEach(async () => {
+    db = openDatabase(':memory:')
+    jobs = []
+    reportJobs = {
+      createJob: (params, config, requester) => {
+        let finish
+        const job = { id: `job-${jobs.length + 1}`, params, config, requester, status: 'running', finished: new Promise(resolve => { finish = resolve }) }
+        job.finish = (status, result, error = null) => {
+          Object.assign(job, { status, result, error, completedAt: new Date().toISOString() })
+          finish()
+        }
+        jobs.push(job)
+        return job
+      }
+    }
+    vehicleAccess = {
+      privileged: [1, 2],
+      findUnauthorizedVehicles: async (address, tokenIds) => tokenIds
+        .filter(tokenId => !vehicleAccess.privileged.includes(tokenId))
+        .map(tokenId => ({ tokenId, error: `Vehicle ${tokenId} is not shared with ${address}` }))
+    }
+  })
+
+  const input = {
+    configId: 'config-1',
+    name: 'Monthly fleet report',
+    rule: { type: 'monthly', day: 1, time: '06:00' },
+    period: 'previousMonth',
+    enabled: true,
+    ownerAddress: '0x2222222222222222222222222222222222222222',
+    params: { vehicleTokenIds: [1, 2], timeZone: 'UTC' }
+  }
+
+  it('computes the next run of enabled schedules only', async () => {
+    const scheduler = new ReportScheduler(reportJobs, async () => CONFIG, db, vehicleAccess)
+    const schedule = await scheduler.createSchedule(input)
+
+    assert.ok(new Date(schedule.nextRunAt) > new Date())
+    assert.match(schedule.nextRunAt, /-01T06:00:00.000Z$/)
+    assert.equal((await scheduler.updateSchedule(schedule.id, { enabled: false })).nextRunAt, null)
+    assert.equal(await scheduler.updateSchedule('missing', { enabled: false }), null)
+  })
+
+  it('starts a report job for the schedule\'s period and records the run', async () => {
+    const scheduler = new ReportScheduler(reportJobs, async () => CONFIG, db, vehicleAccess)
+    const schedule = await scheduler.createSchedule(input)
+
+    const run = await scheduler.runSchedule(schedule, 'manual')
+    const [job] = jobs
+    assert.deepEqual(job.params, { ...input.params, ...getSchedulePeriodDates('previousMonth', new Date(run.startedAt), 'UTC') })
+    assert.equal(job.config, CONFIG)
+    assert.deepEqual(job.requester, { scheduleId: schedule.id, scheduleName: input.name })
+    assert.deepEqual([run.id, run.trigger, run.status], ['job-1', 'manual', 'running'])
+
+    job.finish('completed', { reportId: 'job-1' })
+    await job.finished
+    assert.deepEqual([run.status, run.reportId], ['completed', 'job-1'])
+    const stored = JSON.parse(db.prepare('SELECT data FROM schedules WHERE id = ?').pluck().get(schedule.id))
+    assert.deepEqual([stored.runs[0].id, stored.runs[0].status], ['job-1', 'completed'])
+  })
+
+  it('runs with its own configuration, failing once that is deleted', async () => {
+    const configs = { 'config-1': CONFIG }
+    const scheduler = new ReportScheduler(reportJobs, async id => configs[id] || null, db, vehicleAccess)
+    const other = await scheduler.createSchedule({ ...input, configId: 'config-2' })
+
+    const run = await scheduler.runSchedule(other, 'manual')
+    assert.equal(run.status, 'failed')
+    assert.equal(run.error, 'The app configuration this schedule belongs to no longer exists.')
+    assert.equal(jobs.length, 0)
+  })
+
+  it('records a failed run when the owner lost access to a vehicle', async () => {
+    const scheduler = new ReportScheduler(reportJobs, async () => CONFIG, db, vehicleAccess)
+    const schedule = await scheduler.createSchedule(input)
+    vehicleAccess.privileged = [1]
+
+    const run = await scheduler.runSchedule(schedule, 'manual')
+    assert.equal(run.status, 'failed')
+    assert.equal(run.error, `Vehicle 2 is not shared with ${input.ownerAddress}`)
+    assert.equal(jobs.length, 0)
+  })
+
+  it('doesn\'t run schedules without an owner', async () => {
+    const scheduler = new ReportScheduler(reportJobs, async () => CONFIG, db, vehicleAccess)
+    const run = await scheduler.runSchedule(await scheduler.createSchedule({ ...input, ownerAddress: null }), 'manual')
+
+    assert.equal(run.status, 'failed')
+    assert.match(run.error, /Schedule has no owner/)
+    assert.equal(jobs.length, 0)
+  })
+
+  it('runs due schedules on a tick and moves them to their next run', async () => {
+    const scheduler = new ReportScheduler(reportJobs, async () => CONFIG, db, vehicleAccess)
+    const due = await scheduler.createSchedule(input)
+    const disabled = await scheduler.createSchedule({ ...input, enabled: false })
+    due.nextRunAt = '2025-01-01T06:00:00.000Z'
+    disabled.nextRunAt = '2025-01-01T06:00:00.000Z'
+
+    await scheduler.tick()
+
+    assert.equal(jobs.length, 1)
+    assert.equal(due.runs[0].trigger, 'scheduled')
+    assert.ok(new Date(due.nextRunAt) > new Date())
+  })
+
+  it('lists, claims and deletes schedules per configuration', async () => {
+    const scheduler = new ReportScheduler(reportJobs, async () => CONFIG, db, vehicleAccess)
+    const unscoped = await scheduler.createSchedule({ ...input, configId: undefined })
+    const other = await scheduler.createSchedule({ ...input, configId: 'config-2' })
+
+    assert.deepEqual(scheduler.listSchedules('config-1'), [])
+    await scheduler.claimUnscopedSchedules('config-1')
+    assert.deepEqual(scheduler.listSchedules('config-1').map(s => s.id), [unscoped.id])
+    assert.deepEqual(scheduler.listSchedules('config-2').map(s => s.id), [other.id])
+
+    assert.equal(await scheduler.deleteConfigSchedules('config-1'), 1)
+    assert.deepEqual(scheduler.schedules.map(s => s.id), [other.id])
+    assert.deepEqual(db.prepare('SELECT id FROM schedules').pluck().all(), [other.id])
+  })
+
+  it('fails runs that were interrupted by a restart', async () => {
+    const scheduler = new ReportScheduler(reportJobs, async () => CONFIG, db, vehicleAccess)
+    const schedule = await scheduler.createSchedule({ ...input, enabled: false })
+    await scheduler.runSchedule(schedule, 'manual')
+
+    const restarted = new ReportScheduler(reportJobs, async () => CONFIG, db, vehicleAccess)
+    await restarted.start()
+    restarted.stop()
+
+    const [run] = restarted.getSchedule(schedule.id).runs
+    assert.deepEqual([run.status, run.error], ['failed', 'Interrupted by a server restart'])
+  })
+
+  it('logs ticks that fail instead of leaving their errors unhandled', async () => {
+    const scheduler = new ReportScheduler(reportJobs, async () => CONFIG, db, vehicleAccess)
+    scheduler.tick = async () => { throw new Error('database is locked') }
+    const errors = mock.method(console, 'error', () => {})
+
+    await scheduler.start()
+    scheduler.stop()
+    await new Promise(resolve => setImmediate(resolve))
+
+    assert.equal(errors.mock.callCount(), 1)
+    assert.equal(errors.mock.calls[0].arguments[1].message, 'database is locked')
+    errors.mock.restore()
+  })
+})
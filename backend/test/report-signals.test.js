@@ -0,0 +1,43 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import { DEFAULT_REPORT_SIGNALS, parseReportSignals, signalColumnTitle } from '../src/report-signals.js'
+
+describe('parseReportSignals', () => {
+  it('defaults to the odometer', () => {
+    assert.deepEqual(parseReportSignals(undefined), { signals: DEFAULT_REPORT_SIGNALS, error: null })
+  })
+
+  it('accepts names and entries, using each signal\'s default aggregation', () => {
+    assert.deepEqual(parseReportSignals(['speed', { name: 'speed', agg: 'avg' }]).signals, [
+      { name: 'speed', agg: 'MAX' },
+      { name: 'speed', agg: 'AVG' }
+    ])
+  })
+
+  it('rejects unsupported and inherited signal names', () => {
+    for (const name of ['tirePressure', 'constructor', '__proto__', ['speed'], 7]) {
+      assert.equal(parseReportSignals([{ name }]).error, `Unsupported signal: ${name}`)
+    }
+  })
+
+  it('rejects unsupported aggregations and ones that aren\'t strings', () => {
+    assert.equal(parseReportSignals([{ name: 'speed', agg: 'SUM' }]).error, 'Unsupported aggregation SUM for signal speed')
+    assert.equal(parseReportSignals([{ name: 'speed', agg: ['MAX'] }]).error, 'Aggregation for signal speed must be a string')
+  })
+
+  it('rejects empty lists and signals requested twice', () => {
+    assert.equal(parseReportSignals([]).error, 'Signals must be a non-empty array')
+    assert.equal(parseReportSignals('speed').error, 'Signals must be a non-empty array')
+    assert.equal(parseReportSignals(['speed', 'speed']).error, 'Signal speed with aggregation MAX was requested twice')
+  })
+})
+
+describe('signalColumnTitle', () => {
+  it('names the unit in the report\'s distance unit, and the aggregation when it isn\'t the default', () => {
+    assert.equal(signalColumnTitle({ name: 'speed', agg: 'MAX' }), 'Speed (km/h)')
+    assert.equal(signalColumnTitle({ name: 'speed', agg: 'MIN' }), 'Speed (MIN, km/h)')
+    assert.equal(signalColumnTitle({ name: 'speed', agg: 'MIN' }, 'mi'), 'Speed (MIN, mph)')
+    assert.equal(signalColumnTitle({ name: 'powertrainTransmissionTravelledDistance', agg: 'MAX' }, 'mi'), 'Odometer Reading (mi)')
+    assert.equal(signalColumnTitle({ name: 'powertrainTractionBatteryChargingIsCharging', agg: 'MAX' }), 'Charging State')
+  })
+})
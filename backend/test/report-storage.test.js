@@ -0,0 +1,268 @@
+import assert from 'node:assert/strict'
+import fs from 'node:fs/promises'
+import os from 'node:os'
+import path from 'node:path'
+import { text } from 'node:stream/consumers'
+import { after, before, describe, it, mock } from 'node:test'
+import S3rver from 's3rver'
+import { openDatabase } from '../src/database.js'
+import { LocalReportStorage, getReportStorageOptions } from '../src/report-storage.js'
+import { S3ReportStorage } from '../src/report-storage-s3.js'
+import { ReportStore } from '../src/report-store.js'
+
+// Node 20's test runner can misread the stores' emoji log lines as its own messages
+mock.method(console, 'log', () => {})
+
+const REPORT_ID = '3b241101-e2bb-4255-8caf-4136c566a962'
+
+let dir
+let s3
+let s3Endpoint
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'report-storage-'))
+  // Local S3 stand-in keeping its objects in the test directory
+  s3 = new S3rver({
+    port: 0,
+    address: '127.0.0.1',
+    silent: true,
+    directory: path.join(dir, 's3'),
+    configureBuckets: [{ name: 'reports' }]
+  })
+  const { port } = await s3.run()
+  s3Endpoint = `http://127.0.0.1:${port}`
+})
+
+after(async () => {
+  await s3?.close()
+  await fs.rm(dir, { recursive: true, force: true })
+})
+
+const backends = {
+  local: async name => {
+    const storage = new LocalReportStorage(path.join(dir, name))
+    await storage.init()
+    return storage
+  },
+  s3: async name => {
+    const storage = new S3ReportStorage({
+      bucket: 'reports',
+      prefix: `${name}/`,
+      region: 'us-east-1',
+      endpoint: s3Endpoint,
+      forcePathStyle: true,
+      accessKeyId: 'S3RVER',
+      secretAccessKey: 'S3RVER'
+    })
+    await storage.init()
+    return storage
+  }
+}
+
+// Generated report file in a scratch directory
+async function writeSourceFile(contents) {
+  const sourcePath = path.join(dir, `source-${Math.random().toString(16).slice(2)}.csv`)
+  await fs.writeFile(sourcePath, contents)
+  return sourcePath
+}
+
+for (const [type, createStorage] of Object.entries(backends)) {
+  describe(`${type} report storage`, () => {
+    let storage
+
+    before(async () => {
+      storage = await createStorage(`files-${type}`)
+    })
+
+    it('moves files in and streams them back', async () => {
+      const sourcePath = await writeSourceFile('tokenId,odometer\n1,1200\n')
+      await storage.putFile(`${REPORT_ID}.csv`, sourcePath, 'text/csv')
+
+      assert.equal(await text(await storage.openFile(`${REPORT_ID}.csv`)), 'tokenId,odometer\n1,1200\n')
+      await assert.rejects(fs.access(sourcePath), { code: 'ENOENT' })
+    })
+
+    it('writes and reads small files, changing their version', async () => {
+      const first = await storage.writeFile('meta.json', '{"a":1}', 'application/json')
+      const second = await storage.writeFile('meta.json', '{"a":22}', 'application/json')
+
+      assert.equal((await storage.readFile('meta.json')).toString(), '{"a":22}')
+      assert.notEqual(first, second)
+      assert.equal((await storage.listFiles()).find(file => file.key === 'meta.json').version, second)
+    })
+
+    it('lists stored files', async () => {
+      const files = await storage.listFiles()
+      assert.deepEqual(files.map(file => file.key).sort(), [`${REPORT_ID}.csv`, 'meta.json'])
+      const report = files.find(file => file.key === `${REPORT_ID}.csv`)
+      assert.equal(report.size, 24)
+      assert.ok(report.lastModified instanceof Date)
+    })
+
+    it('fails with ENOENT for missing files and ignores deleting them', async () => {
+      await assert.rejects(storage.openFile('missing.csv'), { code: 'ENOENT' })
+      await assert.rejects(storage.readFile('missing.json'), { code: 'ENOENT' })
+      await storage.deleteFile('missing.csv')
+    })
+
+    it('deletes files', async () => {
+      await storage.deleteFile('meta.json')
+      await assert.rejects(storage.readFile('meta.json'), { code: 'ENOENT' })
+    })
+
+    if (type === 'local') {
+      it('copies files in when they are on another file system', async () => {
+        const sourcePath = await writeSourceFile('tokenId\n2\n')
+        const rename = fs.rename
+        const renames = mock.method(fs, 'rename', async (from, to) => {
+          if (from === sourcePath) {
+            throw Object.assign(new Error('cross-device link not permitted'), { code: 'EXDEV' })
+          }
+          return rename(from, to)
+        })
+        try {
+          await storage.putFile('moved.csv', sourcePath, 'text/csv')
+        } finally {
+          renames.mock.restore()
+        }
+
+        assert.equal(renames.mock.calls[0].arguments[0], sourcePath)
+        assert.equal(await text(await storage.openFile('moved.csv')), 'tokenId\n2\n')
+        await assert.rejects(fs.access(sourcePath), { code: 'ENOENT' })
+        await storage.deleteFile('moved.csv')
+      })
+    }
+
+    if (type === 's3') {
+      it('pre-signs download urls', async () => {
+        const response = await fetch(await storage.getDownloadUrl(`${REPORT_ID}.csv`, 'vehicle "report".csv', 60))
+        assert.equal(response.status, 200)
+        assert.equal(response.headers.get('content-disposition'), 'attachment; filename="vehicle report.csv"')
+        assert.equal(await response.text(), 'tokenId,odometer\n1,1200\n')
+      })
+    } else {
+      it('has no download urls and keeps keys inside its directory', async () => {
+        assert.equal(await storage.getDownloadUrl(`${REPORT_ID}.csv`, 'report.csv', 60), null)
+        await assert.rejects(storage.readFile('../outside.json'), /Invalid report storage key/)
+      })
+    }
+  })
+
+  describe(`ReportStore sharing ${type} storage`, () => {
+    let first
+    let second
+
+    const createStore = async (storage, name) => {
+      const baseDir = path.join(dir, `${type}-${name}`)
+      await fs.mkdir(baseDir, { recursive: true })
+      const store = new ReportStore(openDatabase(':memory:'), baseDir, storage)
+      await store.reconcile()
+      return store
+    }
+
+    const addReport = (store, metadata = {}) => writeSourceFile('tokenId\n1\n').then(sourcePath => store.addReport({
+      filename: 'vehicle-report-2025-01.csv',
+      createdAt: new Date().toISOString(),
+      params: { startDate: '2025-01-01', endDate: '2025-01-31' },
+      vehicles: [{ tokenId: 1 }],
+      pinned: false,
+      ...metadata
+    }, sourcePath))
+
+    before(async () => {
+      const storage = await createStorage(`store-${type}`)
+      first = await createStore(storage, 'first')
+      second = await createStore(storage, 'second')
+    })
+
+    it('reads reports another instance added before they are synced', async () => {
+      const report = await addReport(first)
+      assert.equal((await second.listReports()).total, 0)
+      assert.equal((await second.getReport(report.id)).checksum, report.checksum)
+      assert.equal(await text(await second.openReport(report)), 'tokenId\n1\n')
+    })
+
+    it('picks up added, changed and deleted reports on sync', async () => {
+      const added = await addReport(first)
+      await first.setPinned(added.id, true)
+      assert.equal((await second.sync()).updated, 2)
+      assert.equal((await second.getReport(added.id)).pinned, true)
+
+      await first.deleteReport(added.id)
+      assert.deepEqual(await second.sync(), { updated: 0, removed: 1, untracked: 0 })
+      assert.equal(await second.getReport(added.id), null)
+    })
+
+    it('keeps changes other instances made when updating a report', async () => {
+      const report = await addReport(first)
+      await second.sync()
+      await first.setPinned(report.id, true)
+
+      // The second instance hasn't synced the pin yet
+      await second.updateReport(report.id, () => ({ status: 'emailed' }))
+      assert.deepEqual(await first.sync(), { updated: 1, removed: 0, untracked: 0 })
+      assert.equal((await first.getReport(report.id)).pinned, true)
+      assert.equal((await first.getReport(report.id)).status, 'emailed')
+    })
+
+    it('counts report files without metadata as untracked', async () => {
+      const sourcePath = await writeSourceFile('orphan')
+      await first.fileStorage.putFile('00000000-0000-4000-8000-000000000000.csv', sourcePath, 'text/csv')
+      assert.equal((await first.sync()).untracked, 1)
+    })
+  })
+
+  describe(`ReportStore upgrade on ${type} storage`, () => {
+    it('moves metadata and files of earlier versions into the storage without losing reports', async () => {
+      const storage = await createStorage(`upgrade-${type}`)
+      const baseDir = path.join(dir, `${type}-upgrade`)
+      await fs.mkdir(baseDir, { recursive: true })
+      await fs.writeFile(path.join(baseDir, 'vehicle-report-2024-12.csv'), 'tokenId\n1\n')
+      await fs.writeFile(path.join(baseDir, 'vehicle-report-2024-11.csv'), 'tokenId\n2\n')
+
+      // An earlier version's index: metadata only in the database, files in the base directory by name
+      const db = openDatabase(':memory:')
+      const store = new ReportStore(db, baseDir, storage)
+      store.saveRecord({ id: REPORT_ID, filename: 'vehicle-report-2024-12.csv', createdAt: '2024-12-31T00:00:00.000Z', pinned: true })
+      await store.reconcile()
+
+      const { reports } = await store.listReports()
+      assert.deepEqual(reports.map(report => report.filename).sort(), ['vehicle-report-2024-11.csv', 'vehicle-report-2024-12.csv'])
+      assert.equal(JSON.parse(await storage.readFile(`${REPORT_ID}.meta.json`)).pinned, true)
+      assert.equal(await text(await store.openReport(reports.find(report => report.id === REPORT_ID))), 'tokenId\n1\n')
+
+      // Another instance sharing the storage sees both, and a second start changes nothing
+      const other = new ReportStore(openDatabase(':memory:'), path.join(dir, `${type}-upgrade-other`), storage)
+      await fs.mkdir(other.baseDir, { recursive: true })
+      await other.reconcile()
+      assert.equal((await other.listReports()).total, 2)
+      await store.reconcile()
+      assert.equal((await store.listReports()).total, 2)
+    })
+  })
+}
+
+describe('getReportStorageOptions', () => {
+  it('defaults to local storage with downloads through the backend', () => {
+    const options = getReportStorageOptions({}, '/data')
+    assert.deepEqual(options, { type: 'local', downloadMode: 'proxy', downloadUrlTtlSeconds: 300, syncIntervalSeconds: 60, dir: '/data' })
+  })
+
+  it('reads the S3 settings and caps the download url lifetime at 7 days', () => {
+    const options = getReportStorageOptions({
+      REPORT_STORAGE: 's3',
+      REPORT_STORAGE_S3_BUCKET: 'reports',
+      REPORT_STORAGE_S3_PREFIX: '/fleet/',
+      REPORT_DOWNLOAD_MODE: 'presigned',
+      REPORT_DOWNLOAD_URL_TTL_SECONDS: '999999999'
+    }, '/data')
+    assert.equal(options.downloadUrlTtlSeconds, 7 * 24 * 3600)
+    assert.deepEqual([options.s3.bucket, options.s3.prefix, options.s3.region, options.s3.endpoint], ['reports', 'fleet/', 'us-east-1', null])
+  })
+
+  it('requires a bucket for S3 and S3 for pre-signed downloads', () => {
+    assert.throws(() => getReportStorageOptions({ REPORT_STORAGE: 'ftp' }, '/data'), /REPORT_STORAGE must be one of local, s3/)
+    assert.throws(() => getReportStorageOptions({ REPORT_STORAGE: 's3' }, '/data'), /REPORT_STORAGE_S3_BUCKET/)
+    assert.throws(() => getReportStorageOptions({ REPORT_DOWNLOAD_MODE: 'presigned' }, '/data'), /needs REPORT_STORAGE=s3/)
+  })
+})
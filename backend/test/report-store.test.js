@@ -0,0 +1,220 @@
+import assert from 'node:assert/strict'
+import fs from 'node:fs/promises'
+import os from 'node:os'
+import path from 'node:path'
+import { text } from 'node:stream/consumers'
+import { afterEach, beforeEach, describe, it, mock } from 'node:test'
+import { openDatabase } from '../src/database.js'
+import { LocalReportStorage } from '../src/report-storage.js'
+import { MAX_REPORT_PAGE_SIZE, ReportStore, parseReportQuery } from '../src/report-store.js'
+
+// Node 20's test runner can misread the stores' emoji log lines as its own messages
+mock.method(console, 'log', () => {})
+
+async function writeGenerated(store, filename) {
+  const generated = path.join(store.incomingDir, filename)
+  await fs.writeFile(generated, `report ${filename}`)
+  return generated
+}
+
+// Generate a report file and record it with the given period, vehicles and creation time
+async function addReport(store, { filename, startDate, endDate, tokenIds, createdAt }) {
+  const generated = await writeGenerated(store, filename)
+  return store.addReport({
+    filename,
+    format: 'csv',
+    createdAt,
+    params: { vehicleTokenIds: tokenIds, startDate, endDate },
+    vehicles: tokenIds.map(tokenId => ({ tokenId, status: 'completed' }))
+  }, generated)
+}
+
+describe('ReportStore', () => {
+  let dir
+  let store
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'report-store-'))
+    const storage = new LocalReportStorage(path.join(dir, 'reports'))
+    await storage.init()
+    store = new ReportStore(openDatabase(':memory:'), dir, storage)
+    await store.reconcile()
+  })
+
+  afterEach(() => fs.rm(dir, { recursive: true, force: true }))
+
+  // Where local storage keeps a report's file
+  const storedPath = report => path.join(dir, 'reports', store.getReportKey(report))
+
+  it('moves reports into the store by ID, recording their size and checksum', async () => {
+    const report = await addReport(store, { filename: 'vehicle-report-1.csv', startDate: '2025-01-01', endDate: '2025-01-31', tokenIds: [1], createdAt: '2025-02-01T00:00:00Z' })
+
+    assert.equal(store.getReportKey(report), `${report.id}.csv`)
+    assert.equal(await text(await store.openReport(report)), 'report vehicle-report-1.csv')
+    await assert.rejects(fs.access(path.join(store.incomingDir, 'vehicle-report-1.csv')), { code: 'ENOENT' })
+    assert.equal(report.size, 'report vehicle-report-1.csv'.length)
+    assert.match(report.checksum, /^sha256:[0-9a-f]{64}$/)
+    assert.deepEqual(await store.getReport(report.id), report)
+    assert.equal(await store.getReport('missing'), null)
+  })
+
+  it('keeps every entry when reports are added concurrently', async () => {
+    await Promise.all([1, 2, 3, 4].map(n => addReport(store, {
+      filename: `vehicle-report-${n}.csv`, startDate: '2025-01-01', endDate: '2025-01-31', tokenIds: [n], createdAt: `2025-02-0${n}T00:00:00Z`
+    })))
+    assert.equal((await store.listReports()).total, 4)
+  })
+
+  it('lists reports newest first, a page at a time', async () => {
+    for (const n of [1, 2, 3]) {
+      await addReport(store, { filename: `vehicle-report-${n}.csv`, startDate: '2025-01-01', endDate: '2025-01-31', tokenIds: [1], createdAt: `2025-02-0${n}T00:00:00Z` })
+    }
+
+    const first = await store.listReports({ pageSize: 2 })
+    assert.deepEqual(first.reports.map(report => report.filename), ['vehicle-report-3.csv', 'vehicle-report-2.csv'])
+    assert.deepEqual([first.total, first.page, first.pageSize], [3, 1, 2])
+    const second = await store.listReports({ page: 2, pageSize: 2 })
+    assert.deepEqual(second.reports.map(report => report.filename), ['vehicle-report-1.csv'])
+  })
+
+  it('filters reports by vehicle and by overlap with a period', async () => {
+    await addReport(store, { filename: 'vehicle-report-jan.csv', startDate: '2025-01-01', endDate: '2025-01-31', tokenIds: [1, 2], createdAt: '2025-02-01T00:00:00Z' })
+    await addReport(store, { filename: 'vehicle-report-feb.csv', startDate: '2025-02-01', endDate: '2025-02-28', tokenIds: [2], createdAt: '2025-03-01T00:00:00Z' })
+    const filenames = async query => (await store.listReports(query)).reports.map(report => report.filename)
+
+    assert.deepEqual(await filenames({ vehicle: '1' }), ['vehicle-report-jan.csv'])
+    assert.deepEqual(await filenames({ vehicle: '2' }), ['vehicle-report-feb.csv', 'vehicle-report-jan.csv'])
+    assert.deepEqual(await filenames({ from: '2025-01-31' }), ['vehicle-report-feb.csv', 'vehicle-report-jan.csv'])
+    assert.deepEqual(await filenames({ from: '2025-02-01' }), ['vehicle-report-feb.csv'])
+    assert.deepEqual(await filenames({ to: '2025-01-15' }), ['vehicle-report-jan.csv'])
+    assert.deepEqual(await filenames({ from: '2025-03-01' }), [])
+  })
+
+  it('claims, filters and deletes reports per configuration', async () => {
+    const unscoped = await addReport(store, { filename: 'vehicle-report-1.csv', startDate: '2025-01-01', endDate: '2025-01-31', tokenIds: [1], createdAt: '2025-02-01T00:00:00Z' })
+    const other = await store.addReport({
+      filename: 'vehicle-report-2.csv',
+      configId: 'config-2',
+      createdAt: '2025-02-02T00:00:00Z',
+      params: unscoped.params,
+      vehicles: unscoped.vehicles
+    }, await writeGenerated(store, 'vehicle-report-2.csv'))
+    const ids = async configId => (await store.listReports({ configId })).reports.map(report => report.id)
+
+    await store.claimUnscopedReports('config-1')
+    assert.deepEqual(await ids('config-1'), [unscoped.id])
+    assert.deepEqual(await ids('config-2'), [other.id])
+
+    assert.equal(await store.deleteConfigReports('config-1'), 1)
+    assert.deepEqual((await store.loadAllReports()).map(report => report.id), [other.id])
+    await assert.rejects(fs.access(storedPath(unscoped)), { code: 'ENOENT' })
+  })
+
+  it('lists only the reports a user requested or is privileged on every vehicle of', async () => {
+    const address = '0x2222222222222222222222222222222222222222'
+    const own = await addReport(store, { filename: 'vehicle-report-own.csv', startDate: '2025-01-01', endDate: '2025-01-31', tokenIds: [3], createdAt: '2025-02-01T00:00:00Z' })
+    await store.updateReport(own.id, () => ({ requester: { walletAddress: address.toUpperCase().replace('0X', '0x') } }))
+    await addReport(store, { filename: 'vehicle-report-shared.csv', startDate: '2025-01-01', endDate: '2025-01-31', tokenIds: [1, 2], createdAt: '2025-02-02T00:00:00Z' })
+    await addReport(store, { filename: 'vehicle-report-other.csv', startDate: '2025-01-01', endDate: '2025-01-31', tokenIds: [1, 3], createdAt: '2025-02-03T00:00:00Z' })
+    await addReport(store, { filename: 'vehicle-report-untracked.csv', startDate: '2025-01-01', endDate: '2025-01-31', tokenIds: [], createdAt: '2025-02-04T00:00:00Z' })
+    const filenames = async access => (await store.listReports({ access })).reports.map(report => report.filename)
+
+    const access = { walletAddress: address, tokenIds: ['1', '2'], includeUnrecorded: false }
+    assert.deepEqual(await filenames(access), ['vehicle-report-shared.csv', 'vehicle-report-own.csv'])
+    assert.deepEqual(await filenames({ ...access, includeUnrecorded: true }), ['vehicle-report-untracked.csv', 'vehicle-report-shared.csv', 'vehicle-report-own.csv'])
+    assert.deepEqual(await filenames({ walletAddress: null, tokenIds: [], includeUnrecorded: false }), [])
+  })
+
+  it('deletes a report\'s file and metadata', async () => {
+    const report = await addReport(store, { filename: 'vehicle-report-1.csv', startDate: '2025-01-01', endDate: '2025-01-31', tokenIds: [1], createdAt: '2025-02-01T00:00:00Z' })
+
+    assert.equal(await store.deleteReport(report.id), true)
+    await assert.rejects(fs.access(storedPath(report)), { code: 'ENOENT' })
+    assert.equal(await store.getReport(report.id), null)
+    assert.equal(await store.deleteReport(report.id), false)
+  })
+
+  it('changes a report\'s metadata', async () => {
+    const report = await addReport(store, { filename: 'vehicle-report-1.csv', startDate: '2025-01-01', endDate: '2025-01-31', tokenIds: [1], createdAt: '2025-02-01T00:00:00Z' })
+
+    const updated = await store.updateReport(report.id, current => ({ notes: [...(current.notes || []), 'checked'] }))
+    assert.deepEqual(updated, { ...report, notes: ['checked'] })
+    assert.deepEqual(await store.getReport(report.id), updated)
+    assert.equal(await store.updateReport('missing', () => ({})), null)
+  })
+
+  it('pins and unpins reports', async () => {
+    const report = await addReport(store, { filename: 'vehicle-report-1.csv', startDate: '2025-01-01', endDate: '2025-01-31', tokenIds: [1], createdAt: '2025-02-01T00:00:00Z' })
+
+    assert.equal((await store.setPinned(report.id, true)).pinned, true)
+    assert.equal((await store.getReport(report.id)).pinned, true)
+    assert.equal((await store.setPinned(report.id, false)).pinned, false)
+    assert.equal(await store.setPinned('missing', true), null)
+  })
+
+  it('keeps each report\'s metadata next to its file and syncs the index with it', async () => {
+    const kept = await addReport(store, { filename: 'vehicle-report-kept.csv', startDate: '2025-01-01', endDate: '2025-01-31', tokenIds: [1], createdAt: '2025-02-01T00:00:00Z' })
+    const removed = await addReport(store, { filename: 'vehicle-report-removed.csv', startDate: '2025-01-01', endDate: '2025-01-31', tokenIds: [1], createdAt: '2025-02-02T00:00:00Z' })
+    assert.deepEqual(JSON.parse(await fs.readFile(path.join(dir, 'reports', `${kept.id}.meta.json`), 'utf8')), kept)
+
+    await fs.unlink(path.join(dir, 'reports', `${removed.id}.meta.json`))
+    await fs.writeFile(path.join(dir, 'reports', '3b241101-e2bb-4255-8caf-4136c566a962.xlsx'), 'untracked report')
+    assert.deepEqual(await store.sync(), { updated: 0, removed: 1, untracked: 1 })
+
+    // Files without metadata aren't listed
+    assert.deepEqual((await store.listReports()).reports.map(report => report.id), [kept.id])
+  })
+
+  it('clears reports left incoming by an interrupted job on start', async () => {
+    await fs.writeFile(path.join(store.incomingDir, 'interrupted.csv'), 'partial report')
+    await store.reconcile()
+    assert.deepEqual(await fs.readdir(store.incomingDir), [])
+  })
+
+  it('moves reports stored by name in the base directory into the store', async () => {
+    await fs.writeFile(path.join(dir, 'vehicle-report-old.csv'), 'old report')
+    await fs.writeFile(path.join(dir, 'app-config.json'), '{}')
+
+    await store.reconcile()
+
+    const [report] = (await store.listReports()).reports
+    assert.equal(report.filename, 'vehicle-report-old.csv')
+    assert.equal(await text(await store.openReport(report)), 'old report')
+    assert.deepEqual((await fs.readdir(dir)).sort(), ['app-config.json', 'reports'])
+  })
+
+  it('only builds storage keys from report IDs and supported formats', () => {
+    const id = '3b241101-e2bb-4255-8caf-4136c566a962'
+    assert.equal(store.getReportKey({ id, filename: 'vehicle-report-1.pdf' }), `${id}.pdf`)
+    assert.throws(() => store.getReportKey({ id: '../app-config', filename: 'vehicle-report-1.csv' }), /has no valid file name/)
+    assert.throws(() => store.getReportKey({ id, filename: 'vehicle-report-1.txt' }), /has no valid file name/)
+  })
+})
+
+describe('parseReportQuery', () => {
+  it('accepts paging, dates and a vehicle', () => {
+    assert.deepEqual(parseReportQuery({}), { query: {}, error: null })
+    assert.deepEqual(parseReportQuery({ page: '2', pageSize: '50', from: '2025-01-01', to: '2025-01-31', vehicle: '42' }), {
+      query: { page: 2, pageSize: 50, from: '2025-01-01', to: '2025-01-31', vehicle: '42' },
+      error: null
+    })
+  })
+
+  it('rejects invalid paging', () => {
+    assert.equal(parseReportQuery({ page: '0' }).error, 'page must be a positive integer')
+    assert.equal(parseReportQuery({ pageSize: '1.5' }).error, 'pageSize must be a positive integer')
+    assert.equal(parseReportQuery({ pageSize: String(MAX_REPORT_PAGE_SIZE + 1) }).error, `pageSize must be at most ${MAX_REPORT_PAGE_SIZE}`)
+  })
+
+  it('rejects dates that aren\'t YYYY-MM-DD', () => {
+    assert.equal(parseReportQuery({ from: '01/01/2025' }).error, 'from must be a date (YYYY-MM-DD)')
+    assert.equal(parseReportQuery({ to: '2025-1-1' }).error, 'to must be a date (YYYY-MM-DD)')
+    assert.equal(parseReportQuery({ to: '2025-02-30' }).error, 'to must be a date (YYYY-MM-DD)')
+  })
+
+  it('rejects repeated and bracketed parameters', () => {
+    assert.equal(parseReportQuery({ from: ['2025-01-01'] }).error, 'from must be a date (YYYY-MM-DD)')
+    assert.equal(parseReportQuery({ to: { gte: '2025-01-01' } }).error, 'to must be a date (YYYY-MM-DD)')
+    assert.equal(parseReportQuery({ vehicle: ['1', '2'] }).error, 'vehicle must be a single token ID')
+  })
+})
@@ -0,0 +1,201 @@
+import assert from 'node:assert/strict'
+import { createHmac } from 'node:crypto'
+import http from 'node:http'
+import { after, before, describe, it, mock } from 'node:test'
+import { openDatabase } from '../src/database.js'
+import {
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  WebhookDispatcher,
+  generateWebhookSecret,
+  getPublicWebhook,
+  getWebhookReport,
+  getWebhookRetryPolicy,
+  parseWebhookInput,
+  signWebhookPayload
+} from '../src/report-webhooks.js'
+
+// Node 20's test runner can misread the stores' emoji log lines as its own messages
+mock.method(console, 'log', () => {})
+
+const SECRET = 'test-secret-0123456789'
+
+// Receiver that answers with the queued status codes in turn, then 200
+function startReceiver() {
+  const receiver = { requests: [], statuses: [] }
+  receiver.server = http.createServer((req, res) => {
+    let body = ''
+    req.on('data', chunk => { body += chunk })
+    req.on('end', () => {
+      receiver.requests.push({ headers: req.headers, body })
+      res.writeHead(receiver.statuses.shift() || 200)
+      res.end()
+    })
+  })
+  return new Promise(resolve => receiver.server.listen(0, '127.0.0.1', () => {
+    receiver.url = `http://127.0.0.1:${receiver.server.address().port}/hooks`
+    resolve(receiver)
+  }))
+}
+
+async function waitForDelivery(dispatcher, configId, id) {
+  for (let i = 0; i < 100; i++) {
+    const delivery = dispatcher.listDeliveries(configId).find(d => d.id === id)
+    if (delivery.status !== 'pending') {
+      return delivery
+    }
+    await new Promise(resolve => setTimeout(resolve, 20))
+  }
+  throw new Error(`Delivery ${id} is still pending`)
+}
+
+describe('signWebhookPayload', () => {
+  it('signs the timestamp and body with HMAC-SHA256', () => {
+    const expected = createHmac('sha256', 'secret').update('1700000000.{"a":1}').digest('hex')
+    assert.equal(signWebhookPayload('secret', '1700000000', '{"a":1}'), `sha256=${expected}`)
+    assert.notEqual(signWebhookPayload('secret', '1700000000', '{"a":1}'), signWebhookPayload('secret', '1700000001', '{"a":1}'))
+    assert.notEqual(signWebhookPayload('secret', '1700000000', '{"a":1}'), signWebhookPayload('other', '1700000000', '{"a":1}'))
+  })
+})
+
+describe('WebhookDispatcher', () => {
+  let receiver
+  let dispatcher
+
+  before(async () => {
+    receiver = await startReceiver()
+    dispatcher = new WebhookDispatcher(openDatabase(':memory:'), { maxAttempts: 3, retryBaseDelayMs: 10 })
+    await dispatcher.load()
+  })
+
+  after(() => receiver.server.close())
+
+  it('delivers a signed event', async () => {
+    const webhook = { id: 'hook-1', url: receiver.url, secret: SECRET, enabled: true }
+    const [delivery] = dispatcher.dispatch({ id: 'config-1', webhooks: [webhook] }, 'report.completed', { report: { id: 'report-1' } })
+
+    const result = await waitForDelivery(dispatcher, 'config-1', delivery.id)
+    assert.equal(result.status, 'delivered')
+    assert.equal(result.reportId, 'report-1')
+
+    const { headers, body } = receiver.requests.at(-1)
+    const timestamp = headers[TIMESTAMP_HEADER.toLowerCase()]
+    assert.equal(headers[SIGNATURE_HEADER.toLowerCase()], signWebhookPayload(SECRET, timestamp, body))
+    assert.deepEqual(JSON.parse(body), { id: delivery.id, event: 'report.completed', createdAt: delivery.createdAt, data: { report: { id: 'report-1' } } })
+  })
+
+  it('retries failed attempts with the same payload until one succeeds', async () => {
+    receiver.requests = []
+    receiver.statuses = [500, 503]
+    const delivery = dispatcher.deliver('config-1', { id: 'hook-2', url: receiver.url, secret: SECRET }, 'webhook.test', {})
+
+    const result = await waitForDelivery(dispatcher, 'config-1', delivery.id)
+    assert.equal(result.status, 'delivered')
+    assert.deepEqual(result.attempts.map(attempt => attempt.statusCode), [500, 503, 200])
+    assert.equal(new Set(receiver.requests.map(request => request.body)).size, 1)
+  })
+
+  it('gives up after the last attempt', async () => {
+    receiver.statuses = [500, 500, 500]
+    const delivery = dispatcher.deliver('config-1', { id: 'hook-3', url: receiver.url, secret: SECRET }, 'webhook.test', {})
+
+    const result = await waitForDelivery(dispatcher, 'config-1', delivery.id)
+    assert.equal(result.status, 'failed')
+    assert.equal(result.attempts.length, 3)
+    assert.equal(result.error, 'HTTP 500')
+    assert.deepEqual(dispatcher.listDeliveries('config-1', 'hook-3').map(d => d.id), [delivery.id])
+    assert.deepEqual(dispatcher.listDeliveries('config-2'), [])
+  })
+
+  it('caps the log of each webhook without pushing out the others\' entries', async () => {
+    dispatcher.save({ id: 'quiet-1', configId: 'config-1', webhookId: 'hook-quiet', createdAt: '2025-01-01T00:00:00.000Z', status: 'delivered', attempts: [] })
+    for (let i = 0; i < 200; i++) {
+      dispatcher.save({ id: `busy-${i}`, configId: 'config-1', webhookId: 'hook-busy', createdAt: new Date(Date.UTC(2025, 0, 2, 0, 0, i)).toISOString(), status: 'delivered', attempts: [] })
+    }
+
+    const delivery = dispatcher.deliver('config-1', { id: 'hook-busy', url: receiver.url, secret: SECRET }, 'webhook.test', {})
+    await waitForDelivery(dispatcher, 'config-1', delivery.id)
+
+    const busy = dispatcher.listDeliveries('config-1', 'hook-busy')
+    assert.equal(busy.length, 200)
+    assert.equal(busy[0].id, delivery.id)
+    assert.ok(!busy.some(d => d.id === 'busy-0'))
+    assert.deepEqual(dispatcher.listDeliveries('config-1', 'hook-quiet').map(d => d.id), ['quiet-1'])
+  })
+
+  it('skips disabled webhooks', () => {
+    const deliveries = dispatcher.dispatch({ id: 'config-1', webhooks: [{ id: 'hook-4', url: receiver.url, secret: SECRET, enabled: false }] }, 'webhook.test', {})
+    assert.deepEqual(deliveries, [])
+  })
+
+  it('logs attempts that fail outside the request instead of leaving them unhandled', async () => {
+    const failing = new WebhookDispatcher(openDatabase(':memory:'), { maxAttempts: 1, retryBaseDelayMs: 0 })
+    failing.attempt = async () => { throw new Error('database is locked') }
+    const errors = mock.method(console, 'error', () => {})
+
+    const [delivery] = failing.dispatch({ id: 'config-1', webhooks: [{ id: 'hook-5', url: receiver.url, secret: SECRET, enabled: true }] }, 'webhook.test', {})
+    await new Promise(resolve => setImmediate(resolve))
+
+    assert.equal(errors.mock.callCount(), 1)
+    assert.match(errors.mock.calls[0].arguments[0], new RegExp(`Webhook delivery ${delivery.id} .* could not be attempted`))
+    errors.mock.restore()
+  })
+
+  it('marks deliveries interrupted by a restart as failed', async () => {
+    // Deliveries logged before there were several configurations have none until one claims them
+    dispatcher.save({ id: 'interrupted', configId: null, webhookId: 'hook-1', createdAt: new Date().toISOString(), status: 'pending', attempts: [] })
+    await dispatcher.load()
+    await dispatcher.claimUnscopedDeliveries('config-1')
+
+    const delivery = dispatcher.listDeliveries('config-1').find(d => d.id === 'interrupted')
+    assert.deepEqual([delivery.configId, delivery.status, delivery.error], ['config-1', 'failed', 'Interrupted by a server restart'])
+  })
+})
+
+describe('getWebhookRetryPolicy', () => {
+  it('reads the retry settings, falling back to the defaults', () => {
+    assert.deepEqual(getWebhookRetryPolicy({ WEBHOOK_MAX_ATTEMPTS: '3', WEBHOOK_RETRY_BASE_DELAY_MS: '0' }), { maxAttempts: 3, retryBaseDelayMs: 0 })
+    assert.deepEqual(getWebhookRetryPolicy({ WEBHOOK_MAX_ATTEMPTS: '0' }), { maxAttempts: 5, retryBaseDelayMs: 5000 })
+  })
+})
+
+describe('parseWebhookInput', () => {
+  it('generates a secret unless one is given', () => {
+    const { webhook } = parseWebhookInput({ url: 'https://example.com/hooks' })
+    assert.match(webhook.secret, /^[0-9a-f]{64}$/)
+    assert.equal(webhook.enabled, true)
+  })
+
+  it('keeps the current values of fields an update leaves out', () => {
+    const current = { url: 'https://example.com/hooks', secret: SECRET, enabled: true }
+    assert.deepEqual(parseWebhookInput({ enabled: false }, current).webhook, { ...current, enabled: false })
+  })
+
+  it('rejects invalid urls and short secrets', () => {
+    assert.equal(parseWebhookInput({ url: 'not a url' }).error, 'Webhook url must be an absolute URL')
+    assert.equal(parseWebhookInput({ url: 'ftp://example.com' }).error, 'Webhook url must use http or https')
+    assert.equal(parseWebhookInput({ url: 'https://example.com', secret: 'short' }).error, 'Webhook secret must be at least 16 characters')
+  })
+})
+
+describe('getPublicWebhook', () => {
+  it('leaves the secret out', () => {
+    assert.deepEqual(getPublicWebhook({ id: 'hook-1', url: 'https://example.com', secret: SECRET, enabled: true }),
+      { id: 'hook-1', url: 'https://example.com', enabled: true, hasSecret: true })
+  })
+})
+
+describe('getWebhookReport', () => {
+  it('leaves out the requester\'s IP address and user agent', () => {
+    const report = { id: 'report-1', requester: { walletAddress: '0x2222222222222222222222222222222222222222', ip: '203.0.113.7', userAgent: 'Mozilla/5.0' } }
+    assert.deepEqual(getWebhookReport(report), { id: 'report-1', requester: { walletAddress: '0x2222222222222222222222222222222222222222' } })
+    assert.deepEqual(getWebhookReport({ id: 'report-2', requester: null }), { id: 'report-2', requester: null })
+  })
+})
+
+describe('generateWebhookSecret', () => {
+  it('generates a different 256-bit secret each time', () => {
+    assert.match(generateWebhookSecret(), /^[0-9a-f]{64}$/)
+    assert.notEqual(generateWebhookSecret(), generateWebhookSecret())
+  })
+})
@@ -0,0 +1,69 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import { assignRole, getRolePolicy, getUserRole, requireAdmin } from '../src/roles.js'
+
+const ADMIN_ADDRESS = '0xaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa'
+const VIEWER_ADDRESS = '0x2222222222222222222222222222222222222222'
+
+const POLICY = getRolePolicy({ ADMIN_WALLET_ADDRESSES: ` 0x${ADMIN_ADDRESS.slice(2).toUpperCase()}, `, ADMIN_EMAILS: 'Admin@Example.com' })
+
+// Run a middleware with a stand-in request and response
+function run(middleware, user) {
+  const req = { user }
+  const res = {
+    status(code) {
+      this.statusCode = code
+      return this
+    },
+    json(body) {
+      this.body = body
+    }
+  }
+  let nextCalled = false
+  middleware(req, res, () => { nextCalled = true })
+  return { req, res, nextCalled }
+}
+
+describe('getRolePolicy', () => {
+  it('reads lowercased admin addresses and emails', () => {
+    assert.deepEqual(POLICY, { adminAddresses: [ADMIN_ADDRESS], adminEmails: ['admin@example.com'] })
+    assert.deepEqual(getRolePolicy({}), { adminAddresses: [], adminEmails: [] })
+  })
+})
+
+describe('getUserRole', () => {
+  it('makes users admins by wallet address or email, ignoring case', () => {
+    assert.equal(getUserRole({ walletAddress: ADMIN_ADDRESS, email: null }, POLICY), 'admin')
+    assert.equal(getUserRole({ walletAddress: null, email: 'ADMIN@example.com' }, POLICY), 'admin')
+    assert.equal(getUserRole({ walletAddress: VIEWER_ADDRESS, email: 'viewer@example.com' }, POLICY), 'viewer')
+  })
+
+  it('makes everyone a viewer when no admins are configured', () => {
+    assert.equal(getUserRole({ walletAddress: ADMIN_ADDRESS, email: null }, getRolePolicy({})), 'viewer')
+  })
+})
+
+describe('assignRole', () => {
+  it('sets the role of logged-in users', () => {
+    const { req, nextCalled } = run(assignRole(POLICY), { walletAddress: ADMIN_ADDRESS, email: null })
+    assert.equal(req.user.role, 'admin')
+    assert.equal(nextCalled, true)
+  })
+
+  it('leaves requests without a user alone', () => {
+    const { req, nextCalled } = run(assignRole(POLICY), undefined)
+    assert.equal(req.user, undefined)
+    assert.equal(nextCalled, true)
+  })
+})
+
+describe('requireAdmin', () => {
+  it('only lets admins through', () => {
+    assert.equal(run(requireAdmin, { role: 'admin' }).nextCalled, true)
+
+    const viewer = run(requireAdmin, { role: 'viewer' })
+    assert.equal(viewer.nextCalled, false)
+    assert.deepEqual([viewer.res.statusCode, viewer.res.body], [403, { error: 'Only admins can do this' }])
+    assert.equal(run(requireAdmin, undefined).res.statusCode, 403)
+  })
+})
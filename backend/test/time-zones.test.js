@@ -0,0 +1,67 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import { formatInTimeZone, getOffsetMinutes, isValidDate, parseTimeZone, zonedMidnight, zonedTime } from '../src/time-zones.js'
+
+describe('parseTimeZone', () => {
+  it('falls back when no time zone is given', () => {
+    assert.deepEqual(parseTimeZone(undefined), { timeZone: 'UTC', error: null })
+    assert.deepEqual(parseTimeZone('', 'Europe/Berlin'), { timeZone: 'Europe/Berlin', error: null })
+  })
+
+  it('accepts IANA time zones only', () => {
+    assert.deepEqual(parseTimeZone('America/New_York'), { timeZone: 'America/New_York', error: null })
+    assert.equal(parseTimeZone('Mars/Olympus_Mons').error, 'Unsupported time zone: Mars/Olympus_Mons')
+    assert.equal(parseTimeZone(['UTC']).error, 'Unsupported time zone: UTC')
+  })
+})
+
+describe('zonedMidnight', () => {
+  it('finds local midnight on either side of a daylight saving change', () => {
+    assert.equal(zonedMidnight(2025, 2, 9, 'America/New_York').toISOString(), '2025-03-09T05:00:00.000Z')
+    assert.equal(zonedMidnight(2025, 2, 10, 'America/New_York').toISOString(), '2025-03-10T04:00:00.000Z')
+  })
+
+  it('rolls days over into the next month', () => {
+    assert.equal(zonedMidnight(2025, 0, 32, 'UTC').toISOString(), '2025-02-01T00:00:00.000Z')
+  })
+})
+
+describe('zonedTime', () => {
+  it('finds a wall-clock time in the time zone', () => {
+    assert.equal(zonedTime(2025, 0, 15, 6, 30, 'America/New_York').toISOString(), '2025-01-15T11:30:00.000Z')
+    assert.equal(zonedTime(2025, 6, 15, 6, 30, 'America/New_York').toISOString(), '2025-07-15T10:30:00.000Z')
+  })
+
+  it('moves times skipped by a daylight saving change past the change', () => {
+    assert.equal(zonedTime(2025, 2, 9, 2, 30, 'America/New_York').toISOString(), '2025-03-09T07:30:00.000Z')
+  })
+})
+
+describe('getOffsetMinutes', () => {
+  it('follows the time zone\'s offset through the year', () => {
+    assert.equal(getOffsetMinutes(new Date('2025-01-15T12:00:00Z'), 'America/New_York'), -300)
+    assert.equal(getOffsetMinutes(new Date('2025-07-15T12:00:00Z'), 'America/New_York'), -240)
+    assert.equal(getOffsetMinutes(new Date('2025-01-15T12:00:00Z'), 'Asia/Kolkata'), 330)
+  })
+})
+
+describe('formatInTimeZone', () => {
+  it('writes local time with the offset, and Z for UTC', () => {
+    assert.equal(formatInTimeZone('2025-03-01T05:00:00Z', 'America/New_York'), '2025-03-01T00:00:00-05:00')
+    assert.equal(formatInTimeZone('2025-03-01T05:00:00Z', 'Asia/Kolkata'), '2025-03-01T10:30:00+05:30')
+    assert.equal(formatInTimeZone(new Date('2025-03-01T05:00:00Z'), 'UTC'), '2025-03-01T05:00:00Z')
+  })
+
+  it('returns null for invalid dates', () => {
+    assert.equal(formatInTimeZone('not a date', 'UTC'), null)
+  })
+})
+
+describe('isValidDate', () => {
+  it('accepts real calendar dates only', () => {
+    assert.equal(isValidDate('2024-02-29'), true)
+    for (const value of ['2025-02-29', '2025-04-31', '2025-00-10', '25-01-01', '2025-01-01T00:00:00Z', null, 20250101]) {
+      assert.equal(isValidDate(value), false)
+    }
+  })
+})
@@ -0,0 +1,123 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import { VehicleAccessChecker, canAccessReport, getPrivilegedVehiclesArguments, isWalletAddress, parseVehicleTokenIds } from '../src/vehicle-access.js'
+
+const ADDRESS = '0x2222222222222222222222222222222222222222'
+
+// Identity API that returns the token IDs in pages of two, reading the cursor from the query text
+function createIdentity(tokenIds) {
+  const identity = { queries: [] }
+  identity.query = async ({ query }) => {
+    const after = JSON.parse(/after: (null|"[^"]*")/.exec(query)[1])
+    identity.queries.push({ query, after })
+    const start = after ? Number(after) : 0
+    const nodes = tokenIds.slice(start, start + 2).map(tokenId => ({ tokenId }))
+    const hasNextPage = start + 2 < tokenIds.length
+    return { data: { vehicles: { nodes, pageInfo: { hasNextPage, endCursor: hasNextPage ? String(start + 2) : null } } } }
+  }
+  return identity
+}
+
+describe('VehicleAccessChecker', () => {
+  it('pages through every vehicle the address is privileged on', async () => {
+    const identity = createIdentity([1, 2, 3, 4, 5])
+    const tokenIds = await new VehicleAccessChecker(identity).getPrivilegedTokenIds(ADDRESS)
+
+    assert.deepEqual([...tokenIds], ['1', '2', '3', '4', '5'])
+    assert.deepEqual(identity.queries.map(query => query.after), [null, '2', '4'])
+    assert.match(identity.queries[0].query, new RegExp(`filterBy: \\{ privileged: "${ADDRESS}" \\}`))
+  })
+
+  it('caches the privileges per address, ignoring case', async () => {
+    const identity = createIdentity([1])
+    const checker = new VehicleAccessChecker(identity)
+    await checker.getPrivilegedTokenIds(ADDRESS)
+    await checker.getPrivilegedTokenIds(ADDRESS.toUpperCase().replace('0X', '0x'))
+
+    assert.equal(identity.queries.length, 1)
+  })
+
+  it('keeps a bounded number of addresses in the cache', async () => {
+    const checker = new VehicleAccessChecker(createIdentity([1]))
+    for (let i = 0; i < 1001; i++) {
+      await checker.getPrivilegedTokenIds(`0x${i.toString(16).padStart(40, '0')}`)
+    }
+
+    assert.equal(checker.cache.size, 1000)
+    assert.ok(!checker.cache.has(`0x${'0'.repeat(40)}`))
+  })
+
+  it('fails when the identity API returns no vehicles', async () => {
+    const checker = new VehicleAccessChecker({ query: async () => ({ errors: [{ message: 'Invalid address' }] }) })
+    await assert.rejects(checker.getPrivilegedTokenIds(ADDRESS), /Identity API query failed: Invalid address/)
+  })
+
+  it('builds a user\'s report access from their privileges and role', async () => {
+    const checker = new VehicleAccessChecker(createIdentity([1, 2]))
+
+    assert.deepEqual(await checker.getReportAccess({ walletAddress: ADDRESS.toUpperCase().replace('0X', '0x'), role: 'viewer' }), {
+      walletAddress: ADDRESS, tokenIds: ['1', '2'], includeUnrecorded: false
+    })
+    assert.deepEqual(await checker.getReportAccess({ email: 'admin@example.com', role: 'admin' }), {
+      walletAddress: null, tokenIds: [], includeUnrecorded: true
+    })
+  })
+
+  it('lists the requested vehicles the address may not access', async () => {
+    const checker = new VehicleAccessChecker(createIdentity([1, 2]))
+
+    assert.deepEqual(await checker.findUnauthorizedVehicles(ADDRESS, [1, '2']), [])
+    assert.deepEqual(await checker.findUnauthorizedVehicles(ADDRESS, [2, 3]), [
+      { tokenId: 3, error: `Vehicle 3 is not shared with ${ADDRESS}` }
+    ])
+  })
+})
+
+describe('canAccessReport', () => {
+  const access = { walletAddress: ADDRESS, tokenIds: ['1', '2'], includeUnrecorded: false }
+
+  it('lets the requester see their reports', () => {
+    const report = { requester: { walletAddress: ADDRESS.toUpperCase().replace('0X', '0x') }, vehicles: [{ tokenId: 3 }] }
+    assert.equal(canAccessReport(report, access), true)
+  })
+
+  it('lets other users see reports only when they are privileged on every vehicle', () => {
+    assert.equal(canAccessReport({ requester: null, vehicles: [{ tokenId: 1 }, { tokenId: 2 }] }, access), true)
+    assert.equal(canAccessReport({ requester: null, vehicles: [{ tokenId: 1 }, { tokenId: 3 }] }, access), false)
+  })
+
+  it('shows reports with no recorded vehicles to admins only', () => {
+    assert.equal(canAccessReport({ vehicles: [] }, access), false)
+    assert.equal(canAccessReport({}, { ...access, includeUnrecorded: true }), true)
+  })
+})
+
+describe('getPrivilegedVehiclesArguments', () => {
+  it('writes the validated address and the escaped cursor into the arguments', () => {
+    assert.equal(getPrivilegedVehiclesArguments(ADDRESS, null, 100), `first: 100, after: null, filterBy: { privileged: "${ADDRESS}" }`)
+    assert.match(getPrivilegedVehiclesArguments(ADDRESS, 'a"b', 100), /after: "a\\"b"/)
+  })
+
+  it('rejects anything but a wallet address', () => {
+    for (const address of ['0x123', `${ADDRESS}" }) { evil }`, null]) {
+      assert.equal(isWalletAddress(address), false)
+      assert.throws(() => getPrivilegedVehiclesArguments(address, null, 100), /Invalid wallet address/)
+    }
+    assert.equal(isWalletAddress(ADDRESS), true)
+  })
+})
+
+describe('parseVehicleTokenIds', () => {
+  it('accepts numbers and digit strings, keeping each vehicle once in the requested order', () => {
+    assert.deepEqual(parseVehicleTokenIds([12, '7', 12, 7, '3']), { vehicleTokenIds: [12, 7, 3], error: null })
+  })
+
+  it('rejects missing lists and anything but positive integer token IDs', () => {
+    for (const input of [undefined, [], '12', { 0: 12 }]) {
+      assert.equal(parseVehicleTokenIds(input).error, 'Vehicle token IDs are required')
+    }
+    for (const tokenId of [0, -1, 1.5, '12abc', ' 12', '1e3', null, [12], Number.MAX_SAFE_INTEGER + 1]) {
+      assert.equal(parseVehicleTokenIds([1, tokenId]).error, `Invalid vehicle token ID: ${JSON.stringify(tokenId)}`)
+    }
+  })
+})
@@ -34,6 +34,10 @@ cp -r "$FRONTEND_DIST" "$DEPLOY_DIR/"
 # Copy backend files
 echo "📦 Copying backend files..."
 cp -r "$BACKEND_DIR" "$DEPLOY_DIR/"
+# Never ship the config encryption key; each installation generates its own
+rm -rf "$DEPLOY_DIR/$BACKEND_DIR/config.key" "$DEPLOY_DIR/$BACKEND_DIR/keys"
+# Nor local data, or node_modules: better-sqlite3 is a native module, so setup.bat installs the Windows build
+rm -rf "$DEPLOY_DIR/$BACKEND_DIR/tmp" "$DEPLOY_DIR/$BACKEND_DIR/node_modules"
 
 # Create Windows batch file to start the server
 echo "📝 Creating Windows batch file..."
@@ -121,9 +125,12 @@ cat > "$DEPLOY_DIR/README-Windows.md" << 'EOF'
 # Vehicle Reports - Windows Installation
 
 ## Prerequisites
-- Node.js (version 16 or higher)
+- Node.js (version 20 or higher, 64-bit)
 - npm (comes with Node.js)
 
+`npm install` downloads a prebuilt SQLite module for your Node.js version. If none is available, npm builds it,
+which needs the "Desktop development with C++" workload of Visual Studio Build Tools.
+
 ## Installation & Setup
 
 1. **Extract the zip file** to a folder on your computer (e.g., `C:\vehicle-reports\`)
@@ -157,6 +164,11 @@ cat > "$DEPLOY_DIR/README-Windows.md" << 'EOF'
 
 The application will prompt you to configure DIMO credentials on first run.
 
+Settings, report history and schedules are stored in `backend\tmp\vehicle-reports.db`, next to the generated
+reports in `backend\tmp\reports`. Back up the `tmp` folder (with the server stopped) to keep them. When upgrading
+from a version that stored them in JSON files, copy the old `tmp` folder over: the files are imported on the first
+start.
+
 ## Troubleshooting
 
 - If you get certificate errors, you may need to install the mkcert certificates
@@ -0,0 +1,274 @@
+import { LitElement, css, html } from 'lit'
+import { dimoApiService } from './dimo-api-service.js'
+import { storageService } from './storage-service.js'
+
+/**
+ * API key settings component showing the saved key's fingerprint and rotating it.
+ * The key itself is write-only and never returned by the backend. Also deletes the configuration.
+ */
+export class ApiKeySettings extends LitElement {
+  static get properties() {
+    return {
+      apiKeyInfo: { type: Object },
+      newApiKey: { type: String },
+      isRotating: { type: Boolean },
+      isDeleting: { type: Boolean },
+      error: { type: String },
+      success: { type: String }
+    }
+  }
+
+  constructor() {
+    super()
+    this.apiKeyInfo = null
+    this.newApiKey = ''
+    this.isRotating = false
+    this.isDeleting = false
+    this.error = ''
+    this.success = ''
+  }
+
+  connectedCallback() {
+    super.connectedCallback()
+    this.loadApiKeyInfo()
+  }
+
+  async loadApiKeyInfo() {
+    try {
+      const config = await dimoApiService.getConfig()
+      this.apiKeyInfo = config?.apiKey || null
+    } catch (error) {
+      console.error('Failed to load API key details:', error)
+    }
+  }
+
+  onApiKeyInput(event) {
+    this.newApiKey = event.target.value
+    this.error = ''
+    this.success = ''
+  }
+
+  async rotateApiKey(event) {
+    event.preventDefault()
+    this.isRotating = true
+    this.error = ''
+    this.success = ''
+
+    try {
+      const { config } = await dimoApiService.rotateApiKey(this.newApiKey)
+      this.apiKeyInfo = config.apiKey
+      this.newApiKey = ''
+      this.success = 'API key rotated. DIMO accepted the new key.'
+    } catch (error) {
+      this.error = error.message
+    } finally {
+      this.isRotating = false
+    }
+  }
+
+  async deleteConfiguration() {
+    if (!confirm('Delete this configuration? Its schedules and reports are deleted with it. This cannot be undone.')) {
+      return
+    }
+
+    this.isDeleting = true
+    this.error = ''
+    this.success = ''
+
+    try {
+      await dimoApiService.deleteConfig()
+      // Logins are per configuration, so start over with the default one
+      storageService.setSelectedConfigId(null)
+      storageService.clearUserSession()
+      window.location.href = '/'
+    } catch (error) {
+      this.error = error.message
+      this.isDeleting = false
+    }
+  }
+
+  render() {
+    const info = this.apiKeyInfo
+
+    return html`
+      <details class="api-key-settings">
+        <summary>DIMO credentials</summary>
+        <dl class="key-info">
+          <dt>Fingerprint</dt>
+          <dd><code>${info?.fingerprint || 'Not configured'}</code></dd>
+          <dt>Last updated</dt>
+          <dd>${info?.updatedAt ? new Date(info.updatedAt).toLocaleString() : '-'}</dd>
+        </dl>
+        <form @submit=${this.rotateApiKey}>
+          <div class="form-group">
+            <label for="new-api-key">New API Key</label>
+            <input
+              id="new-api-key"
+              type="password"
+              .value=${this.newApiKey}
+              @input=${this.onApiKeyInput}
+              class="form-input"
+              autocomplete="off"
+              required
+            >
+          </div>
+
+          ${this.error ? html`<p class="message error">${this.error}</p>` : ''}
+          ${this.success ? html`<p class="message success">${this.success}</p>` : ''}
+
+          <button type="submit" class="action-btn" ?disabled=${this.isRotating || !this.newApiKey}>
+            ${this.isRotating ? 'Checking key...' : 'Rotate Key'}
+          </button>
+        </form>
+        <div class="danger-zone">
+          <button type="button" class="action-btn delete" @click=${this.deleteConfiguration} ?disabled=${this.isDeleting}>
+            ${this.isDeleting ? 'Deleting...' : 'Delete Configuration'}
+          </button>
+        </div>
+      </details>
+    `
+  }
+
+  static get styles() {
+    return css`
+      .api-key-settings {
+        background: white;
+        border-radius: 8px;
+        box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
+        padding: 1rem 1.5rem;
+        margin-bottom: 2rem;
+      }
+
+      .api-key-settings summary {
+        cursor: pointer;
+        font-weight: 600;
+        color: #2c3e50;
+      }
+
+      .key-info {
+        display: grid;
+        grid-template-columns: max-content 1fr;
+        gap: 0.25rem 1rem;
+        margin: 1rem 0;
+        font-size: 0.9rem;
+      }
+
+      .key-info dt {
+        font-weight: 500;
+        color: #495057;
+      }
+
+      .key-info dd {
+        margin: 0;
+      }
+
+      .form-group {
+        display: flex;
+        flex-direction: column;
+        max-width: 400px;
+        margin-bottom: 1rem;
+      }
+
+      .form-group label {
+        font-size: 0.9rem;
+        font-weight: 500;
+        color: #495057;
+        margin-bottom: 0.5rem;
+      }
+
+      .form-input {
+        padding: 0.5rem;
+        border: 1px solid #ced4da;
+        border-radius: 4px;
+        font-size: 0.9rem;
+      }
+
+      .form-input:focus {
+        outline: none;
+        border-color: #667eea;
+        box-shadow: 0 0 0 2px rgba(102, 126, 234, 0.25);
+      }
+
+      .message {
+        margin: 0 0 1rem 0;
+        font-size: 0.9rem;
+      }
+
+      .message.error {
+        color: #dc3545;
+      }
+
+      .message.success {
+        color: #155724;
+      }
+
+      .action-btn {
+        background: white;
+        color: #667eea;
+        border: 1px solid #667eea;
+        padding: 0.35rem 0.75rem;
+        border-radius: 4px;
+        cursor: pointer;
+        font-size: 0.85rem;
+      }
+
+      .action-btn:hover:not(:disabled) {
+        background: #667eea;
+        color: white;
+      }
+
+      .danger-zone {
+        margin-top: 1.5rem;
+        padding-top: 1rem;
+        border-top: 1px solid #e9ecef;
+      }
+
+      .action-btn.delete {
+        color: #dc3545;
+        border-color: #dc3545;
+      }
+
+      .action-btn.delete:hover:not(:disabled) {
+        background: #dc3545;
+        color: white;
+      }
+
+      .action-btn:disabled {
+        opacity: 0.5;
+        cursor: not-allowed;
+      }
+
+      @media (prefers-color-scheme: dark) {
+        .api-key-settings {
+          background: #2c3e50;
+        }
+
+        .api-key-settings summary,
+        .key-info dt,
+        .form-group label {
+          color: #e9ecef;
+        }
+
+        .form-input {
+          background: #343a40;
+          border-color: #495057;
+          color: #e9ecef;
+        }
+
+        .message.success {
+          color: #75b798;
+        }
+
+        .action-btn {
+          background: transparent;
+        }
+
+        .danger-zone {
+          border-top-color: #495057;
+        }
+      }
+    `
+  }
+}
+
+window.customElements.define('api-key-settings', ApiKeySettings)
@@ -1,16 +1,25 @@
 import { LitElement, css, html } from 'lit'
 import { dimoApiService } from './dimo-api-service.js'
 import { ConfigUtils } from './config-utils.js'
+import { storageService } from './storage-service.js'
+import { TimeZoneUtils } from './time-zone-utils.js'
 
 /**
- * App Configuration component for DIMO credentials
+ * App Configuration component for DIMO credentials.
+ * With the `adding` attribute it adds another named configuration instead of the first one.
  */
 export class AppConfigurationComponent extends LitElement {
   static get properties() {
     return {
+      adding: { type: Boolean },
+      name: { type: String },
       clientId: { type: String },
       apiKey: { type: String },
+      timeZone: { type: String },
+      distanceUnit: { type: String },
       isLoading: { type: Boolean },
+      isSaving: { type: Boolean },
+      fieldErrors: { type: Object },
       error: { type: String },
       success: { type: String }
     }
@@ -18,9 +27,15 @@ export class AppConfigurationComponent extends LitElement {
 
   constructor() {
     super()
+    this.adding = false
+    this.name = ''
     this.clientId = ''
     this.apiKey = ''
+    this.timeZone = TimeZoneUtils.getBrowserTimeZone()
+    this.distanceUnit = 'km'
     this.isLoading = false
+    this.isSaving = false
+    this.fieldErrors = {}
     this.error = ''
     this.success = ''
   }
@@ -31,6 +46,10 @@ export class AppConfigurationComponent extends LitElement {
   }
 
   async checkExistingConfiguration() {
+    if (this.adding) {
+      return
+    }
+
     this.isLoading = true
     
     const { isConfigured, config, error } = await ConfigUtils.checkAppConfiguration()
@@ -63,14 +82,31 @@ export class AppConfigurationComponent extends LitElement {
     return html`
       <div class="login-container">
         <div class="login-card">
-          <h2>App Configuration</h2>
-          <p class="subtitle">Please configure your application before proceeding</p>
+          <h2>${this.adding ? 'Add Configuration' : 'App Configuration'}</h2>
+          <p class="subtitle">${this.adding ? 'Each configuration uses its own DIMO developer license' : 'Please configure your application before proceeding'}</p>
           <p class="config-text">Enter your DIMO credentials to configure the Odometer Reporting Tool</p>
           
           ${this.error ? html`<div class="error">${this.error}</div>` : ''}
           ${this.success ? html`<div class="success">${this.success}</div>` : ''}
           
           <form @submit=${this._handleSubmit}>
+            <div class="form-group">
+              <label for="name">Configuration Name</label>
+              <input
+                type="text"
+                id="name"
+                .value=${this.name}
+                @input=${this._handleNameChange}
+                placeholder=${this.adding ? 'e.g. Customer fleet' : 'Default'}
+                ?required=${this.adding}
+                class=${this.fieldErrors.name ? 'invalid' : ''}
+                aria-invalid=${this.fieldErrors.name ? 'true' : 'false'}
+                aria-describedby="name-error"
+                ?disabled=${this.isSaving}
+              />
+              ${this.fieldErrors.name ? html`<div id="name-error" class="field-error">${this.fieldErrors.name}</div>` : ''}
+            </div>
+
             <div class="form-group">
               <label for="clientId">DIMO Client ID</label>
               <input
@@ -80,8 +116,12 @@ export class AppConfigurationComponent extends LitElement {
                 @input=${this._handleClientIdChange}
                 placeholder="0x8CFd006E6B73dbF00e700C85c32CE5C9aBD591a0"
                 required
-                ?disabled=${this.isLoading}
+                class=${this.fieldErrors.clientId ? 'invalid' : ''}
+                aria-invalid=${this.fieldErrors.clientId ? 'true' : 'false'}
+                aria-describedby="clientId-error"
+                ?disabled=${this.isSaving}
               />
+              ${this.fieldErrors.clientId ? html`<div id="clientId-error" class="field-error">${this.fieldErrors.clientId}</div>` : ''}
             </div>
             
             <div class="form-group">
@@ -93,14 +133,46 @@ export class AppConfigurationComponent extends LitElement {
                 @input=${this._handleApiKeyChange}
                 placeholder="Enter your DIMO API Key"
                 required
-                ?disabled=${this.isLoading}
+                class=${this.fieldErrors.apiKey ? 'invalid' : ''}
+                aria-invalid=${this.fieldErrors.apiKey ? 'true' : 'false'}
+                aria-describedby="apiKey-error"
+                ?disabled=${this.isSaving}
               />
+              ${this.fieldErrors.apiKey ? html`<div id="apiKey-error" class="field-error">${this.fieldErrors.apiKey}</div>` : ''}
             </div>
             
-            <button type="submit" ?disabled=${this.isLoading}>
-              ${this.isLoading ? 'Configuring...' : 'Configure App'}
+            <div class="form-group">
+              <label for="timeZone">Fleet Time Zone</label>
+              <select
+                id="timeZone"
+                .value=${this.timeZone}
+                @change=${this._handleTimeZoneChange}
+                ?disabled=${this.isSaving}
+              >
+                ${TimeZoneUtils.getSupportedTimeZones().map(zone => html`
+                  <option value=${zone} ?selected=${zone === this.timeZone}>${zone}</option>
+                `)}
+              </select>
+            </div>
+            
+            <div class="form-group">
+              <label for="distanceUnit">Distance Unit</label>
+              <select
+                id="distanceUnit"
+                .value=${this.distanceUnit}
+                @change=${this._handleDistanceUnitChange}
+                ?disabled=${this.isSaving}
+              >
+                <option value="km" ?selected=${this.distanceUnit === 'km'}>Kilometers (km)</option>
+                <option value="mi" ?selected=${this.distanceUnit === 'mi'}>Miles (mi)</option>
+              </select>
+            </div>
+            
+            <button type="submit" ?disabled=${this.isSaving}>
+              ${this.isSaving ? 'Checking credentials with DIMO...' : (this.adding ? 'Add Configuration' : 'Configure App')}
             </button>
           </form>
+          ${this.adding ? html`<a class="cancel-link" href="/vehicles">Cancel</a>` : ''}
           
           <div class="help-text">
             <p>Get your credentials from <a href="https://console.dimo.org" target="_blank">console.dimo.org</a></p>
@@ -110,29 +182,53 @@ export class AppConfigurationComponent extends LitElement {
     `
   }
 
+  _handleNameChange(e) {
+    this.name = e.target.value
+    this.fieldErrors = { ...this.fieldErrors, name: '' }
+  }
+
   _handleClientIdChange(e) {
     this.clientId = e.target.value
+    this.fieldErrors = { ...this.fieldErrors, clientId: '' }
   }
 
   _handleApiKeyChange(e) {
     this.apiKey = e.target.value
+    this.fieldErrors = { ...this.fieldErrors, apiKey: '' }
+  }
+
+  _handleTimeZoneChange(e) {
+    this.timeZone = e.target.value
+  }
+
+  _handleDistanceUnitChange(e) {
+    this.distanceUnit = e.target.value
   }
 
   async _handleSubmit(e) {
     e.preventDefault()
-    this.isLoading = true
+    this.isSaving = true
+    this.fieldErrors = {}
     this.error = ''
 
     try {
-      // Store credentials using backend API
-      const result = await dimoApiService.saveConfig({
+      // Store credentials using backend API; the first configuration is named "Default" unless a name is given
+      const settings = {
+        name: this.name.trim() || undefined,
         clientId: this.clientId,
         apiKey: this.apiKey,
+        timeZone: this.timeZone,
+        distanceUnit: this.distanceUnit,
         redirectUri: window.location.origin + '/login'
-      })
+      }
+      const result = this.adding ? await dimoApiService.createConfig(settings) : await dimoApiService.saveConfig(settings)
 
       console.log('App configuration saved successfully:', result)
 
+      // Logins are per client ID, so the saved configuration is selected and signed in to next
+      storageService.setSelectedConfigId(result.config.id)
+      storageService.clearUserSession()
+
       // Dispatch configuration success event
       this.dispatchEvent(new CustomEvent('config-success', {
         detail: { clientId: this.clientId },
@@ -152,9 +248,12 @@ export class AppConfigurationComponent extends LitElement {
 
     } catch (error) {
       console.error('Configuration failed:', error)
-      this.error = error.message || 'Configuration failed. Please check your credentials.'
+      // Errors for the client ID and API key are shown under their fields; nothing was saved
+      const { name, clientId, apiKey, redirectUri } = error.fieldErrors || {}
+      this.fieldErrors = { name, clientId, apiKey }
+      this.error = redirectUri || (name || clientId || apiKey ? '' : error.message || 'Configuration failed. Please check your credentials.')
     } finally {
-      this.isLoading = false
+      this.isSaving = false
     }
   }
 
@@ -211,7 +310,8 @@ export class AppConfigurationComponent extends LitElement {
         font-weight: 500;
       }
 
-      input {
+      input,
+      select {
         width: 100%;
         padding: 0.75rem;
         border: 2px solid #e9ecef;
@@ -221,16 +321,28 @@ export class AppConfigurationComponent extends LitElement {
         box-sizing: border-box;
       }
 
-      input:focus {
+      input:focus,
+      select:focus {
         outline: none;
         border-color: #667eea;
       }
 
-      input:disabled {
+      input:disabled,
+      select:disabled {
         background-color: #f8f9fa;
         cursor: not-allowed;
       }
 
+      input.invalid {
+        border-color: #dc3545;
+      }
+
+      .field-error {
+        margin-top: 0.35rem;
+        color: #dc3545;
+        font-size: 0.85rem;
+      }
+
       button {
         width: 100%;
         padding: 0.75rem;
@@ -273,6 +385,14 @@ export class AppConfigurationComponent extends LitElement {
         border: 1px solid #c3e6cb;
       }
 
+      .cancel-link {
+        display: block;
+        margin-top: 1rem;
+        text-align: center;
+        color: #667eea;
+        font-size: 0.9rem;
+      }
+
       .help-text {
         margin-top: 1.5rem;
         text-align: center;
@@ -315,20 +435,27 @@ export class AppConfigurationComponent extends LitElement {
           color: #e9ecef;
         }
 
-        input {
+        input,
+        select {
           background-color: #495057;
           border-color: #6c757d;
           color: #e9ecef;
         }
 
-        input:focus {
+        input:focus,
+        select:focus {
           border-color: #667eea;
         }
 
-        input:disabled {
+        input:disabled,
+        select:disabled {
           background-color: #343a40;
         }
 
+        .field-error {
+          color: #f1aeb5;
+        }
+
         .error {
           background-color: #721c24;
           color: #f8d7da;
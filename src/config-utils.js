@@ -4,6 +4,7 @@
  */
 
 import { DimoApiService } from './dimo-api-service.js'
+import { storageService } from './storage-service.js'
 
 export class ConfigUtils {
   static dimoApiService = new DimoApiService()
@@ -14,18 +15,17 @@ export class ConfigUtils {
    */
   static async checkAppConfiguration() {
     try {
-      const config = await this.dimoApiService.getConfig()
-      
-      // Check if config exists and has required fields
-      const isConfigured = config && 
-                          config.clientId && 
-                          config.apiKey && 
-                          config.clientId.trim() !== '' && 
-                          config.apiKey.trim() !== ''
+      // The status endpoint works before login and never returns the API key
+      const { configured, ...config } = await this.dimoApiService.getConfigStatus()
+
+      // The backend answers for its default configuration when the selected one no longer exists
+      if (config.configId && config.configId !== storageService.getSelectedConfigId()) {
+        storageService.setSelectedConfigId(config.configId)
+      }
       
       return {
-        isConfigured,
-        config: isConfigured ? config : null,
+        isConfigured: configured,
+        config: configured ? config : null,
         error: null
       }
     } catch (error) {
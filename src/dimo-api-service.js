@@ -4,6 +4,7 @@
  */
 
 import { ApiConfig } from './api-config.js'
+import { storageService } from './storage-service.js'
 
 export class DimoApiService {
   constructor() {
@@ -11,6 +12,33 @@ export class DimoApiService {
     console.log('DimoApiService initialized with baseUrl:', this.baseUrl)
   }
 
+  /**
+   * Call the backend with the logged-in user's JWT and the selected app configuration.
+   * A rejected session is cleared and the user sent back to login.
+   * @param {string} path - API path, e.g. '/reports'
+   * @param {Object} options - fetch options
+   * @returns {Promise<Response>}
+   */
+  async request(path, options = {}) {
+    const userJwt = storageService.getUserJwt()
+    const configId = storageService.getSelectedConfigId()
+    const response = await fetch(`${this.baseUrl}${path}`, {
+      ...options,
+      headers: {
+        ...options.headers,
+        ...(userJwt ? { Authorization: `Bearer ${userJwt}` } : {}),
+        ...(configId ? { 'X-Config-Id': configId } : {})
+      }
+    })
+
+    if (response.status === 401 && userJwt) {
+      storageService.clearUserSession()
+      window.location.href = '/login'
+    }
+
+    return response
+  }
+
   /**
    * Get Developer JWT token
    * @param {Object} credentials - DIMO credentials
@@ -21,7 +49,7 @@ export class DimoApiService {
    */
   async getDeveloperJwt(credentials) {
     try {
-      const response = await fetch(`${this.baseUrl}/auth/developer`, {
+      const response = await this.request(`/auth/developer`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -55,7 +83,7 @@ export class DimoApiService {
    */
   async getVehicleJwt(params) {
     try {
-      const response = await fetch(`${this.baseUrl}/auth/vehicle`, {
+      const response = await this.request(`/auth/vehicle`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -93,7 +121,7 @@ export class DimoApiService {
    */
   async queryTelemetry(params) {
     try {
-      const response = await fetch(`${this.baseUrl}/telemetry/query`, {
+      const response = await this.request(`/telemetry/query`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -154,13 +182,105 @@ export class DimoApiService {
     }
   }
 
+  /**
+   * Get whether the app is configured, with the settings needed before login. Doesn't require a session.
+   * @returns {Promise<Object>} { configured, clientId, redirectUri, timeZone, distanceUnit }
+   */
+  async getConfigStatus() {
+    try {
+      const response = await this.request('/config/status')
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}))
+        throw new Error(errorData.error || `HTTP ${response.status}: ${response.statusText}`)
+      }
+
+      return await response.json()
+    } catch (error) {
+      console.error('Failed to get configuration status:', error)
+      throw new Error(`Failed to get configuration status: ${error.message}`)
+    }
+  }
+
+  /**
+   * Get the logged-in user and their role
+   * @returns {Promise<{walletAddress: string|null, email: string|null, role: string}>} role is 'admin' or 'viewer'
+   */
+  async getCurrentUser() {
+    try {
+      const response = await this.request('/user')
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}))
+        throw new Error(errorData.error || `HTTP ${response.status}: ${response.statusText}`)
+      }
+
+      return await response.json()
+    } catch (error) {
+      console.error('Failed to get current user:', error)
+      throw new Error(`Failed to get current user: ${error.message}`)
+    }
+  }
+
+  /**
+   * List the app configurations that can be selected
+   * @returns {Promise<Array>} Configurations with their id, name, clientId and whether they are the default
+   */
+  async listConfigs() {
+    try {
+      const response = await this.request('/configs')
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}))
+        throw new Error(errorData.error || `HTTP ${response.status}: ${response.statusText}`)
+      }
+
+      const data = await response.json()
+      return data.configs
+    } catch (error) {
+      console.error('Failed to list configurations:', error)
+      throw new Error(`Failed to list configurations: ${error.message}`)
+    }
+  }
+
+  /**
+   * Add a named app configuration for another DIMO developer license
+   * @param {Object} config - name, clientId, apiKey, redirectUri, timeZone and distanceUnit
+   * @returns {Promise<Object>} The added configuration, with secrets redacted
+   */
+  async createConfig(config) {
+    try {
+      const response = await this.request(`/configs`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(config),
+      })
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}))
+        const error = new Error(errorData.error || `HTTP ${response.status}: ${response.statusText}`)
+        error.fieldErrors = errorData.fieldErrors || null
+        throw error
+      }
+
+      return await response.json()
+    } catch (error) {
+      console.error('Failed to add configuration:', error)
+      const addError = new Error(`Failed to add configuration: ${error.message}`)
+      addError.fieldErrors = error.fieldErrors || null
+      throw addError
+    }
+  }
+
   /**
    * Get app configuration
-   * @returns {Promise<Object>} Configuration object
+   * @returns {Promise<Object>} Configuration with secrets redacted; the API key is described by its fingerprint and last update
    */
   async getConfig() {
     try {
-      const response = await fetch(`${this.baseUrl}/config`)
+      const response = await this.request(`/config`)
       
       if (!response.ok) {
         if (response.status === 404) {
@@ -178,13 +298,14 @@ export class DimoApiService {
   }
 
   /**
-   * Save app configuration
+   * Save app configuration. The backend checks new credentials with DIMO first.
    * @param {Object} config - Configuration object
    * @returns {Promise<Object>} Saved configuration
+   * @throws {Error} With `fieldErrors` (field name to message) when fields were rejected
    */
   async saveConfig(config) {
     try {
-      const response = await fetch(`${this.baseUrl}/config`, {
+      const response = await this.request(`/config`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -194,23 +315,54 @@ export class DimoApiService {
 
       if (!response.ok) {
         const errorData = await response.json().catch(() => ({}))
-        throw new Error(errorData.error || `HTTP ${response.status}: ${response.statusText}`)
+        const error = new Error(errorData.error || `HTTP ${response.status}: ${response.statusText}`)
+        error.fieldErrors = errorData.fieldErrors || null
+        throw error
       }
 
       return await response.json()
     } catch (error) {
       console.error('Failed to save configuration:', error)
-      throw new Error(`Failed to save configuration: ${error.message}`)
+      const saveError = new Error(`Failed to save configuration: ${error.message}`)
+      saveError.fieldErrors = error.fieldErrors || null
+      throw saveError
+    }
+  }
+
+  /**
+   * Replace the DIMO API key; the backend only saves it once DIMO accepts it
+   * @param {string} apiKey - New DIMO API Key
+   * @returns {Promise<Object>} Result message and the redacted configuration
+   */
+  async rotateApiKey(apiKey) {
+    try {
+      const response = await this.request(`/config/api-key`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ apiKey }),
+      })
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}))
+        throw new Error(errorData.error || `HTTP ${response.status}: ${response.statusText}`)
+      }
+
+      return await response.json()
+    } catch (error) {
+      console.error('Failed to rotate API key:', error)
+      throw new Error(`Failed to rotate API key: ${error.message}`)
     }
   }
 
   /**
-   * Delete app configuration
+   * Delete the selected app configuration with its schedules and reports
    * @returns {Promise<Object>} Deletion result
    */
   async deleteConfig() {
     try {
-      const response = await fetch(`${this.baseUrl}/config`, {
+      const response = await this.request(`/config`, {
         method: 'DELETE'
       })
       
@@ -227,16 +379,21 @@ export class DimoApiService {
   }
 
   /**
-   * Generate vehicle report
+   * Start a vehicle report job
    * @param {Object} params - Report parameters
    * @param {Array} params.vehicleTokenIds - Array of vehicle token IDs
    * @param {string} params.startDate - Start date (YYYY-MM-DD)
    * @param {string} params.endDate - End date (YYYY-MM-DD)
-   * @returns {Promise<Object>} Report generation result
+   * @param {Array} params.signals - Signals to include, each { name, agg }
+   * @param {string} params.interval - Row granularity (hourly, daily, weekly, monthly or summary)
+   * @param {string} params.timeZone - IANA time zone for period boundaries and timestamps
+   * @param {string} params.distanceUnit - Unit for distances and speeds (km or mi)
+   * @param {string} params.format - Output format (csv, xlsx, pdf, json or ndjson)
+   * @returns {Promise<Object>} Job ID and status URL
    */
   async generateReport(params) {
     try {
-      const response = await fetch(`${this.baseUrl}/reports/generate`, {
+      const response = await this.request(`/reports/generate`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -257,20 +414,396 @@ export class DimoApiService {
   }
 
   /**
-   * Download report file
-   * @param {string} filename - Report filename
-   * @returns {Promise<Blob>} Report file blob
+   * Get the options reports can be built from
+   * @returns {Promise<Object>} Signal catalog, supported aggregations, intervals and distance units
    */
-  async downloadReport(filename) {
+  async getReportOptions() {
     try {
-      const response = await fetch(`${this.baseUrl}/reports/download/${filename}`)
-      
+      const response = await this.request(`/reports/options`)
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}))
+        throw new Error(errorData.error || `HTTP ${response.status}: ${response.statusText}`)
+      }
+
+      return await response.json()
+    } catch (error) {
+      console.error('Failed to get report options:', error)
+      throw new Error(`Failed to get report options: ${error.message}`)
+    }
+  }
+
+  /**
+   * Get report job status
+   * @param {string} jobId - Report job ID
+   * @returns {Promise<Object>} Job status with per-vehicle progress, failures and ETA
+   */
+  async getReportJob(jobId) {
+    try {
+      const response = await this.request(`/reports/jobs/${jobId}`)
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}))
+        throw new Error(errorData.error || `HTTP ${response.status}: ${response.statusText}`)
+      }
+
+      return await response.json()
+    } catch (error) {
+      console.error('Failed to get report job status:', error)
+      throw new Error(`Failed to get report status: ${error.message}`)
+    }
+  }
+
+  /**
+   * List previously generated reports
+   * @param {Object} query - Optional filters and paging
+   * @param {number} query.page - 1-based page number
+   * @param {number} query.pageSize - Reports per page
+   * @param {string} query.from - Only reports whose period ends on or after this date (YYYY-MM-DD)
+   * @param {string} query.to - Only reports whose period starts on or before this date (YYYY-MM-DD)
+   * @param {string} query.vehicle - Only reports that include this vehicle token ID
+   * @returns {Promise<Object>} Reports (newest first), total count, page and page size
+   */
+  async listReports(query = {}) {
+    try {
+      const searchParams = new URLSearchParams()
+      for (const [name, value] of Object.entries(query)) {
+        if (value !== undefined && value !== null && value !== '') {
+          searchParams.set(name, value)
+        }
+      }
+
+      const response = await this.request(`/reports?${searchParams}`)
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}))
+        throw new Error(errorData.error || `HTTP ${response.status}: ${response.statusText}`)
+      }
+
+      return await response.json()
+    } catch (error) {
+      console.error('Failed to list reports:', error)
+      throw new Error(`Failed to list reports: ${error.message}`)
+    }
+  }
+
+  /**
+   * Get a report's metadata
+   * @param {string} reportId - Report ID
+   * @returns {Promise<Object>} Report parameters, requester, vehicles, status and checksum
+   */
+  async getReport(reportId) {
+    try {
+      const response = await this.request(`/reports/${encodeURIComponent(reportId)}`)
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}))
+        throw new Error(errorData.error || `HTTP ${response.status}: ${response.statusText}`)
+      }
+
+      return await response.json()
+    } catch (error) {
+      console.error('Failed to get report:', error)
+      throw new Error(`Failed to get report: ${error.message}`)
+    }
+  }
+
+  /**
+   * Pin or unpin a report; pinned reports are kept by the retention policy
+   * @param {string} reportId - Report ID
+   * @param {boolean} pinned - Whether the report is pinned
+   * @returns {Promise<Object>} Updated report metadata
+   */
+  async setReportPinned(reportId, pinned) {
+    try {
+      const response = await this.request(`/reports/${encodeURIComponent(reportId)}`, {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ pinned }),
+      })
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}))
+        throw new Error(errorData.error || `HTTP ${response.status}: ${response.statusText}`)
+      }
+
+      return await response.json()
+    } catch (error) {
+      console.error('Failed to update report:', error)
+      throw new Error(`Failed to update report: ${error.message}`)
+    }
+  }
+
+  /**
+   * Delete a report file and its metadata
+   * @param {string} reportId - Report ID
+   * @returns {Promise<Object>} Delete result
+   */
+  async deleteReport(reportId) {
+    try {
+      const response = await this.request(`/reports/${encodeURIComponent(reportId)}`, {
+        method: 'DELETE',
+      })
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}))
+        throw new Error(errorData.error || `HTTP ${response.status}: ${response.statusText}`)
+      }
+
+      return await response.json()
+    } catch (error) {
+      console.error('Failed to delete report:', error)
+      throw new Error(`Failed to delete report: ${error.message}`)
+    }
+  }
+
+  /**
+   * Email a report as an attachment
+   * @param {string} reportId - Report ID
+   * @param {Array} recipients - Recipient addresses; the configured recipients are used when omitted
+   * @returns {Promise<Object>} The recorded email delivery
+   */
+  async emailReport(reportId, recipients = undefined) {
+    try {
+      const response = await this.request(`/reports/${encodeURIComponent(reportId)}/email`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ recipients }),
+      })
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}))
+        throw new Error(errorData.error || `HTTP ${response.status}: ${response.statusText}`)
+      }
+
+      return await response.json()
+    } catch (error) {
+      console.error('Failed to email report:', error)
+      throw new Error(`Failed to email report: ${error.message}`)
+    }
+  }
+
+  /**
+   * Get the SMTP settings used to email reports
+   * @returns {Promise<Object>} Email settings, or null when not configured; the password is never returned
+   */
+  async getEmailSettings() {
+    try {
+      const response = await this.request(`/config/email`)
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}))
+        throw new Error(errorData.error || `HTTP ${response.status}: ${response.statusText}`)
+      }
+
+      return await response.json()
+    } catch (error) {
+      console.error('Failed to load email settings:', error)
+      throw new Error(`Failed to load email settings: ${error.message}`)
+    }
+  }
+
+  /**
+   * Save the SMTP settings, default recipients and automatic sending
+   * @param {Object} settings - host, port, secure, user, password (omit to keep), from, recipients, sendAfterGeneration
+   * @returns {Promise<Object>} Saved email settings
+   */
+  async saveEmailSettings(settings) {
+    try {
+      const response = await this.request(`/config/email`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(settings),
+      })
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}))
+        throw new Error(errorData.error || `HTTP ${response.status}: ${response.statusText}`)
+      }
+
+      return await response.json()
+    } catch (error) {
+      console.error('Failed to save email settings:', error)
+      throw new Error(`Failed to save email settings: ${error.message}`)
+    }
+  }
+
+  /**
+   * Send a test email with the saved SMTP settings
+   * @param {Array} recipients - Recipient addresses; the configured recipients are used when omitted
+   * @returns {Promise<Object>} Result message
+   */
+  async sendTestEmail(recipients = undefined) {
+    try {
+      const response = await this.request(`/config/email/test`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ recipients }),
+      })
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}))
+        throw new Error(errorData.error || `HTTP ${response.status}: ${response.statusText}`)
+      }
+
+      return await response.json()
+    } catch (error) {
+      console.error('Failed to send test email:', error)
+      throw new Error(`Failed to send test email: ${error.message}`)
+    }
+  }
+
+  /**
+   * List report schedules with their next run and recent runs
+   * @returns {Promise<Object>} Schedules
+   */
+  async listSchedules() {
+    try {
+      const response = await this.request(`/schedules`)
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}))
+        throw new Error(errorData.error || `HTTP ${response.status}: ${response.statusText}`)
+      }
+
+      return await response.json()
+    } catch (error) {
+      console.error('Failed to list schedules:', error)
+      throw new Error(`Failed to list schedules: ${error.message}`)
+    }
+  }
+
+  /**
+   * Create a recurring report schedule
+   * @param {Object} schedule - Schedule name, rule, period and report options
+   * @param {string} schedule.name - Schedule name
+   * @param {Object} schedule.rule - { type: 'monthly', day, time } or { type: 'cron', expression }
+   * @param {string} schedule.period - Period each run covers: 'previousDay', 'previousWeek' or 'previousMonth'
+   * @param {Array} schedule.vehicleTokenIds - Vehicle token IDs
+   * @returns {Promise<Object>} Created schedule
+   */
+  async createSchedule(schedule) {
+    try {
+      const response = await this.request(`/schedules`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(schedule),
+      })
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}))
+        throw new Error(errorData.error || `HTTP ${response.status}: ${response.statusText}`)
+      }
+
+      return await response.json()
+    } catch (error) {
+      console.error('Failed to create schedule:', error)
+      throw new Error(`Failed to create schedule: ${error.message}`)
+    }
+  }
+
+  /**
+   * Update a schedule; omitted fields keep their values
+   * @param {string} scheduleId - Schedule ID
+   * @param {Object} changes - Fields to change, e.g. { enabled: false }
+   * @returns {Promise<Object>} Updated schedule
+   */
+  async updateSchedule(scheduleId, changes) {
+    try {
+      const response = await this.request(`/schedules/${encodeURIComponent(scheduleId)}`, {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(changes),
+      })
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}))
+        throw new Error(errorData.error || `HTTP ${response.status}: ${response.statusText}`)
+      }
+
+      return await response.json()
+    } catch (error) {
+      console.error('Failed to update schedule:', error)
+      throw new Error(`Failed to update schedule: ${error.message}`)
+    }
+  }
+
+  /**
+   * Delete a schedule
+   * @param {string} scheduleId - Schedule ID
+   * @returns {Promise<Object>} Delete result
+   */
+  async deleteSchedule(scheduleId) {
+    try {
+      const response = await this.request(`/schedules/${encodeURIComponent(scheduleId)}`, {
+        method: 'DELETE',
+      })
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}))
+        throw new Error(errorData.error || `HTTP ${response.status}: ${response.statusText}`)
+      }
+
+      return await response.json()
+    } catch (error) {
+      console.error('Failed to delete schedule:', error)
+      throw new Error(`Failed to delete schedule: ${error.message}`)
+    }
+  }
+
+  /**
+   * Run a schedule now
+   * @param {string} scheduleId - Schedule ID
+   * @returns {Promise<Object>} Job ID and status URL of the started report
+   */
+  async runSchedule(scheduleId) {
+    try {
+      const response = await this.request(`/schedules/${encodeURIComponent(scheduleId)}/run`, {
+        method: 'POST',
+      })
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}))
+        throw new Error(errorData.error || `HTTP ${response.status}: ${response.statusText}`)
+      }
+
+      return await response.json()
+    } catch (error) {
+      console.error('Failed to run schedule:', error)
+      throw new Error(`Failed to run schedule: ${error.message}`)
+    }
+  }
+
+  /**
+   * Get a short-lived URL a report can be downloaded from without the user's token, either
+   * through the backend or straight from the report storage
+   * @param {string} reportId - Report ID
+   * @returns {Promise<string>} Absolute download URL
+   */
+  async getReportDownloadUrl(reportId) {
+    try {
+      const response = await this.request(`/reports/${encodeURIComponent(reportId)}/download-url`)
+
       if (!response.ok) {
         const errorData = await response.json().catch(() => ({}))
         throw new Error(errorData.error || `HTTP ${response.status}: ${response.statusText}`)
       }
 
-      return await response.blob()
+      const { url } = await response.json()
+      // Links to the backend are relative to its origin
+      return new URL(url, new URL(this.baseUrl, window.location.href)).toString()
     } catch (error) {
       console.error('Failed to download report:', error)
       throw new Error(`Failed to download report: ${error.message}`)
@@ -0,0 +1,320 @@
+import { LitElement, css, html } from 'lit'
+import { dimoApiService } from './dimo-api-service.js'
+
+/**
+ * Email settings component for the SMTP server reports are emailed through
+ */
+export class EmailSettings extends LitElement {
+  static get properties() {
+    return {
+      settings: { type: Object },
+      hasPassword: { type: Boolean },
+      isSaving: { type: Boolean },
+      isTesting: { type: Boolean },
+      error: { type: String },
+      success: { type: String }
+    }
+  }
+
+  constructor() {
+    super()
+    this.settings = {
+      host: '',
+      port: '587',
+      secure: false,
+      user: '',
+      password: '',
+      from: '',
+      recipients: '',
+      sendAfterGeneration: false
+    }
+    this.hasPassword = false
+    this.isSaving = false
+    this.isTesting = false
+    this.error = ''
+    this.success = ''
+  }
+
+  connectedCallback() {
+    super.connectedCallback()
+    this.loadSettings()
+  }
+
+  async loadSettings() {
+    try {
+      const { email } = await dimoApiService.getEmailSettings()
+      if (email) {
+        this.settings = {
+          ...email,
+          port: String(email.port),
+          password: '',
+          recipients: email.recipients.join(', ')
+        }
+        this.hasPassword = email.hasPassword
+      }
+    } catch (error) {
+      console.error('Failed to load email settings:', error)
+    }
+  }
+
+  onFieldChange(event) {
+    const { name, type, checked, value } = event.target
+    this.settings = { ...this.settings, [name]: type === 'checkbox' ? checked : value }
+    this.error = ''
+    this.success = ''
+  }
+
+  async saveSettings(event) {
+    event.preventDefault()
+    this.isSaving = true
+    this.error = ''
+    this.success = ''
+
+    try {
+      const { password, ...settings } = this.settings
+      const { email } = await dimoApiService.saveEmailSettings({
+        ...settings,
+        port: settings.port ? Number(settings.port) : undefined,
+        // An empty password field keeps the saved password
+        ...(password ? { password } : {})
+      })
+      this.settings = { ...this.settings, password: '' }
+      this.hasPassword = email.hasPassword
+      this.success = 'Email settings saved.'
+    } catch (error) {
+      this.error = error.message
+    } finally {
+      this.isSaving = false
+    }
+  }
+
+  async sendTestEmail() {
+    this.isTesting = true
+    this.error = ''
+    this.success = ''
+
+    try {
+      await dimoApiService.sendTestEmail()
+      this.success = `Test email sent to ${this.settings.recipients}.`
+    } catch (error) {
+      this.error = error.message
+    } finally {
+      this.isTesting = false
+    }
+  }
+
+  render() {
+    const settings = this.settings
+
+    return html`
+      <details class="email-settings">
+        <summary>Email delivery</summary>
+        <form @submit=${this.saveSettings}>
+          <div class="form-row">
+            <div class="form-group">
+              <label for="smtp-host">SMTP Host *</label>
+              <input id="smtp-host" name="host" .value=${settings.host} @input=${this.onFieldChange} class="form-input" placeholder="smtp.example.com" required>
+            </div>
+            <div class="form-group narrow">
+              <label for="smtp-port">Port</label>
+              <input id="smtp-port" name="port" type="number" min="1" max="65535" .value=${settings.port} @input=${this.onFieldChange} class="form-input">
+            </div>
+            <div class="form-group narrow checkbox-group">
+              <label>
+                <input type="checkbox" name="secure" .checked=${settings.secure} @change=${this.onFieldChange}>
+                Use TLS
+              </label>
+            </div>
+          </div>
+          <div class="form-row">
+            <div class="form-group">
+              <label for="smtp-user">Username</label>
+              <input id="smtp-user" name="user" .value=${settings.user} @input=${this.onFieldChange} class="form-input" placeholder="Leave empty if not required" autocomplete="off">
+            </div>
+            <div class="form-group">
+              <label for="smtp-password">Password</label>
+              <input
+                id="smtp-password"
+                name="password"
+                type="password"
+                .value=${settings.password}
+                @input=${this.onFieldChange}
+                class="form-input"
+                placeholder=${this.hasPassword ? 'Unchanged' : ''}
+                autocomplete="new-password"
+              >
+            </div>
+          </div>
+          <div class="form-row">
+            <div class="form-group">
+              <label for="smtp-from">From *</label>
+              <input id="smtp-from" name="from" .value=${settings.from} @input=${this.onFieldChange} class="form-input" placeholder="Vehicle Reports <reports@example.com>" required>
+            </div>
+            <div class="form-group">
+              <label for="smtp-recipients">Recipients</label>
+              <input id="smtp-recipients" name="recipients" .value=${settings.recipients} @input=${this.onFieldChange} class="form-input" placeholder="accounting@example.com, fleet@example.com">
+            </div>
+          </div>
+          <div class="form-row">
+            <div class="form-group checkbox-group">
+              <label>
+                <input type="checkbox" name="sendAfterGeneration" .checked=${settings.sendAfterGeneration} @change=${this.onFieldChange}>
+                Email every report to the recipients after it is generated
+              </label>
+            </div>
+          </div>
+
+          ${this.error ? html`<p class="message error">${this.error}</p>` : ''}
+          ${this.success ? html`<p class="message success">${this.success}</p>` : ''}
+
+          <div class="form-actions">
+            <button type="submit" class="action-btn" ?disabled=${this.isSaving}>
+              ${this.isSaving ? 'Saving...' : 'Save'}
+            </button>
+            <button type="button" @click=${this.sendTestEmail} class="action-btn" ?disabled=${this.isTesting || !settings.recipients}>
+              ${this.isTesting ? 'Sending...' : 'Send Test Email'}
+            </button>
+          </div>
+        </form>
+      </details>
+    `
+  }
+
+  static get styles() {
+    return css`
+      .email-settings {
+        background: white;
+        border-radius: 8px;
+        box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
+        padding: 1rem 1.5rem;
+        margin-bottom: 2rem;
+      }
+
+      .email-settings summary {
+        cursor: pointer;
+        font-weight: 600;
+        color: #2c3e50;
+      }
+
+      form {
+        margin-top: 1rem;
+      }
+
+      .form-row {
+        display: flex;
+        gap: 1rem;
+        flex-wrap: wrap;
+        margin-bottom: 1rem;
+      }
+
+      .form-group {
+        display: flex;
+        flex-direction: column;
+        min-width: 200px;
+        flex: 1;
+      }
+
+      .form-group.narrow {
+        flex: 0 0 120px;
+        min-width: 120px;
+      }
+
+      .form-group label {
+        font-size: 0.9rem;
+        font-weight: 500;
+        color: #495057;
+        margin-bottom: 0.5rem;
+      }
+
+      .checkbox-group {
+        justify-content: flex-end;
+      }
+
+      .checkbox-group label {
+        display: flex;
+        align-items: center;
+        gap: 0.5rem;
+        font-weight: 400;
+        cursor: pointer;
+      }
+
+      .form-input {
+        padding: 0.5rem;
+        border: 1px solid #ced4da;
+        border-radius: 4px;
+        font-size: 0.9rem;
+      }
+
+      .form-input:focus {
+        outline: none;
+        border-color: #667eea;
+        box-shadow: 0 0 0 2px rgba(102, 126, 234, 0.25);
+      }
+
+      .message {
+        margin: 0 0 1rem 0;
+        font-size: 0.9rem;
+      }
+
+      .message.error {
+        color: #dc3545;
+      }
+
+      .message.success {
+        color: #155724;
+      }
+
+      .form-actions {
+        display: flex;
+        gap: 0.5rem;
+      }
+
+      .action-btn {
+        background: white;
+        color: #667eea;
+        border: 1px solid #667eea;
+        padding: 0.35rem 0.75rem;
+        border-radius: 4px;
+        cursor: pointer;
+        font-size: 0.85rem;
+      }
+
+      .action-btn:hover:not(:disabled) {
+        background: #667eea;
+        color: white;
+      }
+
+      .action-btn:disabled {
+        opacity: 0.5;
+        cursor: not-allowed;
+      }
+
+      @media (prefers-color-scheme: dark) {
+        .email-settings {
+          background: #2c3e50;
+        }
+
+        .email-settings summary,
+        .form-group label {
+          color: #e9ecef;
+        }
+
+        .form-input {
+          background: #343a40;
+          border-color: #495057;
+          color: #e9ecef;
+        }
+
+        .message.success {
+          color: #75b798;
+        }
+
+        .action-btn {
+          background: transparent;
+        }
+      }
+    `
+  }
+}
+
+window.customElements.define('email-settings', EmailSettings)
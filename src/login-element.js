@@ -11,8 +11,7 @@ export class LoginElement extends LitElement {
     return {
       isLoading: { type: Boolean },
       error: { type: String },
-      isConfigured: { type: Boolean },
-      showClearConfirm: { type: Boolean }
+      isConfigured: { type: Boolean }
     }
   }
 
@@ -21,7 +20,6 @@ export class LoginElement extends LitElement {
     this.isLoading = false
     this.error = ''
     this.isConfigured = false
-    this.showClearConfirm = false
     this.dimoApiService = new DimoApiService()
   }
 
@@ -132,6 +130,10 @@ export class LoginElement extends LitElement {
       // Clear OAuth state
       storageService.clearOAuthState()
 
+      // The role decides which actions the app shows; the backend enforces it either way
+      const { role } = await this.dimoApiService.getCurrentUser()
+      storageService.setUserRole(role)
+
       // Clean up URL parameters after successful login
       const url = new URL(window.location)
       url.searchParams.delete('token')
@@ -227,47 +229,6 @@ export class LoginElement extends LitElement {
     }
   }
 
-  showClearConfiguration() {
-    this.showClearConfirm = true
-    this.requestUpdate()
-  }
-
-  cancelClearConfiguration() {
-    this.showClearConfirm = false
-    this.requestUpdate()
-  }
-
-  async clearConfiguration() {
-    try {
-      // Clear app configuration from backend
-      await this.dimoApiService.deleteConfig()
-      
-      // Update configuration status
-      this.isConfigured = false
-      this.showClearConfirm = false
-      
-      // Clear any error messages
-      this.error = ''
-      
-      console.log('App configuration cleared successfully')
-      
-      // Dispatch configuration cleared event
-      this.dispatchEvent(new CustomEvent('config-cleared', {
-        detail: { message: 'App configuration has been cleared' },
-        bubbles: true
-      }))
-      
-      // Redirect to configuration page
-      setTimeout(() => {
-        window.location.href = '/'
-      }, 1000) // Small delay to show the cleared message
-      
-    } catch (error) {
-      console.error('Failed to clear configuration:', error)
-      this.error = 'Failed to clear configuration. Please try again.'
-    }
-  }
-
   render() {
     if (this.isLoading) {
       return html`
@@ -329,36 +290,6 @@ export class LoginElement extends LitElement {
             </button>
           </div>
           
-          <!-- Clear Configuration Section -->
-          ${this.isConfigured ? html`
-            <div class="config-actions">
-              <button @click=${this.showClearConfiguration} class="clear-btn">
-                <svg class="clear-icon" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
-                  <path d="M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z" fill="currentColor"/>
-                </svg>
-                Clear Configuration
-              </button>
-            </div>
-          ` : ''}
-          
-          <!-- Clear Confirmation Dialog -->
-          ${this.showClearConfirm ? html`
-            <div class="clear-confirm">
-              <div class="confirm-content">
-                <h3>Clear Configuration?</h3>
-                <p>This will remove your DIMO API credentials. You'll need to reconfigure the app to use it again.</p>
-                <div class="confirm-buttons">
-                  <button @click=${this.clearConfiguration} class="confirm-btn confirm-yes">
-                    Yes, Clear
-                  </button>
-                  <button @click=${this.cancelClearConfiguration} class="confirm-btn confirm-no">
-                    Cancel
-                  </button>
-                </div>
-              </div>
-            </div>
-          ` : ''}
-          
           <div class="help-text">
             <p>${this.isConfigured ? 'You\'ll be redirected to DIMO\'s secure login page' : 'Please configure the app with your DIMO credentials first'}</p>
           </div>
@@ -467,105 +398,6 @@ export class LoginElement extends LitElement {
         height: 16px;
       }
 
-      .config-actions {
-        margin-top: 1rem;
-        padding-top: 1rem;
-        border-top: 1px solid #e9ecef;
-      }
-
-      .clear-btn {
-        background: #dc3545;
-        color: white;
-        border: none;
-        padding: 0.5rem 1rem;
-        border-radius: 6px;
-        font-size: 0.9rem;
-        cursor: pointer;
-        display: flex;
-        align-items: center;
-        gap: 0.5rem;
-        transition: background-color 0.2s;
-        margin: 0 auto;
-      }
-
-      .clear-btn:hover {
-        background: #c82333;
-      }
-
-      .clear-icon {
-        width: 16px;
-        height: 16px;
-      }
-
-      .clear-confirm {
-        position: fixed;
-        top: 0;
-        left: 0;
-        right: 0;
-        bottom: 0;
-        background: rgba(0, 0, 0, 0.5);
-        display: flex;
-        align-items: center;
-        justify-content: center;
-        z-index: 1000;
-      }
-
-      .confirm-content {
-        background: white;
-        padding: 2rem;
-        border-radius: 8px;
-        box-shadow: 0 10px 30px rgba(0, 0, 0, 0.3);
-        max-width: 400px;
-        width: 90%;
-        text-align: center;
-      }
-
-      .confirm-content h3 {
-        margin: 0 0 1rem 0;
-        color: #2c3e50;
-        font-size: 1.25rem;
-      }
-
-      .confirm-content p {
-        margin: 0 0 1.5rem 0;
-        color: #6c757d;
-        line-height: 1.5;
-      }
-
-      .confirm-buttons {
-        display: flex;
-        gap: 1rem;
-        justify-content: center;
-      }
-
-      .confirm-btn {
-        padding: 0.75rem 1.5rem;
-        border: none;
-        border-radius: 6px;
-        font-size: 0.9rem;
-        font-weight: 500;
-        cursor: pointer;
-        transition: background-color 0.2s;
-      }
-
-      .confirm-yes {
-        background: #dc3545;
-        color: white;
-      }
-
-      .confirm-yes:hover {
-        background: #c82333;
-      }
-
-      .confirm-no {
-        background: #6c757d;
-        color: white;
-      }
-
-      .confirm-no:hover {
-        background: #5a6268;
-      }
-
       .error {
         background-color: #f8d7da;
         color: #721c24;
@@ -633,23 +465,6 @@ export class LoginElement extends LitElement {
           color: #dc3545;
         }
 
-        .config-actions {
-          border-top-color: #495057;
-        }
-
-        .confirm-content {
-          background: #2c3e50;
-          color: #e9ecef;
-        }
-
-        .confirm-content h3 {
-          color: #e9ecef;
-        }
-
-        .confirm-content p {
-          color: #adb5bd;
-        }
-
         .help-text p {
           color: #adb5bd;
         }
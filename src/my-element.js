@@ -4,6 +4,7 @@ import { LitElement, css, html } from 'lit'
 import { Router } from '@lit-labs/router'
 import { storageService } from './storage-service.js'
 import { ConfigUtils } from './config-utils.js'
+import { dimoApiService } from './dimo-api-service.js'
 
 /**
  * Odometer Reporting Tool main component
@@ -15,7 +16,9 @@ export class MyElement extends LitElement {
       isAuthenticated: { type: Boolean },
       isLoading: { type: Boolean },
       authStatus: { type: Object },
-      clientId: { type: String }
+      clientId: { type: String },
+      configs: { type: Array },
+      selectedConfigId: { type: String }
     }
   }
 
@@ -26,6 +29,8 @@ export class MyElement extends LitElement {
     this.isLoading = true
     this.authStatus = {}
     this.clientId = ''
+    this.configs = []
+    this.selectedConfigId = null
     
     // Initialize the router
     this.router = new Router(this, [
@@ -37,6 +42,10 @@ export class MyElement extends LitElement {
         path: '/config',
         render: () => this.renderConfig()
       },
+      {
+        path: '/config/new',
+        render: () => this.renderAddConfig()
+      },
       {
         path: '/login',
         render: () => this.renderLogin()
@@ -44,6 +53,10 @@ export class MyElement extends LitElement {
       {
         path: '/vehicles',
         render: () => this.renderVehicles()
+      },
+      {
+        path: '/reports',
+        render: () => this.renderReports()
       }
     ])
   }
@@ -54,8 +67,8 @@ export class MyElement extends LitElement {
     // Add router as a controller
     this.addController(this.router)
     
-    // Load client ID from backend config
-    this.loadClientId()
+    // Load the selected configuration and the ones to switch between
+    this.loadConfigurations()
     
     // Listen for configuration success events
     this.addEventListener('config-success', this._handleConfigSuccess)
@@ -71,14 +84,23 @@ export class MyElement extends LitElement {
     }, 0)
   }
 
-  async loadClientId() {
+  async loadConfigurations() {
     try {
       const { config } = await ConfigUtils.checkAppConfiguration()
       if (config && config.clientId) {
         this.clientId = config.clientId
+        this.selectedConfigId = config.configId
+      }
+
+      // Listing configurations needs a signed-in user
+      if (storageService.isUserAuthenticated()) {
+        const [configs, user] = await Promise.all([dimoApiService.listConfigs(), dimoApiService.getCurrentUser()])
+        // Admins can be added or removed while a session lasts
+        storageService.setUserRole(user.role)
+        this.configs = configs
       }
     } catch (error) {
-      console.error('Failed to load client ID:', error)
+      console.error('Failed to load configurations:', error)
     }
   }
 
@@ -124,9 +146,38 @@ export class MyElement extends LitElement {
   _handleLoginSuccess() {
     console.log('Login success event received, redirecting to vehicles page')
     this.updateAppState()
+    this.loadConfigurations()
     this.router.goto('/vehicles')
   }
 
+  _handleNavigate(e) {
+    e.preventDefault()
+    const targetRoute = new URL(e.currentTarget.href).pathname
+    this.router.goto(targetRoute)
+    if (window.location.pathname !== targetRoute) {
+      window.history.pushState({}, '', targetRoute)
+    }
+  }
+
+  _handleConfigChange(e) {
+    const configId = e.target.value
+    if (configId === 'new') {
+      // Keep showing the current configuration until the new one is saved
+      e.target.value = this.selectedConfigId
+      this.router.goto('/config/new')
+      window.history.pushState({}, '', '/config/new')
+      return
+    }
+
+    // The user JWT was issued for the previous configuration's client ID, so switching means logging in again
+    storageService.setSelectedConfigId(configId)
+    storageService.clearUserSession()
+    this.updateAppState()
+    this.loadConfigurations()
+    this.router.goto('/login')
+    window.history.pushState({}, '', '/login')
+  }
+
   _handleLogout() {
     // Clear user session but keep app configuration
     storageService.clearUserSession()
@@ -152,23 +203,50 @@ export class MyElement extends LitElement {
     return html`<app-configuration></app-configuration>`
   }
 
+  renderAddConfig() {
+    return html`<app-configuration adding></app-configuration>`
+  }
+
   renderLogin() {
     return html`<login-element></login-element>`
   }
 
   renderVehicles() {
+    return this.renderAppShell(html`<vehicles-page></vehicles-page>`)
+  }
+
+  renderReports() {
+    return this.renderAppShell(html`<reports-page></reports-page>`)
+  }
+
+  /**
+   * Header with navigation and user info around a signed-in page
+   */
+  renderAppShell(page) {
+    const currentPath = window.location.pathname
+
     return html`
       <div class="app-container">
         <header class="app-header">
           <h1>Odometer Reporting Tool</h1>
+          <nav class="app-nav">
+            <a href="/vehicles" @click=${this._handleNavigate} class=${currentPath === '/vehicles' ? 'active' : ''}>Vehicles</a>
+            <a href="/reports" @click=${this._handleNavigate} class=${currentPath === '/reports' ? 'active' : ''}>Reports</a>
+          </nav>
           <div class="user-info">
+            <select class="config-switcher" @change=${this._handleConfigChange} aria-label="DIMO configuration">
+              ${this.configs.map(config => html`
+                <option value=${config.id} ?selected=${config.id === this.selectedConfigId}>${config.name}</option>
+              `)}
+              ${storageService.isAdmin() ? html`<option value="new">Add configuration…</option>` : ''}
+            </select>
             <span class="client-id">Client: ${this.clientId?.slice(0, 10)}...</span>
             <button @click=${this._handleLogout} class="logout-btn">Logout</button>
           </div>
         </header>
         
         <main class="app-main">
-          <vehicles-page></vehicles-page>
+          ${page}
         </main>
       </div>
     `
@@ -229,6 +307,32 @@ export class MyElement extends LitElement {
         font-weight: 600;
       }
 
+      .app-nav {
+        display: flex;
+        gap: 0.5rem;
+      }
+
+      .app-nav a {
+        color: white;
+        text-decoration: none;
+        padding: 0.5rem 1rem;
+        border-radius: 6px;
+        font-size: 0.95rem;
+        opacity: 0.85;
+        transition: background-color 0.2s, opacity 0.2s;
+      }
+
+      .app-nav a:hover {
+        background: rgba(255, 255, 255, 0.2);
+        opacity: 1;
+      }
+
+      .app-nav a.active {
+        background: rgba(255, 255, 255, 0.25);
+        opacity: 1;
+        font-weight: 500;
+      }
+
       .user-info {
         display: flex;
         align-items: center;
@@ -241,6 +345,20 @@ export class MyElement extends LitElement {
         font-family: monospace;
       }
 
+      .config-switcher {
+        background: rgba(255, 255, 255, 0.2);
+        color: white;
+        border: 1px solid rgba(255, 255, 255, 0.3);
+        padding: 0.4rem 0.75rem;
+        border-radius: 6px;
+        font-size: 0.9rem;
+        cursor: pointer;
+      }
+
+      .config-switcher option {
+        color: #2c3e50;
+      }
+
       .logout-btn {
         background: rgba(255, 255, 255, 0.2);
         color: white;
@@ -0,0 +1,380 @@
+import { LitElement, css, html } from 'lit'
+import { dimoApiService } from './dimo-api-service.js'
+
+// Past runs shown per schedule
+const VISIBLE_RUNS = 5
+
+/**
+ * Report schedules component listing recurring reports with their upcoming and past runs
+ */
+export class ReportSchedules extends LitElement {
+  static get properties() {
+    return {
+      schedules: { type: Array },
+      isLoading: { type: Boolean },
+      error: { type: String },
+      busySchedules: { type: Object }
+    }
+  }
+
+  constructor() {
+    super()
+    this.schedules = []
+    this.isLoading = true
+    this.error = ''
+    this.busySchedules = {} // schedule ID -> action label while updating, running or deleting
+  }
+
+  connectedCallback() {
+    super.connectedCallback()
+    this.loadSchedules()
+  }
+
+  async loadSchedules() {
+    this.isLoading = true
+    this.error = ''
+
+    try {
+      const { schedules } = await dimoApiService.listSchedules()
+      this.schedules = schedules
+    } catch (error) {
+      console.error('Failed to load schedules:', error)
+      this.error = error.message || 'Failed to load schedules'
+    } finally {
+      this.isLoading = false
+    }
+  }
+
+  setBusy(scheduleId, action) {
+    const busySchedules = { ...this.busySchedules }
+    if (action) {
+      busySchedules[scheduleId] = action
+    } else {
+      delete busySchedules[scheduleId]
+    }
+    this.busySchedules = busySchedules
+  }
+
+  async toggleEnabled(schedule) {
+    this.setBusy(schedule.id, schedule.enabled ? 'Pausing...' : 'Resuming...')
+
+    try {
+      const updated = await dimoApiService.updateSchedule(schedule.id, { enabled: !schedule.enabled })
+      this.schedules = this.schedules.map(s => s.id === updated.id ? updated : s)
+    } catch (error) {
+      console.error('Schedule update failed:', error)
+      alert(`Schedule update failed: ${error.message}`)
+    } finally {
+      this.setBusy(schedule.id, null)
+    }
+  }
+
+  async runSchedule(schedule) {
+    this.setBusy(schedule.id, 'Starting...')
+
+    try {
+      await dimoApiService.runSchedule(schedule.id)
+      await this.loadSchedules()
+    } catch (error) {
+      console.error('Schedule run failed:', error)
+      alert(`Schedule run failed: ${error.message}`)
+    } finally {
+      this.setBusy(schedule.id, null)
+    }
+  }
+
+  async deleteSchedule(schedule) {
+    if (!confirm(`Delete the schedule "${schedule.name}"? Reports it already generated are kept.`)) {
+      return
+    }
+
+    this.setBusy(schedule.id, 'Deleting...')
+
+    try {
+      await dimoApiService.deleteSchedule(schedule.id)
+      await this.loadSchedules()
+    } catch (error) {
+      console.error('Schedule deletion failed:', error)
+      alert(`Schedule deletion failed: ${error.message}`)
+    } finally {
+      this.setBusy(schedule.id, null)
+    }
+  }
+
+  describeRule(rule) {
+    return rule.type === 'monthly'
+      ? `Monthly on day ${rule.day} at ${rule.time}`
+      : html`Cron <code>${rule.expression}</code>`
+  }
+
+  renderRuns(schedule) {
+    if (schedule.runs.length === 0) {
+      return html`<span class="muted">No runs yet</span>`
+    }
+
+    return html`
+      <ul class="runs">
+        ${schedule.runs.slice(0, VISIBLE_RUNS).map(run => html`
+          <li>
+            <span class="run-status ${run.status}">${run.status}</span>
+            ${new Date(run.startedAt).toLocaleString()}
+            <span class="muted">
+              ${run.startDate} – ${run.endDate}${run.trigger === 'manual' ? ' · run manually' : ''}
+            </span>
+            ${run.error ? html`<span class="run-error">${run.error}</span>` : ''}
+          </li>
+        `)}
+      </ul>
+    `
+  }
+
+  renderScheduleRow(schedule) {
+    const busy = this.busySchedules[schedule.id]
+
+    return html`
+      <tr>
+        <td>
+          <strong>${schedule.name}</strong>
+          <span class="muted">
+            ${schedule.params.vehicleTokenIds.length} vehicle(s) · ${schedule.params.format.toUpperCase()}
+          </span>
+        </td>
+        <td>
+          ${this.describeRule(schedule.rule)}
+          <span class="muted">${schedule.params.timeZone}</span>
+        </td>
+        <td>
+          ${schedule.enabled && schedule.nextRunAt
+            ? new Date(schedule.nextRunAt).toLocaleString()
+            : html`<span class="paused-badge">Paused</span>`}
+        </td>
+        <td>${this.renderRuns(schedule)}</td>
+        <td>
+          <div class="actions">
+            ${busy ? html`<span class="muted">${busy}</span>` : html`
+              <button @click=${() => this.runSchedule(schedule)} class="action-btn" title="Generate a report for the last period now">Run now</button>
+              <button @click=${() => this.toggleEnabled(schedule)} class="action-btn">${schedule.enabled ? 'Pause' : 'Resume'}</button>
+              <button @click=${() => this.deleteSchedule(schedule)} class="action-btn delete">Delete</button>
+            `}
+          </div>
+        </td>
+      </tr>
+    `
+  }
+
+  render() {
+    return html`
+      <section class="schedules">
+        <div class="section-header">
+          <h2>Schedules</h2>
+          <button @click=${this.loadSchedules} class="action-btn" ?disabled=${this.isLoading}>
+            ${this.isLoading ? 'Loading...' : 'Refresh'}
+          </button>
+        </div>
+
+        ${this.error ? html`<p class="error">${this.error}</p>` : ''}
+
+        <div class="schedules-table-container">
+          <table class="schedules-table">
+            <thead>
+              <tr>
+                <th>Schedule</th>
+                <th>Repeats</th>
+                <th>Next run</th>
+                <th>Recent runs</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${this.schedules.length === 0 ? html`
+                <tr>
+                  <td colspan="5" class="no-data">
+                    ${this.isLoading ? 'Loading schedules...' : 'No schedules yet. Create one from the Vehicles page.'}
+                  </td>
+                </tr>
+              ` : this.schedules.map(schedule => this.renderScheduleRow(schedule))}
+            </tbody>
+          </table>
+        </div>
+      </section>
+    `
+  }
+
+  static get styles() {
+    return css`
+      .schedules {
+        margin-bottom: 2rem;
+      }
+
+      .section-header {
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+        margin-bottom: 1rem;
+      }
+
+      .section-header h2 {
+        margin: 0;
+        color: #2c3e50;
+        font-size: 1.25rem;
+        font-weight: 600;
+      }
+
+      .error {
+        color: #721c24;
+        background: #f8d7da;
+        padding: 0.75rem 1rem;
+        border-radius: 8px;
+      }
+
+      .schedules-table-container {
+        background: white;
+        border-radius: 8px;
+        box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
+        overflow-x: auto;
+      }
+
+      .schedules-table {
+        width: 100%;
+        border-collapse: collapse;
+      }
+
+      .schedules-table th {
+        background: #f8f9fa;
+        color: #495057;
+        font-weight: 600;
+        padding: 1rem;
+        text-align: left;
+        border-bottom: 2px solid #dee2e6;
+      }
+
+      .schedules-table td {
+        padding: 1rem;
+        border-bottom: 1px solid #dee2e6;
+        vertical-align: top;
+        font-size: 0.9rem;
+      }
+
+      .muted {
+        display: block;
+        color: #6c757d;
+        font-size: 0.8rem;
+      }
+
+      .runs {
+        list-style: none;
+        margin: 0;
+        padding: 0;
+      }
+
+      .runs li + li {
+        margin-top: 0.5rem;
+      }
+
+      .run-status {
+        display: inline-block;
+        padding: 0.1rem 0.4rem;
+        border-radius: 4px;
+        font-size: 0.75rem;
+        font-weight: 600;
+        text-transform: capitalize;
+        background: #e9ecef;
+        color: #495057;
+      }
+
+      .run-status.completed {
+        background: #d4edda;
+        color: #155724;
+      }
+
+      .run-status.failed {
+        background: #f8d7da;
+        color: #721c24;
+      }
+
+      .run-error {
+        display: block;
+        color: #dc3545;
+        font-size: 0.8rem;
+      }
+
+      .paused-badge {
+        background: #fff3cd;
+        color: #856404;
+        padding: 0.1rem 0.4rem;
+        border-radius: 4px;
+        font-size: 0.75rem;
+        font-weight: 600;
+      }
+
+      .actions {
+        display: flex;
+        gap: 0.5rem;
+        white-space: nowrap;
+      }
+
+      .action-btn {
+        background: white;
+        color: #667eea;
+        border: 1px solid #667eea;
+        padding: 0.35rem 0.75rem;
+        border-radius: 4px;
+        cursor: pointer;
+        font-size: 0.85rem;
+      }
+
+      .action-btn:hover:not(:disabled) {
+        background: #667eea;
+        color: white;
+      }
+
+      .action-btn:disabled {
+        opacity: 0.5;
+        cursor: not-allowed;
+      }
+
+      .action-btn.delete {
+        color: #dc3545;
+        border-color: #dc3545;
+      }
+
+      .action-btn.delete:hover:not(:disabled) {
+        background: #dc3545;
+        color: white;
+      }
+
+      .no-data {
+        text-align: center;
+        padding: 2rem !important;
+        color: #6c757d;
+      }
+
+      @media (prefers-color-scheme: dark) {
+        .section-header h2 {
+          color: #e9ecef;
+        }
+
+        .schedules-table-container {
+          background: #2c3e50;
+        }
+
+        .schedules-table th {
+          background: #343a40;
+          color: #e9ecef;
+          border-bottom-color: #495057;
+        }
+
+        .schedules-table td {
+          border-bottom-color: #495057;
+          color: #e9ecef;
+        }
+
+        .action-btn {
+          background: transparent;
+        }
+      }
+    `
+  }
+}
+
+window.customElements.define('report-schedules', ReportSchedules)
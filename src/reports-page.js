@@ -0,0 +1,721 @@
+import { LitElement, css, html } from 'lit'
+import { dimoApiService } from './dimo-api-service.js'
+import { storageService } from './storage-service.js'
+
+// How often to poll the backend while a report is re-run
+const REPORT_POLL_INTERVAL = 1500
+
+const PAGE_SIZE = 20
+
+/**
+ * Reports page component listing previously generated reports
+ */
+export class ReportsPage extends LitElement {
+  static get properties() {
+    return {
+      reports: { type: Array },
+      total: { type: Number },
+      page: { type: Number },
+      filters: { type: Object },
+      isLoading: { type: Boolean },
+      error: { type: String },
+      busyReports: { type: Object }
+    }
+  }
+
+  constructor() {
+    super()
+    this.reports = []
+    this.total = 0
+    this.page = 1
+    this.filters = { from: '', to: '', vehicle: '' }
+    this.isLoading = true
+    this.error = ''
+    this.busyReports = {} // report ID -> action label while downloading, re-running or deleting
+  }
+
+  connectedCallback() {
+    super.connectedCallback()
+    this._stopPolling = false
+    this.loadReports()
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback()
+    this._stopPolling = true
+  }
+
+  async loadReports() {
+    this.isLoading = true
+    this.error = ''
+
+    try {
+      const { reports, total } = await dimoApiService.listReports({
+        ...this.filters,
+        page: this.page,
+        pageSize: PAGE_SIZE
+      })
+      this.reports = reports
+      this.total = total
+    } catch (error) {
+      console.error('Failed to load reports:', error)
+      this.error = error.message || 'Failed to load reports'
+    } finally {
+      this.isLoading = false
+    }
+  }
+
+  onFilterChange(event) {
+    this.filters = { ...this.filters, [event.target.name]: event.target.value.trim() }
+  }
+
+  applyFilters(event) {
+    event.preventDefault()
+    this.page = 1
+    this.loadReports()
+  }
+
+  clearFilters() {
+    this.filters = { from: '', to: '', vehicle: '' }
+    this.page = 1
+    this.loadReports()
+  }
+
+  goToPage(page) {
+    this.page = page
+    this.loadReports()
+  }
+
+  setBusy(reportId, action) {
+    const busyReports = { ...this.busyReports }
+    if (action) {
+      busyReports[reportId] = action
+    } else {
+      delete busyReports[reportId]
+    }
+    this.busyReports = busyReports
+  }
+
+  async downloadReport(report) {
+    this.setBusy(report.id, 'Downloading...')
+
+    try {
+      const a = document.createElement('a')
+      a.href = await dimoApiService.getReportDownloadUrl(report.id)
+      // Only applies to same-origin links; others are named by their Content-Disposition
+      a.download = report.filename
+      document.body.appendChild(a)
+      a.click()
+      document.body.removeChild(a)
+    } catch (error) {
+      console.error('Report download failed:', error)
+      alert(`Report download failed: ${error.message}`)
+    } finally {
+      this.setBusy(report.id, null)
+    }
+  }
+
+  /**
+   * Generate a new report with the same parameters and add it to the list
+   */
+  async rerunReport(report) {
+    this.setBusy(report.id, 'Re-running...')
+
+    try {
+      const { jobId } = await dimoApiService.generateReport(report.params)
+
+      let job = await dimoApiService.getReportJob(jobId)
+      while (job.status !== 'completed' && job.status !== 'failed') {
+        if (this._stopPolling) {
+          return // Page was closed while the job was running
+        }
+        await new Promise(resolve => setTimeout(resolve, REPORT_POLL_INTERVAL))
+        job = await dimoApiService.getReportJob(jobId)
+      }
+
+      if (job.status === 'failed') {
+        throw new Error(job.error || 'Report job failed')
+      }
+
+      this.page = 1
+      await this.loadReports()
+    } catch (error) {
+      console.error('Report re-run failed:', error)
+      alert(`Report re-run failed: ${error.message}`)
+    } finally {
+      this.setBusy(report.id, null)
+    }
+  }
+
+  /**
+   * Email a report as an attachment and show the delivery status in its row
+   */
+  async emailReport(report) {
+    const input = prompt('Email this report to (comma separated; leave empty for the configured recipients):', '')
+    if (input === null) {
+      return
+    }
+
+    this.setBusy(report.id, 'Emailing...')
+
+    try {
+      const recipients = input.split(/[,;]/).map(address => address.trim()).filter(Boolean)
+      await dimoApiService.emailReport(report.id, recipients.length > 0 ? recipients : undefined)
+    } catch (error) {
+      console.error('Report email failed:', error)
+      alert(`Report email failed: ${error.message}`)
+    } finally {
+      // Failed deliveries are recorded too, so the row is refreshed either way
+      await this.refreshReport(report.id)
+      this.setBusy(report.id, null)
+    }
+  }
+
+  async refreshReport(reportId) {
+    try {
+      const updated = await dimoApiService.getReport(reportId)
+      this.reports = this.reports.map(r => r.id === updated.id ? updated : r)
+    } catch (error) {
+      console.error('Failed to refresh report:', error)
+    }
+  }
+
+  renderEmailStatus(report) {
+    const delivery = report.emailDeliveries?.[0]
+    if (!delivery) {
+      return ''
+    }
+
+    return delivery.status === 'sent'
+      ? html`<span class="muted" title=${delivery.recipients.join(', ')}>Emailed ${new Date(delivery.sentAt).toLocaleString()}</span>`
+      : html`<span class="failed-count" title=${delivery.error}>Email failed ${new Date(delivery.sentAt).toLocaleString()}</span>`
+  }
+
+  async togglePinned(report) {
+    this.setBusy(report.id, report.pinned ? 'Unpinning...' : 'Pinning...')
+
+    try {
+      const updated = await dimoApiService.setReportPinned(report.id, !report.pinned)
+      this.reports = this.reports.map(r => r.id === updated.id ? updated : r)
+    } catch (error) {
+      console.error('Report pin update failed:', error)
+      alert(`Report pin update failed: ${error.message}`)
+    } finally {
+      this.setBusy(report.id, null)
+    }
+  }
+
+  async deleteReport(report) {
+    if (!confirm(`Delete ${report.filename}? This cannot be undone.`)) {
+      return
+    }
+
+    this.setBusy(report.id, 'Deleting...')
+
+    try {
+      await dimoApiService.deleteReport(report.id)
+      await this.loadReports()
+    } catch (error) {
+      console.error('Report deletion failed:', error)
+      alert(`Report deletion failed: ${error.message}`)
+    } finally {
+      this.setBusy(report.id, null)
+    }
+  }
+
+  formatSize(bytes) {
+    if (bytes < 1024) {
+      return `${bytes} B`
+    }
+    if (bytes < 1024 * 1024) {
+      return `${(bytes / 1024).toFixed(1)} KB`
+    }
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+  }
+
+  formatCount(value) {
+    return value === null || value === undefined ? '—' : value.toLocaleString()
+  }
+
+  renderReportRow(report) {
+    const busy = this.busyReports[report.id]
+    // Emailing, pinning and deleting stored reports is for admins
+    const isAdmin = storageService.isAdmin()
+    const params = report.params
+
+    return html`
+      <tr>
+        <td class="generated-at">
+          ${new Date(report.createdAt).toLocaleString()}
+          ${report.requester?.scheduleName ? html`<span class="muted">Schedule: ${report.requester.scheduleName}</span>` : ''}
+          ${this.renderEmailStatus(report)}
+          ${report.pinned ? html`<span class="pinned-badge">Pinned</span>` : ''}
+        </td>
+        <td class="period">
+          ${params ? html`${params.startDate} – ${params.endDate}` : '—'}
+          ${params?.timeZone ? html`<span class="muted">${params.timeZone}</span>` : ''}
+        </td>
+        <td>
+          ${this.formatCount(report.vehicleCount)}
+          ${report.errorCount > 0 ? html`<span class="failed-count">${report.errorCount} failed</span>` : ''}
+        </td>
+        <td>${this.formatCount(report.recordCount)}</td>
+        <td><span class="format-badge">${report.format.toUpperCase()}</span></td>
+        <td class="size">${this.formatSize(report.size)}</td>
+        <td>
+          <div class="actions">
+            ${busy ? html`<span class="muted">${busy}</span>` : html`
+              <button @click=${() => this.downloadReport(report)} class="action-btn">Download</button>
+              ${isAdmin ? html`<button @click=${() => this.emailReport(report)} class="action-btn">Email</button>` : ''}
+              <button
+                @click=${() => this.rerunReport(report)}
+                class="action-btn"
+                ?disabled=${!params}
+                title=${params ? 'Generate again with the same parameters' : 'Parameters of this report are unknown'}
+              >Re-run</button>
+              ${isAdmin ? html`
+                <button
+                  @click=${() => this.togglePinned(report)}
+                  class="action-btn"
+                  title=${report.pinned ? 'Allow automatic cleanup to delete this report' : 'Keep this report when old reports are cleaned up'}
+                >${report.pinned ? 'Unpin' : 'Pin'}</button>
+                <button @click=${() => this.deleteReport(report)} class="action-btn delete">Delete</button>
+              ` : ''}
+            `}
+          </div>
+        </td>
+      </tr>
+    `
+  }
+
+  renderPager() {
+    const pageCount = Math.ceil(this.total / PAGE_SIZE)
+    if (pageCount <= 1) {
+      return ''
+    }
+
+    return html`
+      <div class="pager">
+        <button @click=${() => this.goToPage(this.page - 1)} class="action-btn" ?disabled=${this.page <= 1}>Previous</button>
+        <span>Page ${this.page} of ${pageCount}</span>
+        <button @click=${() => this.goToPage(this.page + 1)} class="action-btn" ?disabled=${this.page >= pageCount}>Next</button>
+      </div>
+    `
+  }
+
+  render() {
+    return html`
+      <div class="reports-container">
+        <header class="page-header">
+          <div class="header-content">
+            <h1>Reports</h1>
+            ${this.total > 0 ? html`<span class="total-count">${this.total} total</span>` : ''}
+          </div>
+          <div class="header-actions">
+            <button @click=${this.loadReports} class="refresh-btn" ?disabled=${this.isLoading}>
+              ${this.isLoading ? 'Loading...' : 'Refresh'}
+            </button>
+          </div>
+        </header>
+
+        <main class="reports-content">
+          ${this.error ? html`
+            <div class="error-message">
+              <p>${this.error}</p>
+              <button @click=${this.loadReports} class="retry-btn">Try Again</button>
+            </div>
+          ` : ''}
+
+          ${storageService.isAdmin() ? html`
+            <report-schedules></report-schedules>
+
+            <email-settings></email-settings>
+
+            <api-key-settings></api-key-settings>
+          ` : ''}
+
+          <form class="filters" @submit=${this.applyFilters}>
+            <div class="form-group">
+              <label for="filter-from">Period from</label>
+              <input id="filter-from" name="from" type="date" .value=${this.filters.from} @change=${this.onFilterChange} class="form-input">
+            </div>
+            <div class="form-group">
+              <label for="filter-to">Period to</label>
+              <input id="filter-to" name="to" type="date" .value=${this.filters.to} @change=${this.onFilterChange} class="form-input">
+            </div>
+            <div class="form-group">
+              <label for="filter-vehicle">Vehicle Token ID</label>
+              <input id="filter-vehicle" name="vehicle" type="text" .value=${this.filters.vehicle} @input=${this.onFilterChange} class="form-input" placeholder="Any vehicle">
+            </div>
+            <div class="filter-actions">
+              <button type="submit" class="action-btn">Filter</button>
+              <button type="button" @click=${this.clearFilters} class="action-btn">Clear</button>
+            </div>
+          </form>
+
+          ${this.isLoading ? html`
+            <div class="loading-state">
+              <div class="spinner"></div>
+              <p>Loading reports...</p>
+            </div>
+          ` : html`
+            <div class="reports-table-container">
+              <table class="reports-table">
+                <thead>
+                  <tr>
+                    <th>Generated</th>
+                    <th>Period</th>
+                    <th>Vehicles</th>
+                    <th>Records</th>
+                    <th>Format</th>
+                    <th>Size</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  ${this.reports.length === 0 ? html`
+                    <tr>
+                      <td colspan="7" class="no-data">No reports generated yet</td>
+                    </tr>
+                  ` : this.reports.map(report => this.renderReportRow(report))}
+                </tbody>
+              </table>
+              ${this.renderPager()}
+            </div>
+          `}
+        </main>
+      </div>
+    `
+  }
+
+  static get styles() {
+    return css`
+      .reports-container {
+        min-height: 100vh;
+        background-color: #f8f9fa;
+      }
+
+      .page-header {
+        background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+        color: white;
+        padding: 2rem;
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+        box-shadow: 0 2px 10px rgba(0, 0, 0, 0.1);
+      }
+
+      .header-content {
+        display: flex;
+        flex-direction: column;
+        gap: 0.5rem;
+      }
+
+      .page-header h1 {
+        margin: 0;
+        font-size: 2rem;
+        font-weight: 600;
+      }
+
+      .total-count {
+        font-size: 0.9rem;
+        opacity: 0.9;
+        font-weight: 400;
+      }
+
+      .refresh-btn {
+        background: rgba(255, 255, 255, 0.2);
+        color: white;
+        border: 1px solid rgba(255, 255, 255, 0.3);
+        padding: 0.5rem 1rem;
+        border-radius: 6px;
+        cursor: pointer;
+        font-size: 0.9rem;
+        transition: background-color 0.2s;
+      }
+
+      .refresh-btn:hover:not(:disabled) {
+        background: rgba(255, 255, 255, 0.3);
+      }
+
+      .refresh-btn:disabled {
+        opacity: 0.6;
+        cursor: not-allowed;
+      }
+
+      .reports-content {
+        padding: 2rem;
+        max-width: 1200px;
+        margin: 0 auto;
+      }
+
+      .error-message {
+        background: #f8d7da;
+        color: #721c24;
+        padding: 1rem;
+        border-radius: 8px;
+        border: 1px solid #f5c6cb;
+        text-align: center;
+        margin-bottom: 2rem;
+      }
+
+      .retry-btn {
+        background: #dc3545;
+        color: white;
+        border: none;
+        padding: 0.5rem 1rem;
+        border-radius: 4px;
+        cursor: pointer;
+        margin-top: 0.5rem;
+      }
+
+      .loading-state {
+        display: flex;
+        flex-direction: column;
+        align-items: center;
+        justify-content: center;
+        padding: 4rem 2rem;
+        color: #6c757d;
+      }
+
+      .spinner {
+        width: 40px;
+        height: 40px;
+        border: 4px solid rgba(102, 126, 234, 0.3);
+        border-top: 4px solid #667eea;
+        border-radius: 50%;
+        animation: spin 1s linear infinite;
+        margin-bottom: 1rem;
+      }
+
+      @keyframes spin {
+        0% { transform: rotate(0deg); }
+        100% { transform: rotate(360deg); }
+      }
+
+      .filters {
+        display: flex;
+        gap: 1rem;
+        align-items: end;
+        flex-wrap: wrap;
+        background: white;
+        border-radius: 8px;
+        box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
+        padding: 1.5rem;
+        margin-bottom: 2rem;
+      }
+
+      .form-group {
+        display: flex;
+        flex-direction: column;
+        min-width: 150px;
+        flex: 1;
+      }
+
+      .form-group label {
+        font-size: 0.9rem;
+        font-weight: 500;
+        color: #495057;
+        margin-bottom: 0.5rem;
+      }
+
+      .form-input {
+        padding: 0.5rem;
+        border: 1px solid #ced4da;
+        border-radius: 4px;
+        font-size: 0.9rem;
+      }
+
+      .form-input:focus {
+        outline: none;
+        border-color: #667eea;
+        box-shadow: 0 0 0 2px rgba(102, 126, 234, 0.25);
+      }
+
+      .filter-actions {
+        display: flex;
+        gap: 0.5rem;
+      }
+
+      .pager {
+        display: flex;
+        justify-content: center;
+        align-items: center;
+        gap: 1rem;
+        padding: 1rem;
+        font-size: 0.9rem;
+        color: #495057;
+      }
+
+      .reports-table-container {
+        background: white;
+        border-radius: 8px;
+        box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
+        overflow-x: auto;
+      }
+
+      .reports-table {
+        width: 100%;
+        border-collapse: collapse;
+      }
+
+      .reports-table th {
+        background: #f8f9fa;
+        color: #495057;
+        font-weight: 600;
+        padding: 1rem;
+        text-align: left;
+        border-bottom: 2px solid #dee2e6;
+      }
+
+      .reports-table td {
+        padding: 1rem;
+        border-bottom: 1px solid #dee2e6;
+        vertical-align: top;
+        font-size: 0.9rem;
+      }
+
+      .reports-table tr:hover {
+        background-color: #f8f9fa;
+      }
+
+      .period {
+        white-space: nowrap;
+      }
+
+      .muted {
+        display: block;
+        color: #6c757d;
+        font-size: 0.8rem;
+      }
+
+      .failed-count {
+        display: block;
+        color: #dc3545;
+        font-size: 0.8rem;
+      }
+
+      .pinned-badge {
+        display: inline-block;
+        margin-top: 0.25rem;
+        background: #fff3cd;
+        color: #856404;
+        padding: 0.1rem 0.4rem;
+        border-radius: 4px;
+        font-size: 0.75rem;
+        font-weight: 600;
+      }
+
+      .format-badge {
+        background: #e9ecef;
+        color: #495057;
+        padding: 0.2rem 0.5rem;
+        border-radius: 4px;
+        font-size: 0.8rem;
+        font-weight: 600;
+      }
+
+      .actions {
+        display: flex;
+        gap: 0.5rem;
+        white-space: nowrap;
+      }
+
+      .action-btn {
+        background: white;
+        color: #667eea;
+        border: 1px solid #667eea;
+        padding: 0.35rem 0.75rem;
+        border-radius: 4px;
+        cursor: pointer;
+        font-size: 0.85rem;
+      }
+
+      .action-btn:hover:not(:disabled) {
+        background: #667eea;
+        color: white;
+      }
+
+      .action-btn:disabled {
+        opacity: 0.5;
+        cursor: not-allowed;
+      }
+
+      .action-btn.delete {
+        color: #dc3545;
+        border-color: #dc3545;
+      }
+
+      .action-btn.delete:hover:not(:disabled) {
+        background: #dc3545;
+        color: white;
+      }
+
+      .no-data {
+        text-align: center;
+        padding: 3rem !important;
+        color: #6c757d;
+      }
+
+      @media (prefers-color-scheme: dark) {
+        .reports-container {
+          background-color: #1a1a1a;
+        }
+
+        .reports-table-container,
+        .filters {
+          background: #2c3e50;
+        }
+
+        .form-group label,
+        .pager {
+          color: #e9ecef;
+        }
+
+        .form-input {
+          background: #343a40;
+          border-color: #495057;
+          color: #e9ecef;
+        }
+
+        .reports-table th {
+          background: #343a40;
+          color: #e9ecef;
+          border-bottom-color: #495057;
+        }
+
+        .reports-table td {
+          border-bottom-color: #495057;
+          color: #e9ecef;
+        }
+
+        .reports-table tr:hover {
+          background-color: #343a40;
+        }
+
+        .format-badge {
+          background: #495057;
+          color: #e9ecef;
+        }
+
+        .action-btn {
+          background: transparent;
+        }
+      }
+
+      @media (max-width: 768px) {
+        .page-header {
+          flex-direction: column;
+          gap: 1rem;
+          text-align: center;
+        }
+
+        .reports-content {
+          padding: 1rem;
+        }
+      }
+    `
+  }
+}
+
+window.customElements.define('reports-page', ReportsPage)
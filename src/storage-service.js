@@ -12,7 +12,9 @@ export class StorageService {
     DIMO_JWT_TIMESTAMP: 'dimo_jwt_timestamp',
     USER_JWT: 'user_jwt',
     USER_JWT_TIMESTAMP: 'user_jwt_timestamp',
-    OAUTH_STATE: 'oauth_state'
+    USER_ROLE: 'user_role',
+    OAUTH_STATE: 'oauth_state',
+    SELECTED_CONFIG_ID: 'selected_config_id'
   }
 
   /**
@@ -54,6 +56,7 @@ export class StorageService {
   clearUserSession() {
     this.removeItem(StorageService.KEYS.USER_JWT)
     this.removeItem(StorageService.KEYS.USER_JWT_TIMESTAMP)
+    this.removeItem(StorageService.KEYS.USER_ROLE)
     this.removeItem(StorageService.KEYS.OAUTH_STATE)
   }
 
@@ -109,6 +112,28 @@ export class StorageService {
   }
 
 
+  /**
+   * Get the logged-in user's role: 'admin' or 'viewer'
+   */
+  getUserRole() {
+    return this.getItem(StorageService.KEYS.USER_ROLE)
+  }
+
+  /**
+   * Set the logged-in user's role, as reported by the backend
+   */
+  setUserRole(role) {
+    this.setItem(StorageService.KEYS.USER_ROLE, role)
+  }
+
+  /**
+   * Whether the logged-in user can change settings, schedules and stored reports.
+   * Only used to hide actions; the backend enforces roles.
+   */
+  isAdmin() {
+    return this.getUserRole() === 'admin'
+  }
+
   /**
    * Set user session
    */
@@ -133,6 +158,24 @@ export class StorageService {
     }
   }
 
+  /**
+   * Get the ID of the app configuration the backend should act on; null means its default configuration
+   */
+  getSelectedConfigId() {
+    return this.getItem(StorageService.KEYS.SELECTED_CONFIG_ID)
+  }
+
+  /**
+   * Select the app configuration the backend should act on
+   */
+  setSelectedConfigId(configId) {
+    if (configId) {
+      this.setItem(StorageService.KEYS.SELECTED_CONFIG_ID, configId)
+    } else {
+      this.removeItem(StorageService.KEYS.SELECTED_CONFIG_ID)
+    }
+  }
+
   /**
    * Set OAuth state
    */
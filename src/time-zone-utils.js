@@ -0,0 +1,62 @@
+/**
+ * Time Zone Utilities
+ * Builds report dates in the fleet's time zone instead of the browser's or UTC
+ */
+
+export class TimeZoneUtils {
+  static DEFAULT_TIME_ZONE = 'UTC'
+
+  /**
+   * Get the browser's IANA time zone
+   * @returns {string}
+   */
+  static getBrowserTimeZone() {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || this.DEFAULT_TIME_ZONE
+  }
+
+  /**
+   * Get the time zones offered in time zone pickers
+   * @returns {Array<string>}
+   */
+  static getSupportedTimeZones() {
+    const zones = typeof Intl.supportedValuesOf === 'function'
+      ? Intl.supportedValuesOf('timeZone')
+      : [this.getBrowserTimeZone()]
+
+    // Some runtimes leave UTC out of the list
+    return zones.includes(this.DEFAULT_TIME_ZONE) ? zones : [this.DEFAULT_TIME_ZONE, ...zones]
+  }
+
+  /**
+   * Get today's calendar date in a time zone
+   * @param {string} timeZone - IANA time zone
+   * @returns {{year: number, monthIndex: number, day: number}}
+   */
+  static getToday(timeZone) {
+    const parts = {}
+    const formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric'
+    })
+
+    for (const { type, value } of formatter.formatToParts(new Date())) {
+      parts[type] = parseInt(value)
+    }
+
+    return { year: parts.year, monthIndex: parts.month - 1, day: parts.day }
+  }
+
+  /**
+   * Format a calendar date as YYYY-MM-DD without converting through UTC.
+   * Day and month overflow roll over (day 0 is the last day of the previous month).
+   * @returns {string}
+   */
+  static formatDate(year, monthIndex, day) {
+    const date = new Date(Date.UTC(year, monthIndex, day))
+    const month = String(date.getUTCMonth() + 1).padStart(2, '0')
+    const dayOfMonth = String(date.getUTCDate()).padStart(2, '0')
+    return `${date.getUTCFullYear()}-${month}-${dayOfMonth}`
+  }
+}
@@ -3,6 +3,13 @@ import { graphqlService } from './graphql-service.js'
 import { storageService } from './storage-service.js'
 import { dimoApiService } from './dimo-api-service.js'
 import { ConfigUtils } from './config-utils.js'
+import { TimeZoneUtils } from './time-zone-utils.js'
+
+// How often to poll the backend for report job progress
+const REPORT_POLL_INTERVAL = 1500
+
+// Signal selected by default in the report form
+const DEFAULT_SIGNAL = 'powertrainTransmissionTravelledDistance'
 
 /**
  * Vehicles page component displaying user's vehicles
@@ -21,7 +28,22 @@ export class VehiclesPage extends LitElement {
       startDate: { type: String },
       endDate: { type: String },
       selectedMonth: { type: String },
-      isGeneratingReport: { type: Boolean }
+      isGeneratingReport: { type: Boolean },
+      reportJob: { type: Object },
+      availableSignals: { type: Array },
+      aggregations: { type: Array },
+      selectedSignals: { type: Object },
+      intervals: { type: Array },
+      reportInterval: { type: String },
+      timeZone: { type: String },
+      distanceUnits: { type: Array },
+      distanceUnit: { type: String },
+      formats: { type: Array },
+      reportFormat: { type: String },
+      schedulePeriods: { type: Array },
+      scheduleForm: { type: Object },
+      isSavingSchedule: { type: Boolean },
+      scheduleMessage: { type: String }
     }
   }
 
@@ -39,6 +61,28 @@ export class VehiclesPage extends LitElement {
     this.endDate = ''
     this.selectedMonth = ''
     this.isGeneratingReport = false
+    this.reportJob = null
+    this.availableSignals = []
+    this.aggregations = []
+    this.selectedSignals = {} // signal name -> aggregation
+    this.intervals = []
+    this.reportInterval = 'daily'
+    this.timeZone = ''
+    this.distanceUnits = []
+    this.distanceUnit = ''
+    this.formats = []
+    this.reportFormat = 'csv'
+    this.schedulePeriods = []
+    this.scheduleForm = {
+      name: '',
+      ruleType: 'monthly',
+      day: 1,
+      time: '06:00',
+      expression: '0 6 1 * *',
+      period: 'previousMonth'
+    }
+    this.isSavingSchedule = false
+    this.scheduleMessage = ''
     
     // DIMO API service is imported and ready to use
   }
@@ -46,6 +90,89 @@ export class VehiclesPage extends LitElement {
   connectedCallback() {
     super.connectedCallback()
     this.loadVehicles()
+    this.loadReportOptions()
+  }
+
+  async loadReportOptions() {
+    try {
+      const { signals, aggregations, intervals, defaultInterval, distanceUnits, formats, defaultFormat, schedulePeriods } = await dimoApiService.getReportOptions()
+      this.availableSignals = signals
+      this.aggregations = aggregations
+      this.intervals = intervals
+      this.reportInterval = defaultInterval
+      this.distanceUnits = distanceUnits
+      this.formats = formats
+      this.reportFormat = defaultFormat
+      this.schedulePeriods = schedulePeriods
+      
+      const defaultSignal = signals.find(signal => signal.name === DEFAULT_SIGNAL)
+      if (defaultSignal) {
+        this.selectedSignals = { [defaultSignal.name]: defaultSignal.defaultAgg }
+      }
+    } catch (error) {
+      console.error('Failed to load report options:', error)
+    }
+  }
+
+  onSignalToggle(event) {
+    const name = event.target.value
+    const selectedSignals = { ...this.selectedSignals }
+    
+    if (event.target.checked) {
+      const signal = this.availableSignals.find(s => s.name === name)
+      selectedSignals[name] = signal.defaultAgg
+    } else {
+      delete selectedSignals[name]
+    }
+    
+    this.selectedSignals = selectedSignals
+  }
+
+  onTimeZoneChange(event) {
+    this.timeZone = event.target.value
+    // The quick-select months depend on the time zone
+    this.selectedMonth = ''
+  }
+
+  onDistanceUnitChange(event) {
+    this.distanceUnit = event.target.value
+  }
+
+  /**
+   * Unit label for a signal in the selected distance unit
+   */
+  getSignalUnit(signal) {
+    const unit = this.distanceUnits.find(u => u.name === this.distanceUnit)
+    if (!signal.quantity || !unit) {
+      return signal.unit
+    }
+    return signal.quantity === 'speed' ? unit.speedLabel : unit.distanceLabel
+  }
+
+  onIntervalChange(event) {
+    this.reportInterval = event.target.value
+  }
+
+  onFormatChange(event) {
+    this.reportFormat = event.target.value
+  }
+
+  /**
+   * Interval forced by the selected format (PDF statements are always daily), or null
+   */
+  getFixedInterval() {
+    return this.formats.find(format => format.name === this.reportFormat)?.interval || null
+  }
+
+  onSignalAggChange(event) {
+    const name = event.target.dataset.signal
+    this.selectedSignals = { ...this.selectedSignals, [name]: event.target.value }
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback()
+    // Stop polling report progress when the page is removed
+    this._stopPolling = true
   }
 
   async loadVehicles(after = null) {
@@ -63,8 +190,16 @@ export class VehiclesPage extends LitElement {
         throw new Error('No configuration found. Please configure the app.')
       }
       
-      // Fetch vehicles from DIMO GraphQL API
-      const vehiclesData = await graphqlService.getVehicles(config.clientId, after)
+      // Default report dates and units to the fleet's configuration
+      if (!this.timeZone) {
+        this.timeZone = config.timeZone || TimeZoneUtils.DEFAULT_TIME_ZONE
+      }
+      if (!this.distanceUnit) {
+        this.distanceUnit = config.distanceUnit || 'km'
+      }
+      
+      // Fetch the vehicles the logged-in user is privileged on; the backend only reports on these
+      const vehiclesData = await graphqlService.getVehiclesByJWT(storageService.getUserJwt(), after)
       
       // Map the data to our table format
       const mappedVehicles = vehiclesData.nodes.map(vehicle => graphqlService.mapVehicleData(vehicle))
@@ -92,19 +227,20 @@ export class VehiclesPage extends LitElement {
 
   getLastFiveMonths() {
     const months = []
-    const today = new Date()
+    // Months are calendar months in the fleet's time zone, not the browser's
+    const today = TimeZoneUtils.getToday(this.timeZone || TimeZoneUtils.DEFAULT_TIME_ZONE)
     
     for (let i = 0; i < 5; i++) {
-      const date = new Date(today.getFullYear(), today.getMonth() - i, 1)
-      const monthName = date.toLocaleDateString('en-US', { month: 'long', year: 'numeric' })
-      const startDate = new Date(date.getFullYear(), date.getMonth(), 1)
-      const endDate = new Date(date.getFullYear(), date.getMonth() + 1, 0)
+      const date = new Date(Date.UTC(today.year, today.monthIndex - i, 1))
+      const year = date.getUTCFullYear()
+      const monthIndex = date.getUTCMonth()
+      const monthName = date.toLocaleDateString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' })
       
       months.push({
-        value: `${startDate.getFullYear()}-${String(startDate.getMonth() + 1).padStart(2, '0')}`,
+        value: `${year}-${String(monthIndex + 1).padStart(2, '0')}`,
         label: monthName,
-        startDate: startDate.toISOString().split('T')[0],
-        endDate: endDate.toISOString().split('T')[0]
+        startDate: TimeZoneUtils.formatDate(year, monthIndex, 1),
+        endDate: TimeZoneUtils.formatDate(year, monthIndex + 1, 0)
       })
     }
     
@@ -139,7 +275,8 @@ export class VehiclesPage extends LitElement {
   }
 
   onVehicleSelect(event) {
-    const tokenId = event.target.value
+    // Checkbox values are strings; token IDs are kept as the numbers the vehicle list has
+    const tokenId = Number(event.target.value)
     const isChecked = event.target.checked
     
     if (isChecked) {
@@ -181,6 +318,11 @@ export class VehiclesPage extends LitElement {
       return
     }
     
+    if (Object.keys(this.selectedSignals).length === 0) {
+      alert('Please select at least one signal.')
+      return
+    }
+    
     // Validate date format (YYYY-MM-DD)
     const dateRegex = /^\d{4}-\d{2}-\d{2}$/
     if (!dateRegex.test(this.startDate) || !dateRegex.test(this.endDate)) {
@@ -195,37 +337,34 @@ export class VehiclesPage extends LitElement {
     }
     
     this.isGeneratingReport = true
+    this.reportJob = null
+    this._stopPolling = false
     this.requestUpdate()
     
     try {
-      console.log('=== Vehicle Report Generation ===')
-      console.log('Start Date:', this.startDate)
-      console.log('End Date:', this.endDate)
-      console.log('Selected Vehicles:', Array.from(this.selectedVehicles))
-      console.log('Total Selected:', this.selectedVehicles.size)
-      
-      // Generate report using backend (backend handles all JWT logic)
-      console.log('Generating report via backend...')
-      const reportResult = await dimoApiService.generateReport({
+      // Start report job on the backend (backend handles all JWT logic)
+      const { jobId } = await dimoApiService.generateReport({
         vehicleTokenIds: Array.from(this.selectedVehicles),
         startDate: this.startDate,
-        endDate: this.endDate
+        endDate: this.endDate,
+        signals: Object.entries(this.selectedSignals).map(([name, agg]) => ({ name, agg })),
+        interval: this.reportInterval,
+        timeZone: this.timeZone || TimeZoneUtils.DEFAULT_TIME_ZONE,
+        distanceUnit: this.distanceUnit || undefined,
+        format: this.reportFormat
       })
       
-      console.log('Report generated:', reportResult)
+      const job = await this.waitForReportJob(jobId)
+      if (!job) {
+        return // Page was closed while the job was running
+      }
       
-      // Download the report
-      const blob = await dimoApiService.downloadReport(reportResult.filename)
-      const url = window.URL.createObjectURL(blob)
-      const a = document.createElement('a')
-      a.href = url
-      a.download = reportResult.filename
-      document.body.appendChild(a)
-      a.click()
-      window.URL.revokeObjectURL(url)
-      document.body.removeChild(a)
+      if (job.status === 'failed') {
+        throw new Error(job.error || 'Report job failed')
+      }
       
-      alert(`Report generated successfully! Downloaded ${reportResult.filename} with ${reportResult.recordCount} records.`)
+      // Download the report
+      await this.downloadReportFile(job.result.reportId, job.result.filename)
       
     } catch (error) {
       console.error('Report generation failed:', error)
@@ -236,7 +375,268 @@ export class VehiclesPage extends LitElement {
     }
   }
 
+  onScheduleFieldChange(event) {
+    this.scheduleForm = { ...this.scheduleForm, [event.target.name]: event.target.value }
+    this.scheduleMessage = ''
+  }
+
+  /**
+   * Save the current vehicle selection and report options as a recurring schedule
+   */
+  async saveSchedule() {
+    const form = this.scheduleForm
+
+    if (!form.name.trim()) {
+      alert('Please enter a schedule name.')
+      return
+    }
 
+    if (this.selectedVehicles.size === 0) {
+      alert('Please select at least one vehicle.')
+      return
+    }
+
+    if (Object.keys(this.selectedSignals).length === 0) {
+      alert('Please select at least one signal.')
+      return
+    }
+
+    this.isSavingSchedule = true
+    this.scheduleMessage = ''
+
+    try {
+      const schedule = await dimoApiService.createSchedule({
+        name: form.name,
+        rule: form.ruleType === 'monthly'
+          ? { type: 'monthly', day: Number(form.day), time: form.time }
+          : { type: 'cron', expression: form.expression },
+        period: form.period,
+        vehicleTokenIds: Array.from(this.selectedVehicles),
+        signals: Object.entries(this.selectedSignals).map(([name, agg]) => ({ name, agg })),
+        interval: this.reportInterval,
+        timeZone: this.timeZone || TimeZoneUtils.DEFAULT_TIME_ZONE,
+        distanceUnit: this.distanceUnit || undefined,
+        format: this.reportFormat
+      })
+
+      this.scheduleForm = { ...form, name: '' }
+      this.scheduleMessage = schedule.nextRunAt
+        ? `Schedule saved. Next run: ${new Date(schedule.nextRunAt).toLocaleString()}`
+        : 'Schedule saved.'
+    } catch (error) {
+      console.error('Failed to save schedule:', error)
+      alert(`Failed to save schedule: ${error.message}`)
+    } finally {
+      this.isSavingSchedule = false
+    }
+  }
+
+  /**
+   * Poll the report job until it completes or fails
+   * @returns {Promise<Object|null>} Final job status, or null if polling was stopped
+   */
+  async waitForReportJob(jobId) {
+    while (!this._stopPolling) {
+      this.reportJob = await dimoApiService.getReportJob(jobId)
+      
+      if (this.reportJob.status === 'completed' || this.reportJob.status === 'failed') {
+        return this.reportJob
+      }
+      
+      await new Promise(resolve => setTimeout(resolve, REPORT_POLL_INTERVAL))
+    }
+    return null
+  }
+
+  async downloadReportFile(reportId, filename) {
+    const a = document.createElement('a')
+    a.href = await dimoApiService.getReportDownloadUrl(reportId)
+    // Only applies to same-origin links; others are named by their Content-Disposition
+    a.download = filename
+    document.body.appendChild(a)
+    a.click()
+    document.body.removeChild(a)
+  }
+
+  formatEta(seconds) {
+    if (seconds === null || seconds === undefined) {
+      return 'Estimating...'
+    }
+    if (seconds < 60) {
+      return `${seconds}s remaining`
+    }
+    const minutes = Math.floor(seconds / 60)
+    return `${minutes}m ${seconds % 60}s remaining`
+  }
+
+  renderSignalPicker() {
+    if (this.availableSignals.length === 0) {
+      return ''
+    }
+
+    return html`
+      <div class="form-row">
+        <div class="form-group signal-picker">
+          <label>Signals *</label>
+          <div class="signal-options">
+            ${this.availableSignals.map(signal => {
+              const isSelected = signal.name in this.selectedSignals
+              return html`
+                <div class="signal-option">
+                  <label class="signal-label">
+                    <input
+                      type="checkbox"
+                      value=${signal.name}
+                      .checked=${isSelected}
+                      @change=${this.onSignalToggle}
+                    >
+                    ${signal.label}${this.getSignalUnit(signal) ? html` <span class="signal-unit">(${this.getSignalUnit(signal)})</span>` : ''}
+                  </label>
+                  <select
+                    class="form-select signal-agg"
+                    data-signal=${signal.name}
+                    .value=${this.selectedSignals[signal.name] || signal.defaultAgg}
+                    @change=${this.onSignalAggChange}
+                    ?disabled=${!isSelected}
+                  >
+                    ${this.aggregations.map(agg => html`
+                      <option value=${agg} ?selected=${agg === (this.selectedSignals[signal.name] || signal.defaultAgg)}>${agg}</option>
+                    `)}
+                  </select>
+                </div>
+              `
+            })}
+          </div>
+        </div>
+      </div>
+    `
+  }
+
+  renderScheduleForm() {
+    const form = this.scheduleForm
+
+    return html`
+      <details class="report-schedule">
+        <summary>Schedule this report</summary>
+        <p class="schedule-hint">
+          Runs automatically with the selected vehicles, signals and format. Each run covers the chosen period before the run date.
+        </p>
+        <div class="form-row">
+          <div class="form-group">
+            <label for="schedule-name">Name *</label>
+            <input
+              type="text"
+              id="schedule-name"
+              name="name"
+              .value=${form.name}
+              @input=${this.onScheduleFieldChange}
+              class="form-input"
+              placeholder="Monthly fleet mileage"
+            >
+          </div>
+          <div class="form-group">
+            <label for="schedule-rule-type">Repeat</label>
+            <select id="schedule-rule-type" name="ruleType" .value=${form.ruleType} @change=${this.onScheduleFieldChange} class="form-select">
+              <option value="monthly" ?selected=${form.ruleType === 'monthly'}>Monthly on day</option>
+              <option value="cron" ?selected=${form.ruleType === 'cron'}>Cron expression</option>
+            </select>
+          </div>
+          ${form.ruleType === 'monthly' ? html`
+            <div class="form-group">
+              <label for="schedule-day">Day of month</label>
+              <input
+                type="number"
+                id="schedule-day"
+                name="day"
+                min="1"
+                max="31"
+                .value=${String(form.day)}
+                @change=${this.onScheduleFieldChange}
+                class="form-input"
+              >
+            </div>
+            <div class="form-group">
+              <label for="schedule-time">Time (${this.timeZone || TimeZoneUtils.DEFAULT_TIME_ZONE})</label>
+              <input
+                type="time"
+                id="schedule-time"
+                name="time"
+                .value=${form.time}
+                @change=${this.onScheduleFieldChange}
+                class="form-input"
+              >
+            </div>
+          ` : html`
+            <div class="form-group">
+              <label for="schedule-expression">Cron (min hour day month weekday)</label>
+              <input
+                type="text"
+                id="schedule-expression"
+                name="expression"
+                .value=${form.expression}
+                @input=${this.onScheduleFieldChange}
+                class="form-input"
+                placeholder="0 6 1 * *"
+              >
+            </div>
+          `}
+          <div class="form-group">
+            <label for="schedule-period">Report period</label>
+            <select id="schedule-period" name="period" .value=${form.period} @change=${this.onScheduleFieldChange} class="form-select">
+              ${this.schedulePeriods.map(period => html`
+                <option value=${period.name} ?selected=${period.name === form.period}>${period.label}</option>
+              `)}
+            </select>
+          </div>
+          <div class="form-group">
+            <button @click=${this.saveSchedule} class="generate-btn" ?disabled=${this.isSavingSchedule}>
+              ${this.isSavingSchedule ? 'Saving...' : 'Save Schedule'}
+            </button>
+          </div>
+        </div>
+        ${this.scheduleMessage ? html`<p class="schedule-message">${this.scheduleMessage}</p>` : ''}
+      </details>
+    `
+  }
+
+  renderReportProgress() {
+    const job = this.reportJob
+    if (!job) {
+      return ''
+    }
+
+    const { progress } = job
+    const isDone = job.status === 'completed' || job.status === 'failed'
+
+    return html`
+      <div class="report-progress ${job.status}">
+        <div class="progress-header">
+          <span class="progress-title">
+            ${job.status === 'completed' ? 'Report ready' : job.status === 'failed' ? 'Report failed' : 'Generating report...'}
+          </span>
+          <span class="progress-eta">
+            ${isDone ? '' : this.formatEta(job.etaSeconds)}
+          </span>
+        </div>
+        <div class="progress-bar">
+          <div class="progress-fill" style="width: ${progress.percent}%"></div>
+        </div>
+        <div class="progress-stats">
+          <span>${progress.processed} of ${progress.total} vehicles processed</span>
+          ${progress.failed > 0 ? html`<span class="progress-failed">${progress.failed} failed</span>` : ''}
+          ${job.result ? html`<span>${job.result.recordCount} records in ${job.result.filename}</span>` : ''}
+        </div>
+        ${job.error ? html`<p class="progress-error">${job.error}</p>` : ''}
+        ${job.failures.length > 0 ? html`
+          <ul class="progress-failures">
+            ${job.failures.map(failure => html`
+              <li><code>${failure.tokenId}</code> ${failure.error}</li>
+            `)}
+          </ul>
+        ` : ''}
+      </div>
+    `
+  }
 
   render() {
     return html`
@@ -280,8 +680,36 @@ export class VehiclesPage extends LitElement {
                     `)}
                   </select>
                 </div>
+                <div class="form-group">
+                  <label for="time-zone">Time Zone</label>
+                  <select
+                    id="time-zone"
+                    @change=${this.onTimeZoneChange}
+                    .value=${this.timeZone}
+                    class="form-select"
+                  >
+                    ${TimeZoneUtils.getSupportedTimeZones().map(zone => html`
+                      <option value=${zone} ?selected=${zone === this.timeZone}>${zone}</option>
+                    `)}
+                  </select>
+                </div>
+                <div class="form-group">
+                  <label for="distance-unit">Distance Unit</label>
+                  <select
+                    id="distance-unit"
+                    @change=${this.onDistanceUnitChange}
+                    .value=${this.distanceUnit}
+                    class="form-select"
+                  >
+                    ${this.distanceUnits.map(unit => html`
+                      <option value=${unit.name} ?selected=${unit.name === this.distanceUnit}>${unit.label} (${unit.distanceLabel})</option>
+                    `)}
+                  </select>
+                </div>
               </div>
               
+              ${this.renderSignalPicker()}
+              
               <div class="form-row">
                 <div class="form-group">
                   <label for="start-date">Start Date *</label>
@@ -307,13 +735,42 @@ export class VehiclesPage extends LitElement {
                     required
                   >
                 </div>
+                <div class="form-group">
+                  <label for="report-interval">Interval</label>
+                  <select
+                    id="report-interval"
+                    @change=${this.onIntervalChange}
+                    .value=${this.getFixedInterval() || this.reportInterval}
+                    class="form-select"
+                    ?disabled=${!!this.getFixedInterval()}
+                  >
+                    ${this.intervals.map(interval => html`
+                      <option value=${interval.name} ?selected=${interval.name === (this.getFixedInterval() || this.reportInterval)}>${interval.label}</option>
+                    `)}
+                  </select>
+                </div>
+                <div class="form-group">
+                  <label for="report-format">Format</label>
+                  <select
+                    id="report-format"
+                    @change=${this.onFormatChange}
+                    .value=${this.reportFormat}
+                    class="form-select"
+                  >
+                    ${this.formats.map(format => html`
+                      <option value=${format.name} ?selected=${format.name === this.reportFormat}>${format.label}</option>
+                    `)}
+                  </select>
+                </div>
                 <div class="form-group">
                   <button @click=${this.generateReport} class="generate-btn" ?disabled=${this.isLoading || this.isGeneratingReport}>
                     ${this.isGeneratingReport ? 'Generating Report...' : 'Generate Report'}
                   </button>
                 </div>
               </div>
+              ${storageService.isAdmin() ? this.renderScheduleForm() : ''}
             </div>
+            ${this.renderReportProgress()}
           </div>
 
           ${this.isLoading ? html`
@@ -500,6 +957,46 @@ export class VehiclesPage extends LitElement {
         margin-bottom: 0.5rem;
       }
 
+      .signal-picker {
+        margin-bottom: 1rem;
+      }
+
+      .form-group.signal-picker:last-child {
+        flex: 1;
+      }
+
+      .signal-options {
+        display: grid;
+        grid-template-columns: repeat(auto-fill, minmax(260px, 1fr));
+        gap: 0.5rem 1rem;
+      }
+
+      .signal-option {
+        display: flex;
+        align-items: center;
+        justify-content: space-between;
+        gap: 0.5rem;
+      }
+
+      .form-group .signal-label {
+        display: flex;
+        align-items: center;
+        gap: 0.5rem;
+        margin: 0;
+        font-weight: 400;
+        cursor: pointer;
+      }
+
+      .signal-unit {
+        color: #6c757d;
+        font-size: 0.8rem;
+      }
+
+      .form-select.signal-agg {
+        padding: 0.25rem;
+        font-size: 0.8rem;
+      }
+
       .form-input,
       .form-select {
         padding: 0.5rem;
@@ -540,6 +1037,94 @@ export class VehiclesPage extends LitElement {
         transform: none;
       }
 
+      .report-progress {
+        padding: 1.5rem;
+        background: #f8f9fa;
+      }
+
+      .progress-header {
+        display: flex;
+        justify-content: space-between;
+        margin-bottom: 0.75rem;
+        font-size: 0.9rem;
+      }
+
+      .progress-title {
+        font-weight: 600;
+        color: #2c3e50;
+      }
+
+      .progress-eta {
+        color: #6c757d;
+      }
+
+      .progress-bar {
+        height: 8px;
+        background: #e9ecef;
+        border-radius: 4px;
+        overflow: hidden;
+      }
+
+      .progress-fill {
+        height: 100%;
+        background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+        transition: width 0.3s;
+      }
+
+      .report-progress.failed .progress-fill {
+        background: #dc3545;
+      }
+
+      .progress-stats {
+        display: flex;
+        gap: 1rem;
+        flex-wrap: wrap;
+        margin-top: 0.75rem;
+        font-size: 0.85rem;
+        color: #495057;
+      }
+
+      .progress-failed,
+      .progress-error {
+        color: #dc3545;
+      }
+
+      .progress-error {
+        margin: 0.75rem 0 0 0;
+        font-size: 0.9rem;
+      }
+
+      .progress-failures {
+        margin: 0.75rem 0 0 0;
+        padding-left: 1.25rem;
+        font-size: 0.85rem;
+        color: #721c24;
+      }
+
+      .report-schedule {
+        margin-top: 1.5rem;
+        padding-top: 1rem;
+        border-top: 1px solid #dee2e6;
+      }
+
+      .report-schedule summary {
+        cursor: pointer;
+        font-weight: 600;
+        color: #2c3e50;
+      }
+
+      .schedule-hint {
+        margin: 0.75rem 0 1rem 0;
+        font-size: 0.85rem;
+        color: #6c757d;
+      }
+
+      .schedule-message {
+        margin: 0.75rem 0 0 0;
+        font-size: 0.9rem;
+        color: #155724;
+      }
+
       .checkbox-column {
         width: 50px;
         text-align: center;
@@ -730,6 +1315,35 @@ export class VehiclesPage extends LitElement {
           color: #e9ecef;
         }
 
+        .report-progress {
+          background: #343a40;
+        }
+
+        .report-schedule {
+          border-top-color: #495057;
+        }
+
+        .report-schedule summary {
+          color: #e9ecef;
+        }
+
+        .schedule-hint {
+          color: #adb5bd;
+        }
+
+        .schedule-message {
+          color: #75b798;
+        }
+
+        .progress-title,
+        .progress-stats {
+          color: #e9ecef;
+        }
+
+        .progress-bar {
+          background: #495057;
+        }
+
         .form-group label {
           color: #e9ecef;
         }